@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+// scripts/import-airports.js
+/* =====================
+   node scripts/import-airports.js <file.csv> [options]
+     --format ourairports|openflights   (default: detected from the file)
+     --skip-closed                      (OurAirports type=closed)
+     --skip-heliports
+     --dry-run                          (report only, nothing is written)
+
+   OurAirports:  https://ourairports.com/data/airports.csv
+   OpenFlights:  https://raw.githubusercontent.com/jpatokal/openflights/master/data/airports.dat
+===================== */
+
+const fs = require("fs");
+const path = require("path");
+const sqlite3 = require("sqlite3");
+const createDataAccess = require("../src/modules/data");
+const createAirportImporter = require("../src/modules/airport-import");
+
+const dbPath = path.resolve(__dirname, "..", "database.sqlite");
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i === -1 ? null : process.argv[i + 1] || null;
+}
+
+async function main() {
+  const file = process.argv[2];
+  if (!file || file.startsWith("--")) {
+    console.error(
+      "usage: node scripts/import-airports.js <file.csv> [--format ourairports|openflights] [--skip-closed] [--skip-heliports] [--dry-run]"
+    );
+    process.exit(1);
+  }
+
+  const format = argValue("--format");
+  if (format && !createAirportImporter.FORMATS.includes(format)) {
+    console.error("--format must be ourairports or openflights");
+    process.exit(1);
+  }
+
+  let csv;
+  try {
+    csv = fs.readFileSync(path.resolve(file), "utf8");
+  } catch (e) {
+    console.error(`❌ can't read ${file}: ${e.message}`);
+    process.exit(1);
+  }
+
+  const db = new sqlite3.Database(dbPath);
+  const data = createDataAccess({ db, logErrors: false });
+  const importer = createAirportImporter({ data });
+
+  try {
+    await new Promise((resolve, reject) =>
+      db.exec(
+        "PRAGMA foreign_keys = ON; PRAGMA busy_timeout = 5000;",
+        (err) => (err ? reject(err) : resolve())
+      )
+    );
+
+    const report = await importer.importCsv(csv, {
+      format,
+      skipClosed: process.argv.includes("--skip-closed"),
+      skipHeliports: process.argv.includes("--skip-heliports"),
+      dryRun: process.argv.includes("--dry-run"),
+    });
+
+    console.log(`📂 ${dbPath}${report.dry_run ? "  (dry run)" : ""}`);
+    console.log(`  format     ${report.format}`);
+    console.log(`  rows       ${report.rows}`);
+    console.log(`  inserted   ${report.inserted}`);
+    console.log(`  updated    ${report.updated}`);
+    console.log(`  unchanged  ${report.unchanged}`);
+    console.log(`  skipped    ${report.skipped}`);
+    for (const [reason, n] of Object.entries(report.skipped_by)) {
+      console.log(`    - ${reason}: ${n}`);
+    }
+  } catch (e) {
+    console.error("❌ import failed:", e.message || e);
+    process.exitCode = 1;
+  } finally {
+    await data.close().catch(() => {});
+  }
+}
+
+main();
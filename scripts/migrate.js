@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+// scripts/migrate.js
+/* =====================
+   node scripts/migrate.js status
+   node scripts/migrate.js up   [--to <version>]
+   node scripts/migrate.js down [--steps <n>]      (default: 1)
+===================== */
+
+const path = require("path");
+const sqlite3 = require("sqlite3");
+const createDataAccess = require("../src/modules/data");
+const createMigrator = require("../src/modules/migrator");
+
+const dbPath = path.resolve(__dirname, "..", "database.sqlite");
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  if (i === -1) return null;
+  const n = parseInt(process.argv[i + 1], 10);
+  if (!Number.isFinite(n) || n < 1) {
+    console.error(`${name} needs a positive number`);
+    process.exit(1);
+  }
+  return n;
+}
+
+async function main() {
+  const cmd = process.argv[2] || "status";
+  if (!["status", "up", "down"].includes(cmd)) {
+    console.error("usage: node scripts/migrate.js status|up|down");
+    process.exit(1);
+  }
+
+  const db = new sqlite3.Database(dbPath);
+  const data = createDataAccess({ db, logErrors: false });
+  const migrator = createMigrator({ data });
+
+  try {
+    await new Promise((resolve, reject) =>
+      db.exec(
+        "PRAGMA foreign_keys = ON; PRAGMA busy_timeout = 5000;",
+        (err) => (err ? reject(err) : resolve())
+      )
+    );
+
+    if (cmd === "up") {
+      const done = await migrator.up({ to: argValue("--to") });
+      console.log(done.length ? `✅ applied ${done.length}` : "✅ nothing to apply");
+    }
+
+    if (cmd === "down") {
+      const done = await migrator.down({ steps: argValue("--steps") || 1 });
+      console.log(`✅ reverted ${done.length}`);
+    }
+
+    const { items, missing } = await migrator.status();
+    console.log(`\n📂 ${dbPath}`);
+    for (const m of items) {
+      console.log(
+        `  ${m.applied ? "✔" : "·"} ${String(m.version).padStart(3, "0")} ${m.name}` +
+          (m.applied ? `  (${m.applied_at})` : "  PENDING")
+      );
+    }
+    for (const r of missing) {
+      console.log(`  ? ${String(r.version).padStart(3, "0")} ${r.name}  (applied, file missing)`);
+    }
+  } catch (e) {
+    console.error("❌ migration failed:", e.message || e);
+    process.exitCode = 1;
+  } finally {
+    await data.close().catch(() => {});
+  }
+}
+
+main();
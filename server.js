@@ -22,24 +22,60 @@ const registerAuthRoutes = require("./src/modules/auth.routes");
 const registerUsersMeRoutes = require("./src/modules/profile.routes");
 const registerCvRoutes = require("./src/modules/cv.routes");
 const registerCommunityRoutes = require("./src/modules/community.routes");
+const registerLoginGuard = require("./src/modules/login-guard");
+const createSessionStore = require("./src/modules/session-store");
+const createMailer = require("./src/modules/mailer");
+const registerAccountRoutes = require("./src/modules/account.routes");
+const createPermissionStore = require("./src/modules/permission-store");
+const registerRolesRoutes = require("./src/modules/roles.routes");
+const createMigrator = require("./src/modules/migrator");
+const createDataAccess = require("./src/modules/data");
+const createCarryMatcher = require("./src/modules/carry-matching");
+const createAirportStore = require("./src/modules/airport-store");
+const createAirportImporter = require("./src/modules/airport-import");
+const createPagination = require("./src/modules/pagination");
+const createPostStore = require("./src/modules/post-store");
+const createMediaStorage = require("./src/modules/media-storage");
+const createMediaStore = require("./src/modules/media-store");
+const registerMedia = require("./src/modules/media");
+const createNotifier = require("./src/modules/notification-store");
+const registerNotifications = require("./src/modules/notifications");
+const createEventBus = require("./src/modules/event-bus");
+const registerStream = require("./src/modules/stream");
+const createBlockStore = require("./src/modules/block-store");
+const createConversationStore = require("./src/modules/conversation-store");
+const registerMessaging = require("./src/modules/messaging");
+const createReportStore = require("./src/modules/report-store");
+const registerReports = require("./src/modules/reports");
 
 // ✅ actual files in your tree are in /src (not /src/modules)
 const registerFeed = require("./src/feed");
 const registerMarketplace = require("./src/marketplace");
 
-// ✅ needed because you pass it to social-profile
-const { parseAnyPostId } = require("./src/feed");
-
 // =====================
 // App
 // =====================
 const app = express();
+
+// ✅ behind nginx/proxy set TRUST_PROXY (e.g. "1" or "loopback") so req.ip is the real client
+if (process.env.TRUST_PROXY) {
+  const tp = process.env.TRUST_PROXY;
+  app.set("trust proxy", /^\d+$/.test(tp) ? Number(tp) : tp);
+}
+
 const PORT = process.env.PORT || 5000;
 const JWT_SECRET = process.env.JWT_SECRET || "CHANGE_ME_SECRET";
 const ADMIN_EMAILS = process.env.ADMIN_EMAILS || "";
-
-// ✅ خليه true مؤقتًا لو عايز تشوف تحذيرات ALTER / أعمدة ناقصة + SQL errors
-const ALTER_LOG = false;
+const ACCESS_TOKEN_TTL_SEC =
+  parseInt(process.env.ACCESS_TOKEN_TTL_SEC || "", 10) || 15 * 60;
+// ✅ open reports that hide a post / listing / comment ... until a moderator decides
+const REPORT_HIDE_THRESHOLD =
+  parseInt(process.env.REPORT_HIDE_THRESHOLD || "", 10) || 3;
+// ✅ ... counting only verified reporters whose account is at least this old
+const REPORT_MIN_ACCOUNT_DAYS =
+  parseInt(process.env.REPORT_MIN_ACCOUNT_DAYS || "", 10) || 7;
+
+// ✅ خليه true مؤقتًا لو عايز تشوف SQL errors
 const SQL_LOG = true;
 
 /* =====================
@@ -69,7 +105,7 @@ app.use((req, res, next) => {
 
     res.setHeader(
       "Access-Control-Allow-Headers",
-      "Content-Type, Authorization, Accept"
+      "Content-Type, Authorization, Accept, Last-Event-ID"
     );
     res.setHeader(
       "Access-Control-Allow-Methods",
@@ -84,15 +120,24 @@ app.use((req, res, next) => {
 /* =====================
    Body Parsers
 ===================== */
-app.use(express.json({ limit: "50mb" }));
+// ✅ files go through POST /api/media (multipart), not base64 in the json body
+app.use(express.json({ limit: "1mb" }));
 app.use(express.urlencoded({ extended: true }));
+app.use((err, req, res, next) => {
+  if (err?.type === "entity.too.large")
+    return res
+      .status(413)
+      .json({ message: "Request body too large (upload files with POST /api/media)" });
+  if (err?.type === "entity.parse.failed")
+    return res.status(400).json({ message: "Invalid JSON body" });
+  next(err);
+});
 
 /* =====================
    DB
 ===================== */
 const dbPath = path.resolve(__dirname, "database.sqlite");
 const db = new sqlite3.Database(dbPath);
-registerAirports({ app, db });
 
 db.serialize(() => {
   db.run("PRAGMA foreign_keys = ON");
@@ -101,55 +146,12 @@ db.serialize(() => {
   db.run("PRAGMA busy_timeout = 5000");
 });
 
-function safeAlterTable(sql) {
-  db.run(sql, (err) => {
-    if (!err) return;
+// ✅ shared data layer: promises, transactions, statement cache, SQL error logs
+const data = createDataAccess({ db, logErrors: SQL_LOG });
+const airports = createAirportStore({ data });
 
-    const msg = String(err.message || "");
-    const ignorable =
-      msg.includes("duplicate column") ||
-      msg.includes("already exists") ||
-      msg.includes("no such table") ||
-      msg.includes("cannot add a NOT NULL column") ||
-      false;
-
-    if (!ignorable && ALTER_LOG) {
-      console.warn("SAFE_ALTER_WARNING:", msg, "SQL:", sql);
-    }
-  });
-}
-
-// ✅ DB wrappers (logs the real SQL errors that cause 500)
-function dbAll(sql, params, cb) {
-  db.all(sql, params, (err, rows) => {
-    if (err && SQL_LOG) {
-      console.error("SQL_ERROR:", err.message);
-      console.error("SQL:", sql);
-      console.error("PARAMS:", params);
-    }
-    cb(err, rows);
-  });
-}
-function dbGet(sql, params, cb) {
-  db.get(sql, params, (err, row) => {
-    if (err && SQL_LOG) {
-      console.error("SQL_ERROR:", err.message);
-      console.error("SQL:", sql);
-      console.error("PARAMS:", params);
-    }
-    cb(err, row);
-  });
-}
-function dbRun(sql, params, cb) {
-  db.run(sql, params, function (err) {
-    if (err && SQL_LOG) {
-      console.error("SQL_ERROR:", err.message);
-      console.error("SQL:", sql);
-      console.error("PARAMS:", params);
-    }
-    cb && cb.call(this, err);
-  });
-}
+// ✅ schema lives in src/migrations (apply with: npm run migrate)
+const migrator = createMigrator({ data });
 
 /* =====================
    Helpers
@@ -159,10 +161,49 @@ function toInt(v) {
   return Number.isFinite(n) ? n : 0;
 }
 
+// ✅ ?limit=&cursor= -> next_cursor (every list route)
+const paging = createPagination();
+
+/* =====================
+   Sessions (refresh tokens / devices)
+===================== */
+const sessions = createSessionStore({ data });
+
+// ✅ read-only mode for unverified accounts checks this (see core.authRequired)
+async function isEmailVerified(userId) {
+  const row = await data.get(
+    `SELECT email_verified_at FROM users WHERE id = ?`,
+    [userId]
+  );
+  return !!row?.email_verified_at;
+}
+
+// ✅ suspended accounts (reports / moderation) are read-only until this date
+async function suspendedUntil(userId) {
+  const row = await data.get(
+    `SELECT suspended_until FROM users WHERE id = ? AND suspended_until > datetime('now')`,
+    [userId]
+  );
+  return row?.suspended_until || null;
+}
+
+/* =====================
+   Roles + permissions (ADMIN_EMAILS only seeds the first admins)
+===================== */
+const permissions = createPermissionStore({ data, ADMIN_EMAILS });
+
 /* =====================
    Core (auth + helpers)
 ===================== */
-const core = registerCore({ JWT_SECRET, jwt, ADMIN_EMAILS });
+const core = registerCore({
+  JWT_SECRET,
+  jwt,
+  ACCESS_TOKEN_TTL_SEC,
+  sessions,
+  isEmailVerified,
+  suspendedUntil,
+  permissions,
+});
 
 const {
   safeTrim,
@@ -171,198 +212,321 @@ const {
   signToken,
   authRequired,
   authOptional,
+  can,
+  requirePermission,
   isAdminReq,
   adminRequired,
 } = core;
 
 // ✅ object expected by src/marketplace.js
-const auth = { authRequired, authOptional, isAdminReq, adminRequired };
+const auth = {
+  authRequired,
+  authOptional,
+  can,
+  requirePermission,
+  isAdminReq,
+  adminRequired,
+};
 
 // ✅ support both names (old/new)
 const signJwt = core.signJwt || signToken;
+// ✅ Airports search + admin dataset import
+registerAirports({
+  app,
+  data,
+  airports,
+  importer: createAirportImporter({ data }),
+  authRequired,
+  requirePermission,
+});
+
+/* =====================
+   Real-time events (in-process bus behind /api/stream)
+===================== */
+const events = createEventBus();
+
+/* =====================
+   Notifications (in-app; producers get the notifier)
+===================== */
+const notifier = createNotifier({ data, safeJsonParse, events });
+
+/* =====================
+   Direct messages + user blocks / mutes (feed, profiles, carry use blocks)
+===================== */
+const blocks = createBlockStore({ data });
+const conversations = createConversationStore({
+  data,
+  blocks,
+  notifier,
+  events,
+});
+
 // ✅ Carry / Shipments routes
-registerCarry({
+const { carryReputation } = registerCarry({
   app,
-  db,
-  auth: { authRequired, authOptional, isAdminReq },
+  data,
+  matcher: createCarryMatcher({ data, toInt }),
+  airports,
+  auth: { authRequired, authOptional, can, requirePermission },
   safeTrim,
   safeJsonParse,
   toInt,
+  notifier,
+  events,
+  blocks,
+  paging,
 });
 
 /* =====================
    Profile bootstrap
 ===================== */
-function ensureProfileRow(userId, cb) {
-  dbGet(
+async function ensureProfileRow(userId) {
+  const row = await data.get(
     `SELECT up.user_id FROM user_profile up WHERE up.user_id = ?`,
-    [userId],
-    (e1, row) => {
-      if (e1) return cb(e1);
-      if (row) return cb(null);
-
-      dbGet(
-        `SELECT id, username FROM users WHERE id = ?`,
-        [userId],
-        (e2, u) => {
-          if (e2) return cb(e2);
-
-          const baseUsername = safeTrim(u?.username) || `user${userId}`;
-          const displayName = safeTrim(u?.username) || `User ${userId}`;
-
-          const candidates = [
-            baseUsername,
-            `${baseUsername}${userId}`,
-            `user${userId}`,
-            `member${userId}`,
-          ];
-
-          (function tryInsert(i) {
-            if (i >= candidates.length) {
-              const last = `user${userId}_${Date.now()}`;
-              return dbRun(
-                `INSERT OR IGNORE INTO user_profile (user_id, username, display_name) VALUES (?,?,?)`,
-                [userId, last, displayName],
-                () => cb(null)
-              );
-            }
-
-            dbRun(
-              `INSERT OR IGNORE INTO user_profile (user_id, username, display_name) VALUES (?,?,?)`,
-              [userId, candidates[i], displayName],
-              function () {
-                dbGet(
-                  `SELECT user_id FROM user_profile WHERE user_id = ?`,
-                  [userId],
-                  (e3, okRow) => {
-                    if (e3) return cb(e3);
-                    if (okRow) return cb(null);
-                    tryInsert(i + 1);
-                  }
-                );
-              }
-            );
-          })(0);
-        }
-      );
-    }
+    [userId]
   );
+  if (row) return;
+
+  const u = await data.get(`SELECT id, username FROM users WHERE id = ?`, [
+    userId,
+  ]);
+
+  const baseUsername = safeTrim(u?.username) || `user${userId}`;
+  const displayName = safeTrim(u?.username) || `User ${userId}`;
+
+  const candidates = [
+    baseUsername,
+    `${baseUsername}${userId}`,
+    `user${userId}`,
+    `member${userId}`,
+    `user${userId}_${Date.now()}`,
+  ];
+
+  for (const username of candidates) {
+    const r = await data.run(
+      `INSERT OR IGNORE INTO user_profile (user_id, username, display_name) VALUES (?,?,?)`,
+      [userId, username, displayName]
+    );
+    if (r.changes) return;
+
+    const okRow = await data.get(
+      `SELECT user_id FROM user_profile WHERE user_id = ?`,
+      [userId]
+    );
+    if (okRow) return;
+  }
 }
 
-/* ✅ delete feed-post (posts table) safely */
-function deleteFeedPostOwnedBy(userId, postId, res) {
-  const pid = toInt(postId);
-  if (!pid) return res.status(400).json({ message: "Bad postId" });
+/* =====================
+   Posts (feed + profile posts share one table, see post-store)
+===================== */
+const posts = createPostStore({ data });
 
-  dbGet(`SELECT id, user_id FROM posts WHERE id = ?`, [pid], (err, row) => {
-    if (err) return res.status(500).json({ message: "Delete failed" });
+/* =====================
+   Media uploads (MEDIA_DRIVER / MEDIA_DIR / MEDIA_MAX_MB, see media-storage)
+===================== */
+const mediaStorage = createMediaStorage();
+const media = createMediaStore({ data, storage: mediaStorage });
+
+/* ✅ delete a post (any id form: p_17, pp_18, 17) safely */
+async function deletePostOwnedBy(userId, rawId, res) {
+  try {
+    const id = await posts.resolveId(rawId, { ownerId: userId });
+    if (!id) return res.status(400).json({ message: "Bad postId" });
+
+    const row = await data.get(`SELECT id, user_id FROM posts WHERE id = ?`, [
+      id,
+    ]);
     if (!row) return res.status(404).json({ message: "Post not found" });
     if (row.user_id !== userId) return res.sendStatus(403);
 
-    dbRun(`DELETE FROM posts WHERE id = ?`, [pid], function (err2) {
-      if (err2) return res.status(500).json({ message: "Delete failed" });
-      return res.json({ ok: true });
-    });
-  });
+    await posts.remove(id);
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(500).json({ message: "Delete failed" });
+  }
 }
 
 /* =====================
    Routes registration
 ===================== */
 
+// ✅ POST /api/media uploads (+ local file serving)
+registerMedia({
+  app,
+  data,
+  media,
+  storage: mediaStorage,
+  authRequired,
+  paging,
+  toInt,
+});
+
+// ✅ /api/stream (SSE; modules publish to the bus)
+registerStream({ app, events, sessions, authRequired });
+
+// ✅ /api/conversations (direct messages)
+registerMessaging({
+  app,
+  conversations,
+  blocks,
+  authRequired,
+  paging,
+  toInt,
+});
+
+// ✅ /api/reports + moderator queue (/api/admin/reports)
+registerReports({
+  app,
+  reports: createReportStore({
+    data,
+    posts,
+    notifier,
+    permissions,
+    hideThreshold: REPORT_HIDE_THRESHOLD,
+    reporterMinDays: REPORT_MIN_ACCOUNT_DAYS,
+  }),
+  authRequired,
+  requirePermission,
+  paging,
+  toInt,
+});
+
+// ✅ /api/notifications (center + preferences)
+registerNotifications({
+  app,
+  notifier,
+  authRequired,
+  paging,
+  toInt,
+});
+
 // ✅ community.routes (depends on auth/core)
 registerCommunityRoutes({
   app,
-  db,
+  data,
   authRequired,
   authOptional,
-  isAdminReq,
-  dbAll,
-  dbGet,
-  dbRun,
+  can,
+  requirePermission,
   safeTrim,
   toInt,
-  safeAlterTable,
+  paging,
 });
 
 // ✅ social profile routes
 registerSocialProfileRoutes({
   app,
+  data,
   authRequired,
   authOptional,
-  dbAll,
-  dbGet,
-  dbRun,
   toInt,
   safeTrim,
   safeUrl,
   safeJsonParse,
   ensureProfileRow,
-  deleteFeedPostOwnedBy,
-  parseAnyPostId,
+  posts,
+  media,
+  deletePostOwnedBy,
+  carryReputation,
+  notifier,
+  events,
+  conversations,
+  blocks,
+  paging,
 });
 
 // ✅ Feed (posts + comments + likes + legacy aliases)
 registerFeed({
   app,
-  db,
-  dbAll,
-  dbGet,
-  dbRun,
+  data,
   authRequired,
   authOptional,
   safeTrim,
   safeJsonParse,
   toInt,
+  paging,
+  posts,
+  media,
+  notifier,
+  events,
+  blocks,
   // ✅ important for delete to work
-  deleteFeedPostOwnedBy,
+  deletePostOwnedBy,
 });
 
 // console.log("✅ registerMarketplace loaded:", typeof registerMarketplace);
 
 // ✅ Marketplace (listings unified layer)
-// ✅ Ensure marketplace_listings has needed columns (prevents SQLITE_ERROR)
-safeAlterTable(`ALTER TABLE marketplace_listings ADD COLUMN category TEXT`);
-safeAlterTable(`ALTER TABLE marketplace_listings ADD COLUMN city TEXT`);
-safeAlterTable(`ALTER TABLE marketplace_listings ADD COLUMN state TEXT`);
-safeAlterTable(`ALTER TABLE marketplace_listings ADD COLUMN address TEXT`);
-safeAlterTable(`ALTER TABLE marketplace_listings ADD COLUMN price TEXT`);
-safeAlterTable(`ALTER TABLE marketplace_listings ADD COLUMN contact TEXT`);
-safeAlterTable(`ALTER TABLE marketplace_listings ADD COLUMN website TEXT`);
-safeAlterTable(`ALTER TABLE marketplace_listings ADD COLUMN notes TEXT`);
-safeAlterTable(`ALTER TABLE marketplace_listings ADD COLUMN created_at TEXT`);
-safeAlterTable(`ALTER TABLE marketplace_listings ADD COLUMN updated_at TEXT`);
-
 registerMarketplace({
   app,
-  db,
+  data,
   auth,
+  media,
+  notifier,
+  conversations,
   safeTrim,
   safeJsonParse,
   toInt,
-  dbAll,
-  dbGet,
-  dbRun,
-  safeAlterTable,
+  paging,
+});
+
+// ✅ Admin: roles + permission grants
+registerRolesRoutes({
+  app,
+  permissions,
+  authRequired,
+  requirePermission,
+  safeTrim,
+  toInt,
+});
+
+// ✅ Login guard (failed attempts + lockout + audit)
+const loginGuard = registerLoginGuard({
+  app,
+  data,
+  authRequired,
+  adminRequired,
+  safeTrim,
+  toInt,
+});
+
+// ✅ Password reset + email verification (MAIL_TRANSPORT=console|file|smtp,
+//    production requires smtp: SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+const mailer = createMailer();
+const { sendVerificationEmail } = registerAccountRoutes({
+  app,
+  data,
+  bcrypt,
+  safeTrim,
+  mailer,
+  sessions,
+  loginGuard,
+  authRequired,
 });
 
 // ✅ Auth routes
 registerAuthRoutes({
   app,
   bcrypt,
-  dbRun,
-  dbGet,
+  data,
   safeTrim,
   signToken: signJwt, // ✅ important: auth.routes.js expects "signToken"
   ensureProfileRow,
+  loginGuard,
+  sessions,
+  authRequired,
+  authOptional,
+  accessTokenTtlSec: ACCESS_TOKEN_TTL_SEC,
+  toInt,
+  sendVerificationEmail,
 });
 
 // ✅ /api/users/me etc
 registerUsersMeRoutes({
   app,
   authRequired,
-  dbGet,
-  dbRun,
+  data,
   safeTrim,
 });
 
@@ -371,9 +535,7 @@ registerUsersMeRoutes({
 registerCvRoutes({
   app,
   authRequired,
-  dbAll,
-  dbGet,
-  dbRun,
+  data,
   safeTrim,
   safeJsonParse,
   toInt,
@@ -386,11 +548,31 @@ app.get("/api/health", (req, res) => res.json({ ok: true }));
 
 /* =================================================
    START SERVER (ONLY ONCE)
+   ❌ refuses to start while migrations are pending
 ==================================================== */
-app.listen(PORT, () => {
-  console.log(`
+migrator
+  .pending()
+  .then(async (pending) => {
+    if (pending.length) {
+      console.error(
+        `❌ ${pending.length} pending migration(s):\n` +
+          pending.map((m) => `   - ${m.file}`).join("\n") +
+          `\n   run: npm run migrate`
+      );
+      process.exit(1);
+    }
+
+    await permissions.bootstrapAdmins();
+
+    app.listen(PORT, () => {
+      console.log(`
 ✅ Server is running on: http://localhost:${PORT}
 📂 Database: ${dbPath}
 🚀 Mode: Ready for Frontend integration
 `);
-});
+    });
+  })
+  .catch((e) => {
+    console.error("❌ Startup failed:", e);
+    process.exit(1);
+  });
@@ -1,165 +1,288 @@
 // backend/src/feed.js (FULL FILE - FIXED)
 // ✅ Fixes:
-// - parseAnyPostId now returns { kind, id } as your routes expect
-// - export parseAnyPostId correctly
+// - feed + profile posts are one table (post-store): every route below takes
+//   p_17, pp_18 (old profile ids) or 17
 // - keeps your existing routes as-is
+// - likes / comments / replies notify the post (or comment) author
+// - live updates: channel "post:<id>" gets post.like + comment.created (/api/stream)
+// - blocked users (either way) vanish from feeds and comment lists, muted ones
+//   from the viewer's feeds only; they can't like or comment on each other's
+//   posts or reply to each other's comments (403)
+// - posts / comments hidden by moderation (hidden_at, see report-store) leave
+//   every list and can't be liked or commented on
 
 module.exports = function registerFeed({
   app,
-  db,
-  dbGet,
-  dbAll,
-  dbRun,
+  data,
   authRequired,
   authOptional,
   safeTrim,
   toInt,
-  parseAnyPostId: parseAnyPostIdOverride, // optional override
-  deleteFeedPostOwnedBy,
+  paging,
+  posts,
+  media,
+  notifier,
+  events,
+  blocks,
+  deletePostOwnedBy,
 }) {
-  // ✅ ensure we always have the correct parser
-  const parseId = parseAnyPostIdOverride || parseAnyPostIdLocal;
+  const { all, get, run, withTransaction } = data;
+
+  // same rules as the REST reads: hidden posts only for their author, nothing
+  // across a block (either way)
+  events.defineChannel("post", async (req, id) => {
+    const me = Number(req.user.id);
+    const row = await get(`SELECT user_id, hidden_at FROM posts WHERE id = ?`, [id]);
+    if (!row) return false;
+    if (Number(row.user_id) === me) return true;
+    return !row.hidden_at && !(await blocks.isBlocked(me, row.user_id));
+  });
+
+  async function publishLike(postId, userId, liked) {
+    const row = await get(
+      `SELECT COUNT(*) AS c FROM post_likes WHERE post_id = ?`,
+      [postId]
+    );
+    events.publish(`post:${postId}`, "post.like", {
+      post_id: posts.apiId(postId),
+      user_id: userId,
+      liked,
+      likeCount: Number(row?.c || 0),
+    });
+  }
+
+  // any post id form -> posts.id (null = bad / unknown)
+  const resolvePostId = (raw) => posts.resolveId(raw);
 
   /* =====================
      FEED POSTS
   ===================== */
-  app.get("/api/posts", authOptional, (req, res) => {
+  app.get("/api/posts", authOptional, async (req, res) => {
     const category = safeTrim(req.query.category);
     const userId = req.user?.id || 0;
 
-    const where = category ? "WHERE p.category = ?" : "";
-    const params = category ? [category] : [];
-
-    dbAll(
-      `
-      SELECT
-        p.*,
-        u.username AS user_name,
-        (SELECT COUNT(*) FROM post_likes WHERE post_id = p.id) AS likeCount,
-        (SELECT COUNT(*) FROM post_likes WHERE post_id = p.id AND user_id = ?) AS likedByMe,
-        (SELECT COUNT(*) FROM post_comments WHERE post_id = p.id) AS commentCount
+    // ✅ ?cursor= -> { items, next_cursor } (no cursor: the old plain array)
+    const page = paging.readPage(req.query);
+    if (page.error) return res.status(400).json({ message: page.error });
+
+    const where = ["p.kind = 'feed'", "p.hidden_at IS NULL"];
+    const params = [];
+    if (category) {
+      where.push("p.category = ?");
+      params.push(category);
+    }
+    const visible = blocks.visibleTo(userId, "p.user_id", { mutes: true });
+    if (visible) {
+      where.push(visible.sql);
+      params.push(...visible.params);
+    }
+    const after = paging.keyset(page, ["p.id"]);
+    if (after) {
+      where.push(after.sql);
+      params.push(...after.params);
+    }
+
+    try {
+      const rows = await all(
+        `
+      SELECT p.*, u.username AS user_name, ${posts.POST_COUNTS}
       FROM posts p
       LEFT JOIN users u ON u.id = p.user_id
-      ${where}
+      WHERE ${where.join(" AND ")}
       ORDER BY p.id DESC
+      LIMIT ?
       `,
-      [userId, ...params],
-      (err, rows) => {
-        if (err)
-          return res.status(500).json({ message: "Failed to load posts" });
-        res.json(
-          (rows || []).map((r) => ({
-            ...r,
-            likedByMe: !!r.likedByMe,
-            commentCount: Number(r.commentCount || 0),
-            likeCount: Number(r.likeCount || 0),
-          }))
-        );
-      }
+        [userId, ...params, page.sqlLimit]
+      );
+      const { items, next_cursor } = paging.pageOf(rows, page, (r) => [r.id]);
+      const list = items.map(posts.toPost);
+      res.json(page.paged ? { items: list, next_cursor } : list);
+    } catch (e) {
+      res.status(500).json({ message: "Failed to load posts" });
+    }
+  });
+
+  /* =====================
+     HOME FEED (followed users + me)
+     GET /api/feed/home?mode=latest|ranked&limit=&cursor=
+     - feed posts + profile posts, same item shape as the profile posts tab
+     - latest: newest first
+     - ranked: posts from the last RANK_WINDOW_DAYS ordered by
+         (1 + likes + 2 * comments in the last RANK_ACTIVITY_HOURS) / (age_hours + 2)^1.5
+       older posts follow chronologically (score 0)
+       the first page fixes "now" (kept in the cursor) so pages don't reshuffle
+  ===================== */
+  const RANK_WINDOW_DAYS = 7;
+  const RANK_ACTIVITY_HOURS = 48;
+  const HOME_KEY = ["score", "sort_at", "row_id"];
+
+  app.get("/api/feed/home", authRequired, async (req, res) => {
+    const me = req.user.id;
+    const mode = safeTrim(req.query.mode).toLowerCase() || "latest";
+    if (!["latest", "ranked"].includes(mode))
+      return res.status(400).json({ message: "mode must be latest or ranked" });
+
+    // cursor = [now, ...HOME_KEY]
+    const page = paging.readPage(req.query, { keys: HOME_KEY.length + 1 });
+    if (page.error) return res.status(400).json({ message: page.error });
+    const now = page.after
+      ? String(page.after[0])
+      : new Date().toISOString().slice(0, 19).replace("T", " ");
+    const after = paging.keyset(
+      { after: page.after && page.after.slice(1) },
+      HOME_KEY
     );
+
+    const ranked = mode === "ranked";
+    const score = ranked
+      ? `CASE WHEN sort_at >= datetime(?, '-${RANK_WINDOW_DAYS} days') THEN
+           (1 + recent_likes + 2 * recent_comments) /
+           pow(MAX(0, (julianday(?) - julianday(sort_at)) * 24) + 2, 1.5)
+         ELSE 0 END`
+      : "0";
+    const visible = blocks.visibleTo(me, "p.user_id", { mutes: true });
+
+    try {
+      const rows = await all(
+        `
+        SELECT * FROM (
+          SELECT f.*, ${score} AS score FROM (
+            SELECT
+              p.*,
+              p.id AS row_id,
+              COALESCE(datetime(p.created_at), '') AS sort_at,
+              u.username AS user_name,
+              ${posts.POST_COUNTS},
+              (SELECT COUNT(*) FROM post_likes WHERE post_id = p.id
+                 AND created_at > datetime(?, '-${RANK_ACTIVITY_HOURS} hours') AND created_at <= ?) AS recent_likes,
+              (SELECT COUNT(*) FROM post_comments WHERE post_id = p.id
+                 AND created_at > datetime(?, '-${RANK_ACTIVITY_HOURS} hours') AND created_at <= ?) AS recent_comments
+            FROM posts p
+            LEFT JOIN users u ON u.id = p.user_id
+            WHERE (p.user_id IN (SELECT following_id FROM follows WHERE follower_id = ?)
+               OR p.user_id = ?)
+              AND p.hidden_at IS NULL
+              AND ${visible.sql}
+          ) f
+          -- nothing posted after the first page was served
+          WHERE f.sort_at <= ?
+        )
+        ${after ? `WHERE ${after.sql}` : ""}
+        ORDER BY ${HOME_KEY.map((k) => `${k} DESC`).join(", ")}
+        LIMIT ?
+        `,
+        [
+          ...(ranked ? [now, now] : []),
+          me,
+          now,
+          now,
+          now,
+          now,
+          me,
+          me,
+          ...visible.params,
+          now,
+          ...(after ? after.params : []),
+          page.sqlLimit,
+        ]
+      );
+
+      const { items, next_cursor } = paging.pageOf(rows, page, (r) => [
+        now,
+        ...HOME_KEY.map((k) => r[k]),
+      ]);
+      res.json({
+        mode,
+        items: items.map(
+          ({ row_id, sort_at, recent_likes, recent_comments, score: s, ...r }) => ({
+            ...posts.toPost(r),
+            id: posts.apiId(row_id),
+            ...(ranked ? { score: s } : {}),
+          })
+        ),
+        next_cursor,
+      });
+    } catch (e) {
+      console.error("[feed] home", e);
+      res.status(500).json({ message: "Failed to load feed" });
+    }
   });
 
-  function updateFeedPostCore(req, res) {
-    const parsed = parseId(req.params.id);
+  // { media_id } -> my upload (undefined = not sent); BAD_MEDIA -> 400
+  async function mediaFromBody(req) {
+    const list = await media.fromBody(req.user.id, req.body?.media_id);
+    return list ? list[0] : undefined;
+  }
+
+  // ✅ edit: feed and profile posts alike (/api/posts/17, p_17, pp_18)
+  async function updateFeedPostCore(req, res) {
     const content = safeTrim(req.body?.content);
     const category = safeTrim(req.body?.category);
 
-    // allow /api/posts/p_17 too
-    const id =
-      parsed?.kind === "feed"
-        ? parsed.id
-        : parsed?.kind === "numeric"
-        ? parsed.id
-        : null;
-
-    if (!id) return res.status(400).json({ message: "Bad id" });
     if (!content) return res.status(400).json({ message: "Empty content" });
 
-    dbRun(
-      `UPDATE posts SET content = ?, category = COALESCE(?, category) WHERE id = ? AND user_id = ?`,
-      [content, category || null, id, req.user.id],
-      function (err) {
-        if (err) return res.status(500).json({ message: "Update failed" });
-        if (this.changes === 0)
-          return res.status(404).json({ message: "Post not found" });
-        res.json({ ok: true });
-      }
-    );
+    try {
+      const id = await posts.resolveId(req.params.id, { ownerId: req.user.id });
+      if (!id) return res.status(400).json({ message: "Bad id" });
+
+      const ok = await posts.update(id, req.user.id, {
+        content,
+        category,
+        media: await mediaFromBody(req),
+      });
+      if (!ok) return res.status(404).json({ message: "Post not found" });
+      res.json({ ok: true });
+    } catch (e) {
+      if (e.code === "BAD_MEDIA") return res.status(400).json({ message: e.message });
+      res.status(500).json({ message: "Update failed" });
+    }
   }
 
   app.put("/api/posts/:id", authRequired, updateFeedPostCore);
   app.patch("/api/posts/:id", authRequired, updateFeedPostCore);
 
-  // ✅ NEW: GET single feed post (supports /api/posts/17 and /api/posts/p_17)
-  function getSingleFeedPost(req, res) {
-    const parsed = parseId(req.params.id);
-    const id =
-      parsed?.kind === "feed"
-        ? parsed.id
-        : parsed?.kind === "numeric"
-        ? parsed.id
-        : null;
-
-    if (!id) return res.status(400).json({ message: "Bad id" });
-
-    const userId = req.user?.id || 0;
-
-    dbGet(
-      `
-      SELECT
-        p.*,
-        u.username AS user_name,
-        (SELECT COUNT(*) FROM post_likes WHERE post_id = p.id) AS likeCount,
-        (SELECT COUNT(*) FROM post_likes WHERE post_id = p.id AND user_id = ?) AS likedByMe,
-        (SELECT COUNT(*) FROM post_comments WHERE post_id = p.id) AS commentCount
-      FROM posts p
-      LEFT JOIN users u ON u.id = p.user_id
-      WHERE p.id = ?
-      `,
-      [userId, id],
-      (err, row) => {
-        if (err) return res.status(500).json({ message: "Failed" });
-        if (!row) return res.status(404).json({ message: "Post not found" });
-        res.json({
-          ...row,
-          likedByMe: !!row.likedByMe,
-          commentCount: Number(row.commentCount || 0),
-          likeCount: Number(row.likeCount || 0),
-        });
-      }
-    );
+  // ✅ NEW: GET single post (supports /api/posts/17, /api/posts/p_17, /api/posts/pp_18)
+  async function getSingleFeedPost(req, res) {
+    try {
+      const id = await resolvePostId(req.params.id);
+      if (!id) return res.status(400).json({ message: "Bad id" });
+
+      // hidden posts stay visible to their author only
+      const post = await posts.get(id, req.user?.id);
+      if (!post || (post.hidden_at && Number(post.user_id) !== Number(req.user?.id)))
+        return res.status(404).json({ message: "Post not found" });
+      res.json(post);
+    } catch (e) {
+      res.status(500).json({ message: "Failed" });
+    }
   }
   app.get("/api/posts/:id", authOptional, getSingleFeedPost);
   app.get("/api/post/:id", authOptional, getSingleFeedPost);
 
-  app.post("/api/posts", authRequired, (req, res) => {
+  app.post("/api/posts", authRequired, async (req, res) => {
     const content = safeTrim(req.body?.content);
     const category = safeTrim(req.body?.category);
 
     if (!content) return res.status(400).json({ message: "Empty post" });
 
-    dbRun(
-      `INSERT INTO posts (user_id, content, category) VALUES (?, ?, ?)`,
-      [req.user.id, content, category || null],
-      (err) => {
-        if (err) return res.status(500).json({ message: "Create post failed" });
-        res.json({ ok: true });
-      }
-    );
+    try {
+      const id = await posts.create({
+        userId: req.user.id,
+        content,
+        category,
+        media: await mediaFromBody(req),
+        kind: "feed",
+      });
+      res.json({ ok: true, id: posts.apiId(id) });
+    } catch (e) {
+      if (e.code === "BAD_MEDIA") return res.status(400).json({ message: e.message });
+      res.status(500).json({ message: "Create post failed" });
+    }
   });
 
   /* ========= DELETE Post ========= */
   function deletePostById(req, res) {
-    const parsed = parseId(req.params.id);
-    const id =
-      parsed?.kind === "feed"
-        ? parsed.id
-        : parsed?.kind === "numeric"
-        ? parsed.id
-        : null;
-
-    if (!id) return res.status(400).json({ message: "Bad id" });
-    return deleteFeedPostOwnedBy(req.user.id, id, res);
+    return deletePostOwnedBy(req.user.id, req.params.id, res);
   }
 
   app.delete("/api/posts/:id", authRequired, deletePostById);
@@ -171,166 +294,125 @@ module.exports = function registerFeed({
 
   // ✅ NEW: aliases for "weird" frontend delete tries
   function deleteMyPostCore(req, res) {
-    const raw = safeTrim(req.params.postId || "");
-    if (!raw) return res.status(400).json({ message: "Bad postId" });
-
-    if (raw.startsWith("pp_")) {
-      const postId = toInt(raw.slice(3));
-      if (!postId) return res.status(400).json({ message: "Bad postId" });
-
-      dbRun(
-        `DELETE FROM profile_posts WHERE id = ? AND user_id = ?`,
-        [postId, req.user.id],
-        function (err) {
-          if (err)
-            return res.status(500).json({ message: "Delete post failed" });
-          if (this.changes === 0)
-            return res.status(404).json({ message: "Post not found" });
-          return res.json({ ok: true });
-        }
-      );
-      return;
-    }
-
-    if (raw.startsWith("p_")) {
-      const postId = raw.slice(2);
-      return deleteFeedPostOwnedBy(req.user.id, postId, res);
-    }
-
-    const numeric = toInt(raw);
-    if (!numeric) return res.status(400).json({ message: "Bad postId" });
-
-    dbGet(
-      `SELECT id FROM posts WHERE id = ? AND user_id = ?`,
-      [numeric, req.user.id],
-      (e1, existsFeed) => {
-        if (e1) return res.status(500).json({ message: "Delete post failed" });
-        if (existsFeed) return deleteFeedPostOwnedBy(req.user.id, numeric, res);
-
-        dbRun(
-          `DELETE FROM profile_posts WHERE id = ? AND user_id = ?`,
-          [numeric, req.user.id],
-          function (err) {
-            if (err)
-              return res.status(500).json({ message: "Delete post failed" });
-            if (this.changes === 0)
-              return res.status(404).json({ message: "Post not found" });
-            return res.json({ ok: true });
-          }
-        );
-      }
-    );
+    return deletePostOwnedBy(req.user.id, req.params.postId, res);
   }
 
   app.delete("/api/profile/me/posts/:postId", authRequired, deleteMyPostCore);
   app.delete("/api/me/profile/posts/:postId", authRequired, deleteMyPostCore);
 
   /* ========= LIKE Post ========= */
-  app.post("/api/posts/:id/like", authRequired, (req, res) => {
-    const parsed = parseId(req.params.id);
-    const postId =
-      parsed?.kind === "feed"
-        ? parsed.id
-        : parsed?.kind === "numeric"
-        ? parsed.id
-        : null;
-
-    if (!postId) return res.status(400).json({ message: "Bad postId" });
+  app.post("/api/posts/:id/like", authRequired, async (req, res) => {
+    try {
+      const postId = await resolvePostId(req.params.id);
+      if (!postId) return res.status(400).json({ message: "Bad postId" });
 
-    dbGet(`SELECT id FROM posts WHERE id = ?`, [postId], (e0, pRow) => {
-      if (e0) return res.status(500).json({ message: "Like failed" });
+      const pRow = await get(
+        `SELECT id, user_id FROM posts WHERE id = ? AND hidden_at IS NULL`,
+        [postId]
+      );
       if (!pRow) return res.status(404).json({ message: "Post not found" });
 
-      dbGet(
+      const row = await get(
         `SELECT id FROM post_likes WHERE post_id = ? AND user_id = ?`,
-        [postId, req.user.id],
-        (err, row) => {
-          if (err) return res.status(500).json({ message: "Like failed" });
-
-          if (row) {
-            dbRun(
-              `DELETE FROM post_likes WHERE post_id = ? AND user_id = ?`,
-              [postId, req.user.id],
-              () => res.json({ liked: false })
-            );
-          } else {
-            dbRun(
-              `INSERT INTO post_likes (post_id, user_id) VALUES (?, ?)`,
-              [postId, req.user.id],
-              (e2) => {
-                if (e2) return res.status(500).json({ message: "Like failed" });
-                res.json({ liked: true });
-              }
-            );
-          }
-        }
+        [postId, req.user.id]
       );
-    });
+
+      const event = {
+        userId: pRow.user_id,
+        actorId: req.user.id,
+        entityType: "post",
+        entityId: postId,
+      };
+
+      if (row) {
+        await run(`DELETE FROM post_likes WHERE post_id = ? AND user_id = ?`, [
+          postId,
+          req.user.id,
+        ]);
+        await notifier.retract("post_like", event);
+        await publishLike(postId, req.user.id, false);
+        return res.json({ liked: false });
+      }
+
+      if (await blocks.isBlocked(req.user.id, pRow.user_id))
+        return res.status(403).json({ message: "You can't like this post" });
+
+      await run(
+        `INSERT INTO post_likes (post_id, user_id, created_at) VALUES (?, ?, datetime('now'))`,
+        [postId, req.user.id]
+      );
+      await notifier.notify("post_like", {
+        ...event,
+        data: { post_id: posts.apiId(postId) },
+      });
+      await publishLike(postId, req.user.id, true);
+      res.json({ liked: true });
+    } catch (e) {
+      res.status(500).json({ message: "Like failed" });
+    }
   });
 
   /* =====================
      COMMENTS (LIKES + REPLIES)
   ===================== */
 
-  // ✅ (1) Core: GET comments for feed post
-  function getFeedPostCommentsCore(req, res, postIdOverride = null) {
-    const postId =
-      postIdOverride ||
-      (() => {
-        const parsed = parseId(req.params.id);
-        return parsed?.kind === "feed"
-          ? parsed.id
-          : parsed?.kind === "numeric"
-          ? parsed.id
-          : null;
-      })();
+  // ✅ (1) Core: GET comments for a post (feed or profile)
+  async function getFeedPostCommentsCore(req, res, rawPostId = req.params.id) {
+    const userId = req.user?.id || 0;
 
-    if (!postId) return res.status(400).json({ message: "Bad postId" });
+    const page = paging.readPage(req.query);
+    if (page.error) return res.status(400).json({ message: page.error });
+    const after = paging.keyset(page, ["c.id"], "ASC");
+    const visible = blocks.visibleTo(userId, "c.user_id");
 
-    const userId = req.user?.id || 0;
+    try {
+      const postId = await resolvePostId(rawPostId);
+      if (!postId) return res.status(400).json({ message: "Bad postId" });
 
-    dbAll(
-      `
-      SELECT
-        c.*,
-        u.username AS user_name,
-        (SELECT COUNT(*) FROM post_comment_likes WHERE comment_id = c.id) AS likeCount,
-        (SELECT COUNT(*) FROM post_comment_likes WHERE comment_id = c.id AND user_id = ?) AS likedByMe
-      FROM post_comments c
-      LEFT JOIN users u ON u.id = c.user_id
-      WHERE c.post_id = ?
-      ORDER BY c.id ASC
-      `,
-      [userId, postId],
-      (err, rows) => {
-        if (err)
-          return res.status(500).json({ message: "Failed to load comments" });
-        res.json(
-          (rows || []).map((r) => ({
-            ...r,
-            likeCount: Number(r.likeCount || 0),
-            likedByMe: !!r.likedByMe,
-          }))
-        );
-      }
-    );
+      // hidden posts keep their comments for the author only (like GET /api/posts/:id)
+      const pRow = await get(
+        `SELECT id FROM posts WHERE id = ? AND (hidden_at IS NULL OR user_id = ?)`,
+        [postId, userId]
+      );
+      if (!pRow) return res.status(404).json({ message: "Post not found" });
+
+      const rows = await all(
+        `
+        SELECT
+          c.*,
+          u.username AS user_name,
+          (SELECT COUNT(*) FROM post_comment_likes WHERE comment_id = c.id) AS likeCount,
+          (SELECT COUNT(*) FROM post_comment_likes WHERE comment_id = c.id AND user_id = ?) AS likedByMe
+        FROM post_comments c
+        LEFT JOIN users u ON u.id = c.user_id
+        WHERE c.post_id = ? AND c.hidden_at IS NULL
+          ${visible ? `AND ${visible.sql}` : ""}
+          ${after ? `AND ${after.sql}` : ""}
+        ORDER BY c.id ASC
+        LIMIT ?
+        `,
+        [
+          userId,
+          postId,
+          ...(visible ? visible.params : []),
+          ...(after ? after.params : []),
+          page.sqlLimit,
+        ]
+      );
+      const { items, next_cursor } = paging.pageOf(rows, page, (r) => [r.id]);
+      const comments = items.map((r) => ({
+        ...r,
+        likeCount: Number(r.likeCount || 0),
+        likedByMe: !!r.likedByMe,
+      }));
+      res.json(page.paged ? { items: comments, next_cursor } : comments);
+    } catch (e) {
+      res.status(500).json({ message: "Failed to load comments" });
+    }
   }
 
   // ✅ (2) Core: POST comment
-  function createFeedPostCommentCore(req, res, postIdOverride = null) {
-    const postId =
-      postIdOverride ||
-      (() => {
-        const parsed = parseId(req.params.id);
-        return parsed?.kind === "feed"
-          ? parsed.id
-          : parsed?.kind === "numeric"
-          ? parsed.id
-          : null;
-      })();
-
-    if (!postId) return res.status(400).json({ message: "Bad postId" });
-
+  async function createFeedPostCommentCore(req, res, rawPostId = req.params.id) {
     const comment = safeTrim(
       req.body?.comment ??
         req.body?.content ??
@@ -351,39 +433,71 @@ module.exports = function registerFeed({
     const parentId =
       parentIdRaw === null || parentIdRaw === "" ? null : toInt(parentIdRaw);
 
-    dbGet(`SELECT id FROM posts WHERE id = ?`, [postId], (e0, pRow) => {
-      if (e0) return res.status(500).json({ message: "Comment failed" });
-      if (!pRow) return res.status(404).json({ message: "Post not found" });
+    try {
+      const postId = await resolvePostId(rawPostId);
+      if (!postId) return res.status(400).json({ message: "Bad postId" });
 
-      const insertNow = () => {
-        dbRun(
-          `INSERT INTO post_comments (post_id, user_id, comment, parent_comment_id)
-           VALUES (?, ?, ?, ?)`,
-          [postId, req.user.id, comment, parentId],
-          (err) => {
-            if (err) return res.status(500).json({ message: "Comment failed" });
-            return res.json({ ok: true });
-          }
+      const pRow = await get(
+        `SELECT id, user_id FROM posts WHERE id = ? AND hidden_at IS NULL`,
+        [postId]
+      );
+      if (!pRow) return res.status(404).json({ message: "Post not found" });
+      if (await blocks.isBlocked(req.user.id, pRow.user_id))
+        return res.status(403).json({ message: "You can't comment on this post" });
+
+      let pr = null;
+      if (parentId) {
+        pr = await get(
+          `SELECT id, post_id, user_id FROM post_comments WHERE id = ?`,
+          [parentId]
         );
+        if (!pr)
+          return res.status(404).json({ message: "Parent comment not found" });
+        if (Number(pr.post_id) !== postId)
+          return res.status(400).json({ message: "Parent comment mismatch" });
+        if (await blocks.isBlocked(req.user.id, pr.user_id))
+          return res.status(403).json({ message: "You can't reply to this comment" });
+      }
+
+      const r = await run(
+        `INSERT INTO post_comments (post_id, user_id, comment, parent_comment_id)
+         VALUES (?, ?, ?, ?)`,
+        [postId, req.user.id, comment, parentId]
+      );
+
+      // ✅ reply -> comment author; post author hears about it once
+      const about = {
+        actorId: req.user.id,
+        entityType: "post",
+        entityId: postId,
+        data: {
+          post_id: posts.apiId(postId),
+          comment_id: r.lastID,
+          parent_comment_id: parentId,
+          excerpt: comment.slice(0, 140),
+        },
       };
+      if (pr) {
+        await notifier.notify("comment_reply", { ...about, userId: pr.user_id });
+      }
+      if (!pr || pr.user_id !== pRow.user_id) {
+        await notifier.notify("post_comment", { ...about, userId: pRow.user_id });
+      }
 
-      if (!parentId) return insertNow();
-
-      dbGet(
-        `SELECT id, post_id FROM post_comments WHERE id = ?`,
-        [parentId],
-        (e1, pr) => {
-          if (e1) return res.status(500).json({ message: "Comment failed" });
-          if (!pr)
-            return res
-              .status(404)
-              .json({ message: "Parent comment not found" });
-          if (Number(pr.post_id) !== postId)
-            return res.status(400).json({ message: "Parent comment mismatch" });
-          insertNow();
-        }
+      const created = await get(
+        `SELECT c.*, u.username AS user_name
+         FROM post_comments c LEFT JOIN users u ON u.id = c.user_id
+         WHERE c.id = ?`,
+        [r.lastID]
       );
-    });
+      events.publish(`post:${postId}`, "comment.created", {
+        post_id: posts.apiId(postId),
+        comment: { ...created, likeCount: 0, likedByMe: false },
+      });
+      return res.json({ ok: true });
+    } catch (e) {
+      return res.status(500).json({ message: "Comment failed" });
+    }
   }
 
   // ✅ ROUTES: canonical
@@ -396,7 +510,7 @@ module.exports = function registerFeed({
 
   // ✅ Profile legacy: POST /api/comments  (postId in body)
   app.post("/api/comments", authRequired, (req, res) => {
-    const postId = toInt(
+    const postId = safeTrim(
       req.body?.post_id ??
         req.body?.postId ??
         req.body?.post_id_fk ??
@@ -421,63 +535,47 @@ module.exports = function registerFeed({
   });
 
   // ✅✅✅ (A) LEGACY ALIASES: fix 404 shown in your screenshot
-  app.get("/api/post_comments/:postId", authOptional, (req, res) => {
-    const postId = toInt(req.params.postId);
-    if (!postId) return res.status(400).json({ message: "Bad postId" });
-    return getFeedPostCommentsCore(req, res, postId);
-  });
+  app.get("/api/post_comments/:postId", authOptional, (req, res) =>
+    getFeedPostCommentsCore(req, res, req.params.postId)
+  );
 
-  app.post("/api/post_comments/:postId", authRequired, (req, res) => {
-    const postId = toInt(req.params.postId);
-    if (!postId) return res.status(400).json({ message: "Bad postId" });
-    return createFeedPostCommentCore(req, res, postId);
-  });
+  app.post("/api/post_comments/:postId", authRequired, (req, res) =>
+    createFeedPostCommentCore(req, res, req.params.postId)
+  );
 
-  function deleteCommentCore(req, res) {
-    const postId = toInt(req.params.postId);
+  async function deleteCommentCore(req, res) {
     const commentId = toInt(req.params.commentId);
-    if (!postId || !commentId)
-      return res.status(400).json({ message: "Bad ids" });
-
-    dbGet(
-      `SELECT id, user_id, post_id FROM post_comments WHERE id = ? AND post_id = ?`,
-      [commentId, postId],
-      (err, row) => {
-        if (err) return res.status(500).json({ message: "Delete failed" });
-        if (!row) return res.status(404).json({ message: "Comment not found" });
-        if (row.user_id !== req.user.id) return res.sendStatus(403);
-
-        dbRun(
+    if (!commentId) return res.status(400).json({ message: "Bad ids" });
+
+    try {
+      const postId = await resolvePostId(req.params.postId);
+      if (!postId) return res.status(400).json({ message: "Bad ids" });
+
+      const row = await get(
+        `SELECT id, user_id, post_id FROM post_comments WHERE id = ? AND post_id = ?`,
+        [commentId, postId]
+      );
+      if (!row) return res.status(404).json({ message: "Comment not found" });
+      if (row.user_id !== req.user.id) return res.sendStatus(403);
+
+      // ✅ replies + likes go with the comment (all or nothing)
+      await withTransaction(async () => {
+        await run(
           `DELETE FROM post_comment_likes WHERE comment_id IN (SELECT id FROM post_comments WHERE parent_comment_id = ?)`,
-          [commentId],
-          () => {
-            dbRun(
-              `DELETE FROM post_comments WHERE parent_comment_id = ?`,
-              [commentId],
-              () => {
-                dbRun(
-                  `DELETE FROM post_comment_likes WHERE comment_id = ?`,
-                  [commentId],
-                  () => {
-                    dbRun(
-                      `DELETE FROM post_comments WHERE id = ?`,
-                      [commentId],
-                      function (err2) {
-                        if (err2)
-                          return res
-                            .status(500)
-                            .json({ message: "Delete failed" });
-                        return res.json({ ok: true });
-                      }
-                    );
-                  }
-                );
-              }
-            );
-          }
+          [commentId]
         );
-      }
-    );
+        await run(`DELETE FROM post_comments WHERE parent_comment_id = ?`, [
+          commentId,
+        ]);
+        await run(`DELETE FROM post_comment_likes WHERE comment_id = ?`, [
+          commentId,
+        ]);
+        await run(`DELETE FROM post_comments WHERE id = ?`, [commentId]);
+      });
+      return res.json({ ok: true });
+    } catch (e) {
+      return res.status(500).json({ message: "Delete failed" });
+    }
   }
 
   app.delete(
@@ -491,45 +589,37 @@ module.exports = function registerFeed({
     deleteCommentCore
   );
 
-  function toggleLikeComment(req, res) {
+  async function toggleLikeComment(req, res) {
     const commentId = toInt(req.params.commentId);
     if (!commentId) return res.status(400).json({ message: "Bad commentId" });
 
-    dbGet(
-      `SELECT id FROM post_comments WHERE id = ?`,
-      [commentId],
-      (e1, cRow) => {
-        if (e1) return res.status(500).json({ message: "Like failed" });
-        if (!cRow)
-          return res.status(404).json({ message: "Comment not found" });
-
-        dbGet(
-          `SELECT id FROM post_comment_likes WHERE comment_id = ? AND user_id = ?`,
-          [commentId, req.user.id],
-          (err, row) => {
-            if (err) return res.status(500).json({ message: "Like failed" });
-
-            if (row) {
-              dbRun(
-                `DELETE FROM post_comment_likes WHERE comment_id = ? AND user_id = ?`,
-                [commentId, req.user.id],
-                () => res.json({ liked: false })
-              );
-            } else {
-              dbRun(
-                `INSERT INTO post_comment_likes (comment_id, user_id) VALUES (?, ?)`,
-                [commentId, req.user.id],
-                (e2) => {
-                  if (e2)
-                    return res.status(500).json({ message: "Like failed" });
-                  res.json({ liked: true });
-                }
-              );
-            }
-          }
+    try {
+      const cRow = await get(`SELECT id FROM post_comments WHERE id = ?`, [
+        commentId,
+      ]);
+      if (!cRow) return res.status(404).json({ message: "Comment not found" });
+
+      const row = await get(
+        `SELECT id FROM post_comment_likes WHERE comment_id = ? AND user_id = ?`,
+        [commentId, req.user.id]
+      );
+
+      if (row) {
+        await run(
+          `DELETE FROM post_comment_likes WHERE comment_id = ? AND user_id = ?`,
+          [commentId, req.user.id]
         );
+        return res.json({ liked: false });
       }
-    );
+
+      await run(
+        `INSERT INTO post_comment_likes (comment_id, user_id) VALUES (?, ?)`,
+        [commentId, req.user.id]
+      );
+      res.json({ liked: true });
+    } catch (e) {
+      res.status(500).json({ message: "Like failed" });
+    }
   }
 
   app.post(
@@ -544,29 +634,3 @@ module.exports = function registerFeed({
     toggleLikeComment
   );
 };
-
-// ✅ local parser that matches your routes expectation: { kind, id }
-function parseAnyPostIdLocal(input) {
-  const s = String(input ?? "").trim();
-  if (!s) return { kind: "bad", id: null };
-
-  // feed route aliases like "p_17"
-  if (/^p_\d+$/.test(s)) return { kind: "feed", id: parseInt(s.slice(2), 10) };
-
-  // profile posts like "pp_18" (not a feed post)
-  if (/^pp_\d+$/.test(s))
-    return { kind: "profile", id: parseInt(s.slice(3), 10) };
-
-  // numeric
-  if (/^\d+$/.test(s)) return { kind: "numeric", id: parseInt(s, 10) };
-
-  // fallback: extract digits
-  const m = s.match(/(\d+)/);
-  if (!m) return { kind: "bad", id: null };
-  const n = parseInt(m[1], 10);
-  return Number.isFinite(n) && n > 0
-    ? { kind: "numeric", id: n }
-    : { kind: "bad", id: null };
-}
-
-module.exports.parseAnyPostId = parseAnyPostIdLocal;
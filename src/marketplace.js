@@ -9,6 +9,7 @@
       - /api/listings/:prefixedId   (place_1 / group_2 / service_3 / product_4 / jobs_5 / housing_6)
       - /api/listings/jobs/5        (legacy)  -> maps to jobs_5
    ✅ adds ratings (avg_rating + reviews_count) for: groups/services/products/jobs/housing (places via place_reviews)
+   ✅ reviews hidden by moderation (hidden_at, see report-store) leave review lists + ratings
    ✅ fixes price saving:
       - services uses pickPrice (price_value|price|amount|priceValue)
       - jobs/housing saves price_type/price_value/currency into marketplace_listings
@@ -20,39 +21,22 @@
 
 module.exports = function registerMarketplace(opts) {
   console.log("[marketplace] routes registered ✅");
-  // =====================
-  // DB MIGRATIONS (safe)
-  // =====================
-  const safeAlterTable = opts.safeAlterTable || (() => {});
-
-  // لو الجدول موجود ومعندوش أعمدة جديدة، هنضيفها بأمان
-  safeAlterTable(`ALTER TABLE marketplace_listings ADD COLUMN category TEXT`);
-  safeAlterTable(`ALTER TABLE marketplace_listings ADD COLUMN created_at TEXT`);
-  safeAlterTable(`ALTER TABLE marketplace_listings ADD COLUMN updated_at TEXT`);
-  safeAlterTable(
-    `ALTER TABLE marketplace_listings ADD COLUMN public_id INTEGER`
-  );
-
-  const { app, db, auth, safeTrim, safeJsonParse, toInt } = opts;
-  const { authRequired, authOptional, isAdminReq } = auth;
-
-  const all = (db, sql, params = []) =>
-    new Promise((resolve, reject) => {
-      db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
-    });
-
-  const get = (db, sql, params = []) =>
-    new Promise((resolve, reject) => {
-      db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
-    });
-
-  const run = (db, sql, params = []) =>
-    new Promise((resolve, reject) => {
-      db.run(sql, params, function (err) {
-        if (err) return reject(err);
-        resolve({ lastID: this.lastID, changes: this.changes });
-      });
-    });
+  // ✅ tables: src/migrations/001_baseline.js
+
+  const {
+    app,
+    data,
+    auth,
+    media,
+    notifier,
+    conversations,
+    safeTrim,
+    safeJsonParse,
+    toInt,
+    paging,
+  } = opts;
+  const { authRequired, authOptional, can } = auth;
+  const { all, get, run } = data;
 
   const typeToPrefix = {
     places: "places",
@@ -114,8 +98,12 @@ module.exports = function registerMarketplace(opts) {
     return v ? 1 : 0;
   }
 
-  function sendList(res, items) {
-    return res.json({ ok: true, items: Array.isArray(items) ? items : [] });
+  function sendList(res, items, extra = {}) {
+    return res.json({
+      ok: true,
+      items: Array.isArray(items) ? items : [],
+      ...extra,
+    });
   }
   function sendItem(res, item) {
     return res.json({ ok: true, item: item || null });
@@ -124,113 +112,13 @@ module.exports = function registerMarketplace(opts) {
     return res.json({ ok: true, ...extra });
   }
 
-  // =====================
-  // DB ensure
-  // =====================
-  function ensureUnifiedListingsTable() {
-    // ✅ Table واحد لكل الأنواع + id رقمي يونيك
-    db.run(`
-      CREATE TABLE IF NOT EXISTS marketplace_listings (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER NOT NULL,
-        type TEXT NOT NULL,
-
-        title TEXT,
-        category TEXT,
-        state TEXT,
-        city TEXT,
-
-        address TEXT,
-        phone TEXT,
-        website TEXT,
-        link TEXT,
-        contact TEXT,
-
-        platform TEXT,
-        topic TEXT,
-
-        price_type TEXT,
-        price_value REAL,
-        currency TEXT,
-
-        description TEXT,
-        notes TEXT,
-
-        images_json TEXT,
-        data_json TEXT,
-
-        status TEXT DEFAULT 'approved',
-        is_active INTEGER DEFAULT 1,
-
-        created_at TEXT DEFAULT (datetime('now')),
-        updated_at TEXT DEFAULT (datetime('now'))
-      )
-    `);
-
-    // ✅ safe add columns لو عندك DB قديمة
-    const addCol = (name, defSql) => {
-      db.run(
-        `ALTER TABLE marketplace_listings ADD COLUMN ${name} ${defSql}`,
-        () => {}
-      );
-    };
-
-    addCol("user_id", "INTEGER");
-    addCol("type", "TEXT");
-
-    addCol("title", "TEXT");
-    addCol("category", "TEXT");
-    addCol("state", "TEXT");
-    addCol("city", "TEXT");
-
-    addCol("address", "TEXT");
-    addCol("phone", "TEXT");
-    addCol("website", "TEXT");
-    addCol("link", "TEXT");
-    addCol("contact", "TEXT");
-
-    addCol("platform", "TEXT");
-    addCol("topic", "TEXT");
-
-    addCol("price_type", "TEXT");
-    addCol("price_value", "REAL");
-    addCol("currency", "TEXT");
-
-    addCol("description", "TEXT");
-    addCol("notes", "TEXT");
-
-    addCol("images_json", "TEXT");
-    addCol("data_json", "TEXT");
-
-    addCol("status", "TEXT DEFAULT 'approved'");
-    addCol("is_active", "INTEGER DEFAULT 1");
-    addCol("created_at", "TEXT DEFAULT (datetime('now'))");
-    addCol("updated_at", "TEXT DEFAULT (datetime('now'))");
-  }
-
-  ensureUnifiedListingsTable();
-
-  function ensureMarketplaceReviewsTable() {
-    db.run(`
-      CREATE TABLE IF NOT EXISTS marketplace_reviews (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        listing_type TEXT NOT NULL,   -- any string (services/products/...)
-        listing_id INTEGER NOT NULL,
-        user_id INTEGER NOT NULL,
-        stars INTEGER NOT NULL,
-        comment TEXT,
-        created_at TEXT DEFAULT (datetime('now'))
-      )
-    `);
-  }
-  ensureMarketplaceReviewsTable();
-
   // =====================
   // Mappers
   // =====================
   function mapListingRow(x) {
     const data = safeJsonParse(x.data_json) || {};
     const images = safeJsonParse(x.images_json) || [];
+    const media_ids = safeJsonParse(x.media_ids_json) || [];
 
     // ✅ IMPORTANT:
     // - internal DB id: x.id
@@ -273,6 +161,7 @@ module.exports = function registerMarketplace(opts) {
       notes: x.notes || "",
 
       images,
+      media_ids,
 
       status: x.status || "approved",
       is_active: Number(x.is_active || 0),
@@ -290,9 +179,10 @@ module.exports = function registerMarketplace(opts) {
   // =====================
   // Loaders (with ratings)
   // =====================
-  async function loadMarketplaceByType(req, type) {
+  // page: paging.readPage(...) (keyset on m.id)
+  async function loadMarketplaceByType(req, type, page) {
     const t = normType(type);
-    const isAdmin = isAdminReq(req);
+    const isAdmin = can(req, "listings.moderate");
 
     const where = ["m.type = ?"];
     const params = [t];
@@ -344,6 +234,12 @@ module.exports = function registerMarketplace(opts) {
       }
     }
 
+    const after = paging.keyset(page, ["m.id"]);
+    if (after) {
+      where.push(after.sql);
+      params.push(...after.params);
+    }
+
     const sql = `
     SELECT
       m.*,
@@ -351,15 +247,24 @@ module.exports = function registerMarketplace(opts) {
       COUNT(r.id) AS reviews_count
     FROM marketplace_listings m
     LEFT JOIN marketplace_reviews r
-      ON r.listing_type = m.type AND r.listing_id = m.id
+      ON r.listing_type = m.type AND r.listing_id = m.id AND r.hidden_at IS NULL
     WHERE ${where.join(" AND ")}
     GROUP BY m.id
     ORDER BY m.id DESC
-    LIMIT 200
+    LIMIT ?
   `;
 
-    const rows = await all(db, sql, params);
-    return rows.map(mapListingRow);
+    const rows = await all(sql, [...params, page.sqlLimit]);
+    const { items, next_cursor } = paging.pageOf(rows, page, (r) => [r.id]);
+    return { items: items.map(mapListingRow), next_cursor };
+  }
+
+  // ✅ ?limit=&cursor= (no limit: the old 200 cap) -> { ok, items, next_cursor }
+  async function sendTypeList(req, res, type) {
+    const page = paging.readPage(req.query, { legacyLimit: 200, max: 200 });
+    if (page.error) return res.status(400).json({ error: page.error });
+    const { items, next_cursor } = await loadMarketplaceByType(req, type, page);
+    return sendList(res, items, { next_cursor });
   }
 
   // =====================
@@ -401,13 +306,18 @@ module.exports = function registerMarketplace(opts) {
       const description = safeTrim(req.body?.description) || null;
       const notes = safeTrim(req.body?.notes) || null;
 
-      const images = Array.isArray(req.body?.images) ? req.body.images : null;
+      // ✅ uploads ({ media_ids: [..] }) replace plain image urls
+      const uploads = await media.fromBody(req.user.id, req.body?.media_ids);
+      const images = uploads
+        ? uploads.map((m) => m.url)
+        : Array.isArray(req.body?.images)
+        ? req.body.images
+        : null;
 
       const { price_value, price_type, currency } = pickPrice(req.body || {});
       const dataObj = req.body || {};
 
       const r = await run(
-        db,
         `
         INSERT INTO marketplace_listings
           (user_id, type, title, category, state, city,
@@ -416,7 +326,7 @@ module.exports = function registerMarketplace(opts) {
            platform, topic,
            price_type, price_value, currency,
            description, notes,
-           images_json, data_json,
+           images_json, media_ids_json, data_json,
            status, is_active, updated_at)
         VALUES
           (?, ?, ?, ?, ?, ?,
@@ -425,7 +335,7 @@ module.exports = function registerMarketplace(opts) {
            ?, ?,
            ?, ?, ?,
            ?, ?,
-           ?, ?,
+           ?, ?, ?,
            'approved', 1, datetime('now'))
         `,
         [
@@ -448,18 +358,17 @@ module.exports = function registerMarketplace(opts) {
           description,
           notes,
           images ? JSON.stringify(images) : null,
+          uploads ? JSON.stringify(uploads.map((m) => m.id)) : null,
           JSON.stringify(dataObj),
         ]
       );
       // ✅ keep public_id stable for frontend shortId
       await run(
-        db,
         `UPDATE marketplace_listings SET public_id = COALESCE(public_id, id) WHERE id = ?`,
         [r.lastID]
       );
 
       const createdRow = await get(
-        db,
         `
         SELECT
           m.*,
@@ -467,7 +376,7 @@ module.exports = function registerMarketplace(opts) {
           COUNT(r.id) AS reviews_count
         FROM marketplace_listings m
         LEFT JOIN marketplace_reviews r
-          ON r.listing_type = m.type AND r.listing_id = m.id
+          ON r.listing_type = m.type AND r.listing_id = m.id AND r.hidden_at IS NULL
         WHERE m.id = ?
         GROUP BY m.id
         LIMIT 1
@@ -480,6 +389,7 @@ module.exports = function registerMarketplace(opts) {
         item: mapListingRow(createdRow),
       });
     } catch (e) {
+      if (e.code === "BAD_MEDIA") return res.status(400).json({ error: e.message });
       console.error("createListingCore error:", e);
       return res.status(500).json({
         error: "Failed to create listing",
@@ -519,7 +429,6 @@ module.exports = function registerMarketplace(opts) {
         id = toInt(raw);
         if (id) {
           const row = await get(
-            db,
             `SELECT id, type, user_id FROM marketplace_listings WHERE id=?`,
             [id]
           );
@@ -554,12 +463,16 @@ module.exports = function registerMarketplace(opts) {
       const description = safeTrim(req.body?.description) || "";
       const notes = safeTrim(req.body?.notes) || "";
 
-      const images = Array.isArray(req.body?.images) ? req.body.images : null;
+      const uploads = await media.fromBody(req.user.id, req.body?.media_ids);
+      const images = uploads
+        ? uploads.map((m) => m.url)
+        : Array.isArray(req.body?.images)
+        ? req.body.images
+        : null;
 
       const { price_value, price_type, currency } = pickPrice(req.body || {});
 
       await run(
-        db,
         `
       UPDATE marketplace_listings SET
         title = COALESCE(NULLIF(?,''), title),
@@ -585,6 +498,7 @@ module.exports = function registerMarketplace(opts) {
         notes = COALESCE(NULLIF(?,''), notes),
 
         images_json = COALESCE(?, images_json),
+        media_ids_json = CASE WHEN ? IS NULL THEN media_ids_json ELSE ? END,
         data_json = COALESCE(?, data_json),
 
         updated_at = datetime('now')
@@ -614,6 +528,8 @@ module.exports = function registerMarketplace(opts) {
           notes,
 
           images ? JSON.stringify(images) : null,
+          images ? JSON.stringify(images) : null,
+          uploads ? JSON.stringify(uploads.map((m) => m.id)) : null,
           JSON.stringify(req.body || {}),
 
           id,
@@ -623,14 +539,13 @@ module.exports = function registerMarketplace(opts) {
       );
 
       const updated = await get(
-        db,
         `SELECT
         m.*,
         COALESCE(AVG(r.stars), 0) AS avg_rating,
         COUNT(r.id) AS reviews_count
       FROM marketplace_listings m
       LEFT JOIN marketplace_reviews r
-        ON r.listing_type = m.type AND r.listing_id = m.id
+        ON r.listing_type = m.type AND r.listing_id = m.id AND r.hidden_at IS NULL
       WHERE m.id=?
       GROUP BY m.id
       LIMIT 1`,
@@ -639,6 +554,7 @@ module.exports = function registerMarketplace(opts) {
 
       return res.json({ ok: true, item: mapListingRow(updated) });
     } catch (e) {
+      if (e.code === "BAD_MEDIA") return res.status(400).json({ error: e.message });
       console.error("PATCH /api/listings/:id error:", e);
       return res.status(500).json({ error: "Failed to update" });
     }
@@ -674,7 +590,6 @@ module.exports = function registerMarketplace(opts) {
         id = toInt(raw);
         if (id) {
           const row = await get(
-            db,
             `SELECT id, type, user_id FROM marketplace_listings WHERE id=?`,
             [id]
           );
@@ -690,7 +605,6 @@ module.exports = function registerMarketplace(opts) {
         return res.status(400).json({ error: "Bad type" });
 
       await run(
-        db,
         `DELETE FROM marketplace_listings WHERE id = ? AND user_id = ?`,
         [id, req.user.id]
       );
@@ -725,7 +639,7 @@ module.exports = function registerMarketplace(opts) {
     if (!ALLOWED_TYPES.has(type))
       return res.status(400).json({ error: "Bad type" });
 
-    const isAdmin = isAdminReq(req);
+    const isAdmin = can(req, "listings.moderate");
 
     const where = ["m.id = ?", "m.type = ?"];
     const params = [id, type];
@@ -733,7 +647,6 @@ module.exports = function registerMarketplace(opts) {
     where.push("m.is_active = 1");
 
     const row = await get(
-      db,
       `
     SELECT
       m.*,
@@ -741,7 +654,7 @@ module.exports = function registerMarketplace(opts) {
       COUNT(r.id) AS reviews_count
     FROM marketplace_listings m
     LEFT JOIN marketplace_reviews r
-      ON r.listing_type = m.type AND r.listing_id = m.id
+      ON r.listing_type = m.type AND r.listing_id = m.id AND r.hidden_at IS NULL
     WHERE ${where.join(" AND ")}
     GROUP BY m.id
     LIMIT 1
@@ -758,7 +671,7 @@ module.exports = function registerMarketplace(opts) {
       const id = toInt(req.params.id);
       if (!id) return res.status(400).json({ error: "Bad id" });
 
-      const isAdmin = isAdminReq(req);
+      const isAdmin = can(req, "listings.moderate");
 
       const where = ["m.id = ?"];
       const params = [id];
@@ -767,7 +680,6 @@ module.exports = function registerMarketplace(opts) {
       where.push("m.is_active = 1");
 
       const row = await get(
-        db,
         `
       SELECT
         m.*,
@@ -775,7 +687,7 @@ module.exports = function registerMarketplace(opts) {
         COUNT(r.id) AS reviews_count
       FROM marketplace_listings m
       LEFT JOIN marketplace_reviews r
-        ON r.listing_type = m.type AND r.listing_id = m.id
+        ON r.listing_type = m.type AND r.listing_id = m.id AND r.hidden_at IS NULL
       WHERE ${where.join(" AND ")}
       GROUP BY m.id
       LIMIT 1
@@ -806,7 +718,6 @@ module.exports = function registerMarketplace(opts) {
         for (const t of tryTables) {
           try {
             const legacy = await get(
-              db,
               `SELECT * FROM ${t.table} WHERE id = ?`,
               [id]
             );
@@ -872,7 +783,6 @@ module.exports = function registerMarketplace(opts) {
         try {
           const like = `%${id}%`;
           const found = await get(
-            db,
             `
       SELECT
         m.*,
@@ -880,7 +790,7 @@ module.exports = function registerMarketplace(opts) {
         COUNT(r.id) AS reviews_count
       FROM marketplace_listings m
       LEFT JOIN marketplace_reviews r
-        ON r.listing_type = m.type AND r.listing_id = m.id
+        ON r.listing_type = m.type AND r.listing_id = m.id AND r.hidden_at IS NULL
       WHERE
         m.data_json LIKE ?
         OR m.data_json LIKE ?
@@ -938,7 +848,6 @@ module.exports = function registerMarketplace(opts) {
     // try match by public_id first, then id
     try {
       const row = await get(
-        db,
         `SELECT id FROM marketplace_listings
        WHERE type = ? AND (public_id = ? OR id = ?)
        LIMIT 1`,
@@ -1054,38 +963,66 @@ module.exports = function registerMarketplace(opts) {
       reviewText: c,
     };
   }
-  async function fetchReviewsWithUser(kind, internalId) {
+  // page (optional): paging.readPage(..., { keys: 2 }) -> newest first, keyset
+  async function fetchReviewsWithUser(kind, internalId, page = null) {
+    const after = page
+      ? paging.keyset(page, ["COALESCE(r.created_at,'')", "r.id"])
+      : null;
+    const where =
+      `r.listing_type = ? AND r.listing_id = ? AND r.hidden_at IS NULL` +
+      (after ? ` AND ${after.sql}` : "");
+    const params = [
+      kind,
+      internalId,
+      ...(after ? after.params : []),
+      page ? page.sqlLimit : -1,
+    ];
+
     // try join users (if table exists)
     try {
       const rows = await all(
-        db,
         `
         SELECT
           r.*,
           COALESCE(u.username, u.email, 'User') AS user_name
         FROM marketplace_reviews r
         LEFT JOIN users u ON u.id = r.user_id
-        WHERE r.listing_type = ? AND r.listing_id = ?
-        ORDER BY r.created_at DESC
+        WHERE ${where}
+        ORDER BY COALESCE(r.created_at,'') DESC, r.id DESC
+        LIMIT ?
         `,
-        [kind, internalId]
+        params
       );
       return rows;
     } catch (e) {
       // fallback: no users table (or columns mismatch)
       const rows = await all(
-        db,
         `
         SELECT r.* FROM marketplace_reviews r
-        WHERE r.listing_type = ? AND r.listing_id = ?
-        ORDER BY r.created_at DESC
+        WHERE ${where}
+        ORDER BY COALESCE(r.created_at,'') DESC, r.id DESC
+        LIMIT ?
         `,
-        [kind, internalId]
+        params
       );
       return rows;
     }
   }
 
+  // ✅ one page of reviews for the GET routes (?limit=&cursor=, default: all)
+  async function reviewsPage(kind, internalId, page) {
+    const rows = await fetchReviewsWithUser(kind, internalId, page);
+    const { items, next_cursor } = paging.pageOf(rows, page, (r) => [
+      r.created_at || "",
+      r.id,
+    ]);
+    return {
+      reviews: items.map(mapReviewRow),
+      count: items.length,
+      next_cursor,
+    };
+  }
+
   async function resolveInternalByAnyId(kind, anyId) {
     const k = safeKind(kind);
     const sid = Number(anyId);
@@ -1093,7 +1030,6 @@ module.exports = function registerMarketplace(opts) {
 
     try {
       const row = await get(
-        db,
         `
         SELECT id, type FROM marketplace_listings
         WHERE (public_id = ? OR id = ?)
@@ -1116,6 +1052,9 @@ module.exports = function registerMarketplace(opts) {
       const shortId = Number(req.params.id);
       if (!shortId) return res.status(400).json({ error: "Invalid id" });
 
+      const page = paging.readPage(req.query, { keys: 2 });
+      if (page.error) return res.status(400).json({ error: page.error });
+
       const internalId = await resolveInternalListingId(kind, shortId);
       if (!internalId) {
         return res.json({
@@ -1125,18 +1064,16 @@ module.exports = function registerMarketplace(opts) {
           listing_id: null,
           reviews: [],
           count: 0,
+          next_cursor: null,
         });
       }
 
-      const rows = await fetchReviewsWithUser(kind, internalId);
-
       return res.json({
         ok: true,
         kind,
         item_id: shortId,
         listing_id: internalId,
-        reviews: rows.map(mapReviewRow),
-        count: rows.length,
+        ...(await reviewsPage(kind, internalId, page)),
       });
     } catch (e) {
       console.error("[REVIEWS] read", e);
@@ -1145,6 +1082,27 @@ module.exports = function registerMarketplace(opts) {
   }
 
   // ✅ write review (upsert) + return fresh list
+  // ✅ new / edited review -> listing owner (listings without an owner row: nobody)
+  async function notifyListingReview(kind, internalId, req, stars, comment) {
+    const listing = await get(
+      `SELECT id, user_id, title FROM marketplace_listings WHERE id = ?`,
+      [internalId]
+    );
+    if (!listing?.user_id) return;
+    await notifier.notify("listing_review", {
+      userId: listing.user_id,
+      actorId: req.user.id,
+      entityType: "listing",
+      entityId: internalId,
+      data: {
+        kind,
+        title: listing.title || null,
+        stars,
+        excerpt: comment ? comment.slice(0, 140) : null,
+      },
+    });
+  }
+
   async function createOrUpdateMyReview(req, res) {
     try {
       const kind = safeKind(req.params.kind);
@@ -1199,7 +1157,6 @@ module.exports = function registerMarketplace(opts) {
 
       // ✅ upsert per user+listing+type
       const existing = await get(
-        db,
         `SELECT id FROM marketplace_reviews
        WHERE listing_type=? AND listing_id=? AND user_id=?
        LIMIT 1`,
@@ -1208,7 +1165,6 @@ module.exports = function registerMarketplace(opts) {
 
       if (existing?.id) {
         await run(
-          db,
           `UPDATE marketplace_reviews
          SET stars=?, comment=?, created_at=datetime('now')
          WHERE id=?`,
@@ -1216,21 +1172,20 @@ module.exports = function registerMarketplace(opts) {
         );
       } else {
         await run(
-          db,
           `INSERT INTO marketplace_reviews (listing_type, listing_id, user_id, stars, comment)
          VALUES (?, ?, ?, ?, ?)`,
           [kind, internalId, req.user.id, stars, comment]
         );
       }
+      await notifyListingReview(kind, internalId, req, stars, comment);
       const rows = await all(
-        db,
         `
         SELECT
           r.*,
           COALESCE(u.username, u.email, 'User') AS user_name
         FROM marketplace_reviews r
         LEFT JOIN users u ON u.id = r.user_id
-        WHERE r.listing_type=? AND r.listing_id=?
+        WHERE r.listing_type=? AND r.listing_id=? AND r.hidden_at IS NULL
         ORDER BY r.created_at DESC
         `,
         [kind, internalId]
@@ -1265,20 +1220,18 @@ module.exports = function registerMarketplace(opts) {
         return res.status(404).json({ error: "Listing not found" });
 
       await run(
-        db,
         `DELETE FROM marketplace_reviews
        WHERE listing_type=? AND listing_id=? AND user_id=?`,
         [kind, internalId, req.user.id]
       );
       const rows = await all(
-        db,
         `
         SELECT
           r.*,
           COALESCE(u.username, u.email, 'User') AS user_name
         FROM marketplace_reviews r
         LEFT JOIN users u ON u.id = r.user_id
-        WHERE r.listing_type=? AND r.listing_id=?
+        WHERE r.listing_type=? AND r.listing_id=? AND r.hidden_at IS NULL
         ORDER BY r.created_at DESC
         `,
         [kind, internalId]
@@ -1385,17 +1338,18 @@ module.exports = function registerMarketplace(opts) {
     try {
       const raw = String(req.params.id || "").trim();
 
+      const page = paging.readPage(req.query, { keys: 2 });
+      if (page.error) return res.status(400).json({ error: page.error });
+
       // ✅ prefixed: services_5 / places_10 ...
       const pref = parsePrefixedId(raw);
       if (pref) {
-        const rows = await fetchReviewsWithUser(pref.kind, pref.internalId);
         return res.json({
           ok: true,
           kind: pref.kind,
           item_id: raw,
           listing_id: pref.internalId,
-          reviews: rows.map(mapReviewRow),
-          count: rows.length,
+          ...(await reviewsPage(pref.kind, pref.internalId, page)),
         });
       }
 
@@ -1412,21 +1366,19 @@ module.exports = function registerMarketplace(opts) {
           listing_id: null,
           reviews: [],
           count: 0,
+          next_cursor: null,
         });
       }
 
       const kind = resolved.kind;
       const internalId = resolved.internalId;
 
-      const rows = await fetchReviewsWithUser(kind, internalId);
-
       return res.json({
         ok: true,
         kind,
         item_id: shortId,
         listing_id: internalId,
-        reviews: rows.map(mapReviewRow),
-        count: rows.length,
+        ...(await reviewsPage(kind, internalId, page)),
       });
     } catch (e) {
       console.error("[REVIEWS] by listing id read", e);
@@ -1497,7 +1449,6 @@ module.exports = function registerMarketplace(opts) {
       const comment = safeTrim(commentStr) || null;
 
       const existing = await get(
-        db,
         `SELECT id FROM marketplace_reviews
          WHERE listing_type=? AND listing_id=? AND user_id=?
          LIMIT 1`,
@@ -1506,7 +1457,6 @@ module.exports = function registerMarketplace(opts) {
 
       if (existing?.id) {
         await run(
-          db,
           `UPDATE marketplace_reviews
            SET stars=?, comment=?, created_at=datetime('now')
            WHERE id=?`,
@@ -1514,12 +1464,12 @@ module.exports = function registerMarketplace(opts) {
         );
       } else {
         await run(
-          db,
           `INSERT INTO marketplace_reviews (listing_type, listing_id, user_id, stars, comment)
            VALUES (?, ?, ?, ?, ?)`,
           [kind, internalId, req.user.id, stars, comment]
         );
       }
+      await notifyListingReview(kind, internalId, req, stars, comment);
 
       const rows = await fetchReviewsWithUser(kind, internalId);
 
@@ -1563,7 +1513,6 @@ module.exports = function registerMarketplace(opts) {
       }
 
       await run(
-        db,
         `DELETE FROM marketplace_reviews
          WHERE listing_type=? AND listing_id=? AND user_id=?`,
         [kind, internalId, req.user.id]
@@ -1632,6 +1581,36 @@ module.exports = function registerMarketplace(opts) {
     createOrUpdateMyReview
   );
 
+  // ✅ contact seller: opens (or reuses) a direct conversation about the listing
+  //   POST /api/listings/:id/contact   { message? }   id: prefixed or numeric
+  async function contactSeller(req, res) {
+    try {
+      const raw = String(req.params.id || "").trim();
+      const pref = parsePrefixedId(raw);
+      const internalId = pref
+        ? pref.internalId
+        : (await resolveInternalByAnyId("", Number(raw)))?.internalId;
+      if (!internalId)
+        return res.status(404).json({ error: "Listing not found" });
+
+      const { created, ...out } = await conversations.start({
+        userId: req.user.id,
+        contextType: "listing",
+        contextId: internalId,
+        message: req.body?.message ?? req.body?.body ?? req.body?.text,
+      });
+      return res.status(created ? 201 : 200).json(out);
+    } catch (e) {
+      const status = conversations.ERROR_STATUS[e.code];
+      if (status) return res.status(status).json({ error: e.message, code: e.code });
+      console.error("[marketplace] contact", e);
+      return res.status(500).json({ error: "Failed to contact seller" });
+    }
+  }
+
+  app.post("/api/listings/:id/contact", authRequired, contactSeller);
+  app.post("/api/marketplace/listings/:id/contact", authRequired, contactSeller);
+
   // =====================
   // ROUTES (order matters)
   // =====================
@@ -1645,8 +1624,7 @@ module.exports = function registerMarketplace(opts) {
     try {
       const type = normType(req.query.type);
       if (!type) return res.status(400).json({ error: "Missing type" });
-      const items = await loadMarketplaceByType(req, type);
-      return sendList(res, items);
+      return await sendTypeList(req, res, type);
     } catch (e) {
       console.error("GET /api/listings error:", e);
       return res.status(500).json({ error: "Failed to load listings" });
@@ -1657,8 +1635,7 @@ module.exports = function registerMarketplace(opts) {
     try {
       const type = normType(req.query.type);
       if (!type) return res.status(400).json({ error: "Missing type" });
-      const items = await loadMarketplaceByType(req, type);
-      return sendList(res, items);
+      return await sendTypeList(req, res, type);
     } catch (e) {
       console.error("GET /api/marketplace/listings error:", e);
       return res.status(500).json({ error: "Failed to load listings" });
@@ -1680,8 +1657,7 @@ module.exports = function registerMarketplace(opts) {
   // ✅ list (path style): /api/listings/jobs
   app.get("/api/listings/:type", authOptional, typeGuard, async (req, res) => {
     try {
-      const items = await loadMarketplaceByType(req, req.params.type);
-      return sendList(res, items);
+      return await sendTypeList(req, res, req.params.type);
     } catch (e) {
       return res.status(500).json({ error: "Failed to load listings" });
     }
@@ -1689,7 +1665,15 @@ module.exports = function registerMarketplace(opts) {
   // ✅ marketplace all (includes jobs/housing too)
   app.get("/api/marketplace/all", authOptional, async (req, res) => {
     try {
-      const isAdmin = isAdminReq(req);
+      const isAdmin = can(req, "listings.moderate");
+
+      // ✅ ?limit=&cursor= (no limit: the old 500 cap)
+      const page = paging.readPage(req.query, {
+        keys: 2,
+        legacyLimit: 500,
+        max: 500,
+      });
+      if (page.error) return res.status(400).json({ error: page.error });
 
       const where = ["m.is_active = 1"];
       const params = [];
@@ -1758,6 +1742,12 @@ module.exports = function registerMarketplace(opts) {
         params.push(category);
       }
 
+      const after = paging.keyset(page, ["COALESCE(m.created_at,'')", "m.id"]);
+      if (after) {
+        where.push(after.sql);
+        params.push(...after.params);
+      }
+
       const sql = `
       SELECT
         m.*,
@@ -1765,15 +1755,19 @@ module.exports = function registerMarketplace(opts) {
         COUNT(r.id) AS reviews_count
       FROM marketplace_listings m
       LEFT JOIN marketplace_reviews r
-        ON r.listing_type = m.type AND r.listing_id = m.id
+        ON r.listing_type = m.type AND r.listing_id = m.id AND r.hidden_at IS NULL
       WHERE ${where.join(" AND ")}
       GROUP BY m.id
-      ORDER BY m.created_at DESC, m.id DESC
-      LIMIT 500
+      ORDER BY COALESCE(m.created_at,'') DESC, m.id DESC
+      LIMIT ?
     `;
 
-      const rows = await all(db, sql, params);
-      return sendList(res, rows.map(mapListingRow));
+      const rows = await all(sql, [...params, page.sqlLimit]);
+      const { items, next_cursor } = paging.pageOf(rows, page, (r) => [
+        r.created_at || "",
+        r.id,
+      ]);
+      return sendList(res, items.map(mapListingRow), { next_cursor });
     } catch (e) {
       console.error("GET /api/marketplace/all error:", e);
       return res.status(500).json({ error: "Failed to load marketplace all" });
@@ -1787,8 +1781,7 @@ module.exports = function registerMarketplace(opts) {
     typeGuard,
     async (req, res) => {
       try {
-        const items = await loadMarketplaceByType(req, req.params.type);
-        return sendList(res, items);
+        return await sendTypeList(req, res, req.params.type);
       } catch (e) {
         return res.status(500).json({ error: "Failed to load listings" });
       }
@@ -1870,8 +1863,12 @@ module.exports = function registerMarketplace(opts) {
 
       const internalId = resolved.internalId;
 
+      // ✅ pending / hidden (reported) listings: moderators only
+      const where = ["m.id = ?"];
+      if (!can(req, "listings.moderate"))
+        where.push(`COALESCE(m.status,'approved')='approved'`);
+
       const row = await get(
-        db,
         `
         SELECT
           m.*,
@@ -1879,8 +1876,8 @@ module.exports = function registerMarketplace(opts) {
           COUNT(r.id) AS reviews_count
         FROM marketplace_listings m
         LEFT JOIN marketplace_reviews r
-          ON r.listing_type = m.type AND r.listing_id = m.id
-        WHERE m.id = ?
+          ON r.listing_type = m.type AND r.listing_id = m.id AND r.hidden_at IS NULL
+        WHERE ${where.join(" AND ")}
         GROUP BY m.id
         LIMIT 1
         `,
@@ -0,0 +1,489 @@
+// src/migrations/001_baseline.js
+/* =====================
+   BASELINE
+   Everything that used to be created on boot (src/db.js, server.js,
+   marketplace/community/carry/airports modules) + the columns the old
+   safeAlterTable calls added to older databases.
+   ✅ safe on a fresh db AND on the existing production db
+   ❌ no down(): dropping the whole app schema is never what you want
+===================== */
+
+module.exports = {
+  name: "baseline",
+
+  async up({ run, addColumn }) {
+    /* ===================== USERS + CVS ===================== */
+    await run(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL,
+        email TEXT UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        phone TEXT,
+        address TEXT,
+        bio TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS cvs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        cv_name TEXT,
+        cv_data TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+    await run(`CREATE INDEX IF NOT EXISTS idx_cvs_user ON cvs(user_id)`);
+
+    /* ===================== FEED ===================== */
+    await run(`
+      CREATE TABLE IF NOT EXISTS posts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        content TEXT,
+        category TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run(`CREATE INDEX IF NOT EXISTS idx_posts_user ON posts(user_id)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_posts_created ON posts(created_at)`);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS post_likes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        post_id INTEGER,
+        user_id INTEGER,
+        UNIQUE(post_id, user_id)
+      )
+    `);
+    await run(`CREATE INDEX IF NOT EXISTS idx_post_likes_post ON post_likes(post_id)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_post_likes_user ON post_likes(user_id)`);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS post_comments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        post_id INTEGER,
+        user_id INTEGER,
+        comment TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        parent_comment_id INTEGER
+      )
+    `);
+    await addColumn("post_comments", "parent_comment_id", "INTEGER");
+    await run(`CREATE INDEX IF NOT EXISTS idx_comments_post ON post_comments(post_id)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_comments_user ON post_comments(user_id)`);
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_comments_parent ON post_comments(parent_comment_id)`
+    );
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS post_comment_likes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        comment_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        UNIQUE(comment_id, user_id),
+        FOREIGN KEY (comment_id) REFERENCES post_comments(id) ON DELETE CASCADE
+      )
+    `);
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_comment_likes_comment ON post_comment_likes(comment_id)`
+    );
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_comment_likes_user ON post_comment_likes(user_id)`
+    );
+
+    /* ===================== SOCIAL PROFILE ===================== */
+    await run(`
+      CREATE TABLE IF NOT EXISTS user_profile (
+        user_id INTEGER PRIMARY KEY,
+        username TEXT UNIQUE,
+        display_name TEXT,
+        avatar_url TEXT,
+        cover_url TEXT,
+        bio TEXT,
+        location TEXT,
+        phone TEXT,
+        whatsapp TEXT,
+        website TEXT,
+        is_verified INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT (datetime('now')),
+        updated_at TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    for (const col of [
+      "display_name",
+      "avatar_url",
+      "cover_url",
+      "bio",
+      "location",
+      "phone",
+      "whatsapp",
+      "website",
+      "created_at",
+      "updated_at",
+    ]) {
+      await addColumn("user_profile", col, "TEXT");
+    }
+    await addColumn("user_profile", "is_verified", "INTEGER DEFAULT 0");
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS follows (
+        follower_id INTEGER NOT NULL,
+        following_id INTEGER NOT NULL,
+        created_at TEXT DEFAULT (datetime('now')),
+        PRIMARY KEY (follower_id, following_id),
+        FOREIGN KEY (follower_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (following_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_follows_following ON follows(following_id)`
+    );
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS profile_posts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        content TEXT NOT NULL,
+        media_url TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await addColumn("profile_posts", "media_url", "TEXT");
+    await addColumn("profile_posts", "created_at", "TEXT");
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_profile_posts_user ON profile_posts(user_id)`
+    );
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS services (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        description TEXT,
+        category TEXT,
+        price_type TEXT DEFAULT 'negotiable',
+        price_value REAL,
+        location TEXT,
+        is_active INTEGER DEFAULT 1,
+        created_at TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await run(`CREATE INDEX IF NOT EXISTS idx_services_user ON services(user_id)`);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS products (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        description TEXT,
+        price REAL,
+        currency TEXT DEFAULT 'USD',
+        images_json TEXT,
+        location TEXT,
+        is_available INTEGER DEFAULT 1,
+        created_at TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await run(`CREATE INDEX IF NOT EXISTS idx_products_user ON products(user_id)`);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS reviews (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        author_id INTEGER NOT NULL,
+        rating INTEGER NOT NULL,
+        comment TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        UNIQUE(user_id, author_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await run(`CREATE INDEX IF NOT EXISTS idx_reviews_user ON reviews(user_id)`);
+
+    /* ===================== COMMUNITY ===================== */
+    await run(`
+      CREATE TABLE IF NOT EXISTS community_places (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        category TEXT,
+        state TEXT,
+        city TEXT,
+        address TEXT,
+        phone TEXT,
+        website TEXT,
+        notes TEXT,
+        status TEXT,
+        created_by INTEGER,
+        reviewed_by INTEGER,
+        reviewed_at TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        updated_at TEXT DEFAULT (datetime('now'))
+      )
+    `);
+    for (const col of [
+      "category",
+      "state",
+      "city",
+      "address",
+      "phone",
+      "website",
+      "notes",
+      "created_at",
+      "updated_at",
+      "status",
+      "reviewed_at",
+    ]) {
+      await addColumn("community_places", col, "TEXT");
+    }
+    await addColumn("community_places", "created_by", "INTEGER");
+    await addColumn("community_places", "reviewed_by", "INTEGER");
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS community_groups (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        platform TEXT,
+        link TEXT,
+        state TEXT,
+        city TEXT,
+        topic TEXT,
+        notes TEXT,
+        status TEXT,
+        created_by INTEGER,
+        reviewed_by INTEGER,
+        reviewed_at TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        updated_at TEXT DEFAULT (datetime('now'))
+      )
+    `);
+    for (const col of [
+      "platform",
+      "link",
+      "state",
+      "city",
+      "topic",
+      "notes",
+      "created_at",
+      "updated_at",
+      "status",
+      "reviewed_at",
+    ]) {
+      await addColumn("community_groups", col, "TEXT");
+    }
+    await addColumn("community_groups", "created_by", "INTEGER");
+    await addColumn("community_groups", "reviewed_by", "INTEGER");
+
+    for (const [table, fk, parent] of [
+      ["place_reviews", "place_id", "community_places"],
+      ["group_reviews", "group_id", "community_groups"],
+    ]) {
+      await run(`
+        CREATE TABLE IF NOT EXISTS ${table} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          ${fk} INTEGER NOT NULL,
+          user_id INTEGER,
+          name TEXT NOT NULL,
+          stars INTEGER NOT NULL,
+          text TEXT NOT NULL,
+          created_at TEXT DEFAULT (datetime('now')),
+          FOREIGN KEY(${fk}) REFERENCES ${parent}(id) ON DELETE CASCADE
+        )
+      `);
+
+      const short = table === "place_reviews" ? "place" : "group";
+      await run(
+        `CREATE INDEX IF NOT EXISTS idx_${table}_${short} ON ${table}(${fk})`
+      );
+
+      // one review per user: keep the newest before the unique index
+      await run(`
+        DELETE FROM ${table}
+        WHERE user_id IS NOT NULL
+          AND id NOT IN (
+            SELECT MAX(id) FROM ${table}
+            WHERE user_id IS NOT NULL
+            GROUP BY ${fk}, user_id
+          )
+      `);
+      await run(
+        `CREATE UNIQUE INDEX IF NOT EXISTS idx_${table}_unique ON ${table}(${fk}, user_id)`
+      );
+    }
+
+    /* ===================== MARKETPLACE ===================== */
+    await run(`
+      CREATE TABLE IF NOT EXISTS marketplace_listings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        type TEXT NOT NULL,
+
+        title TEXT,
+        category TEXT,
+        state TEXT,
+        city TEXT,
+
+        address TEXT,
+        phone TEXT,
+        website TEXT,
+        link TEXT,
+        contact TEXT,
+
+        platform TEXT,
+        topic TEXT,
+
+        price TEXT,
+        price_type TEXT,
+        price_value REAL,
+        currency TEXT,
+
+        description TEXT,
+        notes TEXT,
+
+        images_json TEXT,
+        data_json TEXT,
+
+        public_id INTEGER,
+        status TEXT DEFAULT 'approved',
+        is_active INTEGER DEFAULT 1,
+
+        created_at TEXT DEFAULT (datetime('now')),
+        updated_at TEXT DEFAULT (datetime('now'))
+      )
+    `);
+    for (const [col, def] of [
+      ["user_id", "INTEGER"],
+      ["type", "TEXT"],
+      ["title", "TEXT"],
+      ["category", "TEXT"],
+      ["state", "TEXT"],
+      ["city", "TEXT"],
+      ["address", "TEXT"],
+      ["phone", "TEXT"],
+      ["website", "TEXT"],
+      ["link", "TEXT"],
+      ["contact", "TEXT"],
+      ["platform", "TEXT"],
+      ["topic", "TEXT"],
+      ["price", "TEXT"],
+      ["price_type", "TEXT"],
+      ["price_value", "REAL"],
+      ["currency", "TEXT"],
+      ["description", "TEXT"],
+      ["notes", "TEXT"],
+      ["images_json", "TEXT"],
+      ["data_json", "TEXT"],
+      ["public_id", "INTEGER"],
+      ["status", "TEXT DEFAULT 'approved'"],
+      ["is_active", "INTEGER DEFAULT 1"],
+      // ALTER can't use datetime('now') as default
+      ["created_at", "TEXT"],
+      ["updated_at", "TEXT"],
+    ]) {
+      await addColumn("marketplace_listings", col, def);
+    }
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS marketplace_reviews (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        listing_type TEXT NOT NULL,   -- any string (services/products/...)
+        listing_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        stars INTEGER NOT NULL,
+        comment TEXT,
+        created_at TEXT DEFAULT (datetime('now'))
+      )
+    `);
+
+    /* ===================== CARRY ===================== */
+    await run(`
+      CREATE TABLE IF NOT EXISTS carry_listings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+
+        role TEXT NOT NULL,              -- traveler | sender
+        from_country TEXT,
+        from_city TEXT,
+        to_country TEXT,
+        to_city TEXT,
+
+        travel_date TEXT,
+        arrival_date TEXT,
+
+        available_weight REAL,
+        item_type TEXT,
+        description TEXT,
+
+        reward_amount REAL,
+        currency TEXT,
+
+        status TEXT DEFAULT 'open',      -- open|matched|in_transit|delivered|completed|cancelled
+        is_active INTEGER DEFAULT 1,
+
+        data_json TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        updated_at TEXT DEFAULT (datetime('now'))
+      )
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS carry_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        listing_id INTEGER NOT NULL,
+        requester_id INTEGER NOT NULL,
+        status TEXT DEFAULT 'pending',    -- pending|accepted|rejected|cancelled
+        created_at TEXT DEFAULT (datetime('now'))
+      )
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS carry_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        listing_id INTEGER NOT NULL,
+        sender_id INTEGER NOT NULL,
+        message TEXT NOT NULL,
+        created_at TEXT DEFAULT (datetime('now'))
+      )
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS carry_reviews (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        listing_id INTEGER NOT NULL,
+        reviewer_id INTEGER NOT NULL,
+        reviewed_user_id INTEGER NOT NULL,
+        rating INTEGER NOT NULL,
+        comment TEXT,
+        created_at TEXT DEFAULT (datetime('now'))
+      )
+    `);
+
+    /* ===================== AIRPORTS ===================== */
+    await run(`
+      CREATE TABLE IF NOT EXISTS airports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        iata TEXT,
+        icao TEXT,
+        name TEXT,
+        city TEXT,
+        country TEXT,
+        country_code TEXT,
+        lat REAL,
+        lon REAL
+      )
+    `);
+    for (const col of ["iata", "icao", "city", "name", "country"]) {
+      await run(
+        `CREATE INDEX IF NOT EXISTS idx_airports_${col} ON airports(${col})`
+      );
+    }
+  },
+};
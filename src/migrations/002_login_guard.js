@@ -0,0 +1,51 @@
+// src/migrations/002_login_guard.js
+/* =====================
+   LOGIN GUARD: attempts audit + lockouts (see modules/login-guard.js)
+===================== */
+
+module.exports = {
+  name: "login_guard",
+
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        email TEXT,
+        ip TEXT,
+        user_agent TEXT,
+        success INTEGER DEFAULT 0,
+        reason TEXT,                    -- ok|unknown_email|bad_password|locked_account|locked_ip
+        created_at TEXT DEFAULT (datetime('now'))
+      )
+    `);
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_login_attempts_email ON login_attempts(email)`
+    );
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip)`
+    );
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_login_attempts_created ON login_attempts(created_at)`
+    );
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS login_lockouts (
+        scope TEXT NOT NULL,            -- account|ip
+        key TEXT NOT NULL,              -- email or ip
+        failures INTEGER DEFAULT 0,     -- failures in the current window
+        lock_count INTEGER DEFAULT 0,   -- how many times locked (drives backoff)
+        locked_until TEXT,
+        last_reason TEXT,
+        last_failure_at TEXT,
+        updated_at TEXT DEFAULT (datetime('now')),
+        PRIMARY KEY (scope, key)
+      )
+    `);
+  },
+
+  async down({ run }) {
+    await run(`DROP TABLE IF EXISTS login_lockouts`);
+    await run(`DROP TABLE IF EXISTS login_attempts`);
+  },
+};
@@ -0,0 +1,48 @@
+// src/migrations/003_user_sessions.js
+/* =====================
+   DEVICE SESSIONS + rotating refresh tokens (see modules/session-store.js)
+===================== */
+
+module.exports = {
+  name: "user_sessions",
+
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        device_name TEXT,
+        user_agent TEXT,
+        ip TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        last_used_at TEXT DEFAULT (datetime('now')),
+        expires_at TEXT,
+        revoked_at TEXT,
+        revoked_reason TEXT,            -- logout|revoked|reuse_detected|password_changed
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id)`
+    );
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS session_refresh_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id INTEGER NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        used_at TEXT,                   -- set when rotated (re-use => theft)
+        created_at TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (session_id) REFERENCES user_sessions(id) ON DELETE CASCADE
+      )
+    `);
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON session_refresh_tokens(session_id)`
+    );
+  },
+
+  async down({ run }) {
+    await run(`DROP TABLE IF EXISTS session_refresh_tokens`);
+    await run(`DROP TABLE IF EXISTS user_sessions`);
+  },
+};
@@ -0,0 +1,39 @@
+// src/migrations/004_email_verification.js
+/* =====================
+   EMAIL VERIFICATION + single-use auth tokens (see modules/account.routes.js)
+===================== */
+
+module.exports = {
+  name: "email_verification",
+
+  async up({ run, addColumn }) {
+    // ✅ only when the column is new: accounts created before verification existed count as verified
+    if (await addColumn("users", "email_verified_at", "TEXT")) {
+      await run(
+        `UPDATE users SET email_verified_at = COALESCE(created_at, datetime('now'))
+         WHERE email_verified_at IS NULL`
+      );
+    }
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS auth_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        purpose TEXT NOT NULL,          -- reset_password|verify_email
+        token_hash TEXT NOT NULL UNIQUE,
+        expires_at TEXT NOT NULL,
+        used_at TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_auth_tokens_user ON auth_tokens(user_id, purpose)`
+    );
+  },
+
+  async down({ run, dropColumn }) {
+    await run(`DROP TABLE IF EXISTS auth_tokens`);
+    await dropColumn("users", "email_verified_at");
+  },
+};
@@ -0,0 +1,84 @@
+// src/migrations/005_roles_permissions.js
+/* =====================
+   ROLES + PERMISSION GRANTS (see modules/permission-store.js)
+   - default roles are seeded here once; later edits from the admin
+     endpoints are never reverted
+===================== */
+
+const DEFAULT_ROLES = {
+  admin: { description: "Full access", permissions: ["*"] },
+  moderator: {
+    description: "Content moderation",
+    permissions: ["listings.moderate", "community.moderate", "carry.moderate"],
+  },
+  member: { description: "Every registered user", permissions: [] },
+};
+
+module.exports = {
+  name: "roles_permissions",
+
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS roles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        description TEXT,
+        is_system INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT (datetime('now'))
+      )
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role_id INTEGER NOT NULL,
+        permission TEXT NOT NULL,
+        PRIMARY KEY (role_id, permission),
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+      )
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS user_roles (
+        user_id INTEGER NOT NULL,
+        role_id INTEGER NOT NULL,
+        granted_by INTEGER,
+        created_at TEXT DEFAULT (datetime('now')),
+        PRIMARY KEY (user_id, role_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+      )
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS user_permissions (
+        user_id INTEGER NOT NULL,
+        permission TEXT NOT NULL,
+        granted_by INTEGER,
+        created_at TEXT DEFAULT (datetime('now')),
+        PRIMARY KEY (user_id, permission),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    for (const [name, def] of Object.entries(DEFAULT_ROLES)) {
+      const r = await run(
+        `INSERT OR IGNORE INTO roles (name, description, is_system) VALUES (?, ?, 1)`,
+        [name, def.description]
+      );
+      if (!r.changes) continue;
+      for (const p of def.permissions) {
+        await run(
+          `INSERT OR IGNORE INTO role_permissions (role_id, permission) VALUES (?, ?)`,
+          [r.lastID, p]
+        );
+      }
+    }
+  },
+
+  async down({ run }) {
+    await run(`DROP TABLE IF EXISTS user_permissions`);
+    await run(`DROP TABLE IF EXISTS user_roles`);
+    await run(`DROP TABLE IF EXISTS role_permissions`);
+    await run(`DROP TABLE IF EXISTS roles`);
+  },
+};
@@ -0,0 +1,27 @@
+// src/migrations/006_community_moderation.js
+/* =====================
+   COMMUNITY MODERATION: reviewer note + status indexes for the queue
+===================== */
+
+module.exports = {
+  name: "community_moderation",
+
+  async up({ run, addColumn }) {
+    await addColumn("community_places", "review_note", "TEXT");
+    await addColumn("community_groups", "review_note", "TEXT");
+
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_community_places_status ON community_places(status)`
+    );
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_community_groups_status ON community_groups(status)`
+    );
+  },
+
+  async down({ run, dropColumn }) {
+    await run(`DROP INDEX IF EXISTS idx_community_groups_status`);
+    await run(`DROP INDEX IF EXISTS idx_community_places_status`);
+    await dropColumn("community_groups", "review_note");
+    await dropColumn("community_places", "review_note");
+  },
+};
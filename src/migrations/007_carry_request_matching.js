@@ -0,0 +1,45 @@
+// src/migrations/007_carry_request_matching.js
+/* =====================
+   CARRY MATCHING
+   - carry_requests.updated_at (accept / reject / waitlist / unmatch time)
+   - new request status: waitlisted (parked while the listing is matched)
+   - at most ONE accepted request per listing (partial unique index)
+===================== */
+
+module.exports = {
+  name: "carry_request_matching",
+
+  async up({ run, addColumn }) {
+    await addColumn("carry_requests", "updated_at", "TEXT");
+
+    // old accept flow could leave several accepted requests on one listing:
+    // keep the newest, park the others so the unique index can be built
+    await run(`
+      UPDATE carry_requests
+      SET status = 'waitlisted', updated_at = datetime('now')
+      WHERE status = 'accepted'
+        AND id NOT IN (
+          SELECT MAX(id) FROM carry_requests
+          WHERE status = 'accepted'
+          GROUP BY listing_id
+        )
+    `);
+
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_carry_requests_listing_status ON carry_requests(listing_id, status)`
+    );
+    await run(
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_carry_requests_one_accepted
+       ON carry_requests(listing_id) WHERE status = 'accepted'`
+    );
+  },
+
+  async down({ run, dropColumn }) {
+    await run(`DROP INDEX IF EXISTS idx_carry_requests_one_accepted`);
+    await run(`DROP INDEX IF EXISTS idx_carry_requests_listing_status`);
+    await run(
+      `UPDATE carry_requests SET status = 'pending' WHERE status = 'waitlisted'`
+    );
+    await dropColumn("carry_requests", "updated_at");
+  },
+};
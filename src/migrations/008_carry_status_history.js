@@ -0,0 +1,34 @@
+// src/migrations/008_carry_status_history.js
+/* =====================
+   CARRY LIFECYCLE: one row per listing status change
+   open -> matched -> in_transit -> delivered -> completed  (+ cancelled, unmatch)
+===================== */
+
+module.exports = {
+  name: "carry_status_history",
+
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS carry_status_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        listing_id INTEGER NOT NULL,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        action TEXT NOT NULL,           -- accept|unmatch|pickup|deliver|confirm|cancel
+        actor_id INTEGER,
+        note TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (listing_id) REFERENCES carry_listings(id) ON DELETE CASCADE
+      )
+    `);
+
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_carry_status_history_listing ON carry_status_history(listing_id, id)`
+    );
+  },
+
+  async down({ run }) {
+    await run(`DROP INDEX IF EXISTS idx_carry_status_history_listing`);
+    await run(`DROP TABLE IF EXISTS carry_status_history`);
+  },
+};
@@ -0,0 +1,85 @@
+// src/migrations/009_carry_threads.js
+/* =====================
+   CARRY PRIVATE THREADS
+   - carry_threads: one conversation per (listing, requester), seen by the
+     listing owner + that requester only
+   - carry_messages.thread_id + read_at (read receipt / unread counts)
+===================== */
+
+module.exports = {
+  name: "carry_threads",
+
+  async up({ run, addColumn }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS carry_threads (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        listing_id INTEGER NOT NULL,
+        requester_id INTEGER NOT NULL,
+        created_at TEXT DEFAULT (datetime('now')),
+        last_message_at TEXT,
+        UNIQUE (listing_id, requester_id),
+        FOREIGN KEY (listing_id) REFERENCES carry_listings(id) ON DELETE CASCADE
+      )
+    `);
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_carry_threads_requester ON carry_threads(requester_id)`
+    );
+
+    await addColumn("carry_messages", "thread_id", "INTEGER");
+    await addColumn("carry_messages", "read_at", "TEXT");
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_carry_messages_thread ON carry_messages(thread_id, id)`
+    );
+
+    // old listing-wide messages -> threads
+    // requester wrote it: their own thread. owner wrote it: the accepted
+    // requester's thread. anything else stays without a thread (hidden).
+    await run(`
+      INSERT OR IGNORE INTO carry_threads (listing_id, requester_id)
+      SELECT DISTINCT r.listing_id, r.requester_id
+      FROM carry_requests r
+      WHERE EXISTS (
+        SELECT 1 FROM carry_messages m
+        WHERE m.listing_id = r.listing_id
+          AND (m.sender_id = r.requester_id OR r.status = 'accepted')
+      )
+    `);
+    await run(`
+      UPDATE carry_messages
+      SET thread_id = (
+        SELECT t.id FROM carry_threads t
+        WHERE t.listing_id = carry_messages.listing_id
+          AND t.requester_id = carry_messages.sender_id
+      )
+      WHERE thread_id IS NULL
+    `);
+    await run(`
+      UPDATE carry_messages
+      SET thread_id = (
+        SELECT t.id
+        FROM carry_threads t
+        JOIN carry_requests r
+          ON r.listing_id = t.listing_id AND r.requester_id = t.requester_id
+        JOIN carry_listings l ON l.id = t.listing_id
+        WHERE t.listing_id = carry_messages.listing_id
+          AND r.status = 'accepted'
+          AND l.user_id = carry_messages.sender_id
+      )
+      WHERE thread_id IS NULL
+    `);
+    await run(`
+      UPDATE carry_threads
+      SET last_message_at = (
+        SELECT MAX(m.created_at) FROM carry_messages m WHERE m.thread_id = carry_threads.id
+      )
+    `);
+  },
+
+  async down({ run, dropColumn }) {
+    await run(`DROP INDEX IF EXISTS idx_carry_messages_thread`);
+    await dropColumn("carry_messages", "read_at");
+    await dropColumn("carry_messages", "thread_id");
+    await run(`DROP INDEX IF EXISTS idx_carry_threads_requester`);
+    await run(`DROP TABLE IF EXISTS carry_threads`);
+  },
+};
@@ -0,0 +1,35 @@
+// src/migrations/010_carry_reviews_two_sided.js
+/* =====================
+   CARRY REVIEWS: one review per party per shipment
+   - carry_reviews.reviewed_role (traveler|sender) -> reputation per side
+   - UNIQUE (listing_id, reviewer_id)
+===================== */
+
+module.exports = {
+  name: "carry_reviews_two_sided",
+
+  async up({ run, addColumn }) {
+    await addColumn("carry_reviews", "reviewed_role", "TEXT");
+
+    // the old endpoint allowed repeats: keep each reviewer's newest review
+    await run(`
+      DELETE FROM carry_reviews
+      WHERE id NOT IN (
+        SELECT MAX(id) FROM carry_reviews GROUP BY listing_id, reviewer_id
+      )
+    `);
+
+    await run(
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_carry_reviews_once ON carry_reviews(listing_id, reviewer_id)`
+    );
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_carry_reviews_reviewed ON carry_reviews(reviewed_user_id)`
+    );
+  },
+
+  async down({ run, dropColumn }) {
+    await run(`DROP INDEX IF EXISTS idx_carry_reviews_reviewed`);
+    await run(`DROP INDEX IF EXISTS idx_carry_reviews_once`);
+    await dropColumn("carry_reviews", "reviewed_role");
+  },
+};
@@ -0,0 +1,39 @@
+// src/migrations/011_carry_match_suggestions.js
+/* =====================
+   CARRY SUGGESTED MATCHES
+   written by the matching engine when a compatible listing is posted
+   status: suggested | dismissed
+===================== */
+
+module.exports = {
+  name: "carry_match_suggestions",
+
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS carry_match_suggestions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        listing_id INTEGER NOT NULL,          -- whose owner sees the suggestion
+        matched_listing_id INTEGER NOT NULL,  -- the compatible listing
+        score INTEGER NOT NULL DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'suggested',
+        created_at TEXT DEFAULT (datetime('now')),
+        UNIQUE (listing_id, matched_listing_id),
+        FOREIGN KEY (listing_id) REFERENCES carry_listings(id) ON DELETE CASCADE,
+        FOREIGN KEY (matched_listing_id) REFERENCES carry_listings(id) ON DELETE CASCADE
+      )
+    `);
+
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_carry_listings_route ON carry_listings(
+        role,
+        LOWER(TRIM(COALESCE(from_country, ''))),
+        LOWER(TRIM(COALESCE(to_country, '')))
+      )`
+    );
+  },
+
+  async down({ run }) {
+    await run(`DROP INDEX IF EXISTS idx_carry_listings_route`);
+    await run(`DROP TABLE IF EXISTS carry_match_suggestions`);
+  },
+};
@@ -0,0 +1,31 @@
+// src/migrations/012_carry_airports.js
+/* =====================
+   CARRY ROUTES BY AIRPORT
+   - carry_listings.from_iata / to_iata (validated against airports)
+   - airports(lat) index for the radius search bounding box
+===================== */
+
+module.exports = {
+  name: "carry_airports",
+
+  async up({ run, addColumn }) {
+    await addColumn("carry_listings", "from_iata", "TEXT");
+    await addColumn("carry_listings", "to_iata", "TEXT");
+
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_carry_listings_from_iata ON carry_listings(from_iata)`
+    );
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_carry_listings_to_iata ON carry_listings(to_iata)`
+    );
+    await run(`CREATE INDEX IF NOT EXISTS idx_airports_lat ON airports(lat)`);
+  },
+
+  async down({ run, dropColumn }) {
+    await run(`DROP INDEX IF EXISTS idx_airports_lat`);
+    await run(`DROP INDEX IF EXISTS idx_carry_listings_to_iata`);
+    await run(`DROP INDEX IF EXISTS idx_carry_listings_from_iata`);
+    await dropColumn("carry_listings", "to_iata");
+    await dropColumn("carry_listings", "from_iata");
+  },
+};
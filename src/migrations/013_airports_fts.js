@@ -0,0 +1,147 @@
+// src/migrations/013_airports_fts.js
+/* =====================
+   AIRPORT SEARCH INDEX (FTS5)
+   - airports_fts: iata, icao, name, city, country + city aliases,
+     rowid = airports.id, kept in sync by triggers (imports included)
+   - unicode61 remove_diacritics 2: "sao paulo" finds "São Paulo"
+   - airport_city_aliases: other-language city names (Arabic seeded here),
+     stored folded: أ/إ/آ -> ا, ة -> ه, ى -> ي (the search folds the query the same way)
+   - airports_fts_terms: fts5vocab over the index (typo fallback)
+===================== */
+
+// [city, country_code, alias]
+const ARABIC_CITY_ALIASES = [
+  ["Cairo", "EG", "القاهرة"],
+  ["Alexandria", "EG", "الإسكندرية"],
+  ["Sharm el-Sheikh", "EG", "شرم الشيخ"],
+  ["Hurghada", "EG", "الغردقة"],
+  ["Luxor", "EG", "الأقصر"],
+  ["Aswan", "EG", "أسوان"],
+  ["Dubai", "AE", "دبي"],
+  ["Abu Dhabi", "AE", "أبوظبي"],
+  ["Sharjah", "AE", "الشارقة"],
+  ["Riyadh", "SA", "الرياض"],
+  ["Jeddah", "SA", "جدة"],
+  ["Medina", "SA", "المدينة المنورة"],
+  ["Dammam", "SA", "الدمام"],
+  ["Doha", "QA", "الدوحة"],
+  ["Kuwait City", "KW", "الكويت"],
+  ["Manama", "BH", "المنامة"],
+  ["Muscat", "OM", "مسقط"],
+  ["Amman", "JO", "عمان"],
+  ["Beirut", "LB", "بيروت"],
+  ["Damascus", "SY", "دمشق"],
+  ["Baghdad", "IQ", "بغداد"],
+  ["Khartoum", "SD", "الخرطوم"],
+  ["Tripoli", "LY", "طرابلس"],
+  ["Tunis", "TN", "تونس"],
+  ["Algiers", "DZ", "الجزائر"],
+  ["Casablanca", "MA", "الدار البيضاء"],
+  ["Marrakech", "MA", "مراكش"],
+  ["Rabat", "MA", "الرباط"],
+  ["Istanbul", "TR", "إسطنبول"],
+  ["London", "GB", "لندن"],
+  ["Paris", "FR", "باريس"],
+  ["New York", "US", "نيويورك"],
+];
+
+const fold = (expr) =>
+  `replace(replace(replace(replace(replace(${expr}, 'أ', 'ا'), 'إ', 'ا'), 'آ', 'ا'), 'ة', 'ه'), 'ى', 'ي')`;
+
+// aliases of the airport's city, for a row alias like NEW / OLD / a
+const aliasesOf = (a) => `(
+  SELECT group_concat(al.alias, ' ') FROM airport_city_aliases al
+  WHERE al.country_code = UPPER(COALESCE(${a}.country_code, ''))
+    AND al.city = LOWER(TRIM(COALESCE(${a}.city, '')))
+)`;
+
+module.exports = {
+  name: "airports_fts",
+
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS airport_city_aliases (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        city TEXT NOT NULL,           -- lower-cased airports.city
+        country_code TEXT NOT NULL,
+        alias TEXT NOT NULL,          -- folded (see header)
+        lang TEXT NOT NULL DEFAULT 'ar',
+        UNIQUE (country_code, city, alias)
+      )
+    `);
+
+    await run(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS airports_fts USING fts5(
+        iata, icao, name, city, country, aliases,
+        tokenize = "unicode61 remove_diacritics 2",
+        prefix = '2 3'
+      )
+    `);
+    await run(
+      `CREATE VIRTUAL TABLE IF NOT EXISTS airports_fts_terms USING fts5vocab(airports_fts, row)`
+    );
+
+    await run(`
+      CREATE TRIGGER IF NOT EXISTS airports_fts_ai AFTER INSERT ON airports BEGIN
+        INSERT INTO airports_fts (rowid, iata, icao, name, city, country, aliases)
+        VALUES (NEW.id, NEW.iata, NEW.icao, NEW.name, NEW.city, NEW.country, ${aliasesOf("NEW")});
+      END
+    `);
+    await run(`
+      CREATE TRIGGER IF NOT EXISTS airports_fts_au AFTER UPDATE ON airports BEGIN
+        DELETE FROM airports_fts WHERE rowid = OLD.id;
+        INSERT INTO airports_fts (rowid, iata, icao, name, city, country, aliases)
+        VALUES (NEW.id, NEW.iata, NEW.icao, NEW.name, NEW.city, NEW.country, ${aliasesOf("NEW")});
+      END
+    `);
+    await run(`
+      CREATE TRIGGER IF NOT EXISTS airports_fts_ad AFTER DELETE ON airports BEGIN
+        DELETE FROM airports_fts WHERE rowid = OLD.id;
+      END
+    `);
+
+    // alias added / removed -> refresh that city's airports
+    for (const [name, row] of [
+      ["airport_city_aliases_ai AFTER INSERT", "NEW"],
+      ["airport_city_aliases_ad AFTER DELETE", "OLD"],
+    ]) {
+      await run(`
+        CREATE TRIGGER IF NOT EXISTS ${name} ON airport_city_aliases BEGIN
+          UPDATE airports_fts
+          SET aliases = (SELECT ${aliasesOf("a")} FROM airports a WHERE a.id = airports_fts.rowid)
+          WHERE rowid IN (
+            SELECT id FROM airports
+            WHERE UPPER(COALESCE(country_code, '')) = ${row}.country_code
+              AND LOWER(TRIM(COALESCE(city, ''))) = ${row}.city
+          );
+        END
+      `);
+    }
+
+    for (const [city, cc, alias] of ARABIC_CITY_ALIASES) {
+      await run(
+        `INSERT OR IGNORE INTO airport_city_aliases (city, country_code, alias, lang)
+         VALUES (LOWER(?), ?, ${fold("?")}, 'ar')`,
+        [city, cc, alias]
+      );
+    }
+
+    await run(`DELETE FROM airports_fts`);
+    await run(`
+      INSERT INTO airports_fts (rowid, iata, icao, name, city, country, aliases)
+      SELECT a.id, a.iata, a.icao, a.name, a.city, a.country, ${aliasesOf("a")}
+      FROM airports a
+    `);
+  },
+
+  async down({ run }) {
+    await run(`DROP TRIGGER IF EXISTS airport_city_aliases_ad`);
+    await run(`DROP TRIGGER IF EXISTS airport_city_aliases_ai`);
+    await run(`DROP TRIGGER IF EXISTS airports_fts_ad`);
+    await run(`DROP TRIGGER IF EXISTS airports_fts_au`);
+    await run(`DROP TRIGGER IF EXISTS airports_fts_ai`);
+    await run(`DROP TABLE IF EXISTS airports_fts_terms`);
+    await run(`DROP TABLE IF EXISTS airports_fts`);
+    await run(`DROP TABLE IF EXISTS airport_city_aliases`);
+  },
+};
@@ -0,0 +1,28 @@
+// src/migrations/014_feed_activity.js
+/* =====================
+   HOME FEED ACTIVITY
+   - post_likes.created_at (ranked home feed counts likes from the last hours;
+     older likes stay NULL and only count in totals)
+   - (post_id, created_at) indexes for the recent like / comment counts
+===================== */
+
+module.exports = {
+  name: "feed_activity",
+
+  async up({ run, addColumn }) {
+    await addColumn("post_likes", "created_at", "TEXT");
+
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_post_likes_post_created ON post_likes(post_id, created_at)`
+    );
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_comments_post_created ON post_comments(post_id, created_at)`
+    );
+  },
+
+  async down({ run, dropColumn }) {
+    await run(`DROP INDEX IF EXISTS idx_comments_post_created`);
+    await run(`DROP INDEX IF EXISTS idx_post_likes_post_created`);
+    await dropColumn("post_likes", "created_at");
+  },
+};
@@ -0,0 +1,83 @@
+// src/migrations/015_unified_posts.js
+/* =====================
+   UNIFIED POSTS
+   - profile_posts rows move into posts (kind = 'profile'), so likes,
+     comments, editing and deletion work the same for both kinds
+   - posts.legacy_profile_post_id keeps old "pp_18" ids resolving
+   - posts.media_url (was profile-only), posts.updated_at (set on edit)
+   - down() moves kind = 'profile' rows back; their likes and comments
+     are dropped (profile_posts never had any)
+===================== */
+
+module.exports = {
+  name: "unified_posts",
+
+  async up({ run, hasTable, addColumn }) {
+    await addColumn("posts", "kind", "TEXT NOT NULL DEFAULT 'feed'");
+    await addColumn("posts", "media_url", "TEXT");
+    await addColumn("posts", "updated_at", "TEXT");
+    await addColumn("posts", "legacy_profile_post_id", "INTEGER");
+
+    await run(
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_posts_legacy_profile ON posts(legacy_profile_post_id)`
+    );
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_posts_user_created ON posts(user_id, created_at)`
+    );
+
+    if (await hasTable("profile_posts")) {
+      await run(`
+        INSERT INTO posts (user_id, content, category, media_url, kind, legacy_profile_post_id, created_at)
+        SELECT pp.user_id, pp.content, NULL, pp.media_url, 'profile', pp.id,
+               COALESCE(pp.created_at, datetime('now'))
+        FROM profile_posts pp
+        WHERE pp.id NOT IN (
+          SELECT legacy_profile_post_id FROM posts WHERE legacy_profile_post_id IS NOT NULL
+        )
+        ORDER BY pp.id
+      `);
+      await run(`DROP TABLE profile_posts`);
+    }
+  },
+
+  async down({ run, dropColumn }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS profile_posts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        content TEXT NOT NULL,
+        media_url TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_profile_posts_user ON profile_posts(user_id)`
+    );
+
+    // migrated rows get their old id back, newer ones a fresh one
+    await run(`
+      INSERT INTO profile_posts (id, user_id, content, media_url, created_at)
+      SELECT legacy_profile_post_id, user_id, COALESCE(content, ''), media_url, created_at
+      FROM posts
+      WHERE kind = 'profile' AND user_id IS NOT NULL
+      ORDER BY legacy_profile_post_id IS NULL, id
+    `);
+
+    const profilePosts = `SELECT id FROM posts WHERE kind = 'profile'`;
+    await run(
+      `DELETE FROM post_comment_likes WHERE comment_id IN
+         (SELECT id FROM post_comments WHERE post_id IN (${profilePosts}))`
+    );
+    await run(`DELETE FROM post_comments WHERE post_id IN (${profilePosts})`);
+    await run(`DELETE FROM post_likes WHERE post_id IN (${profilePosts})`);
+    await run(`DELETE FROM posts WHERE kind = 'profile'`);
+
+    await run(`DROP INDEX IF EXISTS idx_posts_user_created`);
+    await run(`DROP INDEX IF EXISTS idx_posts_legacy_profile`);
+    await dropColumn("posts", "legacy_profile_post_id");
+    await dropColumn("posts", "updated_at");
+    await dropColumn("posts", "media_url");
+    await dropColumn("posts", "kind");
+  },
+};
@@ -0,0 +1,53 @@
+// src/migrations/016_media.js
+/* =====================
+   MEDIA UPLOADS
+   - media: one row per uploaded image (owner, storage driver + keys, size)
+   - the things that show images point at media ids:
+       posts.media_id
+       user_profile.avatar_media_id / cover_media_id
+       products.media_ids_json / marketplace_listings.media_ids_json  ([3, 7])
+     the old url columns (media_url, avatar_url, cover_url, images_json) are
+     still filled with the media url so existing clients keep working
+===================== */
+
+module.exports = {
+  name: "media",
+
+  async up({ run, addColumn }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS media (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        driver TEXT NOT NULL,            -- storage driver that holds the files
+        storage_key TEXT NOT NULL,
+        thumb_key TEXT,
+        mime TEXT NOT NULL,
+        size_bytes INTEGER NOT NULL,
+        width INTEGER,
+        height INTEGER,
+        original_name TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await run(`CREATE INDEX IF NOT EXISTS idx_media_user ON media(user_id, id)`);
+
+    await addColumn("posts", "media_id", "INTEGER");
+    await addColumn("user_profile", "avatar_media_id", "INTEGER");
+    await addColumn("user_profile", "cover_media_id", "INTEGER");
+    await addColumn("products", "media_ids_json", "TEXT");
+    await addColumn("marketplace_listings", "media_ids_json", "TEXT");
+
+    await run(`CREATE INDEX IF NOT EXISTS idx_posts_media ON posts(media_id)`);
+  },
+
+  async down({ run, dropColumn }) {
+    await run(`DROP INDEX IF EXISTS idx_posts_media`);
+    await dropColumn("marketplace_listings", "media_ids_json");
+    await dropColumn("products", "media_ids_json");
+    await dropColumn("user_profile", "cover_media_id");
+    await dropColumn("user_profile", "avatar_media_id");
+    await dropColumn("posts", "media_id");
+    await run(`DROP TABLE IF EXISTS media`);
+  },
+};
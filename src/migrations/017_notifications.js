@@ -0,0 +1,55 @@
+// src/migrations/017_notifications.js
+/* =====================
+   NOTIFICATIONS
+   - notifications: one row per event for one recipient (user_id);
+     actor_id = who did it, entity_type + entity_id = what it is about
+   - notification_preferences: per user + type switch (no row = enabled)
+===================== */
+
+module.exports = {
+  name: "notifications",
+
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        type TEXT NOT NULL,
+        actor_id INTEGER,
+        entity_type TEXT,
+        entity_id INTEGER,
+        data_json TEXT,
+        read_at TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, id)`
+    );
+    // unread count + the "same unread event" lookup used to collapse repeats
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_notifications_unread
+       ON notifications(user_id, type, entity_type, entity_id) WHERE read_at IS NULL`
+    );
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        user_id INTEGER NOT NULL,
+        type TEXT NOT NULL,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        updated_at TEXT DEFAULT (datetime('now')),
+        PRIMARY KEY (user_id, type),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  async down({ run }) {
+    await run(`DROP TABLE IF EXISTS notification_preferences`);
+    await run(`DROP INDEX IF EXISTS idx_notifications_unread`);
+    await run(`DROP INDEX IF EXISTS idx_notifications_user`);
+    await run(`DROP TABLE IF EXISTS notifications`);
+  },
+};
@@ -0,0 +1,79 @@
+// src/migrations/018_direct_messages.js
+/* =====================
+   DIRECT MESSAGES
+   - conversations: 1:1, one per user pair + context; user_low_id < user_high_id
+     context_type + context_id = what it is about ('listing' | 'service' |
+     'product', NULL for a plain conversation)
+   - direct_messages: read_at (unread counts / read receipts, like carry_messages)
+   - user_blocks: blocker_id won't hear from blocked_id
+===================== */
+
+module.exports = {
+  name: "direct_messages",
+
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS conversations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_low_id INTEGER NOT NULL,
+        user_high_id INTEGER NOT NULL,
+        context_type TEXT,
+        context_id INTEGER,
+        created_by INTEGER,
+        created_at TEXT DEFAULT (datetime('now')),
+        last_message_at TEXT,
+        CHECK (user_low_id < user_high_id),
+        FOREIGN KEY (user_low_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_high_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await run(
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_conversations_pair
+       ON conversations(user_low_id, user_high_id, IFNULL(context_type, ''), IFNULL(context_id, 0))`
+    );
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_conversations_high ON conversations(user_high_id)`
+    );
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS direct_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id INTEGER NOT NULL,
+        sender_id INTEGER NOT NULL,
+        body TEXT NOT NULL,
+        created_at TEXT DEFAULT (datetime('now')),
+        read_at TEXT,
+        FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+        FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_direct_messages_conversation
+       ON direct_messages(conversation_id, id)`
+    );
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_direct_messages_unread
+       ON direct_messages(conversation_id, sender_id) WHERE read_at IS NULL`
+    );
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS user_blocks (
+        blocker_id INTEGER NOT NULL,
+        blocked_id INTEGER NOT NULL,
+        created_at TEXT DEFAULT (datetime('now')),
+        PRIMARY KEY (blocker_id, blocked_id),
+        FOREIGN KEY (blocker_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (blocked_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked ON user_blocks(blocked_id)`
+    );
+  },
+
+  async down({ run }) {
+    await run(`DROP TABLE IF EXISTS user_blocks`);
+    await run(`DROP TABLE IF EXISTS direct_messages`);
+    await run(`DROP TABLE IF EXISTS conversations`);
+  },
+};
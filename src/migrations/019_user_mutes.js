@@ -0,0 +1,27 @@
+// src/migrations/019_user_mutes.js
+/* =====================
+   USER MUTES
+   - user_mutes: muter_id stops seeing muted_id's posts in their feeds
+     (softer than user_blocks: no effect on profiles, comments or contact)
+===================== */
+
+module.exports = {
+  name: "user_mutes",
+
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS user_mutes (
+        muter_id INTEGER NOT NULL,
+        muted_id INTEGER NOT NULL,
+        created_at TEXT DEFAULT (datetime('now')),
+        PRIMARY KEY (muter_id, muted_id),
+        FOREIGN KEY (muter_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (muted_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  async down({ run }) {
+    await run(`DROP TABLE IF EXISTS user_mutes`);
+  },
+};
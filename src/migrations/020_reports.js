@@ -0,0 +1,61 @@
+// src/migrations/020_reports.js
+/* =====================
+   CONTENT REPORTS + MODERATION (see modules/report-store.js)
+   - reports: one per reporter + target; status open | dismissed | actioned,
+     action = what the moderator did (dismiss | hide | warn | suspend)
+     target_user_id = author of the reported content (the user for 'user')
+   - hidden_at on reportable content: hidden rows leave every public read
+     (marketplace listings use their existing status = 'hidden' instead)
+   - users.suspended_until: suspended accounts are read-only until then
+   - moderators get "reports.manage" (admins have "*")
+===================== */
+
+const HIDEABLE = ["posts", "post_comments", "carry_listings", "carry_messages", "reviews"];
+
+module.exports = {
+  name: "reports",
+
+  async up({ run, addColumn }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS reports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        reporter_id INTEGER NOT NULL,
+        target_type TEXT NOT NULL,      -- post|comment|listing|carry_listing|carry_message|review|user
+        target_id INTEGER NOT NULL,
+        target_user_id INTEGER,
+        reason TEXT NOT NULL,
+        details TEXT,
+        status TEXT NOT NULL DEFAULT 'open',
+        action TEXT,
+        resolution_note TEXT,
+        resolved_by INTEGER,
+        resolved_at TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        UNIQUE (reporter_id, target_type, target_id),
+        FOREIGN KEY (reporter_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_reports_target ON reports(target_type, target_id, status)`
+    );
+    await run(`CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status, id)`);
+
+    for (const table of HIDEABLE) await addColumn(table, "hidden_at", "TEXT");
+
+    await addColumn("users", "suspended_until", "TEXT");
+    await addColumn("users", "suspension_reason", "TEXT");
+
+    await run(
+      `INSERT OR IGNORE INTO role_permissions (role_id, permission)
+       SELECT id, 'reports.manage' FROM roles WHERE name = 'moderator'`
+    );
+  },
+
+  async down({ run, dropColumn }) {
+    await run(`DELETE FROM role_permissions WHERE permission = 'reports.manage'`);
+    await dropColumn("users", "suspension_reason");
+    await dropColumn("users", "suspended_until");
+    for (const table of HIDEABLE) await dropColumn(table, "hidden_at");
+    await run(`DROP TABLE IF EXISTS reports`);
+  },
+};
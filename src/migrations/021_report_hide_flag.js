@@ -0,0 +1,23 @@
+// src/migrations/021_report_hide_flag.js
+/* =====================
+   REPORTS: content_hidden
+   - set on reports whose moderator action hid the content (hide, or
+     warn / suspend with hide_content); dismissing a later report only
+     un-hides content the report threshold hid, never a moderator's hide
+===================== */
+
+module.exports = {
+  name: "report_hide_flag",
+
+  async up({ run, addColumn }) {
+    if (await addColumn("reports", "content_hidden", "INTEGER NOT NULL DEFAULT 0")) {
+      await run(
+        `UPDATE reports SET content_hidden = 1 WHERE status = 'actioned' AND action = 'hide'`
+      );
+    }
+  },
+
+  async down({ dropColumn }) {
+    await dropColumn("reports", "content_hidden");
+  },
+};
@@ -0,0 +1,20 @@
+// src/migrations/022_review_reports.js
+/* =====================
+   REPORTABLE MARKETPLACE + CARRY REVIEWS (see modules/report-store.js)
+   - hidden_at on marketplace_reviews + carry_reviews: hidden reviews leave
+     review lists and rating averages
+===================== */
+
+const TABLES = ["marketplace_reviews", "carry_reviews"];
+
+module.exports = {
+  name: "review_reports",
+
+  async up({ addColumn }) {
+    for (const table of TABLES) await addColumn(table, "hidden_at", "TEXT");
+  },
+
+  async down({ dropColumn }) {
+    for (const table of TABLES) await dropColumn(table, "hidden_at");
+  },
+};
@@ -0,0 +1,208 @@
+// src/modules/account.routes.js
+/* =====================
+   ACCOUNT RECOVERY + EMAIL VERIFICATION
+   - POST /api/auth/forgot-password        { email }
+   - POST /api/auth/reset-password         { token, password }
+   - GET|POST /api/auth/verify-email       ?token= | { token }
+   - POST /api/auth/verify-email/resend    (logged in)
+   ✅ tokens are random, single-use, expiring and stored hashed (auth_tokens)
+===================== */
+
+const crypto = require("crypto");
+
+module.exports = function registerAccountRoutes(opts) {
+  const {
+    app,
+    data,
+    bcrypt,
+    safeTrim,
+    mailer,
+    sessions,
+    loginGuard,
+    authRequired,
+  } = opts;
+
+  const APP_URL = String(process.env.APP_URL || "https://answerforu.com").replace(
+    /\/+$/,
+    ""
+  );
+  const RESET_TTL_MIN = 60;
+  const VERIFY_TTL_MIN = 48 * 60;
+
+  const { run, get } = data;
+
+  // =====================
+  // Tokens
+  // =====================
+  function hashToken(token) {
+    return crypto
+      .createHash("sha256")
+      .update(String(token || ""))
+      .digest("hex");
+  }
+
+  async function createToken(userId, purpose, ttlMin) {
+    // only the newest link of a kind stays valid
+    await run(
+      `UPDATE auth_tokens SET used_at = datetime('now')
+       WHERE user_id = ? AND purpose = ? AND used_at IS NULL`,
+      [userId, purpose]
+    );
+
+    const token = crypto.randomBytes(32).toString("base64url");
+    await run(
+      `INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at)
+       VALUES (?, ?, ?, datetime('now', ?))`,
+      [userId, purpose, hashToken(token), `+${ttlMin} minutes`]
+    );
+    return token;
+  }
+
+  // marks the token used and returns its user_id (null if invalid/expired/used)
+  async function consumeToken(token, purpose) {
+    if (!token) return null;
+    const row = await get(
+      `SELECT id, user_id FROM auth_tokens
+       WHERE token_hash = ? AND purpose = ? AND used_at IS NULL
+         AND expires_at > datetime('now')`,
+      [hashToken(token), purpose]
+    );
+    if (!row) return null;
+
+    const r = await run(
+      `UPDATE auth_tokens SET used_at = datetime('now') WHERE id = ? AND used_at IS NULL`,
+      [row.id]
+    );
+    return r.changes ? Number(row.user_id) : null;
+  }
+
+  // =====================
+  // Mails
+  // =====================
+  async function sendVerificationEmail(user) {
+    const token = await createToken(user.id, "verify_email", VERIFY_TTL_MIN);
+    const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+    await mailer.send({
+      to: user.email,
+      subject: "Confirm your email",
+      text:
+        `Hi ${user.username || ""},\n\n` +
+        `Please confirm your email address by opening this link:\n${link}\n\n` +
+        `The link expires in 48 hours.`,
+    });
+  }
+
+  async function sendResetEmail(user) {
+    const token = await createToken(user.id, "reset_password", RESET_TTL_MIN);
+    const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+    await mailer.send({
+      to: user.email,
+      subject: "Reset your password",
+      text:
+        `Hi ${user.username || ""},\n\n` +
+        `Someone asked to reset the password for your account. ` +
+        `If it was you, open this link:\n${link}\n\n` +
+        `The link expires in 1 hour. If it wasn't you, ignore this email.`,
+    });
+  }
+
+  // =====================
+  // Routes
+  // =====================
+  app.post("/api/auth/forgot-password", async (req, res) => {
+    const email = safeTrim(req.body?.email).toLowerCase();
+    if (!email) return res.status(400).json({ message: "Missing email" });
+
+    try {
+      const user = await get(
+        `SELECT id, username, email FROM users WHERE email = ?`,
+        [email]
+      );
+      if (user) await sendResetEmail(user);
+    } catch (e) {
+      console.error("[account] forgot-password", e);
+    }
+
+    // ✅ same answer whether the email exists or not
+    return res.json({ ok: true });
+  });
+
+  app.post("/api/auth/reset-password", async (req, res) => {
+    const token = safeTrim(req.body?.token);
+    const password = String(req.body?.password ?? "");
+
+    if (!token || !password)
+      return res.status(400).json({ message: "Missing fields" });
+    if (password.length < 6)
+      return res.status(400).json({ message: "Password too short" });
+
+    try {
+      const userId = await consumeToken(token, "reset_password");
+      if (!userId)
+        return res.status(400).json({ message: "Invalid or expired token" });
+
+      const hash = await bcrypt.hash(password, 10);
+      // the reset link came through the inbox -> email is proven too
+      await run(
+        `UPDATE users
+         SET password_hash = ?, email_verified_at = COALESCE(email_verified_at, datetime('now'))
+         WHERE id = ?`,
+        [hash, userId]
+      );
+
+      // ✅ log out every device + clear account lockout
+      await sessions.revokeAllForUser(userId, { reason: "password_changed" });
+      const u = await get(`SELECT email FROM users WHERE id = ?`, [userId]);
+      if (u?.email) await loginGuard.unlockAccount(u.email);
+
+      return res.json({ ok: true });
+    } catch (e) {
+      console.error("[account] reset-password", e);
+      return res.status(500).json({ message: "Reset failed" });
+    }
+  });
+
+  async function verifyEmailCore(req, res) {
+    const token = safeTrim(req.body?.token ?? req.query?.token);
+    if (!token) return res.status(400).json({ message: "Missing token" });
+
+    try {
+      const userId = await consumeToken(token, "verify_email");
+      if (!userId)
+        return res.status(400).json({ message: "Invalid or expired token" });
+
+      await run(
+        `UPDATE users SET email_verified_at = COALESCE(email_verified_at, datetime('now'))
+         WHERE id = ?`,
+        [userId]
+      );
+      return res.json({ ok: true, email_verified: true });
+    } catch (e) {
+      console.error("[account] verify-email", e);
+      return res.status(500).json({ message: "Verification failed" });
+    }
+  }
+
+  app.get("/api/auth/verify-email", verifyEmailCore);
+  app.post("/api/auth/verify-email", verifyEmailCore);
+
+  app.post("/api/auth/verify-email/resend", authRequired, async (req, res) => {
+    try {
+      const user = await get(
+        `SELECT id, username, email, email_verified_at FROM users WHERE id = ?`,
+        [req.user.id]
+      );
+      if (!user) return res.sendStatus(404);
+      if (user.email_verified_at)
+        return res.json({ ok: true, email_verified: true });
+
+      await sendVerificationEmail(user);
+      return res.json({ ok: true, email_verified: false });
+    } catch (e) {
+      console.error("[account] verify-email resend", e);
+      return res.status(500).json({ message: "Failed to send email" });
+    }
+  });
+
+  return { sendVerificationEmail };
+};
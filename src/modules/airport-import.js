@@ -0,0 +1,383 @@
+// src/modules/airport-import.js
+/* =====================
+   AIRPORT DATASET IMPORT
+   - OurAirports airports.csv (header row: ident, type, iata_code, iso_country, ...)
+   - OpenFlights airports.dat (no header, "\N" = null)
+   - upsert by IATA, then ICAO (existing codes are loaded once, not per row)
+   - country_code is always ISO 3166-1 alpha-2, country the English name
+   - options: skipClosed, skipHeliports, dryRun
+   - writes commit in chunks (CHUNK_ROWS per transaction) so other requests
+     run between them; a failed import keeps the chunks before it, running
+     it again is safe (upserts)
+   - result: { format, rows, inserted, updated, unchanged, skipped, skipped_by }
+   used by scripts/import-airports.js and POST /api/admin/airports/import
+===================== */
+
+const FORMATS = ["ourairports", "openflights"];
+
+// writes per transaction (an open transaction holds every other query)
+const CHUNK_ROWS = 500;
+
+// OpenFlights / older dataset spellings the ICU English names don't cover
+const COUNTRY_ALIASES = {
+  burma: "MM",
+  "cape verde": "CV",
+  "czech republic": "CZ",
+  "east timor": "TL",
+  "ivory coast": "CI",
+  macau: "MO",
+  macedonia: "MK",
+  micronesia: "FM",
+  palestine: "PS",
+  swaziland: "SZ",
+  "virgin islands": "VI",
+  "johnston atoll": "UM",
+  "midway islands": "UM",
+  "wake island": "UM",
+  svalbard: "SJ",
+};
+
+function badCsv(message) {
+  const err = new Error(message);
+  err.code = "BAD_CSV";
+  return err;
+}
+
+// RFC 4180-ish: quoted fields, "" escapes, CRLF/LF, leading BOM
+function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      if (row.length > 1 || row[0] !== "") rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.length > 1 || row[0] !== "") rows.push(row);
+  return rows;
+}
+
+function createCountryLookup() {
+  let names = null;
+  let byName = null;
+
+  const key = (s) =>
+    String(s || "")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/&/g, " and ")
+      .replace(/\bst\.?(?=\s)/g, "saint")
+      .replace(/\bsar china\b/g, "")
+      .replace(/[^a-z0-9]+/g, " ")
+      .replace(/^the /, "")
+      .trim();
+
+  function load() {
+    if (names) return;
+    names = new Map();
+    byName = new Map();
+    let display = null;
+    try {
+      display = new Intl.DisplayNames(["en"], { type: "region" });
+    } catch {
+      display = null; // node without ICU data: codes still pass through
+    }
+
+    const A = 65;
+    for (let i = 0; display && i < 26; i++) {
+      for (let j = 0; j < 26; j++) {
+        const code = String.fromCharCode(A + i, A + j);
+        let name;
+        try {
+          name = display.of(code);
+        } catch {
+          continue;
+        }
+        if (!name || name === code) continue;
+        names.set(code, name);
+
+        // "Myanmar (Burma)" -> "myanmar (burma)", "myanmar", "burma"
+        const plain = name.replace(/\s*\(([^)]*)\)\s*/, " ").trim();
+        const inner = (name.match(/\(([^)]*)\)/) || [])[1];
+        for (const n of [name, plain, inner]) {
+          const k = key(n);
+          if (k && !byName.has(k)) byName.set(k, code);
+        }
+      }
+    }
+    for (const [alias, code] of Object.entries(COUNTRY_ALIASES)) {
+      byName.set(key(alias), code);
+    }
+  }
+
+  // "us" | "United States" | "Congo (Kinshasa)" -> { code, name }
+  // known countries always get the same English name, whatever the file says
+  return function normalizeCountry(v) {
+    const raw = String(v || "").trim();
+    if (!raw) return { code: null, name: null };
+    load();
+
+    if (/^[A-Za-z]{2}$/.test(raw)) {
+      const code = raw.toUpperCase();
+      return { code, name: names.get(code) || raw };
+    }
+    const code = byName.get(key(raw)) || null;
+    return { code, name: (code && names.get(code)) || raw };
+  };
+}
+
+module.exports = function createAirportImporter(opts) {
+  const { data } = opts;
+  const { all, run, withTransaction } = data;
+
+  const normalizeCountry = createCountryLookup();
+
+  const clean = (v) => {
+    const s = String(v ?? "").trim();
+    return s && s !== "\\N" ? s : null;
+  };
+  const iataOf = (v) => {
+    const s = (clean(v) || "").toUpperCase();
+    return /^[A-Z]{3}$/.test(s) ? s : null;
+  };
+  const icaoOf = (v) => {
+    const s = (clean(v) || "").toUpperCase();
+    return /^[A-Z]{4}$/.test(s) ? s : null;
+  };
+  const coord = (v, max) => {
+    const n = Number(clean(v));
+    return clean(v) != null && Number.isFinite(n) && Math.abs(n) <= max ? n : null;
+  };
+
+  function detectFormat(rows) {
+    const head = (rows[0] || []).map((h) => h.trim().toLowerCase());
+    if (head.includes("iata_code") && head.includes("latitude_deg")) {
+      return "ourairports";
+    }
+    if (rows[0] && rows[0].length >= 8 && /^\d+$/.test(rows[0][0].trim())) {
+      return "openflights";
+    }
+    return null;
+  }
+
+  // -> [{ airport, reason }]  (reason set = skipped)
+  function* ourAirportsRecords(rows, options) {
+    const head = rows[0].map((h) => h.trim().toLowerCase());
+    const col = (name) => head.indexOf(name);
+    const at = (r, name) => (col(name) === -1 ? null : r[col(name)]);
+
+    for (const r of rows.slice(1)) {
+      const type = (clean(at(r, "type")) || "").toLowerCase();
+      if (options.skipClosed && type === "closed") {
+        yield { reason: "closed" };
+        continue;
+      }
+      if (options.skipHeliports && type === "heliport") {
+        yield { reason: "heliport" };
+        continue;
+      }
+
+      const country = normalizeCountry(at(r, "iso_country"));
+      yield {
+        airport: {
+          iata: iataOf(at(r, "iata_code")),
+          // icao_code is newer; gps_code / ident are only ICAO when 4 letters
+          icao:
+            icaoOf(at(r, "icao_code")) ||
+            icaoOf(at(r, "gps_code")) ||
+            icaoOf(at(r, "ident")),
+          name: clean(at(r, "name")),
+          city: clean(at(r, "municipality")),
+          country: country.name,
+          country_code: country.code,
+          lat: coord(at(r, "latitude_deg"), 90),
+          lon: coord(at(r, "longitude_deg"), 180),
+        },
+      };
+    }
+  }
+
+  // id, name, city, country, IATA, ICAO, lat, lon, alt, tz, dst, tz db, type, source
+  function* openFlightsRecords(rows, options) {
+    for (const r of rows) {
+      const type = (clean(r[12]) || "airport").toLowerCase();
+      const name = clean(r[1]);
+      if (type !== "airport" && type !== "unknown") {
+        yield { reason: "not_airport" }; // train stations, ferry ports
+        continue;
+      }
+      if (options.skipHeliports && /heli(port|pad)/i.test(name || "")) {
+        yield { reason: "heliport" };
+        continue;
+      }
+
+      const country = normalizeCountry(r[3]);
+      yield {
+        airport: {
+          iata: iataOf(r[4]),
+          icao: icaoOf(r[5]),
+          name,
+          city: clean(r[2]),
+          country: country.name,
+          country_code: country.code,
+          lat: coord(r[6], 90),
+          lon: coord(r[7], 180),
+        },
+      };
+    }
+  }
+
+  const FIELDS = ["icao", "iata", "name", "city", "country", "country_code", "lat", "lon"];
+
+  async function importCsv(text, options = {}) {
+    const rows = parseCsv(text);
+    const format = options.format || detectFormat(rows);
+    if (!FORMATS.includes(format)) {
+      throw badCsv("Unrecognised airport CSV (expected OurAirports or OpenFlights)");
+    }
+    if (format === "ourairports" && detectFormat(rows) !== "ourairports") {
+      throw badCsv("OurAirports CSV needs its header row");
+    }
+
+    const records =
+      format === "ourairports"
+        ? ourAirportsRecords(rows, options)
+        : openFlightsRecords(rows, options);
+
+    const report = {
+      format,
+      rows: 0,
+      inserted: 0,
+      updated: 0,
+      unchanged: 0,
+      skipped: 0,
+      skipped_by: {},
+      dry_run: !!options.dryRun,
+    };
+    const skip = (reason) => {
+      report.skipped++;
+      report.skipped_by[reason] = (report.skipped_by[reason] || 0) + 1;
+    };
+
+    const existing = await all(
+      `SELECT id, iata, icao, name, city, country, country_code, lat, lon FROM airports`
+    );
+    const byIata = new Map();
+    const byIcao = new Map();
+    const remember = (a) => {
+      if (a.iata) byIata.set(String(a.iata).toUpperCase(), a);
+      if (a.icao) byIcao.set(String(a.icao).toUpperCase(), a);
+    };
+    existing.forEach(remember);
+
+    // rows to write; values are read at flush time, so a later line of the
+    // file updating a queued airport just changes what gets written
+    let pending = new Set();
+    async function flush() {
+      const batch = [...pending];
+      pending = new Set();
+      await withTransaction(async () => {
+        for (const a of batch) {
+          if (a.id == null) {
+            const r = await run(
+              `INSERT INTO airports (iata, icao, name, city, country, country_code, lat, lon)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+              [a.iata, a.icao, a.name, a.city, a.country, a.country_code, a.lat, a.lon]
+            );
+            a.id = r.lastID;
+          } else {
+            await run(
+              `UPDATE airports
+               SET iata = ?, icao = ?, name = ?, city = ?, country = ?, country_code = ?, lat = ?, lon = ?
+               WHERE id = ?`,
+              [a.iata, a.icao, a.name, a.city, a.country, a.country_code, a.lat, a.lon, a.id]
+            );
+          }
+        }
+      });
+      // let the requests queued behind the transaction run before the next chunk
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    const queue = async (a) => {
+      if (options.dryRun) return;
+      pending.add(a);
+      if (pending.size >= CHUNK_ROWS) await flush();
+    };
+
+    for (const rec of records) {
+      report.rows++;
+      if (rec.reason) {
+        skip(rec.reason);
+        continue;
+      }
+
+      const a = rec.airport;
+      if (!a.iata && !a.icao) {
+        skip("no_code");
+        continue;
+      }
+      if (!a.name) {
+        skip("invalid");
+        continue;
+      }
+
+      const found = (a.iata && byIata.get(a.iata)) || (a.icao && byIcao.get(a.icao));
+      if (!found) {
+        const row = { id: null, ...a };
+        remember(row);
+        await queue(row);
+        report.inserted++;
+        continue;
+      }
+
+      // missing values in the file never wipe what we already have
+      const next = { ...found };
+      for (const f of FIELDS) if (a[f] != null) next[f] = a[f];
+      if (FIELDS.every((f) => next[f] === found[f])) {
+        report.unchanged++;
+        continue;
+      }
+
+      Object.assign(found, next);
+      remember(found);
+      await queue(found);
+      report.updated++;
+    }
+    if (pending.size) await flush();
+
+    return report;
+  }
+
+  return { importCsv, detectFormat, normalizeCountry, FORMATS };
+};
+
+module.exports.parseCsv = parseCsv;
+module.exports.FORMATS = FORMATS;
@@ -0,0 +1,233 @@
+// src/modules/airport-store.js
+/* =====================
+   AIRPORT LOOKUPS (shared by airports + carry)
+   - findByIata("jfk") -> airport row | null
+   - withinRadius({ lat, lon }, km) -> airports sorted by distance
+   - nearest({ lat, lon }, { limit }) -> closest airports, however far
+   - distanceKm(a, b) great-circle distance (haversine)
+   - search("sao pau") -> autocomplete rows (airports_fts, migration 013)
+   bounding box in SQL (uses idx_airports_lat), exact distance in JS
+===================== */
+
+const EARTH_RADIUS_KM = 6371;
+
+// accents / Arabic hamza + harakat off, ة -> ه, ى -> ي (matches the stored aliases)
+function foldSearchText(v) {
+  return String(v || "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .replace(/ة/g, "ه")
+    .replace(/ى/g, "ي")
+    .toLowerCase();
+}
+
+// Levenshtein, gives up (returns max + 1) once the distance is over max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(
+        prev[j] + 1,
+        cur[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+module.exports = function createAirportStore(opts) {
+  const { data } = opts;
+  const { get, all } = data;
+
+  const AIRPORT_COLUMNS = `id, iata, icao, name, city, country, country_code, lat, lon`;
+
+  function normalizeIata(v) {
+    const code = String(v || "").trim().toUpperCase();
+    return /^[A-Z]{3}$/.test(code) ? code : null;
+  }
+
+  function hasCoords(a) {
+    if (!a || a.lat == null || a.lon == null) return false;
+    return Number.isFinite(Number(a.lat)) && Number.isFinite(Number(a.lon));
+  }
+
+  function distanceKm(a, b) {
+    const rad = (d) => (Number(d) * Math.PI) / 180;
+    const dLat = rad(b.lat - a.lat);
+    const dLon = rad(b.lon - a.lon);
+    const h =
+      Math.sin(dLat / 2) ** 2 +
+      Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+  }
+
+  async function findByIata(code) {
+    const iata = normalizeIata(code);
+    if (!iata) return null;
+    return get(
+      `SELECT ${AIRPORT_COLUMNS} FROM airports WHERE UPPER(iata) = ? LIMIT 1`,
+      [iata]
+    );
+  }
+
+  // [{ ...airport, distance_km }] nearest first
+  async function withinRadius(origin, radiusKm, { limit = 500 } = {}) {
+    if (!hasCoords(origin)) return [];
+
+    const lat = Number(origin.lat);
+    const lon = Number(origin.lon);
+    const dLat = radiusKm / 111.32;
+    const cosLat = Math.cos((lat * Math.PI) / 180);
+    // near the poles the box covers every longitude
+    const dLon = cosLat > 0.01 ? radiusKm / (111.32 * cosLat) : 180;
+
+    const params = [lat - dLat, lat + dLat];
+    let lonWhere = "";
+    if (dLon < 180) {
+      const minLon = lon - dLon;
+      const maxLon = lon + dLon;
+      // box crossing the antimeridian wraps around
+      if (minLon < -180) {
+        lonWhere = `AND (lon >= ? OR lon <= ?)`;
+        params.push(minLon + 360, maxLon);
+      } else if (maxLon > 180) {
+        lonWhere = `AND (lon >= ? OR lon <= ?)`;
+        params.push(minLon, maxLon - 360);
+      } else {
+        lonWhere = `AND lon BETWEEN ? AND ?`;
+        params.push(minLon, maxLon);
+      }
+    }
+
+    const rows = await all(
+      `
+      SELECT ${AIRPORT_COLUMNS} FROM airports
+      WHERE lat BETWEEN ? AND ? ${lonWhere}
+        AND lon IS NOT NULL
+      `,
+      params
+    );
+
+    return rows
+      .map((a) => ({ ...a, distance_km: distanceKm({ lat, lon }, a) }))
+      .filter((a) => a.distance_km <= radiusKm)
+      .sort((a, b) => a.distance_km - b.distance_km)
+      .slice(0, limit);
+  }
+
+  // widen the box until enough airports are in it (half the equator covers all)
+  async function nearest(origin, { limit = 10, maxKm = EARTH_RADIUS_KM * Math.PI } = {}) {
+    if (!hasCoords(origin)) return [];
+    let km = Math.min(50, maxKm);
+    for (;;) {
+      const rows = await withinRadius(origin, km, { limit });
+      if (rows.length >= limit || km >= maxKm) return rows;
+      km = Math.min(km * 4, maxKm);
+    }
+  }
+
+  async function matchTokens(tokens, q, limit) {
+    const qLower = q.toLowerCase();
+    const starts = `${qLower}%`;
+    // every token is a prefix: "jf" -> JFK, "sao pau" -> São Paulo
+    const match = tokens.map((t) => `"${t}"*`).join(" ");
+
+    return all(
+      `
+      SELECT a.iata, a.icao, a.name, a.city, a.country, a.country_code, a.lat, a.lon
+      FROM airports_fts
+      JOIN airports a ON a.id = airports_fts.rowid
+      WHERE airports_fts MATCH ?
+      ORDER BY
+        CASE
+          WHEN LOWER(COALESCE(a.iata,'')) = ? THEN 0
+          WHEN LOWER(COALESCE(a.iata,'')) LIKE ? THEN 1
+          WHEN LOWER(COALESCE(a.city,'')) LIKE ? THEN 2
+          WHEN LOWER(COALESCE(a.name,'')) LIKE ? THEN 3
+          ELSE 4
+        END,
+        -- iata, icao, name, city, country, aliases
+        bm25(airports_fts, 10.0, 8.0, 2.0, 4.0, 1.0, 4.0),
+        LENGTH(COALESCE(a.iata,'')) ASC,
+        LENGTH(COALESCE(a.city,'')) ASC
+      LIMIT ?
+      `,
+      [match, qLower, starts, starts, starts, limit]
+    );
+  }
+
+  // nearest indexed term per unknown token (null = nothing close enough)
+  async function correctTokens(tokens) {
+    const out = [];
+    let changed = false;
+
+    for (const [i, token] of tokens.entries()) {
+      const known = await get(
+        `SELECT 1 AS ok FROM airports_fts_terms WHERE term >= ? AND term < ? LIMIT 1`,
+        [token, `${token}\uffff`]
+      );
+      if (known || token.length < 3) {
+        out.push(token);
+        continue;
+      }
+
+      const max = token.length <= 5 ? 1 : 2;
+      // the last token is still being typed: compare with term prefixes too
+      const typing = i === tokens.length - 1;
+      const terms = await all(
+        `SELECT term, doc FROM airports_fts_terms
+         WHERE length(term) >= ? ${typing ? "" : "AND length(term) <= ?"}`,
+        typing ? [token.length - max] : [token.length - max, token.length + max]
+      );
+
+      let best = null;
+      for (const t of terms) {
+        let d = editDistance(token, t.term, max);
+        if (typing && t.term.length > token.length) {
+          d = Math.min(d, editDistance(token, t.term.slice(0, token.length), max));
+        }
+        if (d > max) continue;
+        if (!best || d < best.d || (d === best.d && t.doc > best.doc)) {
+          best = { term: t.term, d, doc: t.doc };
+        }
+      }
+      if (!best) return null;
+      out.push(best.term);
+      changed = true;
+    }
+    return changed ? out : null;
+  }
+
+  // autocomplete: FTS prefix match first, edit-distance fallback for typos
+  async function search(q, { limit = 20 } = {}) {
+    const text = String(q || "").trim();
+    const tokens = foldSearchText(text)
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean)
+      .slice(0, 8);
+    if (!tokens.length) return [];
+
+    const rows = await matchTokens(tokens, text, limit);
+    if (rows.length) return rows;
+
+    const corrected = await correctTokens(tokens);
+    return corrected ? matchTokens(corrected, text, limit) : [];
+  }
+
+  return {
+    normalizeIata,
+    findByIata,
+    withinRadius,
+    nearest,
+    distanceKm,
+    hasCoords,
+    search,
+  };
+};
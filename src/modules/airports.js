@@ -1,65 +1,53 @@
 // backend/src/modules/airports.js
 /* =====================
    AIRPORTS MODULE
-   - SQLite table + indexes
-   - Search endpoint for autocomplete
+   - SQLite table + indexes (src/migrations/001_baseline.js)
+   - Search endpoint for autocomplete (FTS5 + typo fallback, see airport-store)
+   - GET /api/airports/nearest?lat=&lon=&limit=&max_km=
+   - GET /api/airports/distance?from=CAI&to=JFK   -> km + miles (great circle)
+   - POST /api/admin/airports/import  (airports.manage)
+       body: the raw CSV file (Content-Type text/csv | text/plain | application/octet-stream)
+             or JSON { csv, format, skip_closed, skip_heliports } (JSON bodies
+             stop at 1 MB: send full datasets as the raw CSV)
+       query: ?format=ourairports|openflights &skip_closed=1 &skip_heliports=1 &dry_run=1
 ===================== */
 
+const KM_PER_MILE = 1.609344;
+
+const IMPORT_MAX_BYTES =
+  Math.max(1, Number(process.env.AIRPORT_IMPORT_MAX_MB) || 50) * 1024 * 1024;
+
 module.exports = function registerAirports(opts) {
-  const { app, db } = opts;
+  const { app, data, airports, importer, authRequired, requirePermission } = opts;
+  const { all } = data;
 
-  const run = (sql, params = []) =>
-    new Promise((resolve, reject) => {
-      db.run(sql, params, function (err) {
-        if (err) reject(err);
-        else resolve(this);
-      });
-    });
+  const flag = (v) => ["1", "true", "yes"].includes(String(v ?? "").toLowerCase());
 
-  const all = (sql, params = []) =>
-    new Promise((resolve, reject) => {
-      db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  // express.json only parses JSON: a CSV upload is still an unread stream
+  // too large: stop buffering and drain the rest (the socket stays up, so
+  // the client gets the 413 instead of a reset)
+  function readRawBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+      let chunks = [];
+      let size = 0;
+      const onData = (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          chunks = null;
+          req.off("data", onData);
+          req.resume();
+          reject(Object.assign(new Error("too_large"), { code: "TOO_LARGE" }));
+          return;
+        }
+        chunks.push(chunk);
+      };
+      req.on("data", onData);
+      req.on("end", () => chunks && resolve(Buffer.concat(chunks).toString("utf8")));
+      req.on("error", reject);
     });
-
-  // ✅ 1) Ensure schema
-  async function ensureAirportsSchema() {
-    await run(`
-      CREATE TABLE IF NOT EXISTS airports (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        iata TEXT,
-        icao TEXT,
-        name TEXT,
-        city TEXT,
-        country TEXT,
-        country_code TEXT,
-        lat REAL,
-        lon REAL
-      );
-    `);
-
-    await run(
-      `CREATE INDEX IF NOT EXISTS idx_airports_iata ON airports(iata);`
-    );
-    await run(
-      `CREATE INDEX IF NOT EXISTS idx_airports_icao ON airports(icao);`
-    );
-    await run(
-      `CREATE INDEX IF NOT EXISTS idx_airports_city ON airports(city);`
-    );
-    await run(
-      `CREATE INDEX IF NOT EXISTS idx_airports_name ON airports(name);`
-    );
-    await run(
-      `CREATE INDEX IF NOT EXISTS idx_airports_country ON airports(country);`
-    );
   }
 
-  // ✅ run once on boot
-  ensureAirportsSchema().catch((e) =>
-    console.error("[AIRPORTS] schema init error", e)
-  );
-
-  // ✅ 2) Search endpoint
+  // ✅ Search endpoint
   app.get("/api/airports/search", async (req, res) => {
     try {
       const q = String(req.query.q || "").trim();
@@ -70,36 +58,7 @@ module.exports = function registerAirports(opts) {
 
       if (q.length < 2) return res.json([]);
 
-      const qLower = q.toLowerCase();
-      const like = `%${qLower}%`;
-      const starts = `${qLower}%`;
-
-      const rows = await all(
-        `
-        SELECT
-          iata, icao, name, city, country, country_code, lat, lon
-        FROM airports
-        WHERE
-          LOWER(COALESCE(iata,'')) LIKE ? OR
-          LOWER(COALESCE(icao,'')) LIKE ? OR
-          LOWER(COALESCE(city,'')) LIKE ? OR
-          LOWER(COALESCE(name,'')) LIKE ? OR
-          LOWER(COALESCE(country,'')) LIKE ?
-        ORDER BY
-          CASE
-            WHEN LOWER(COALESCE(iata,'')) = ? THEN 0
-            WHEN LOWER(COALESCE(iata,'')) LIKE ? THEN 1
-            WHEN LOWER(COALESCE(city,'')) LIKE ? THEN 2
-            WHEN LOWER(COALESCE(name,'')) LIKE ? THEN 3
-            ELSE 4
-          END,
-          LENGTH(COALESCE(iata,'')) ASC,
-          LENGTH(COALESCE(city,'')) ASC
-        LIMIT ?
-        `,
-        [like, like, like, like, like, qLower, starts, starts, starts, limit]
-      );
-
+      const rows = await airports.search(q, { limit });
       res.json(rows);
     } catch (e) {
       console.error("[AIRPORTS] search error", e);
@@ -107,7 +66,73 @@ module.exports = function registerAirports(opts) {
     }
   });
 
-  // ✅ 3) optional health
+  const round1 = (n) => Math.round(n * 10) / 10;
+
+  // ✅ Nearest airports to a point
+  app.get("/api/airports/nearest", async (req, res) => {
+    try {
+      const lat = Number(req.query.lat);
+      const lon = Number(req.query.lon);
+      if (
+        req.query.lat == null ||
+        req.query.lon == null ||
+        !Number.isFinite(lat) ||
+        !Number.isFinite(lon) ||
+        Math.abs(lat) > 90 ||
+        Math.abs(lon) > 180
+      ) {
+        return res.status(400).json({ error: "lat (-90..90) and lon (-180..180) are required" });
+      }
+
+      const limit = Math.min(50, Math.max(1, parseInt(req.query.limit || "10", 10) || 10));
+      const maxKm = Number(req.query.max_km) > 0 ? Number(req.query.max_km) : undefined;
+
+      const rows = await airports.nearest({ lat, lon }, { limit, maxKm });
+      res.json(
+        rows.map((a) => ({
+          ...a,
+          distance_km: round1(a.distance_km),
+          distance_mi: round1(a.distance_km / KM_PER_MILE),
+        }))
+      );
+    } catch (e) {
+      console.error("[AIRPORTS] nearest error", e);
+      res.status(500).json({ error: "nearest_failed" });
+    }
+  });
+
+  // ✅ Distance between two airports (IATA codes)
+  app.get("/api/airports/distance", async (req, res) => {
+    try {
+      const ends = {};
+      for (const side of ["from", "to"]) {
+        const raw = String(req.query[side] || "").trim();
+        if (!raw) return res.status(400).json({ error: "from and to are required" });
+
+        const airport = await airports.findByIata(raw);
+        if (!airport)
+          return res.status(404).json({ error: `Unknown airport: ${raw.toUpperCase()}` });
+        if (!airports.hasCoords(airport))
+          return res
+            .status(422)
+            .json({ error: `Airport ${airport.iata} has no coordinates` });
+        ends[side] = airport;
+      }
+
+      const km = airports.distanceKm(ends.from, ends.to);
+      res.json({
+        from: ends.from,
+        to: ends.to,
+        distance_km: round1(km),
+        distance_mi: round1(km / KM_PER_MILE),
+      });
+    } catch (e) {
+      console.error("[AIRPORTS] distance error", e);
+      res.status(500).json({ error: "distance_failed" });
+    }
+  });
+
+  // ✅ optional health
   app.get("/api/airports/health", async (_req, res) => {
     try {
       const r = await all(`SELECT COUNT(*) AS count FROM airports`);
@@ -116,4 +141,48 @@ module.exports = function registerAirports(opts) {
       res.status(500).json({ ok: false });
     }
   });
+
+  // ✅ Admin: load / refresh the dataset from an uploaded CSV
+  app.post(
+    "/api/admin/airports/import",
+    authRequired,
+    requirePermission("airports.manage"),
+    async (req, res) => {
+      try {
+        const isJson = req.is("application/json");
+        const body = isJson ? req.body || {} : {};
+        const csv = isJson
+          ? String(body.csv || "")
+          : await readRawBody(req, IMPORT_MAX_BYTES);
+        if (!csv.trim()) return res.status(400).json({ error: "CSV file is required" });
+
+        const format = String(req.query.format || body.format || "").toLowerCase();
+        if (format && !importer.FORMATS.includes(format)) {
+          return res.status(400).json({ error: "format must be ourairports or openflights" });
+        }
+
+        const report = await importer.importCsv(csv, {
+          format: format || null,
+          skipClosed: flag(req.query.skip_closed ?? body.skip_closed),
+          skipHeliports: flag(req.query.skip_heliports ?? body.skip_heliports),
+          dryRun: flag(req.query.dry_run ?? body.dry_run),
+        });
+
+        console.log(
+          `[AIRPORTS] import by user ${req.user.id}: ${report.inserted} inserted, ` +
+            `${report.updated} updated, ${report.skipped} skipped`
+        );
+        res.json(report);
+      } catch (e) {
+        if (e.code === "BAD_CSV") return res.status(400).json({ error: e.message });
+        if (e.code === "TOO_LARGE")
+          return res
+            .status(413)
+            .set("Connection", "close")
+            .json({ error: "CSV file is too large" });
+        console.error("[AIRPORTS] import error", e);
+        res.status(500).json({ error: "import_failed" });
+      }
+    }
+  );
 };
@@ -2,13 +2,43 @@
 module.exports = function registerAuthRoutes({
   app,
   bcrypt,
-  dbRun,
-  dbGet,
+  data,
   safeTrim,
   signToken,
   ensureProfileRow,
+  loginGuard,
+  sessions,
+  authRequired,
+  authOptional,
+  accessTokenTtlSec,
+  toInt,
+  sendVerificationEmail,
 }) {
-  app.post("/api/auth/register", (req, res) => {
+  const { get, run } = data;
+
+  // ✅ new device session -> short access token + rotating refresh token
+  async function issueSession(req, user) {
+    const { sessionId, refreshToken } = await sessions.create({
+      userId: user.id,
+      ip: loginGuard.clientIp(req),
+      userAgent: req.headers["user-agent"],
+      deviceName: safeTrim(req.body?.device_name ?? req.body?.deviceName),
+    });
+
+    return {
+      token: signToken({
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        sid: sessionId,
+        email_verified: !!user.email_verified_at,
+      }),
+      refresh_token: refreshToken,
+      expires_in: accessTokenTtlSec,
+    };
+  }
+
+  app.post("/api/auth/register", async (req, res) => {
     const { username, email, password } = req.body || {};
     if (!username || !email || !password) {
       return res.status(400).json({ message: "Missing fields" });
@@ -16,75 +46,237 @@ module.exports = function registerAuthRoutes({
 
     const hash = bcrypt.hashSync(password, 10);
 
-    dbRun(
-      `INSERT INTO users (username, email, password_hash) VALUES (?, ?, ?)`,
-      [safeTrim(username), safeTrim(email).toLowerCase(), hash],
-      function (err) {
-        if (err) {
-          const msg = String(err.message || "").toLowerCase();
-
-          if (msg.includes("unique") || msg.includes("constraint")) {
-            return res.status(400).json({ message: "Email already exists" });
-          }
-
-          return res.status(500).json({ message: "Register failed" });
-        }
-
-        const user = {
-          id: this.lastID,
-          username: safeTrim(username),
-          email: safeTrim(email).toLowerCase(),
-          phone: "",
-          address: "",
-          bio: "",
-        };
-
-        ensureProfileRow(user.id, () => {});
-
-        return res.json({
-          token: signToken({
-            id: user.id,
-            username: user.username,
-            email: user.email,
-          }),
-          user,
-        });
+    let r;
+    try {
+      r = await run(
+        `INSERT INTO users (username, email, password_hash) VALUES (?, ?, ?)`,
+        [safeTrim(username), safeTrim(email).toLowerCase(), hash]
+      );
+    } catch (err) {
+      const msg = String(err.message || "").toLowerCase();
+
+      if (msg.includes("unique") || msg.includes("constraint")) {
+        return res.status(400).json({ message: "Email already exists" });
       }
+
+      return res.status(500).json({ message: "Register failed" });
+    }
+
+    const user = {
+      id: r.lastID,
+      username: safeTrim(username),
+      email: safeTrim(email).toLowerCase(),
+      phone: "",
+      address: "",
+      bio: "",
+      email_verified: false,
+    };
+
+    ensureProfileRow(user.id).catch((e) =>
+      console.error("[auth] profile row", e)
+    );
+
+    // ✅ account stays read-only until the email link is opened
+    sendVerificationEmail(user).catch((e) =>
+      console.error("[auth] verification email", e)
     );
+
+    try {
+      const tokens = await issueSession(req, user);
+      return res.json({ ...tokens, user });
+    } catch (e) {
+      console.error("[auth] register session", e);
+      return res.status(500).json({ message: "Register failed" });
+    }
   });
 
-  app.post("/api/auth/login", (req, res) => {
+  // dummy hash so unknown emails cost the same bcrypt time as real ones
+  const DUMMY_HASH = bcrypt.hashSync("not-a-real-password", 10);
+
+  app.post("/api/auth/login", async (req, res) => {
     const { email, password } = req.body || {};
     if (!email || !password)
       return res.status(400).json({ message: "Missing fields" });
 
-    dbGet(
-      `SELECT * FROM users WHERE email = ?`,
-      [safeTrim(email).toLowerCase()],
-      (err, user) => {
-        if (err) return res.status(500).json({ message: "Login failed" });
-        if (!user) return res.sendStatus(401);
+    const cleanEmail = safeTrim(email).toLowerCase();
+
+    try {
+      // ✅ locked account / ip -> don't even check the password
+      const lock = await loginGuard.checkLocked(
+        cleanEmail,
+        loginGuard.clientIp(req)
+      );
+      if (lock) {
+        await loginGuard.recordAttempt({
+          req,
+          email: cleanEmail,
+          success: false,
+          reason: lock.scope === "ip" ? "locked_ip" : "locked_account",
+        });
+        res.set("Retry-After", String(lock.retry_after));
+        return res.status(429).json({
+          message: "Too many failed login attempts. Try again later.",
+          retry_after: lock.retry_after,
+        });
+      }
+
+      const user = await get(`SELECT * FROM users WHERE email = ?`, [
+        cleanEmail,
+      ]);
+
+      const ok = await bcrypt.compare(
+        String(password),
+        user?.password_hash || DUMMY_HASH
+      );
+
+      if (!user || !user.password_hash || !ok) {
+        await loginGuard.recordFailure({
+          req,
+          email: cleanEmail,
+          userId: user?.id || null,
+          reason: user ? "bad_password" : "unknown_email",
+        });
+        return res.sendStatus(401);
+      }
+
+      await loginGuard.recordSuccess({ req, email: cleanEmail, userId: user.id });
+
+      const me = {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        phone: user.phone || "",
+        address: user.address || "",
+        bio: user.bio || "",
+        email_verified: !!user.email_verified_at,
+      };
+
+      ensureProfileRow(user.id).catch((e) =>
+        console.error("[auth] profile row", e)
+      );
 
-        const me = {
+      const tokens = await issueSession(req, user);
+      return res.json({ ...tokens, user: me });
+    } catch (e) {
+      console.error("[auth] login", e);
+      return res.status(500).json({ message: "Login failed" });
+    }
+  });
+
+  /* =====================
+     SESSIONS (refresh / logout / devices)
+  ===================== */
+  app.post("/api/auth/refresh", async (req, res) => {
+    const refreshToken = safeTrim(
+      req.body?.refresh_token ?? req.body?.refreshToken
+    );
+    if (!refreshToken)
+      return res.status(400).json({ message: "Missing refresh_token" });
+
+    try {
+      const r = await sessions.rotate(refreshToken, {
+        ip: loginGuard.clientIp(req),
+      });
+      if (r.error)
+        return res
+          .status(401)
+          .json({ message: "Invalid refresh token", reason: r.error });
+
+      const user = await get(
+        `SELECT id, username, email, email_verified_at FROM users WHERE id = ?`,
+        [r.session.user_id]
+      );
+      if (!user) {
+        await sessions.revoke(r.session.id, { reason: "user_missing" });
+        return res.status(401).json({ message: "Invalid refresh token" });
+      }
+
+      return res.json({
+        token: signToken({
           id: user.id,
           username: user.username,
           email: user.email,
-          phone: user.phone || "",
-          address: user.address || "",
-          bio: user.bio || "",
-        };
-
-        ensureProfileRow(user.id, () => {});
-
-        return res.json({
-          token: signToken({
-            id: user.id,
-            username: user.username,
-            email: user.email,
-          }),
-          user: me,
+          sid: r.session.id,
+          email_verified: !!user.email_verified_at,
+        }),
+        refresh_token: r.refreshToken,
+        expires_in: accessTokenTtlSec,
+      });
+    } catch (e) {
+      console.error("[auth] refresh", e);
+      return res.status(500).json({ message: "Refresh failed" });
+    }
+  });
+
+  // logout this device: refresh token alone is enough (access token may be expired)
+  app.post("/api/auth/logout", authOptional, async (req, res) => {
+    const refreshToken = safeTrim(
+      req.body?.refresh_token ?? req.body?.refreshToken
+    );
+
+    try {
+      if (refreshToken) {
+        const s = await sessions.findByRefreshToken(refreshToken);
+        if (s) await sessions.revoke(s.id, { reason: "logout" });
+      } else if (req.user?.sid) {
+        await sessions.revoke(req.user.sid, {
+          userId: req.user.id,
+          reason: "logout",
         });
+      } else if (!req.user) {
+        return res.sendStatus(401);
       }
-    );
+      return res.json({ ok: true });
+    } catch (e) {
+      console.error("[auth] logout", e);
+      return res.status(500).json({ message: "Logout failed" });
+    }
+  });
+
+  app.get("/api/auth/sessions", authRequired, async (req, res) => {
+    try {
+      const rows = await sessions.listForUser(req.user.id);
+      return res.json({
+        sessions: (rows || []).map((s) => ({
+          ...s,
+          current: Number(s.id) === Number(req.user.sid || 0),
+        })),
+      });
+    } catch (e) {
+      console.error("[auth] sessions list", e);
+      return res.status(500).json({ message: "Failed to load sessions" });
+    }
+  });
+
+  // revoke one device
+  app.delete("/api/auth/sessions/:id", authRequired, async (req, res) => {
+    const id = toInt(req.params.id);
+    if (!id) return res.status(400).json({ message: "Bad id" });
+
+    try {
+      const changed = await sessions.revoke(id, {
+        userId: req.user.id,
+        reason: "revoked",
+      });
+      if (!changed) return res.status(404).json({ message: "Session not found" });
+      return res.json({ ok: true });
+    } catch (e) {
+      console.error("[auth] sessions revoke", e);
+      return res.status(500).json({ message: "Revoke failed" });
+    }
+  });
+
+  // revoke every other device (keeps the current one)
+  app.delete("/api/auth/sessions", authRequired, async (req, res) => {
+    try {
+      const revoked = await sessions.revokeAllForUser(req.user.id, {
+        exceptSessionId: req.user.sid || null,
+        reason: "revoked",
+      });
+      return res.json({ ok: true, revoked });
+    } catch (e) {
+      console.error("[auth] sessions revoke all", e);
+      return res.status(500).json({ message: "Revoke failed" });
+    }
   });
 };
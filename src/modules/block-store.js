@@ -0,0 +1,141 @@
+// src/modules/block-store.js
+/* =====================
+   BLOCKS + MUTES (user_blocks, user_mutes)
+   - block(blockerId, blockedId) / unblock(...)
+       blocking also ends follows both ways
+   - isBlocked(a, b): either side blocked the other (no contact both ways:
+     messages, follows, reviews, carry requests; content hidden both ways)
+   - hasBlocked(blockerId, blockedId): one direction only (UI state)
+   - mute(muterId, mutedId) / unmute(...): muted posts leave the muter's feeds only
+   - visibleTo(viewerId, col, { mutes }) -> { sql, params } | null
+       WHERE filter for rows authored by `col` (null for anonymous viewers)
+   - list(blockerId) / listMuted(muterId) -> [{ user_id, username, created_at }]
+===================== */
+
+function blockError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+module.exports = function createBlockStore(opts) {
+  const { data } = opts;
+  const { all, get, run, withTransaction } = data;
+
+  async function otherUser(meId, otherId, verb) {
+    if (Number(meId) === Number(otherId))
+      throw blockError("BAD_USER", `You can't ${verb} yourself`);
+    const user = await get(`SELECT id FROM users WHERE id = ?`, [otherId]);
+    if (!user) throw blockError("NOT_FOUND", "User not found");
+  }
+
+  async function block(blockerId, blockedId) {
+    await otherUser(blockerId, blockedId, "block");
+
+    return withTransaction(async () => {
+      const r = await run(
+        `INSERT OR IGNORE INTO user_blocks (blocker_id, blocked_id) VALUES (?, ?)`,
+        [blockerId, blockedId]
+      );
+      await run(
+        `DELETE FROM follows
+         WHERE (follower_id = ? AND following_id = ?) OR (follower_id = ? AND following_id = ?)`,
+        [blockerId, blockedId, blockedId, blockerId]
+      );
+      return r.changes > 0;
+    });
+  }
+
+  async function unblock(blockerId, blockedId) {
+    const r = await run(
+      `DELETE FROM user_blocks WHERE blocker_id = ? AND blocked_id = ?`,
+      [blockerId, blockedId]
+    );
+    return r.changes > 0;
+  }
+
+  async function hasBlocked(blockerId, blockedId) {
+    const row = await get(
+      `SELECT 1 AS x FROM user_blocks WHERE blocker_id = ? AND blocked_id = ?`,
+      [blockerId, blockedId]
+    );
+    return !!row;
+  }
+
+  async function isBlocked(a, b) {
+    const row = await get(
+      `SELECT 1 AS x FROM user_blocks
+       WHERE (blocker_id = ? AND blocked_id = ?) OR (blocker_id = ? AND blocked_id = ?)`,
+      [a, b, b, a]
+    );
+    return !!row;
+  }
+
+  async function mute(muterId, mutedId) {
+    await otherUser(muterId, mutedId, "mute");
+    const r = await run(
+      `INSERT OR IGNORE INTO user_mutes (muter_id, muted_id) VALUES (?, ?)`,
+      [muterId, mutedId]
+    );
+    return r.changes > 0;
+  }
+
+  async function unmute(muterId, mutedId) {
+    const r = await run(
+      `DELETE FROM user_mutes WHERE muter_id = ? AND muted_id = ?`,
+      [muterId, mutedId]
+    );
+    return r.changes > 0;
+  }
+
+  async function hasMuted(muterId, mutedId) {
+    const row = await get(
+      `SELECT 1 AS x FROM user_mutes WHERE muter_id = ? AND muted_id = ?`,
+      [muterId, mutedId]
+    );
+    return !!row;
+  }
+
+  // col = author column of the filtered rows, e.g. "p.user_id"
+  function visibleTo(viewerId, col, { mutes = false } = {}) {
+    const me = Number(viewerId) || 0;
+    if (!me) return null;
+
+    const parts = [
+      `NOT EXISTS (SELECT 1 FROM user_blocks ub
+         WHERE (ub.blocker_id = ? AND ub.blocked_id = ${col})
+            OR (ub.blocker_id = ${col} AND ub.blocked_id = ?))`,
+    ];
+    const params = [me, me];
+    if (mutes) {
+      parts.push(
+        `NOT EXISTS (SELECT 1 FROM user_mutes um WHERE um.muter_id = ? AND um.muted_id = ${col})`
+      );
+      params.push(me);
+    }
+    return { sql: parts.join(" AND "), params };
+  }
+
+  const listOf = (table, ownerCol, otherCol) => (userId) =>
+    all(
+      `SELECT t.${otherCol} AS user_id, u.username, t.created_at
+       FROM ${table} t
+       LEFT JOIN users u ON u.id = t.${otherCol}
+       WHERE t.${ownerCol} = ?
+       ORDER BY t.created_at DESC`,
+      [userId]
+    );
+
+  return {
+    block,
+    unblock,
+    hasBlocked,
+    isBlocked,
+    mute,
+    unmute,
+    hasMuted,
+    visibleTo,
+    list: listOf("user_blocks", "blocker_id", "blocked_id"),
+    listMuted: listOf("user_mutes", "muter_id", "muted_id"),
+  };
+};
@@ -0,0 +1,145 @@
+// src/modules/carry-matching.js
+/* =====================
+   CARRY MATCHING ENGINE
+   - sender listing  -> open traveler listings on the same route
+   - traveler listing -> open sender listings on the same route
+   - hard filters: same from/to country (an empty country matches nothing, not
+     every other empty one), travel dates within the window,
+     traveler capacity >= item weight (when both are known)
+   - score 0..100: cities (40) + date distance (30) + capacity (20) + reward (10)
+   - suggestions: carry_match_suggestions rows written when a listing is posted
+===================== */
+
+const DEFAULT_WINDOW_DAYS = 7;
+const MAX_WINDOW_DAYS = 60;
+
+module.exports = function createCarryMatcher(opts) {
+  const { data, toInt } = opts;
+  const { all, run } = data;
+
+  const norm = (v) => String(v || "").trim().toLowerCase();
+
+  function clampWindow(v) {
+    if (v == null || v === "") return DEFAULT_WINDOW_DAYS;
+    return Math.max(0, Math.min(MAX_WINDOW_DAYS, toInt(v)));
+  }
+
+  function daysBetween(a, b) {
+    const ta = Date.parse(a);
+    const tb = Date.parse(b);
+    if (!Number.isFinite(ta) || !Number.isFinite(tb)) return null;
+    return Math.round(Math.abs(ta - tb) / 86400000);
+  }
+
+  function cityScore(a, b) {
+    if (!norm(a) || !norm(b)) return 10; // unknown -> half
+    return norm(a) === norm(b) ? 20 : 0;
+  }
+
+  // listing = the one we match FOR, candidate = a listing of the other role
+  function scoreCandidate(listing, candidate, windowDays) {
+    const traveler = listing.role === "traveler" ? listing : candidate;
+    const sender = listing.role === "traveler" ? candidate : listing;
+
+    const sameFromCity = cityScore(listing.from_city, candidate.from_city);
+    const sameToCity = cityScore(listing.to_city, candidate.to_city);
+
+    const dateDiff = daysBetween(listing.travel_date, candidate.travel_date);
+    const dateScore =
+      dateDiff == null
+        ? 10
+        : windowDays
+        ? Math.round(30 * (1 - Math.min(dateDiff, windowDays) / (windowDays + 1)))
+        : 30;
+
+    const capacity = traveler.available_weight;
+    const weight = sender.available_weight;
+    const capacityKnown = capacity != null && weight != null;
+    const capacityScore = capacityKnown ? 20 : 10;
+
+    const rewardScore = sender.reward_amount != null && sender.reward_amount > 0 ? 10 : 0;
+
+    return {
+      score: sameFromCity + sameToCity + dateScore + capacityScore + rewardScore,
+      reasons: {
+        from_city: sameFromCity === 20 ? "same" : sameFromCity ? "unknown" : "different",
+        to_city: sameToCity === 20 ? "same" : sameToCity ? "unknown" : "different",
+        date_diff_days: dateDiff,
+        capacity_kg: capacity ?? null,
+        item_weight_kg: weight ?? null,
+        reward_amount: sender.reward_amount ?? null,
+      },
+    };
+  }
+
+  // ranked [{ listing(row), score, reasons }]
+  async function findMatches(listing, { windowDays, limit = 20, minScore = 0 } = {}) {
+    const window = clampWindow(windowDays);
+    const otherRole = listing.role === "traveler" ? "sender" : "traveler";
+    const iAmTraveler = listing.role === "traveler";
+    if (!norm(listing.from_country) || !norm(listing.to_country)) return [];
+
+    const rows = await all(
+      `
+      SELECT * FROM carry_listings c
+      WHERE c.role = ?
+        AND c.is_active = 1
+        AND c.hidden_at IS NULL
+        AND COALESCE(c.status, 'open') = 'open'
+        AND c.user_id <> ?
+        AND c.id <> ?
+        AND LOWER(TRIM(COALESCE(c.from_country, ''))) = ?
+        AND LOWER(TRIM(COALESCE(c.to_country, ''))) = ?
+        -- unknown / unparsable dates and weights don't exclude a listing
+        AND COALESCE(ABS(julianday(c.travel_date) - julianday(?)) <= ?, 1)
+        AND COALESCE(c.available_weight ${iAmTraveler ? "<=" : ">="} ?, 1)
+      LIMIT 500
+      `,
+      [
+        otherRole,
+        listing.user_id,
+        listing.id,
+        norm(listing.from_country),
+        norm(listing.to_country),
+        listing.travel_date || null,
+        window,
+        listing.available_weight ?? null,
+      ]
+    );
+
+    return rows
+      .map((row) => ({ listing: row, ...scoreCandidate(listing, row, window) }))
+      .filter((m) => m.score >= minScore)
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          (a.reasons.date_diff_days ?? 999) - (b.reasons.date_diff_days ?? 999) ||
+          Number(b.listing.id) - Number(a.listing.id)
+      )
+      .slice(0, limit);
+  }
+
+  // new listing posted: remember the good matches for both owners
+  async function suggestFor(listing, { minScore = 50, limit = 20 } = {}) {
+    if (!norm(listing.from_country) || !norm(listing.to_country)) return 0;
+
+    const matches = await findMatches(listing, { limit, minScore });
+    for (const m of matches) {
+      for (const [a, b] of [
+        [listing.id, m.listing.id],
+        [m.listing.id, listing.id],
+      ]) {
+        await run(
+          `INSERT INTO carry_match_suggestions (listing_id, matched_listing_id, score)
+           VALUES (?, ?, ?)
+           ON CONFLICT(listing_id, matched_listing_id) DO UPDATE SET
+             score = excluded.score`,
+          [a, b, m.score]
+        );
+      }
+    }
+    return matches.length;
+  }
+
+  return { findMatches, suggestFor, clampWindow };
+};
@@ -4,97 +4,34 @@
    ✅ New module only (no touching marketplace/community)
    ✅ Tables:
       - carry_listings
-      - carry_requests
-      - carry_messages
+      - carry_requests   (pending|waitlisted|accepted|rejected|cancelled)
+      - carry_threads + carry_messages (private per requester)
       - carry_reviews
+      - carry_status_history (lifecycle transitions)
+   ✅ requests / accept / reject / messages / reviews notify the other side
+   ✅ live: "carry.request" to user:<requester> + user:<owner> on every request
+      status change, "carry.message" to carry_thread:<id> (/api/stream)
+   ✅ listings / messages / reviews hidden by moderation (hidden_at, see
+      report-store) leave lists, matches, threads and ratings; a hidden
+      listing takes no requests
 ===================== */
 
 module.exports = function registerCarry(opts) {
-  const { app, db, auth, safeTrim, safeJsonParse, toInt } = opts;
-  const { authRequired, authOptional, isAdminReq } = auth;
-
-  const all = (sql, params = []) =>
-    new Promise((resolve, reject) => {
-      db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
-    });
-
-  const get = (sql, params = []) =>
-    new Promise((resolve, reject) => {
-      db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
-    });
-
-  const run = (sql, params = []) =>
-    new Promise((resolve, reject) => {
-      db.run(sql, params, function (err) {
-        if (err) return reject(err);
-        resolve({ lastID: this.lastID, changes: this.changes });
-      });
-    });
-
-  // =====================
-  // DB ENSURE
-  // =====================
-  db.run(`
-    CREATE TABLE IF NOT EXISTS carry_listings (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER NOT NULL,
-
-      role TEXT NOT NULL,              -- traveler | sender
-      from_country TEXT,
-      from_city TEXT,
-      to_country TEXT,
-      to_city TEXT,
-
-      travel_date TEXT,
-      arrival_date TEXT,
-
-      available_weight REAL,
-      item_type TEXT,
-      description TEXT,
-
-      reward_amount REAL,
-      currency TEXT,
-
-      status TEXT DEFAULT 'open',      -- open|matched|in_transit|delivered|completed|cancelled
-      is_active INTEGER DEFAULT 1,
-
-      data_json TEXT,
-      created_at TEXT DEFAULT (datetime('now')),
-      updated_at TEXT DEFAULT (datetime('now'))
-    )
-  `);
-
-  db.run(`
-    CREATE TABLE IF NOT EXISTS carry_requests (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      listing_id INTEGER NOT NULL,
-      requester_id INTEGER NOT NULL,
-      status TEXT DEFAULT 'pending',    -- pending|accepted|rejected|cancelled
-      created_at TEXT DEFAULT (datetime('now'))
-    )
-  `);
-
-  db.run(`
-    CREATE TABLE IF NOT EXISTS carry_messages (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      listing_id INTEGER NOT NULL,
-      sender_id INTEGER NOT NULL,
-      message TEXT NOT NULL,
-      created_at TEXT DEFAULT (datetime('now'))
-    )
-  `);
-
-  db.run(`
-    CREATE TABLE IF NOT EXISTS carry_reviews (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      listing_id INTEGER NOT NULL,
-      reviewer_id INTEGER NOT NULL,
-      reviewed_user_id INTEGER NOT NULL,
-      rating INTEGER NOT NULL,
-      comment TEXT,
-      created_at TEXT DEFAULT (datetime('now'))
-    )
-  `);
+  const {
+    app,
+    auth,
+    matcher,
+    airports,
+    paging,
+    safeTrim,
+    safeJsonParse,
+    toInt,
+    notifier,
+    events,
+    blocks,
+  } = opts;
+  const { authRequired, authOptional, can } = auth;
+  const { all, get, run, withTransaction } = opts.data;
 
   function mapListing(row) {
     const data = safeJsonParse(row?.data_json) || {};
@@ -106,6 +43,8 @@ module.exports = function registerCarry(opts) {
       from_city: row.from_city || "",
       to_country: row.to_country || "",
       to_city: row.to_city || "",
+      from_iata: row.from_iata || null,
+      to_iata: row.to_iata || null,
       travel_date: row.travel_date || null,
       arrival_date: row.arrival_date || null,
       available_weight: row.available_weight ?? null,
@@ -122,6 +61,11 @@ module.exports = function registerCarry(opts) {
     };
   }
 
+  const DEFAULT_RADIUS_KM = 100;
+  const MAX_RADIUS_KM = 2000;
+
+  const SUGGEST_MATCHES = String(process.env.CARRY_SUGGEST_MATCHES ?? "1") !== "0";
+
   function clampRole(v) {
     const r = String(v || "")
       .trim()
@@ -129,10 +73,28 @@ module.exports = function registerCarry(opts) {
     return r === "traveler" || r === "sender" ? r : null;
   }
 
+  // from_iata / to_iata (or from_airport / to_airport) -> airports rows
+  // { from?, to? } or { error } when a code is not in the airports table
+  async function resolveRouteAirports(body) {
+    const out = {};
+    for (const side of ["from", "to"]) {
+      const raw = body?.[`${side}_iata`] ?? body?.[`${side}_airport`];
+      if (raw == null || String(raw).trim() === "") continue;
+
+      const airport = await airports.findByIata(raw);
+      if (!airport)
+        return {
+          error: `Unknown ${side} airport: ${String(raw).trim().toUpperCase()}`,
+        };
+      out[side] = airport;
+    }
+    return out;
+  }
+
   function canEdit(reqUserId, rowUserId, req) {
     if (!reqUserId) return false;
     if (Number(reqUserId) === Number(rowUserId)) return true;
-    return isAdminReq(req);
+    return can(req, "carry.moderate");
   }
 
   // =====================
@@ -145,10 +107,16 @@ module.exports = function registerCarry(opts) {
       const role = clampRole(req.body?.role);
       if (!role) return res.status(400).json({ error: "Bad role" });
 
-      const from_country = safeTrim(req.body?.from_country) || null;
-      const from_city = safeTrim(req.body?.from_city) || null;
-      const to_country = safeTrim(req.body?.to_country) || null;
-      const to_city = safeTrim(req.body?.to_city) || null;
+      const route = await resolveRouteAirports(req.body);
+      if (route.error) return res.status(400).json({ error: route.error });
+
+      // city / country default to the airport's when only a code is sent
+      const from_country =
+        safeTrim(req.body?.from_country) || route.from?.country || null;
+      const from_city = safeTrim(req.body?.from_city) || route.from?.city || null;
+      const to_country =
+        safeTrim(req.body?.to_country) || route.to?.country || null;
+      const to_city = safeTrim(req.body?.to_city) || route.to?.city || null;
 
       const travel_date = safeTrim(req.body?.travel_date) || null;
       const arrival_date = safeTrim(req.body?.arrival_date) || null;
@@ -172,10 +140,12 @@ module.exports = function registerCarry(opts) {
         `
         INSERT INTO carry_listings
         (user_id, role, from_country, from_city, to_country, to_city,
+         from_iata, to_iata,
          travel_date, arrival_date, available_weight, item_type, description,
          reward_amount, currency, status, is_active, data_json, updated_at)
         VALUES
         (?, ?, ?, ?, ?, ?,
+         ?, ?,
          ?, ?, ?, ?, ?,
          ?, ?, 'open', 1, ?, datetime('now'))
         `,
@@ -186,6 +156,8 @@ module.exports = function registerCarry(opts) {
           from_city,
           to_country,
           to_city,
+          route.from?.iata?.toUpperCase() || null,
+          route.to?.iata?.toUpperCase() || null,
           travel_date,
           arrival_date,
           Number.isFinite(available_weight) ? available_weight : null,
@@ -200,6 +172,14 @@ module.exports = function registerCarry(opts) {
       const row = await get(`SELECT * FROM carry_listings WHERE id=?`, [
         r.lastID,
       ]);
+
+      // ✅ suggested matches for both owners (CARRY_SUGGEST_MATCHES=0 turns it off)
+      if (SUGGEST_MATCHES) {
+        matcher
+          .suggestFor(row)
+          .catch((e) => console.error("[carry] suggest matches", e));
+      }
+
       return res.json({ ok: true, item: mapListing(row) });
     } catch (e) {
       console.error("[carry] create listing", e);
@@ -208,9 +188,23 @@ module.exports = function registerCarry(opts) {
   });
 
   // List (filters)
+  // ✅ ?limit=&cursor= -> next_cursor (no limit: the old 200 cap)
+  //    keyset on (created_at, id); near searches keyset on the distance
+  //    (from km, to km, newest first)
   app.get("/api/carry/listings", authOptional, async (req, res) => {
     try {
-      const where = ["is_active=1"];
+      const nearCount = ["from_near", "to_near"].filter((k) =>
+        String(req.query?.[k] || "").trim()
+      ).length;
+      const near = nearCount > 0;
+      const page = paging.readPage(req.query, {
+        keys: near ? nearCount + 1 : 2,
+        legacyLimit: 200,
+        max: 200,
+      });
+      if (page.error) return res.status(400).json({ error: page.error });
+
+      const where = ["is_active=1", "hidden_at IS NULL"];
       const params = [];
 
       const role = clampRole(req.query?.role);
@@ -224,10 +218,61 @@ module.exports = function registerCarry(opts) {
         where.push(`(
           from_country LIKE ? OR from_city LIKE ? OR
           to_country LIKE ? OR to_city LIKE ? OR
-          item_type LIKE ? OR description LIKE ?
+          item_type LIKE ? OR description LIKE ? OR
+          from_iata = UPPER(?) OR to_iata = UPPER(?)
         )`);
-        params.push(`%${q}%`, `%${q}%`, `%${q}%`, `%${q}%`, `%${q}%`, `%${q}%`);
+        params.push(`%${q}%`, `%${q}%`, `%${q}%`, `%${q}%`, `%${q}%`, `%${q}%`, q, q);
+      }
+
+      // ✅ exact airports: ?from_iata=JFK&to_iata=CAI
+      for (const col of ["from_iata", "to_iata"]) {
+        const raw = String(req.query?.[col] || "").trim();
+        if (!raw) continue;
+        const code = airports.normalizeIata(raw);
+        if (!code) return res.status(400).json({ error: `Bad ${col}` });
+        where.push(`${col}=?`);
+        params.push(code);
+      }
+
+      // ✅ radius: ?from_near=JFK&radius_km=150 (to_near works the same way)
+      const radiusKm = Math.min(
+        MAX_RADIUS_KM,
+        Math.max(1, Number(req.query?.radius_km) || DEFAULT_RADIUS_KM)
+      );
+      const distances = {};
+      const joins = [];
+      const joinParams = [];
+      for (const side of ["from", "to"]) {
+        const raw = String(req.query?.[`${side}_near`] || "").trim();
+        if (!raw) continue;
+
+        const center = await airports.findByIata(raw);
+        if (!center)
+          return res
+            .status(400)
+            .json({ error: `Unknown airport: ${raw.toUpperCase()}` });
+        if (!airports.hasCoords(center))
+          return res
+            .status(400)
+            .json({ error: `Airport ${center.iata} has no coordinates` });
+
+        const nearby = await airports.withinRadius(center, radiusKm);
+        if (!nearby.length)
+          return res.json({ ok: true, items: [], next_cursor: null });
+
+        // airport -> km as a joined VALUES table: SQL filters, sorts and pages
+        // by distance over every match
+        distances[side] = new Map(
+          nearby.map((a) => [String(a.iata).toUpperCase(), a.distance_km])
+        );
+        joins.push(
+          `JOIN (SELECT column1 AS iata, column2 AS km FROM (VALUES ${nearby
+            .map(() => "(?, ?)")
+            .join(",")})) ${side}_near ON ${side}_near.iata = l.${side}_iata`
+        );
+        joinParams.push(...[...distances[side]].flat());
       }
+      const nearSides = Object.keys(distances);
 
       const from_country = String(req.query?.from_country || "").trim();
       if (from_country) {
@@ -241,14 +286,47 @@ module.exports = function registerCarry(opts) {
         params.push(to_country);
       }
 
+      const nearKey = [...nearSides.map((side) => `${side}_near.km`), "-l.id"];
+      const after = near
+        ? paging.keyset(page, nearKey, "ASC")
+        : paging.keyset(page, ["COALESCE(created_at,'')", "id"]);
+      if (after) {
+        where.push(after.sql);
+        params.push(...after.params);
+      }
+
       const sql = `
-        SELECT * FROM carry_listings
+        SELECT l.*${nearSides.map((side) => `, ${side}_near.km AS ${side}_km`).join("")}
+        FROM carry_listings l
+        ${joins.join("\n        ")}
         WHERE ${where.join(" AND ")}
-        ORDER BY created_at DESC, id DESC
-        LIMIT 200
+        ORDER BY ${near ? nearKey.join(", ") : "COALESCE(created_at,'') DESC, id DESC"}
+        LIMIT ?
       `;
-      const rows = await all(sql, params);
-      return res.json({ ok: true, items: rows.map(mapListing) });
+      const rows = await all(sql, [...joinParams, ...params, page.sqlLimit]);
+
+      if (!near) {
+        const { items, next_cursor } = paging.pageOf(rows, page, (r) => [
+          r.created_at || "",
+          r.id,
+        ]);
+        return res.json({ ok: true, items: items.map(mapListing), next_cursor });
+      }
+
+      // near searches: closest departure (then arrival) airport first
+      const { items, next_cursor } = paging.pageOf(rows, page, (r) => [
+        ...nearSides.map((side) => r[`${side}_km`]),
+        -r.id,
+      ]);
+      return res.json({
+        ok: true,
+        items: items.map((r) => {
+          const it = mapListing(r);
+          for (const side of nearSides) it[`${side}_distance_km`] = r[`${side}_km`];
+          return it;
+        }),
+        next_cursor,
+      });
     } catch (e) {
       console.error("[carry] list", e);
       return res.status(500).json({ error: "Failed to load" });
@@ -265,32 +343,52 @@ module.exports = function registerCarry(opts) {
         `SELECT * FROM carry_listings WHERE id=? AND is_active=1`,
         [id]
       );
-      if (!row) return res.status(404).json({ error: "Not found" });
-
-      // attach requests count + last 20 messages + rating summary
+      // hidden: only the owner (and carry moderators) still see it
+      const hiddenFromMe =
+        row?.hidden_at &&
+        Number(row.user_id) !== Number(req.user?.id || 0) &&
+        !can(req, "carry.moderate");
+      if (!row || hiddenFromMe) return res.status(404).json({ error: "Not found" });
+
+      // attach requests count + last 20 messages + rating summary + lifecycle
       const reqCountRow = await get(
         `SELECT COUNT(*) AS c FROM carry_requests WHERE listing_id=?`,
         [id]
       );
 
-      const msgs = await all(
-        `SELECT * FROM carry_messages WHERE listing_id=? ORDER BY created_at DESC LIMIT 20`,
-        [id]
-      );
+      // messages are private: owner sees all their threads, a requester only theirs
+      const me = Number(req.user?.id || 0);
+      const msgs = !me
+        ? []
+        : await all(
+            `
+            SELECT m.* FROM carry_messages m
+            JOIN carry_threads t ON t.id = m.thread_id
+            WHERE t.listing_id=? AND (? = ? OR t.requester_id = ?)
+              AND m.hidden_at IS NULL
+            ORDER BY m.id DESC LIMIT 20
+            `,
+            [id, Number(row.user_id), me, me]
+          );
 
       const ratingRow = await get(
         `SELECT COALESCE(AVG(rating),0) AS avg_rating, COUNT(*) AS reviews_count
-         FROM carry_reviews WHERE listing_id=?`,
+         FROM carry_reviews WHERE listing_id=? AND hidden_at IS NULL`,
         [id]
       );
 
+      const parties = await listingParties(row);
+      const history = await statusHistory(id);
+
       return res.json({
         ok: true,
         item: mapListing(row),
         requests_count: Number(reqCountRow?.c || 0),
-        messages: msgs || [],
+        messages: msgs.map((m) => mapMessage(m, me)),
         avg_rating: Number(ratingRow?.avg_rating || 0),
         reviews_count: Number(ratingRow?.reviews_count || 0),
+        parties,
+        history,
       });
     } catch (e) {
       console.error("[carry] details", e);
@@ -313,11 +411,17 @@ module.exports = function registerCarry(opts) {
       if (!canEdit(req.user.id, row.user_id, req))
         return res.status(403).json({ error: "Forbidden" });
 
+      const route = await resolveRouteAirports(req.body);
+      if (route.error) return res.status(400).json({ error: route.error });
+
       const fields = {
-        from_country: safeTrim(req.body?.from_country) || "",
-        from_city: safeTrim(req.body?.from_city) || "",
-        to_country: safeTrim(req.body?.to_country) || "",
-        to_city: safeTrim(req.body?.to_city) || "",
+        from_country:
+          safeTrim(req.body?.from_country) || route.from?.country || "",
+        from_city: safeTrim(req.body?.from_city) || route.from?.city || "",
+        to_country: safeTrim(req.body?.to_country) || route.to?.country || "",
+        to_city: safeTrim(req.body?.to_city) || route.to?.city || "",
+        from_iata: route.from?.iata?.toUpperCase() || "",
+        to_iata: route.to?.iata?.toUpperCase() || "",
         travel_date: safeTrim(req.body?.travel_date) || "",
         arrival_date: safeTrim(req.body?.arrival_date) || "",
         item_type: safeTrim(req.body?.item_type) || "",
@@ -340,6 +444,8 @@ module.exports = function registerCarry(opts) {
           from_city=COALESCE(NULLIF(?,''), from_city),
           to_country=COALESCE(NULLIF(?,''), to_country),
           to_city=COALESCE(NULLIF(?,''), to_city),
+          from_iata=COALESCE(NULLIF(?,''), from_iata),
+          to_iata=COALESCE(NULLIF(?,''), to_iata),
           travel_date=COALESCE(NULLIF(?,''), travel_date),
           arrival_date=COALESCE(NULLIF(?,''), arrival_date),
           available_weight=COALESCE(?, available_weight),
@@ -356,6 +462,8 @@ module.exports = function registerCarry(opts) {
           fields.from_city,
           fields.to_country,
           fields.to_city,
+          fields.from_iata,
+          fields.to_iata,
           fields.travel_date,
           fields.arrival_date,
           Number.isFinite(available_weight) ? available_weight : null,
@@ -407,6 +515,22 @@ module.exports = function registerCarry(opts) {
   // =====================
   // REQUESTS (match)
   // =====================
+
+  // changed = [{ id, requester_id, status }] ; call after the write committed
+  function publishRequests(listing, changed) {
+    for (const r of changed) {
+      const event = {
+        request_id: Number(r.id),
+        listing_id: Number(listing.id),
+        requester_id: Number(r.requester_id),
+        status: r.status,
+      };
+      for (const uid of new Set([Number(listing.user_id), Number(r.requester_id)])) {
+        events.publish(`user:${uid}`, "carry.request", event);
+      }
+    }
+  }
+
   app.post(
     "/api/carry/listings/:id/request",
     authRequired,
@@ -416,7 +540,8 @@ module.exports = function registerCarry(opts) {
         if (!listingId) return res.status(400).json({ error: "Bad id" });
 
         const listing = await get(
-          `SELECT id, user_id, status FROM carry_listings WHERE id=? AND is_active=1`,
+          `SELECT id, user_id, status FROM carry_listings
+           WHERE id=? AND is_active=1 AND hidden_at IS NULL`,
           [listingId]
         );
         if (!listing) return res.status(404).json({ error: "Not found" });
@@ -429,6 +554,9 @@ module.exports = function registerCarry(opts) {
         if (String(listing.status) !== "open")
           return res.status(400).json({ error: "Listing not open" });
 
+        if (await blocks.isBlocked(req.user.id, listing.user_id))
+          return res.status(403).json({ error: "You can't request this listing" });
+
         const existing = await get(
           `SELECT id, status FROM carry_requests WHERE listing_id=? AND requester_id=? LIMIT 1`,
           [listingId, req.user.id]
@@ -437,10 +565,23 @@ module.exports = function registerCarry(opts) {
         if (existing?.id && existing.status !== "cancelled")
           return res.status(400).json({ error: "Already requested" });
 
+        const notifyOwner = (requestId) =>
+          notifier.notify("carry_request", {
+            userId: listing.user_id,
+            actorId: req.user.id,
+            entityType: "carry_listing",
+            entityId: listingId,
+            data: { request_id: requestId },
+          });
+
         if (existing?.id) {
           await run(`UPDATE carry_requests SET status='pending' WHERE id=?`, [
             existing.id,
           ]);
+          await notifyOwner(existing.id);
+          publishRequests(listing, [
+            { id: existing.id, requester_id: req.user.id, status: "pending" },
+          ]);
           return res.json({
             ok: true,
             request_id: existing.id,
@@ -452,6 +593,10 @@ module.exports = function registerCarry(opts) {
           `INSERT INTO carry_requests (listing_id, requester_id, status) VALUES (?, ?, 'pending')`,
           [listingId, req.user.id]
         );
+        await notifyOwner(r.lastID);
+        publishRequests(listing, [
+          { id: r.lastID, requester_id: req.user.id, status: "pending" },
+        ]);
 
         return res.json({ ok: true, request_id: r.lastID, status: "pending" });
       } catch (e) {
@@ -461,7 +606,33 @@ module.exports = function registerCarry(opts) {
     }
   );
 
-  // accept/reject (owner only)
+  // =====================
+  // accept / reject / unmatch (owner or carry.moderate)
+  // - accept is atomic: request -> accepted, listing -> matched, every other
+  //   pending request -> waitlisted (default) or rejected ({ others: "reject" })
+  // - unmatch: accepted request -> rejected, waitlisted -> pending, listing -> open
+  // =====================
+  const COMPETING_ACTIONS = { waitlist: "waitlisted", reject: "rejected" };
+
+  // loads request + its listing and checks the caller owns the listing
+  async function loadOwnedRequest(req, requestId) {
+    const reqRow = await get(`SELECT * FROM carry_requests WHERE id=?`, [
+      requestId,
+    ]);
+    if (!reqRow) return { status: 404, error: "Not found" };
+
+    const listing = await get(
+      `SELECT id, user_id, status, is_active FROM carry_listings WHERE id=?`,
+      [reqRow.listing_id]
+    );
+    if (!listing) return { status: 404, error: "Listing missing" };
+
+    if (!canEdit(req.user.id, listing.user_id, req))
+      return { status: 403, error: "Forbidden" };
+
+    return { reqRow, listing };
+  }
+
   app.patch(
     "/api/carry/requests/:id/accept",
     authRequired,
@@ -470,29 +641,88 @@ module.exports = function registerCarry(opts) {
         const requestId = toInt(req.params.id);
         if (!requestId) return res.status(400).json({ error: "Bad id" });
 
-        const reqRow = await get(`SELECT * FROM carry_requests WHERE id=?`, [
-          requestId,
-        ]);
-        if (!reqRow) return res.status(404).json({ error: "Not found" });
-
-        const listing = await get(
-          `SELECT id, user_id FROM carry_listings WHERE id=?`,
-          [reqRow.listing_id]
-        );
-        if (!listing) return res.status(404).json({ error: "Listing missing" });
-
-        if (!canEdit(req.user.id, listing.user_id, req))
-          return res.status(403).json({ error: "Forbidden" });
-
-        await run(`UPDATE carry_requests SET status='accepted' WHERE id=?`, [
-          requestId,
+        const othersKey = String(req.body?.others || "waitlist")
+          .trim()
+          .toLowerCase();
+        const othersStatus = COMPETING_ACTIONS[othersKey];
+        if (!othersStatus)
+          return res
+            .status(400)
+            .json({ error: "others must be waitlist or reject" });
+
+        // ✅ checks + writes in one transaction: two owners' tabs (or two
+        // moderators) can't both accept on the same listing
+        const out = await withTransaction(async () => {
+          const found = await loadOwnedRequest(req, requestId);
+          if (found.error) return found;
+          const { reqRow, listing } = found;
+
+          if (!Number(listing.is_active))
+            return { status: 404, error: "Listing missing" };
+          if (String(listing.status || "open") !== "open")
+            return { status: 409, error: "Listing already matched" };
+          if (!["pending", "waitlisted"].includes(reqRow.status))
+            return { status: 409, error: `Request is ${reqRow.status}` };
+
+          await run(
+            `UPDATE carry_requests SET status='accepted', updated_at=datetime('now') WHERE id=?`,
+            [requestId]
+          );
+          await run(
+            `UPDATE carry_listings SET status='matched', updated_at=datetime('now') WHERE id=?`,
+            [listing.id]
+          );
+          await recordStatus(listing.id, "open", "matched", "accept", req.user.id);
+          // requesters pushed aside by this accept hear about it too
+          const pushed = await all(
+            `SELECT id, requester_id FROM carry_requests
+             WHERE listing_id=? AND id<>? AND status='pending'`,
+            [listing.id, requestId]
+          );
+          const others = await run(
+            `UPDATE carry_requests SET status=?, updated_at=datetime('now')
+             WHERE listing_id=? AND id<>? AND status='pending'`,
+            [othersStatus, listing.id, requestId]
+          );
+
+          return {
+            listing,
+            listing_id: listing.id,
+            requester_id: reqRow.requester_id,
+            pushed,
+            others: { status: othersStatus, count: others.changes },
+          };
+        });
+
+        if (out.error) return res.status(out.status).json({ error: out.error });
+
+        const decided = (type, userId, id) =>
+          notifier.notify(type, {
+            userId,
+            actorId: req.user.id,
+            entityType: "carry_listing",
+            entityId: out.listing_id,
+            data: { request_id: id },
+          });
+        await decided("carry_request_accepted", out.requester_id, requestId);
+        if (othersStatus === "rejected") {
+          for (const r of out.pushed) {
+            await decided("carry_request_rejected", r.requester_id, r.id);
+          }
+        }
+        publishRequests(out.listing, [
+          { id: requestId, requester_id: out.requester_id, status: "accepted" },
+          ...out.pushed.map((r) => ({ ...r, status: othersStatus })),
         ]);
-        await run(
-          `UPDATE carry_listings SET status='matched', updated_at=datetime('now') WHERE id=?`,
-          [listing.id]
-        );
 
-        return res.json({ ok: true });
+        return res.json({
+          ok: true,
+          request_id: requestId,
+          status: "accepted",
+          listing_id: out.listing_id,
+          listing_status: "matched",
+          others: out.others,
+        });
       } catch (e) {
         console.error("[carry] accept", e);
         return res.status(500).json({ error: "Failed" });
@@ -508,47 +738,733 @@ module.exports = function registerCarry(opts) {
         const requestId = toInt(req.params.id);
         if (!requestId) return res.status(400).json({ error: "Bad id" });
 
-        const reqRow = await get(`SELECT * FROM carry_requests WHERE id=?`, [
-          requestId,
+        const found = await loadOwnedRequest(req, requestId);
+        if (found.error)
+          return res.status(found.status).json({ error: found.error });
+
+        // the accepted one goes through unmatch (it also reopens the listing)
+        if (found.reqRow.status === "accepted")
+          return res
+            .status(409)
+            .json({ error: "Request is accepted, unmatch the listing first" });
+
+        await run(
+          `UPDATE carry_requests SET status='rejected', updated_at=datetime('now') WHERE id=?`,
+          [requestId]
+        );
+        if (found.reqRow.status !== "rejected") {
+          await notifier.notify("carry_request_rejected", {
+            userId: found.reqRow.requester_id,
+            actorId: req.user.id,
+            entityType: "carry_listing",
+            entityId: found.listing.id,
+            data: { request_id: requestId },
+          });
+        }
+        publishRequests(found.listing, [
+          { id: requestId, requester_id: found.reqRow.requester_id, status: "rejected" },
         ]);
-        if (!reqRow) return res.status(404).json({ error: "Not found" });
+        return res.json({ ok: true });
+      } catch (e) {
+        console.error("[carry] reject", e);
+        return res.status(500).json({ error: "Failed" });
+      }
+    }
+  );
 
-        const listing = await get(
-          `SELECT id, user_id FROM carry_listings WHERE id=?`,
-          [reqRow.listing_id]
+  app.patch(
+    "/api/carry/listings/:id/unmatch",
+    authRequired,
+    async (req, res) => {
+      try {
+        const listingId = toInt(req.params.id);
+        if (!listingId) return res.status(400).json({ error: "Bad id" });
+
+        const out = await withTransaction(async () => {
+          const listing = await get(
+            `SELECT id, user_id, status FROM carry_listings WHERE id=? AND is_active=1`,
+            [listingId]
+          );
+          if (!listing) return { status: 404, error: "Not found" };
+
+          if (!canEdit(req.user.id, listing.user_id, req))
+            return { status: 403, error: "Forbidden" };
+
+          if (String(listing.status) !== "matched")
+            return { status: 409, error: "Listing is not matched" };
+
+          const affected = await all(
+            `SELECT id, requester_id, status FROM carry_requests
+             WHERE listing_id=? AND status IN ('accepted','waitlisted')`,
+            [listingId]
+          );
+          const dropped = await run(
+            `UPDATE carry_requests SET status='rejected', updated_at=datetime('now')
+             WHERE listing_id=? AND status='accepted'`,
+            [listingId]
+          );
+          const restored = await run(
+            `UPDATE carry_requests SET status='pending', updated_at=datetime('now')
+             WHERE listing_id=? AND status='waitlisted'`,
+            [listingId]
+          );
+          await run(
+            `UPDATE carry_listings SET status='open', updated_at=datetime('now') WHERE id=?`,
+            [listingId]
+          );
+          await recordStatus(
+            listingId,
+            "matched",
+            "open",
+            "unmatch",
+            req.user.id,
+            safeTrim(req.body?.reason) || null
+          );
+
+          return {
+            listing,
+            affected,
+            unmatched: dropped.changes,
+            restored: restored.changes,
+          };
+        });
+
+        if (out.error) return res.status(out.status).json({ error: out.error });
+
+        publishRequests(
+          out.listing,
+          out.affected.map((r) => ({
+            ...r,
+            status: r.status === "accepted" ? "rejected" : "pending",
+          }))
         );
-        if (!listing) return res.status(404).json({ error: "Listing missing" });
 
-        if (!canEdit(req.user.id, listing.user_id, req))
-          return res.status(403).json({ error: "Forbidden" });
+        return res.json({
+          ok: true,
+          listing_id: listingId,
+          listing_status: "open",
+          unmatched: out.unmatched,
+          restored_pending: out.restored,
+        });
+      } catch (e) {
+        console.error("[carry] unmatch", e);
+        return res.status(500).json({ error: "Failed" });
+      }
+    }
+  );
+
+  // =====================
+  // LIFECYCLE (state machine)
+  //   open --accept--> matched --pickup--> in_transit --deliver--> delivered --confirm--> completed
+  //   open | matched --cancel--> cancelled          matched --unmatch--> open
+  // traveler = owner of a "traveler" listing, or the accepted requester of a "sender" one
+  // carry.moderate may run any transition (the from-status rule still applies)
+  // =====================
+  const TRANSITIONS = {
+    pickup: { from: ["matched"], to: "in_transit", by: ["traveler"] },
+    deliver: { from: ["in_transit"], to: "delivered", by: ["traveler"] },
+    confirm: { from: ["delivered"], to: "completed", by: ["sender"] },
+    cancel: { from: ["open", "matched"], to: "cancelled", by: ["traveler", "sender"] },
+  };
+
+  async function recordStatus(listingId, from, to, action, actorId, note = null) {
+    await run(
+      `INSERT INTO carry_status_history (listing_id, from_status, to_status, action, actor_id, note)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [listingId, from, to, action, actorId || null, note]
+    );
+  }
 
-        await run(`UPDATE carry_requests SET status='rejected' WHERE id=?`, [
-          requestId,
-        ]);
+  // { owner_id, traveler_id, sender_id } (the other side is null until matched)
+  async function listingParties(listing) {
+    const accepted = await get(
+      `SELECT requester_id FROM carry_requests WHERE listing_id=? AND status='accepted' LIMIT 1`,
+      [listing.id]
+    );
+    const ownerId = Number(listing.user_id);
+    const otherId = accepted ? Number(accepted.requester_id) : null;
+    const ownerIsTraveler = listing.role === "traveler";
+
+    return {
+      owner_id: ownerId,
+      traveler_id: ownerIsTraveler ? ownerId : otherId,
+      sender_id: ownerIsTraveler ? otherId : ownerId,
+    };
+  }
+
+  async function statusHistory(listingId) {
+    return all(
+      `
+      SELECT h.id, h.from_status, h.to_status, h.action, h.actor_id,
+             u.username AS actor_username, h.note, h.created_at
+      FROM carry_status_history h
+      LEFT JOIN users u ON u.id = h.actor_id
+      WHERE h.listing_id=?
+      ORDER BY h.id ASC
+      `,
+      [listingId]
+    );
+  }
+
+  function transitionHandler(action) {
+    const rule = TRANSITIONS[action];
+
+    return async (req, res) => {
+      try {
+        const listingId = toInt(req.params.id);
+        if (!listingId) return res.status(400).json({ error: "Bad id" });
+
+        const note = safeTrim(req.body?.note ?? req.body?.reason) || null;
+
+        const out = await withTransaction(async () => {
+          const listing = await get(
+            `SELECT id, user_id, role, status FROM carry_listings WHERE id=? AND is_active=1`,
+            [listingId]
+          );
+          if (!listing) return { status: 404, error: "Not found" };
+
+          const parties = await listingParties(listing);
+          const me = Number(req.user.id);
+          const allowed =
+            rule.by.some((who) => parties[`${who}_id`] === me) ||
+            can(req, "carry.moderate");
+          if (!allowed)
+            return {
+              status: 403,
+              error: `Only the ${rule.by.join(" or ")} can ${action}`,
+            };
+
+          const from = String(listing.status || "open");
+          if (!rule.from.includes(from))
+            return { status: 409, error: `Can't ${action} while the listing is ${from}` };
+
+          const r = await run(
+            `UPDATE carry_listings SET status=?, updated_at=datetime('now') WHERE id=? AND status=?`,
+            [rule.to, listingId, listing.status]
+          );
+          if (!r.changes) return { status: 409, error: "Listing changed, retry" };
+
+          await recordStatus(listingId, from, rule.to, action, me, note);
+
+          // nobody is waiting on a cancelled listing anymore
+          let closed = [];
+          if (rule.to === "cancelled") {
+            closed = await all(
+              `SELECT id, requester_id FROM carry_requests
+               WHERE listing_id=? AND status IN ('pending','waitlisted')`,
+              [listingId]
+            );
+            await run(
+              `UPDATE carry_requests SET status='rejected', updated_at=datetime('now')
+               WHERE listing_id=? AND status IN ('pending','waitlisted')`,
+              [listingId]
+            );
+          }
+
+          return { from, parties, listing, closed };
+        });
+
+        if (out.error) return res.status(out.status).json({ error: out.error });
+
+        publishRequests(
+          out.listing,
+          out.closed.map((r) => ({ ...r, status: "rejected" }))
+        );
+
+        return res.json({
+          ok: true,
+          listing_id: listingId,
+          action,
+          from_status: out.from,
+          status: rule.to,
+          parties: out.parties,
+          history: await statusHistory(listingId),
+        });
+      } catch (e) {
+        console.error(`[carry] ${action}`, e);
+        return res.status(500).json({ error: "Failed" });
+      }
+    };
+  }
+
+  for (const action of Object.keys(TRANSITIONS)) {
+    const handler = transitionHandler(action);
+    app.post(`/api/carry/listings/:id/${action}`, authRequired, handler);
+    app.patch(`/api/carry/listings/:id/${action}`, authRequired, handler);
+  }
+
+  // =====================
+  // MATCHING
+  // - GET  /api/carry/listings/:id/matches   ?window_days=7&limit=20&min_score=0
+  //                                          (owner or carry.moderate)
+  // - GET  /api/carry/suggestions            suggested matches for my open listings
+  // - POST /api/carry/suggestions/:id/dismiss
+  // =====================
+  app.get("/api/carry/listings/:id/matches", authRequired, async (req, res) => {
+    try {
+      const id = toInt(req.params.id);
+      if (!id) return res.status(400).json({ error: "Bad id" });
+
+      const listing = await get(
+        `SELECT * FROM carry_listings WHERE id=? AND is_active=1`,
+        [id]
+      );
+      if (!listing) return res.status(404).json({ error: "Not found" });
+      if (!canEdit(req.user.id, listing.user_id, req))
+        return res.status(403).json({ error: "Forbidden" });
+
+      const windowDays = matcher.clampWindow(req.query?.window_days);
+      const limit = Math.min(100, Math.max(1, toInt(req.query?.limit) || 20));
+      const minScore = Math.max(0, toInt(req.query?.min_score));
+
+      const matches = await matcher.findMatches(listing, {
+        windowDays,
+        limit,
+        minScore,
+      });
+
+      return res.json({
+        ok: true,
+        listing_id: id,
+        window_days: windowDays,
+        items: matches.map((m) => ({
+          score: m.score,
+          reasons: m.reasons,
+          item: mapListing(m.listing),
+        })),
+      });
+    } catch (e) {
+      console.error("[carry] matches", e);
+      return res.status(500).json({ error: "Failed" });
+    }
+  });
+
+  app.get("/api/carry/suggestions", authRequired, async (req, res) => {
+    try {
+      const page = paging.readPage(req.query, {
+        keys: 2,
+        legacyLimit: 200,
+        max: 200,
+      });
+      if (page.error) return res.status(400).json({ error: page.error });
+      const after = paging.keyset(page, ["s.score", "s.id"]);
+
+      const rows = await all(
+        `
+        SELECT s.id AS suggestion_id, s.listing_id AS for_listing_id, s.score,
+               s.created_at AS suggested_at, m.*
+        FROM carry_match_suggestions s
+        JOIN carry_listings mine ON mine.id = s.listing_id
+        JOIN carry_listings m ON m.id = s.matched_listing_id
+        WHERE mine.user_id = ?
+          AND s.status = 'suggested'
+          AND mine.is_active = 1 AND COALESCE(mine.status, 'open') = 'open'
+          AND m.is_active = 1 AND m.hidden_at IS NULL
+          AND COALESCE(m.status, 'open') = 'open'
+          ${after ? `AND ${after.sql}` : ""}
+        ORDER BY s.score DESC, s.id DESC
+        LIMIT ?
+        `,
+        [req.user.id, ...(after ? after.params : []), page.sqlLimit]
+      );
+      const { items, next_cursor } = paging.pageOf(rows, page, (r) => [
+        r.score,
+        r.suggestion_id,
+      ]);
+
+      return res.json({
+        ok: true,
+        next_cursor,
+        items: items.map((r) => ({
+          id: Number(r.suggestion_id),
+          for_listing_id: Number(r.for_listing_id),
+          score: Number(r.score),
+          suggested_at: r.suggested_at,
+          item: mapListing(r),
+        })),
+      });
+    } catch (e) {
+      console.error("[carry] suggestions", e);
+      return res.status(500).json({ error: "Failed" });
+    }
+  });
+
+  app.post(
+    "/api/carry/suggestions/:id/dismiss",
+    authRequired,
+    async (req, res) => {
+      try {
+        const id = toInt(req.params.id);
+        if (!id) return res.status(400).json({ error: "Bad id" });
+
+        const r = await run(
+          `
+          UPDATE carry_match_suggestions SET status='dismissed'
+          WHERE id=? AND listing_id IN (SELECT id FROM carry_listings WHERE user_id=?)
+          `,
+          [id, req.user.id]
+        );
+        if (!r.changes) return res.status(404).json({ error: "Not found" });
         return res.json({ ok: true });
       } catch (e) {
-        console.error("[carry] reject", e);
+        console.error("[carry] dismiss suggestion", e);
         return res.status(500).json({ error: "Failed" });
       }
     }
   );
 
   // =====================
-  // MESSAGES
+  // MESSAGES (private threads)
+  // - one thread per (listing, requester): only the listing owner and that
+  //   requester can read or write it
+  // - read_at on each message = read receipt; unread = incoming + read_at NULL
+  // - GET  /api/carry/inbox                        my threads across listings
+  // - GET  /api/carry/threads/:id/messages          (marks incoming as read)
+  // - POST /api/carry/threads/:id/messages          { message }
+  // - POST /api/carry/threads/:id/read
+  // - GET/POST /api/carry/listings/:id/messages     requester: own thread,
+  //                                                 owner: ?requester_id= / { requester_id }
   // =====================
+  const THREAD_SQL = `
+    SELECT t.*, l.user_id AS owner_id
+    FROM carry_threads t
+    JOIN carry_listings l ON l.id = t.listing_id
+  `;
+
+  function isThreadParty(thread, userId) {
+    const me = Number(userId);
+    return Number(thread.owner_id) === me || Number(thread.requester_id) === me;
+  }
+
+  // live thread: only its two parties may listen
+  events.defineChannel("carry_thread", async (req, id) => {
+    const thread = await get(`${THREAD_SQL} WHERE t.id=?`, [id]);
+    return !!thread && isThreadParty(thread, req.user.id);
+  });
+
+  function mapThread(t, userId) {
+    const ownerSide = Number(t.owner_id) === Number(userId);
+    return {
+      id: Number(t.id),
+      listing_id: Number(t.listing_id),
+      requester_id: Number(t.requester_id),
+      owner_id: Number(t.owner_id),
+      other_user_id: ownerSide ? Number(t.requester_id) : Number(t.owner_id),
+      created_at: t.created_at || null,
+      last_message_at: t.last_message_at || null,
+    };
+  }
+
+  function mapMessage(m, userId) {
+    return {
+      id: Number(m.id),
+      thread_id: Number(m.thread_id),
+      listing_id: Number(m.listing_id),
+      sender_id: Number(m.sender_id),
+      message: m.message,
+      created_at: m.created_at || null,
+      read_at: m.read_at || null,
+      is_mine: Number(m.sender_id) === Number(userId),
+    };
+  }
+
+  // thread between the owner of `listing` and `requesterId`; a request must exist
+  async function findOrCreateThread(listing, requesterId, { create = false } = {}) {
+    const existing = await get(
+      `${THREAD_SQL} WHERE t.listing_id=? AND t.requester_id=?`,
+      [listing.id, requesterId]
+    );
+    if (existing || !create) return existing;
+
+    const request = await get(
+      `SELECT id FROM carry_requests WHERE listing_id=? AND requester_id=? LIMIT 1`,
+      [listing.id, requesterId]
+    );
+    if (!request) return null;
+
+    await run(
+      `INSERT OR IGNORE INTO carry_threads (listing_id, requester_id) VALUES (?, ?)`,
+      [listing.id, requesterId]
+    );
+    return get(`${THREAD_SQL} WHERE t.listing_id=? AND t.requester_id=?`, [
+      listing.id,
+      requesterId,
+    ]);
+  }
+
+  async function markThreadRead(threadId, userId) {
+    const r = await run(
+      `UPDATE carry_messages SET read_at=datetime('now')
+       WHERE thread_id=? AND sender_id<>? AND read_at IS NULL`,
+      [threadId, userId]
+    );
+    return r.changes;
+  }
+
+  // newest page, oldest first inside it; next_cursor walks back to older messages
+  async function threadMessages(threadId, userId, page) {
+    await markThreadRead(threadId, userId);
+    const after = paging.keyset(page, ["id"]);
+    const rows = await all(
+      `
+      SELECT * FROM carry_messages
+      WHERE thread_id=? AND hidden_at IS NULL ${after ? `AND ${after.sql}` : ""}
+      ORDER BY id DESC
+      LIMIT ?
+      `,
+      [threadId, ...(after ? after.params : []), page.sqlLimit]
+    );
+    const { items, next_cursor } = paging.pageOf(rows, page, (m) => [m.id]);
+    return {
+      messages: items.reverse().map((m) => mapMessage(m, userId)),
+      next_cursor,
+    };
+  }
+
+  function readMessagesPage(req) {
+    return paging.readPage(req.query, { legacyLimit: 200, max: 200 });
+  }
+
+  // the other party (both, when a moderator writes) gets a carry_message
+  async function postToThread(thread, userId, message) {
+    const row = await withTransaction(async () => {
+      const r = await run(
+        `INSERT INTO carry_messages (listing_id, thread_id, sender_id, message) VALUES (?, ?, ?, ?)`,
+        [thread.listing_id, thread.id, userId, message]
+      );
+      await run(
+        `UPDATE carry_threads SET last_message_at=datetime('now') WHERE id=?`,
+        [thread.id]
+      );
+      return get(`SELECT * FROM carry_messages WHERE id=?`, [r.lastID]);
+    });
+
+    // is_mine is per reader: the client compares sender_id itself
+    const { is_mine, ...live } = mapMessage(row, userId);
+    events.publish(`carry_thread:${thread.id}`, "carry.message", live);
+
+    for (const party of [thread.owner_id, thread.requester_id]) {
+      await notifier.notify("carry_message", {
+        userId: party,
+        actorId: userId,
+        entityType: "carry_thread",
+        entityId: thread.id,
+        data: { listing_id: thread.listing_id, excerpt: message.slice(0, 140) },
+      });
+    }
+    return mapMessage(row, userId);
+  }
+
+  // listing-level routes: work out which thread the caller means
+  async function resolveListingThread(req, { create }) {
+    const listingId = toInt(req.params.id);
+    if (!listingId) return { status: 400, error: "Bad id" };
+
+    const listing = await get(`SELECT id, user_id FROM carry_listings WHERE id=?`, [
+      listingId,
+    ]);
+    if (!listing) return { status: 404, error: "Not found" };
+
+    const me = Number(req.user.id);
+    let requesterId = me;
+    if (Number(listing.user_id) === me) {
+      requesterId = toInt(req.query?.requester_id ?? req.body?.requester_id);
+      if (!requesterId)
+        return { status: 400, error: "requester_id required for the listing owner" };
+    }
+
+    const thread = await findOrCreateThread(listing, requesterId, { create });
+    if (!thread && create)
+      return { status: 403, error: "Only the owner and requesters can message" };
+    return { thread };
+  }
+
+  app.get("/api/carry/inbox", authRequired, async (req, res) => {
+    try {
+      const me = req.user.id;
+      const page = paging.readPage(req.query, {
+        keys: 2,
+        legacyLimit: 100,
+        max: 200,
+      });
+      if (page.error) return res.status(400).json({ error: page.error });
+      const after = paging.keyset(page, [
+        "COALESCE(t.last_message_at, t.created_at, '')",
+        "t.id",
+      ]);
+
+      const rows = await all(
+        `
+        SELECT
+          t.*,
+          l.user_id AS owner_id,
+          l.role AS listing_role,
+          l.status AS listing_status,
+          l.from_country, l.from_city, l.to_country, l.to_city, l.travel_date,
+          u.username AS other_username,
+          (SELECT COUNT(*) FROM carry_messages m
+            WHERE m.thread_id = t.id AND m.sender_id <> ? AND m.read_at IS NULL
+              AND m.hidden_at IS NULL) AS unread_count,
+          (SELECT m.message FROM carry_messages m
+            WHERE m.thread_id = t.id AND m.hidden_at IS NULL
+            ORDER BY m.id DESC LIMIT 1) AS last_message,
+          (SELECT m.sender_id FROM carry_messages m
+            WHERE m.thread_id = t.id AND m.hidden_at IS NULL
+            ORDER BY m.id DESC LIMIT 1) AS last_sender_id
+        FROM carry_threads t
+        JOIN carry_listings l ON l.id = t.listing_id
+        LEFT JOIN users u
+          ON u.id = CASE WHEN l.user_id = ? THEN t.requester_id ELSE l.user_id END
+        WHERE (l.user_id = ? OR t.requester_id = ?)
+          ${after ? `AND ${after.sql}` : ""}
+        ORDER BY COALESCE(t.last_message_at, t.created_at, '') DESC, t.id DESC
+        LIMIT ?
+        `,
+        [me, me, me, me, ...(after ? after.params : []), page.sqlLimit]
+      );
+      const pageRows = paging.pageOf(rows, page, (t) => [
+        t.last_message_at || t.created_at || "",
+        t.id,
+      ]);
+
+      // across every thread, not just this page
+      const unread = await get(
+        `
+        SELECT COUNT(*) AS n
+        FROM carry_messages m
+        JOIN carry_threads t ON t.id = m.thread_id
+        JOIN carry_listings l ON l.id = t.listing_id
+        WHERE (l.user_id = ? OR t.requester_id = ?)
+          AND m.sender_id <> ? AND m.read_at IS NULL AND m.hidden_at IS NULL
+        `,
+        [me, me, me]
+      );
+
+      const items = pageRows.items.map((t) => ({
+        ...mapThread(t, me),
+        other_username: t.other_username || null,
+        unread_count: Number(t.unread_count || 0),
+        last_message: t.last_message || null,
+        last_sender_id: t.last_sender_id == null ? null : Number(t.last_sender_id),
+        listing: {
+          id: Number(t.listing_id),
+          role: t.listing_role,
+          status: t.listing_status || "open",
+          from_country: t.from_country || "",
+          from_city: t.from_city || "",
+          to_country: t.to_country || "",
+          to_city: t.to_city || "",
+          travel_date: t.travel_date || null,
+        },
+      }));
+
+      return res.json({
+        ok: true,
+        items,
+        next_cursor: pageRows.next_cursor,
+        unread_total: Number(unread?.n || 0),
+      });
+    } catch (e) {
+      console.error("[carry] inbox", e);
+      return res.status(500).json({ error: "Failed" });
+    }
+  });
+
+  async function loadThreadFor(req) {
+    const threadId = toInt(req.params.id);
+    if (!threadId) return { status: 400, error: "Bad id" };
+
+    const thread = await get(`${THREAD_SQL} WHERE t.id=?`, [threadId]);
+    if (!thread) return { status: 404, error: "Not found" };
+    if (!isThreadParty(thread, req.user.id))
+      return { status: 403, error: "Forbidden" };
+    return { thread };
+  }
+
+  app.get("/api/carry/threads/:id/messages", authRequired, async (req, res) => {
+    try {
+      const page = readMessagesPage(req);
+      if (page.error) return res.status(400).json({ error: page.error });
+
+      const found = await loadThreadFor(req);
+      if (found.error)
+        return res.status(found.status).json({ error: found.error });
+
+      const { messages, next_cursor } = await threadMessages(
+        found.thread.id,
+        req.user.id,
+        page
+      );
+      return res.json({
+        ok: true,
+        thread: mapThread(found.thread, req.user.id),
+        messages,
+        next_cursor,
+      });
+    } catch (e) {
+      console.error("[carry] thread read", e);
+      return res.status(500).json({ error: "Failed" });
+    }
+  });
+
+  app.post("/api/carry/threads/:id/messages", authRequired, async (req, res) => {
+    try {
+      const message = safeTrim(req.body?.message);
+      if (!message) return res.status(400).json({ error: "Missing message" });
+
+      const found = await loadThreadFor(req);
+      if (found.error)
+        return res.status(found.status).json({ error: found.error });
+
+      const row = await postToThread(found.thread, req.user.id, message);
+      return res.json({ ok: true, message: row });
+    } catch (e) {
+      console.error("[carry] thread write", e);
+      return res.status(500).json({ error: "Failed" });
+    }
+  });
+
+  app.post("/api/carry/threads/:id/read", authRequired, async (req, res) => {
+    try {
+      const found = await loadThreadFor(req);
+      if (found.error)
+        return res.status(found.status).json({ error: found.error });
+
+      const marked = await markThreadRead(found.thread.id, req.user.id);
+      return res.json({ ok: true, marked });
+    } catch (e) {
+      console.error("[carry] thread mark read", e);
+      return res.status(500).json({ error: "Failed" });
+    }
+  });
+
   app.get(
     "/api/carry/listings/:id/messages",
     authRequired,
     async (req, res) => {
       try {
-        const listingId = toInt(req.params.id);
-        if (!listingId) return res.status(400).json({ error: "Bad id" });
+        const page = readMessagesPage(req);
+        if (page.error) return res.status(400).json({ error: page.error });
 
-        const rows = await all(
-          `SELECT * FROM carry_messages WHERE listing_id=? ORDER BY created_at ASC LIMIT 200`,
-          [listingId]
+        const found = await resolveListingThread(req, { create: false });
+        if (found.error)
+          return res.status(found.status).json({ error: found.error });
+
+        // no conversation yet (or not a party): nothing to show
+        if (!found.thread)
+          return res.json({ ok: true, thread: null, messages: [], next_cursor: null });
+
+        const { messages, next_cursor } = await threadMessages(
+          found.thread.id,
+          req.user.id,
+          page
         );
-        return res.json({ ok: true, messages: rows || [] });
+        return res.json({
+          ok: true,
+          thread: mapThread(found.thread, req.user.id),
+          messages,
+          next_cursor,
+        });
       } catch (e) {
         console.error("[carry] messages read", e);
         return res.status(500).json({ error: "Failed" });
@@ -561,21 +1477,19 @@ module.exports = function registerCarry(opts) {
     authRequired,
     async (req, res) => {
       try {
-        const listingId = toInt(req.params.id);
-        if (!listingId) return res.status(400).json({ error: "Bad id" });
-
         const message = safeTrim(req.body?.message);
         if (!message) return res.status(400).json({ error: "Missing message" });
 
-        const r = await run(
-          `INSERT INTO carry_messages (listing_id, sender_id, message) VALUES (?, ?, ?)`,
-          [listingId, req.user.id, message]
-        );
+        const found = await resolveListingThread(req, { create: true });
+        if (found.error)
+          return res.status(found.status).json({ error: found.error });
 
-        const row = await get(`SELECT * FROM carry_messages WHERE id=?`, [
-          r.lastID,
-        ]);
-        return res.json({ ok: true, message: row });
+        const row = await postToThread(found.thread, req.user.id, message);
+        return res.json({
+          ok: true,
+          thread: mapThread(found.thread, req.user.id),
+          message: row,
+        });
       } catch (e) {
         console.error("[carry] messages write", e);
         return res.status(500).json({ error: "Failed" });
@@ -593,6 +1507,7 @@ module.exports = function registerCarry(opts) {
     return Math.max(1, Math.min(5, x));
   }
 
+  // only the traveler + sender of a completed shipment, once each, about each other
   app.post("/api/carry/listings/:id/review", authRequired, async (req, res) => {
     try {
       const listingId = toInt(req.params.id);
@@ -604,26 +1519,150 @@ module.exports = function registerCarry(opts) {
       const comment = safeTrim(req.body?.comment) || null;
 
       const listing = await get(
-        `SELECT id, user_id FROM carry_listings WHERE id=?`,
+        `SELECT id, user_id, role, status FROM carry_listings WHERE id=?`,
         [listingId]
       );
       if (!listing) return res.status(404).json({ error: "Not found" });
 
-      // default: review the listing owner
-      const reviewed_user_id = Number(
-        req.body?.reviewed_user_id || listing.user_id
-      );
-
-      await run(
-        `INSERT INTO carry_reviews (listing_id, reviewer_id, reviewed_user_id, rating, comment)
-         VALUES (?, ?, ?, ?, ?)`,
-        [listingId, req.user.id, reviewed_user_id, rating, comment]
-      );
+      const parties = await listingParties(listing);
+      const me = Number(req.user.id);
+      const myRole =
+        parties.traveler_id === me
+          ? "traveler"
+          : parties.sender_id === me
+          ? "sender"
+          : null;
+      if (!myRole)
+        return res
+          .status(403)
+          .json({ error: "Only the traveler and sender can review" });
+
+      if (String(listing.status) !== "completed")
+        return res
+          .status(409)
+          .json({ error: "Reviews open once the shipment is completed" });
+
+      // ✅ the reviewed user is always the other party (client value is only checked)
+      const reviewedRole = myRole === "traveler" ? "sender" : "traveler";
+      const reviewed_user_id = parties[`${reviewedRole}_id`];
+      const asked = toInt(req.body?.reviewed_user_id);
+      if (asked && asked !== reviewed_user_id)
+        return res
+          .status(400)
+          .json({ error: "You can only review the other party" });
 
-      return res.json({ ok: true });
+      try {
+        const r = await run(
+          `INSERT INTO carry_reviews (listing_id, reviewer_id, reviewed_user_id, reviewed_role, rating, comment)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [listingId, me, reviewed_user_id, reviewedRole, rating, comment]
+        );
+        await notifier.notify("carry_review", {
+          userId: reviewed_user_id,
+          actorId: me,
+          entityType: "carry_listing",
+          entityId: listingId,
+          data: { review_id: r.lastID, rating, reviewed_role: reviewedRole },
+        });
+        return res.json({
+          ok: true,
+          id: r.lastID,
+          reviewed_user_id,
+          reviewed_role: reviewedRole,
+        });
+      } catch (e) {
+        if (e.code === "SQLITE_CONSTRAINT")
+          return res.status(409).json({ error: "Already reviewed" });
+        throw e;
+      }
     } catch (e) {
       console.error("[carry] review", e);
       return res.status(500).json({ error: "Failed" });
     }
   });
+
+  // =====================
+  // REPUTATION (per user, both sides)
+  // shipment = listing that got an accepted request, with the user on either side
+  // cancellation rate = shipments this user cancelled / shipments
+  // =====================
+  async function carryReputation(userId) {
+    const uid = toInt(userId);
+
+    const ratings = await all(
+      `
+      SELECT reviewed_role, COALESCE(AVG(rating),0) AS avg, COUNT(*) AS c
+      FROM carry_reviews WHERE reviewed_user_id=? AND hidden_at IS NULL
+      GROUP BY reviewed_role
+      `,
+      [uid]
+    );
+
+    const ship = await get(
+      `
+      SELECT
+        COUNT(*) AS total,
+        SUM(s.status = 'completed') AS completed,
+        SUM(s.status = 'completed' AND s.my_role = 'traveler') AS completed_as_traveler,
+        SUM(s.status = 'completed' AND s.my_role = 'sender') AS completed_as_sender,
+        SUM(s.status = 'cancelled' AND EXISTS (
+          SELECT 1 FROM carry_status_history h
+          WHERE h.listing_id = s.id AND h.action = 'cancel' AND h.actor_id = ?
+        )) AS cancelled_by_user
+      FROM (
+        SELECT
+          l.id,
+          l.status,
+          CASE WHEN (l.user_id = ?) = (l.role = 'traveler') THEN 'traveler' ELSE 'sender' END AS my_role
+        FROM carry_listings l
+        JOIN carry_requests r ON r.listing_id = l.id AND r.status = 'accepted'
+        WHERE l.user_id = ? OR r.requester_id = ?
+      ) s
+      `,
+      [uid, uid, uid, uid]
+    );
+
+    const side = (role) => {
+      const r = ratings.find((x) => x.reviewed_role === role);
+      return {
+        rating_avg: Number(r?.avg || 0),
+        reviews_count: Number(r?.c || 0),
+        completed: Number(ship?.[`completed_as_${role}`] || 0),
+      };
+    };
+
+    const reviewsCount = ratings.reduce((n, r) => n + Number(r.c), 0);
+    const ratingSum = ratings.reduce((n, r) => n + Number(r.avg) * Number(r.c), 0);
+    const shipments = Number(ship?.total || 0);
+    const cancelled = Number(ship?.cancelled_by_user || 0);
+
+    return {
+      user_id: uid,
+      rating_avg: reviewsCount ? ratingSum / reviewsCount : 0,
+      reviews_count: reviewsCount,
+      shipments,
+      completed_deliveries: Number(ship?.completed || 0),
+      cancelled,
+      cancellation_rate: shipments ? cancelled / shipments : 0,
+      as_traveler: side("traveler"),
+      as_sender: side("sender"),
+    };
+  }
+
+  app.get(
+    "/api/carry/users/:userId/reputation",
+    authOptional,
+    async (req, res) => {
+      try {
+        const userId = toInt(req.params.userId);
+        if (!userId) return res.status(400).json({ error: "Bad id" });
+        return res.json({ ok: true, reputation: await carryReputation(userId) });
+      } catch (e) {
+        console.error("[carry] reputation", e);
+        return res.status(500).json({ error: "Failed" });
+      }
+    }
+  );
+
+  return { carryReputation };
 };
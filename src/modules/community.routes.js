@@ -1,46 +1,76 @@
 // src/modules/community.routes.js
 module.exports = function registerCommunityRoutes({
   app,
-  db,
+  data,
   authRequired,
   authOptional,
-  isAdminReq,
-  dbAll,
-  dbGet,
-  dbRun,
+  can,
+  requirePermission,
   safeTrim,
   toInt,
-  safeAlterTable,
+  paging,
 }) {
+  const { all, get, run } = data;
+
+  // ✅ keyset condition from paging.keyset() into a where[] / params[] pair
+  function pushAfter(where, params, after) {
+    if (!after) return;
+    where.push(after.sql);
+    params.push(...after.params);
+  }
+
   // =====================
-  // Helpers: promise wrappers on sqlite db
+  // Moderation helpers
+  // status: pending | approved | rejected | changes_requested
+  // (NULL = rows from before moderation existed -> treated as approved)
   // =====================
-  function run(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      db.run(sql, params, function (err) {
-        if (err) reject(err);
-        else resolve(this);
-      });
-    });
+  const MODERATION_KINDS = {
+    place: "community_places",
+    places: "community_places",
+    group: "community_groups",
+    groups: "community_groups",
+  };
+  const MODERATION_STATUSES = [
+    "pending",
+    "approved",
+    "rejected",
+    "changes_requested",
+  ];
+
+  function isModerator(req) {
+    return can(req, "community.moderate");
   }
-  function all(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      db.all(sql, params, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows || []);
-      });
-    });
+
+  // ✅ trusted submitters skip the queue
+  function isTrusted(req) {
+    return isModerator(req) || can(req, "community.trusted");
   }
-  function get(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      db.get(sql, params, (err, row) => {
-        if (err) reject(err);
-        else resolve(row || null);
-      });
-    });
+
+  // public sees approved, owner also sees own items in any status, moderators see all
+  function visibilityWhere(req, alias = "") {
+    if (isModerator(req)) return { sql: "", params: [] };
+    const col = (c) => (alias ? `${alias}.${c}` : c);
+    const approved = `COALESCE(${col("status")},'approved') = 'approved'`;
+    const meId = Number(req.user?.id || 0);
+    if (!meId) return { sql: approved, params: [] };
+    return { sql: `(${approved} OR ${col("created_by")} = ?)`, params: [meId] };
+  }
+
+  // status for an owner edit: an untrusted owner's changes go (back) into the
+  // queue, approved items included, so nothing unreviewed goes public
+  function statusAfterEdit(existing, req, next) {
+    const status = existing.status || "approved";
+    if (Number(existing.created_by || 0) !== Number(req.user?.id || 0))
+      return status;
+    if (isTrusted(req)) return status === "pending" ? status : "approved";
+    const changed = Object.keys(next).some(
+      (k) => String(next[k] ?? "").trim() !== String(existing[k] ?? "").trim()
+    );
+    return changed ? "pending" : status;
   }
+
   // =====================
-  // ✅ Ownership guard (ONLY owner OR admin)
+  // ✅ Ownership guard (ONLY owner OR community moderator)
   // =====================
   async function assertOwnerOrAdmin(table, id, req, res) {
     const row = await get(`SELECT created_by FROM ${table} WHERE id = ?`, [id]);
@@ -53,178 +83,28 @@ module.exports = function registerCommunityRoutes({
     const meId = Number(req.user?.id || 0);
 
     if (ownerId && meId && ownerId === meId) return true;
-    if (typeof isAdminReq === "function" && isAdminReq(req)) return true;
+    if (can(req, "community.moderate")) return true;
 
     res.status(403).json({ error: "Forbidden" });
     return false;
   }
 
-  // =====================
-  // Tables
-  // =====================
-  async function ensureCommunityTables() {
-    await run(`
-      CREATE TABLE IF NOT EXISTS community_places (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        category TEXT,
-        state TEXT,
-        city TEXT,
-        address TEXT,
-        phone TEXT,
-        website TEXT,
-        notes TEXT,
-        status TEXT,
-        created_by INTEGER,
-        reviewed_by INTEGER,
-        reviewed_at TEXT,
-        created_at TEXT DEFAULT (datetime('now')),
-        updated_at TEXT DEFAULT (datetime('now'))
-      )
-    `);
-
-    await run(`
-      CREATE TABLE IF NOT EXISTS community_groups (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        platform TEXT,
-        link TEXT,
-        state TEXT,
-        city TEXT,
-        topic TEXT,
-        notes TEXT,
-        status TEXT,
-        created_by INTEGER,
-        reviewed_by INTEGER,
-        reviewed_at TEXT,
-        created_at TEXT DEFAULT (datetime('now')),
-        updated_at TEXT DEFAULT (datetime('now'))
-      )
-    `);
-
-    // safe alters (لو tables قديمة)
-    safeAlterTable(`ALTER TABLE community_places ADD COLUMN category TEXT`);
-    safeAlterTable(`ALTER TABLE community_places ADD COLUMN state TEXT`);
-    safeAlterTable(`ALTER TABLE community_places ADD COLUMN city TEXT`);
-    safeAlterTable(`ALTER TABLE community_places ADD COLUMN address TEXT`);
-    safeAlterTable(`ALTER TABLE community_places ADD COLUMN phone TEXT`);
-    safeAlterTable(`ALTER TABLE community_places ADD COLUMN website TEXT`);
-    safeAlterTable(`ALTER TABLE community_places ADD COLUMN notes TEXT`);
-    safeAlterTable(`ALTER TABLE community_places ADD COLUMN created_at TEXT`);
-    safeAlterTable(`ALTER TABLE community_places ADD COLUMN updated_at TEXT`);
-    safeAlterTable(`ALTER TABLE community_places ADD COLUMN status TEXT`);
-    safeAlterTable(
-      `ALTER TABLE community_places ADD COLUMN created_by INTEGER`
-    );
-    safeAlterTable(
-      `ALTER TABLE community_places ADD COLUMN reviewed_by INTEGER`
-    );
-    safeAlterTable(`ALTER TABLE community_places ADD COLUMN reviewed_at TEXT`);
-
-    safeAlterTable(`ALTER TABLE community_groups ADD COLUMN platform TEXT`);
-    safeAlterTable(`ALTER TABLE community_groups ADD COLUMN link TEXT`);
-    safeAlterTable(`ALTER TABLE community_groups ADD COLUMN state TEXT`);
-    safeAlterTable(`ALTER TABLE community_groups ADD COLUMN city TEXT`);
-    safeAlterTable(`ALTER TABLE community_groups ADD COLUMN topic TEXT`);
-    safeAlterTable(`ALTER TABLE community_groups ADD COLUMN notes TEXT`);
-    safeAlterTable(`ALTER TABLE community_groups ADD COLUMN created_at TEXT`);
-    safeAlterTable(`ALTER TABLE community_groups ADD COLUMN updated_at TEXT`);
-    safeAlterTable(`ALTER TABLE community_groups ADD COLUMN status TEXT`);
-    safeAlterTable(
-      `ALTER TABLE community_groups ADD COLUMN created_by INTEGER`
-    );
-    safeAlterTable(
-      `ALTER TABLE community_groups ADD COLUMN reviewed_by INTEGER`
-    );
-    safeAlterTable(`ALTER TABLE community_groups ADD COLUMN reviewed_at TEXT`);
-  }
-
-  async function ensurePlaceReviewsTable() {
-    await run(`
-      CREATE TABLE IF NOT EXISTS place_reviews (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        place_id INTEGER NOT NULL,
-        user_id INTEGER,
-        name TEXT NOT NULL,
-        stars INTEGER NOT NULL,
-        text TEXT NOT NULL,
-        created_at TEXT DEFAULT (datetime('now')),
-        FOREIGN KEY(place_id) REFERENCES community_places(id) ON DELETE CASCADE
-      )
-    `);
-
-    await run(`
-      CREATE INDEX IF NOT EXISTS idx_place_reviews_place
-      ON place_reviews(place_id)
-    `);
-
-    // remove duplicates before unique index
-    await run(`
-      DELETE FROM place_reviews
-      WHERE id NOT IN (
-        SELECT MAX(id)
-        FROM place_reviews
-        WHERE user_id IS NOT NULL
-        GROUP BY place_id, user_id
-      )
-      AND user_id IS NOT NULL
-    `);
-
-    await run(`
-      CREATE UNIQUE INDEX IF NOT EXISTS idx_place_reviews_unique
-      ON place_reviews(place_id, user_id)
-    `);
-  }
-
-  async function ensureGroupReviewsTable() {
-    await run(`
-      CREATE TABLE IF NOT EXISTS group_reviews (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        group_id INTEGER NOT NULL,
-        user_id INTEGER,
-        name TEXT NOT NULL,
-        stars INTEGER NOT NULL,
-        text TEXT NOT NULL,
-        created_at TEXT DEFAULT (datetime('now')),
-        FOREIGN KEY(group_id) REFERENCES community_groups(id) ON DELETE CASCADE
-      )
-    `);
-
-    await run(`
-      CREATE INDEX IF NOT EXISTS idx_group_reviews_group
-      ON group_reviews(group_id)
-    `);
-
-    // remove duplicates before unique index
-    await run(`
-      DELETE FROM group_reviews
-      WHERE id NOT IN (
-        SELECT MAX(id)
-        FROM group_reviews
-        WHERE user_id IS NOT NULL
-        GROUP BY group_id, user_id
-      )
-      AND user_id IS NOT NULL
-    `);
-
-    await run(`
-      CREATE UNIQUE INDEX IF NOT EXISTS idx_group_reviews_unique
-      ON group_reviews(group_id, user_id)
-    `);
-  }
-
   // =====================
   // Places (CRUD)
   // =====================
+  // ✅ ?cursor= -> { items, next_cursor } (no cursor: the old plain array)
   app.get("/api/community/places", authOptional, async (req, res) => {
     try {
       const { q = "", state = "", city = "", category = "" } = req.query;
 
+      const page = paging.readPage(req.query);
+      if (page.error) return res.status(400).json({ error: page.error });
+
       const where = [];
       const params = [];
 
-      const isAdmin = isAdminReq(req);
-      if (!isAdmin) where.push(`COALESCE(status,'approved') = 'approved'`);
+      // ✅ public list = approved only (owners track theirs via /api/community/my-submissions)
+      if (!isModerator(req)) where.push(`COALESCE(p.status,'approved') = 'approved'`);
 
       const qq = String(q || "").trim();
       if (qq) {
@@ -248,6 +128,7 @@ module.exports = function registerCommunityRoutes({
         where.push("category = ?");
         params.push(category);
       }
+      pushAfter(where, params, paging.keyset(page, ["p.id"]));
 
       const sql = `
         SELECT
@@ -259,10 +140,12 @@ module.exports = function registerCommunityRoutes({
         ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
         GROUP BY p.id
         ORDER BY p.id DESC
+        LIMIT ?
       `;
 
-      const rows = await all(sql, params);
-      res.json(rows);
+      const rows = await all(sql, [...params, page.sqlLimit]);
+      const { items, next_cursor } = paging.pageOf(rows, page, (r) => [r.id]);
+      res.json(page.paged ? { items, next_cursor } : items);
     } catch (e) {
       console.error(e);
       res.status(500).json({ error: "Failed to load places" });
@@ -274,7 +157,7 @@ module.exports = function registerCommunityRoutes({
       const id = toInt(req.params.id);
       if (!id) return res.status(400).json({ error: "Bad id" });
 
-      const isAdmin = isAdminReq(req);
+      const vis = visibilityWhere(req, "p");
 
       const row = await get(
         `
@@ -285,11 +168,11 @@ module.exports = function registerCommunityRoutes({
         FROM community_places p
         LEFT JOIN place_reviews r ON r.place_id = p.id
         WHERE p.id = ?
-        ${!isAdmin ? `AND COALESCE(p.status,'approved') = 'approved'` : ""}
+        ${vis.sql ? `AND ${vis.sql}` : ""}
         GROUP BY p.id
         LIMIT 1
         `,
-        [id]
+        [id, ...vis.params]
       );
 
       if (!row) return res.status(404).json({ error: "Not found" });
@@ -316,7 +199,7 @@ module.exports = function registerCommunityRoutes({
       if (!name || !String(name).trim())
         return res.status(400).json({ error: "Name is required" });
 
-      const status = "approved";
+      const status = isTrusted(req) ? "approved" : "pending";
 
       const r = await run(
         `INSERT INTO community_places (name, category, state, city, address, phone, website, notes, status, created_by)
@@ -376,7 +259,7 @@ module.exports = function registerCommunityRoutes({
 
       await run(
         `UPDATE community_places
-         SET name=?, category=?, state=?, city=?, address=?, phone=?, website=?, notes=?, updated_at=datetime('now')
+         SET name=?, category=?, state=?, city=?, address=?, phone=?, website=?, notes=?, status=?, updated_at=datetime('now')
          WHERE id=?`,
         [
           String(next.name).trim(),
@@ -387,6 +270,7 @@ module.exports = function registerCommunityRoutes({
           String(next.phone || "").trim(),
           String(next.website || "").trim(),
           String(next.notes || "").trim(),
+          statusAfterEdit(existing, req, next),
           id,
         ]
       );
@@ -429,34 +313,41 @@ module.exports = function registerCommunityRoutes({
   // =====================
   // Place Reviews
   // =====================
-  app.get("/api/community/places/:id/reviews", authOptional, (req, res) => {
+  app.get("/api/community/places/:id/reviews", authOptional, async (req, res) => {
     const placeId = toInt(req.params.id);
     if (!placeId) return res.status(400).json({ error: "Bad place id" });
 
-    dbAll(
-      `
-      SELECT
-        pr.id,
-        pr.place_id,
-        pr.user_id,
-        COALESCE(u.username, pr.name) AS user_name,
-        pr.stars,
-        pr.text,
-        pr.created_at
-      FROM place_reviews pr
-      LEFT JOIN users u ON u.id = pr.user_id
-      WHERE pr.place_id = ?
-      ORDER BY pr.id DESC
-      `,
-      [placeId],
-      (err, rows) => {
-        if (err) return res.status(500).json({ error: "DB error" });
-        return res.json(rows || []);
-      }
-    );
+    const page = paging.readPage(req.query);
+    if (page.error) return res.status(400).json({ error: page.error });
+    const after = paging.keyset(page, ["pr.id"]);
+
+    try {
+      const rows = await all(
+        `
+        SELECT
+          pr.id,
+          pr.place_id,
+          pr.user_id,
+          COALESCE(u.username, pr.name) AS user_name,
+          pr.stars,
+          pr.text,
+          pr.created_at
+        FROM place_reviews pr
+        LEFT JOIN users u ON u.id = pr.user_id
+        WHERE pr.place_id = ?${after ? ` AND ${after.sql}` : ""}
+        ORDER BY pr.id DESC
+        LIMIT ?
+        `,
+        [placeId, ...(after ? after.params : []), page.sqlLimit]
+      );
+      const { items, next_cursor } = paging.pageOf(rows, page, (r) => [r.id]);
+      return res.json(page.paged ? { items, next_cursor } : items);
+    } catch (e) {
+      return res.status(500).json({ error: "DB error" });
+    }
   });
 
-  function upsertPlaceReview(req, res) {
+  async function upsertPlaceReview(req, res) {
     const placeId = toInt(req.params.id);
     if (!placeId) return res.status(400).json({ error: "Bad place id" });
 
@@ -467,41 +358,31 @@ module.exports = function registerCommunityRoutes({
     if (!(stars >= 1 && stars <= 5))
       return res.status(400).json({ error: "stars must be 1..5" });
 
-    dbGet(
-      `SELECT id FROM community_places WHERE id = ?`,
-      [placeId],
-      (e0, row) => {
-        if (e0) return res.status(500).json({ error: "DB error" });
-        if (!row) return res.status(404).json({ error: "Place not found" });
-
-        dbGet(
-          `SELECT username FROM users WHERE id = ?`,
-          [req.user.id],
-          (eU, uRow) => {
-            if (eU) return res.status(500).json({ error: "DB error" });
-
-            const userName = safeTrim(uRow?.username) || `User ${req.user.id}`;
-
-            dbRun(
-              `
-              INSERT INTO place_reviews (place_id, user_id, name, stars, text, created_at)
-              VALUES (?, ?, ?, ?, ?, datetime('now'))
-              ON CONFLICT(place_id, user_id) DO UPDATE SET
-                name = excluded.name,
-                stars = excluded.stars,
-                text = excluded.text,
-                created_at = datetime('now')
-              `,
-              [placeId, req.user.id, userName, Math.round(stars), text],
-              function (err) {
-                if (err) return res.status(500).json({ error: "DB error" });
-                return res.status(201).json({ ok: true });
-              }
-            );
-          }
-        );
-      }
-    );
+    try {
+      const row = await get(`SELECT id FROM community_places WHERE id = ?`, [placeId]);
+      if (!row) return res.status(404).json({ error: "Place not found" });
+
+      const uRow = await get(`SELECT username FROM users WHERE id = ?`, [
+        req.user.id,
+      ]);
+      const userName = safeTrim(uRow?.username) || `User ${req.user.id}`;
+
+      await run(
+        `
+        INSERT INTO place_reviews (place_id, user_id, name, stars, text, created_at)
+        VALUES (?, ?, ?, ?, ?, datetime('now'))
+        ON CONFLICT(place_id, user_id) DO UPDATE SET
+          name = excluded.name,
+          stars = excluded.stars,
+          text = excluded.text,
+          created_at = datetime('now')
+        `,
+        [placeId, req.user.id, userName, Math.round(stars), text]
+      );
+      return res.status(201).json({ ok: true });
+    } catch (e) {
+      return res.status(500).json({ error: "DB error" });
+    }
   }
 
   app.post(
@@ -519,18 +400,19 @@ module.exports = function registerCommunityRoutes({
   app.delete(
     "/api/community/places/:id/reviews/me",
     authRequired,
-    (req, res) => {
+    async (req, res) => {
       const placeId = toInt(req.params.id);
       if (!placeId) return res.status(400).json({ error: "Bad place id" });
 
-      dbRun(
-        `DELETE FROM place_reviews WHERE place_id = ? AND user_id = ?`,
-        [placeId, req.user.id],
-        function (err) {
-          if (err) return res.status(500).json({ error: "DB error" });
-          return res.json({ ok: true, deleted: this.changes || 0 });
-        }
-      );
+      try {
+        const r = await run(
+          `DELETE FROM place_reviews WHERE place_id = ? AND user_id = ?`,
+          [placeId, req.user.id]
+        );
+        return res.json({ ok: true, deleted: r.changes || 0 });
+      } catch (e) {
+        return res.status(500).json({ error: "DB error" });
+      }
     }
   );
 
@@ -547,11 +429,13 @@ module.exports = function registerCommunityRoutes({
         topic = "",
       } = req.query;
 
+      const page = paging.readPage(req.query);
+      if (page.error) return res.status(400).json({ error: page.error });
+
       const where = [];
       const params = [];
 
-      const isAdmin = isAdminReq(req);
-      if (!isAdmin) where.push(`COALESCE(status,'approved') = 'approved'`);
+      if (!isModerator(req)) where.push(`COALESCE(status,'approved') = 'approved'`);
 
       if (String(q).trim()) {
         where.push("(name LIKE ? OR notes LIKE ?)");
@@ -573,14 +457,16 @@ module.exports = function registerCommunityRoutes({
         where.push("topic = ?");
         params.push(topic);
       }
+      pushAfter(where, params, paging.keyset(page, ["id"]));
 
       const sql =
         `SELECT * FROM community_groups ` +
         (where.length ? `WHERE ${where.join(" AND ")} ` : "") +
-        `ORDER BY id DESC`;
+        `ORDER BY id DESC LIMIT ?`;
 
-      const rows = await all(sql, params);
-      res.json(rows);
+      const rows = await all(sql, [...params, page.sqlLimit]);
+      const { items, next_cursor } = paging.pageOf(rows, page, (r) => [r.id]);
+      res.json(page.paged ? { items, next_cursor } : items);
     } catch (e) {
       console.error(e);
       res.status(500).json({ error: "Failed to load groups" });
@@ -592,12 +478,12 @@ module.exports = function registerCommunityRoutes({
       const id = toInt(req.params.id);
       if (!id) return res.status(400).json({ error: "Bad id" });
 
-      const isAdmin = isAdminReq(req);
+      const vis = visibilityWhere(req);
 
       const row = await get(
         `SELECT * FROM community_groups WHERE id = ?
-         ${!isAdmin ? `AND COALESCE(status,'approved') = 'approved'` : ""}`,
-        [id]
+         ${vis.sql ? `AND ${vis.sql}` : ""}`,
+        [id, ...vis.params]
       );
       if (!row) return res.status(404).json({ error: "Not found" });
       res.json(row);
@@ -624,7 +510,7 @@ module.exports = function registerCommunityRoutes({
       if (!link || !String(link).trim())
         return res.status(400).json({ error: "Link is required" });
 
-      const status = "approved";
+      const status = isTrusted(req) ? "approved" : "pending";
 
       const r = await run(
         `INSERT INTO community_groups (name, platform, link, state, city, topic, notes, status, created_by)
@@ -684,7 +570,7 @@ module.exports = function registerCommunityRoutes({
 
       await run(
         `UPDATE community_groups
-         SET name=?, platform=?, link=?, state=?, city=?, topic=?, notes=?, updated_at=datetime('now')
+         SET name=?, platform=?, link=?, state=?, city=?, topic=?, notes=?, status=?, updated_at=datetime('now')
          WHERE id=?`,
         [
           String(next.name).trim(),
@@ -694,6 +580,7 @@ module.exports = function registerCommunityRoutes({
           String(next.city || "").trim(),
           String(next.topic || "").trim(),
           String(next.notes || "").trim(),
+          statusAfterEdit(existing, req, next),
           id,
         ]
       );
@@ -736,34 +623,41 @@ module.exports = function registerCommunityRoutes({
   // =====================
   // Group Reviews
   // =====================
-  app.get("/api/community/groups/:id/reviews", authOptional, (req, res) => {
+  app.get("/api/community/groups/:id/reviews", authOptional, async (req, res) => {
     const groupId = toInt(req.params.id);
     if (!groupId) return res.status(400).json({ error: "Bad group id" });
 
-    dbAll(
-      `
-      SELECT
-        gr.id,
-        gr.group_id,
-        gr.user_id,
-        COALESCE(u.username, gr.name) AS user_name,
-        gr.stars,
-        gr.text,
-        gr.created_at
-      FROM group_reviews gr
-      LEFT JOIN users u ON u.id = gr.user_id
-      WHERE gr.group_id = ?
-      ORDER BY gr.id DESC
-      `,
-      [groupId],
-      (err, rows) => {
-        if (err) return res.status(500).json({ error: "DB error" });
-        return res.json(rows || []);
-      }
-    );
+    const page = paging.readPage(req.query);
+    if (page.error) return res.status(400).json({ error: page.error });
+    const after = paging.keyset(page, ["gr.id"]);
+
+    try {
+      const rows = await all(
+        `
+        SELECT
+          gr.id,
+          gr.group_id,
+          gr.user_id,
+          COALESCE(u.username, gr.name) AS user_name,
+          gr.stars,
+          gr.text,
+          gr.created_at
+        FROM group_reviews gr
+        LEFT JOIN users u ON u.id = gr.user_id
+        WHERE gr.group_id = ?${after ? ` AND ${after.sql}` : ""}
+        ORDER BY gr.id DESC
+        LIMIT ?
+        `,
+        [groupId, ...(after ? after.params : []), page.sqlLimit]
+      );
+      const { items, next_cursor } = paging.pageOf(rows, page, (r) => [r.id]);
+      return res.json(page.paged ? { items, next_cursor } : items);
+    } catch (e) {
+      return res.status(500).json({ error: "DB error" });
+    }
   });
 
-  function upsertGroupReview(req, res) {
+  async function upsertGroupReview(req, res) {
     const groupId = toInt(req.params.id);
     if (!groupId) return res.status(400).json({ error: "Bad group id" });
 
@@ -774,41 +668,31 @@ module.exports = function registerCommunityRoutes({
     if (!(stars >= 1 && stars <= 5))
       return res.status(400).json({ error: "stars must be 1..5" });
 
-    dbGet(
-      `SELECT id FROM community_groups WHERE id = ?`,
-      [groupId],
-      (e0, row) => {
-        if (e0) return res.status(500).json({ error: "DB error" });
-        if (!row) return res.status(404).json({ error: "Group not found" });
-
-        dbGet(
-          `SELECT username FROM users WHERE id = ?`,
-          [req.user.id],
-          (eU, uRow) => {
-            if (eU) return res.status(500).json({ error: "DB error" });
-
-            const userName = safeTrim(uRow?.username) || `User ${req.user.id}`;
-
-            dbRun(
-              `
-              INSERT INTO group_reviews (group_id, user_id, name, stars, text, created_at)
-              VALUES (?, ?, ?, ?, ?, datetime('now'))
-              ON CONFLICT(group_id, user_id) DO UPDATE SET
-                name = excluded.name,
-                stars = excluded.stars,
-                text = excluded.text,
-                created_at = datetime('now')
-              `,
-              [groupId, req.user.id, userName, Math.round(stars), text],
-              function (err) {
-                if (err) return res.status(500).json({ error: "DB error" });
-                return res.status(201).json({ ok: true });
-              }
-            );
-          }
-        );
-      }
-    );
+    try {
+      const row = await get(`SELECT id FROM community_groups WHERE id = ?`, [groupId]);
+      if (!row) return res.status(404).json({ error: "Group not found" });
+
+      const uRow = await get(`SELECT username FROM users WHERE id = ?`, [
+        req.user.id,
+      ]);
+      const userName = safeTrim(uRow?.username) || `User ${req.user.id}`;
+
+      await run(
+        `
+        INSERT INTO group_reviews (group_id, user_id, name, stars, text, created_at)
+        VALUES (?, ?, ?, ?, ?, datetime('now'))
+        ON CONFLICT(group_id, user_id) DO UPDATE SET
+          name = excluded.name,
+          stars = excluded.stars,
+          text = excluded.text,
+          created_at = datetime('now')
+        `,
+        [groupId, req.user.id, userName, Math.round(stars), text]
+      );
+      return res.status(201).json({ ok: true });
+    } catch (e) {
+      return res.status(500).json({ error: "DB error" });
+    }
   }
 
   app.post(
@@ -826,32 +710,205 @@ module.exports = function registerCommunityRoutes({
   app.delete(
     "/api/community/groups/:id/reviews/me",
     authRequired,
-    (req, res) => {
+    async (req, res) => {
       const groupId = toInt(req.params.id);
       if (!groupId) return res.status(400).json({ error: "Bad group id" });
 
-      dbRun(
-        `DELETE FROM group_reviews WHERE group_id = ? AND user_id = ?`,
-        [groupId, req.user.id],
-        function (err) {
-          if (err) return res.status(500).json({ error: "DB error" });
-          return res.json({ ok: true, deleted: this.changes || 0 });
-        }
-      );
+      try {
+        const r = await run(
+          `DELETE FROM group_reviews WHERE group_id = ? AND user_id = ?`,
+          [groupId, req.user.id]
+        );
+        return res.json({ ok: true, deleted: r.changes || 0 });
+      } catch (e) {
+        return res.status(500).json({ error: "DB error" });
+      }
     }
   );
 
   // =====================
-  // Init
+  // Moderation queue
+  // - GET  /api/admin/moderation                       ?status=pending&kind=place|group&limit=&cursor=
+  // - POST /api/admin/moderation/:kind/:id/approve     { note? }
+  // - POST /api/admin/moderation/:kind/:id/reject      { reason }
+  // - POST /api/admin/moderation/:kind/:id/request-changes { reason }
+  // - GET  /api/community/my-submissions               (submitter sees status + reviewer note)
+  // both pages with keyset (created_at, kind, id): queue oldest first, own list newest first
   // =====================
-  (async () => {
+  const SUBMISSION_KEY = ["COALESCE(s.created_at,'')", "s.kind", "s.id"];
+  const submissionKey = (r) => [r.created_at || "", r.kind, r.id];
+
+  async function listSubmissions({ status, kind, createdBy, page, dir = "ASC" }) {
+    const where = [];
+    const params = [];
+
+    if (status) {
+      where.push(`COALESCE(status,'approved') = ?`);
+      params.push(status);
+    }
+    if (createdBy) {
+      where.push(`created_by = ?`);
+      params.push(createdBy);
+    }
+    const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+    const selects = [];
+    const unionParams = [];
+    if (!kind || kind === "community_places") {
+      selects.push(`
+        SELECT 'place' AS kind, id, name, category AS subtype, state, city,
+               notes, COALESCE(status,'approved') AS status,
+               created_by, reviewed_by, reviewed_at, review_note,
+               created_at, updated_at
+        FROM community_places ${whereSql}`);
+      unionParams.push(...params);
+    }
+    if (!kind || kind === "community_groups") {
+      selects.push(`
+        SELECT 'group' AS kind, id, name, platform AS subtype, state, city,
+               notes, COALESCE(status,'approved') AS status,
+               created_by, reviewed_by, reviewed_at, review_note,
+               created_at, updated_at
+        FROM community_groups ${whereSql}`);
+      unionParams.push(...params);
+    }
+
+    const after = paging.keyset(page, SUBMISSION_KEY, dir);
+    const rows = await all(
+      `
+      SELECT s.*,
+             u.username AS submitter_username,
+             rv.username AS reviewer_username
+      FROM (${selects.join(" UNION ALL ")}) s
+      LEFT JOIN users u ON u.id = s.created_by
+      LEFT JOIN users rv ON rv.id = s.reviewed_by
+      ${after ? `WHERE ${after.sql}` : ""}
+      ORDER BY ${SUBMISSION_KEY.map((k) => `${k} ${dir}`).join(", ")}
+      LIMIT ?
+      `,
+      [...unionParams, ...(after ? after.params : []), page.sqlLimit]
+    );
+    return paging.pageOf(rows, page, submissionKey);
+  }
+
+  function parseStatusFilter(v, def) {
+    const s = safeTrim(v).toLowerCase();
+    if (!s) return def;
+    if (s === "all") return null;
+    return MODERATION_STATUSES.includes(s) ? s : undefined;
+  }
+
+  const moderate = [authRequired, requirePermission("community.moderate")];
+
+  app.get("/api/admin/moderation", ...moderate, async (req, res) => {
     try {
-      await ensureCommunityTables();
-      await ensurePlaceReviewsTable();
-      await ensureGroupReviewsTable();
-      console.log("✅ Community tables ready");
+      const status = parseStatusFilter(req.query.status, "pending");
+      if (status === undefined)
+        return res.status(400).json({ error: "Bad status" });
+
+      const kindRaw = safeTrim(req.query.kind).toLowerCase();
+      const kind = kindRaw ? MODERATION_KINDS[kindRaw] : null;
+      if (kindRaw && !kind) return res.status(400).json({ error: "Bad kind" });
+
+      const page = paging.readPage(req.query, {
+        keys: SUBMISSION_KEY.length,
+        legacyLimit: 100,
+        max: 500,
+      });
+      if (page.error) return res.status(400).json({ error: page.error });
+
+      const { items, next_cursor } = await listSubmissions({ status, kind, page });
+      const counts = await get(`
+        SELECT
+          (SELECT COUNT(*) FROM community_places WHERE status = 'pending') AS places,
+          (SELECT COUNT(*) FROM community_groups WHERE status = 'pending') AS groups
+      `);
+
+      return res.json({
+        ok: true,
+        items,
+        next_cursor,
+        pending: {
+          places: Number(counts?.places || 0),
+          groups: Number(counts?.groups || 0),
+        },
+      });
     } catch (e) {
-      console.error("❌ Community init failed:", e);
+      console.error("[moderation] queue", e);
+      return res.status(500).json({ error: "Failed to load queue" });
     }
-  })();
+  });
+
+  function moderationAction(nextStatus, { reasonRequired }) {
+    return async (req, res) => {
+      try {
+        const table = MODERATION_KINDS[safeTrim(req.params.kind).toLowerCase()];
+        if (!table) return res.status(400).json({ error: "Bad kind" });
+
+        const id = toInt(req.params.id);
+        if (!id) return res.status(400).json({ error: "Bad id" });
+
+        const note =
+          safeTrim(req.body?.reason ?? req.body?.note).slice(0, 1000) || null;
+        if (reasonRequired && !note)
+          return res.status(400).json({ error: "Reason is required" });
+
+        const r = await run(
+          `UPDATE ${table}
+           SET status = ?, review_note = ?, reviewed_by = ?, reviewed_at = datetime('now')
+           WHERE id = ?`,
+          [nextStatus, note, req.user.id, id]
+        );
+        if (!r.changes) return res.status(404).json({ error: "Not found" });
+
+        const item = await get(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+        return res.json({ ok: true, item });
+      } catch (e) {
+        console.error("[moderation] action", nextStatus, e);
+        return res.status(500).json({ error: "Failed" });
+      }
+    };
+  }
+
+  app.post(
+    "/api/admin/moderation/:kind/:id/approve",
+    ...moderate,
+    moderationAction("approved", { reasonRequired: false })
+  );
+  app.post(
+    "/api/admin/moderation/:kind/:id/reject",
+    ...moderate,
+    moderationAction("rejected", { reasonRequired: true })
+  );
+  app.post(
+    "/api/admin/moderation/:kind/:id/request-changes",
+    ...moderate,
+    moderationAction("changes_requested", { reasonRequired: true })
+  );
+
+  app.get("/api/community/my-submissions", authRequired, async (req, res) => {
+    try {
+      const status = parseStatusFilter(req.query.status, null);
+      if (status === undefined)
+        return res.status(400).json({ error: "Bad status" });
+
+      const page = paging.readPage(req.query, {
+        keys: SUBMISSION_KEY.length,
+        legacyLimit: 500,
+        max: 500,
+      });
+      if (page.error) return res.status(400).json({ error: page.error });
+
+      const { items, next_cursor } = await listSubmissions({
+        status,
+        createdBy: req.user.id,
+        page,
+        dir: "DESC",
+      });
+      return res.json({ ok: true, items, next_cursor });
+    } catch (e) {
+      console.error("[moderation] my submissions", e);
+      return res.status(500).json({ error: "Failed" });
+    }
+  });
 };
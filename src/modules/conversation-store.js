@@ -0,0 +1,299 @@
+// src/modules/conversation-store.js
+/* =====================
+   CONVERSATIONS (direct messages)
+   - open({ userId, otherId, contextType, contextId }) -> { conversation, created }
+       one conversation per pair + context; with a context the other user is
+       its owner ("contact seller"), otherId may be left out
+   - start({ ...open, message }) -> { conversation, created, message }
+       open + optional first message (POST /api/conversations, contact routes)
+   - send(conversation, userId, body) -> message
+       blocked either way -> BLOCKED; the other side gets a notification and
+       both sides a live "message.created" on user:<id>
+   - messages(conversation, userId, { after, limit }) marks the page read
+   - errors carry err.code: BAD_USER | BAD_CONTEXT | BAD_MESSAGE | BLOCKED
+     | NOT_FOUND | FORBIDDEN
+===================== */
+
+// context_type -> table it points at (owner = user_id)
+const CONTEXTS = {
+  listing: { table: "marketplace_listings", label: "title" },
+  service: { table: "services", label: "title" },
+  product: { table: "products", label: "title" },
+};
+
+const MAX_MESSAGE_LENGTH = 4000;
+
+// err.code -> HTTP status for the routes
+const ERROR_STATUS = {
+  BAD_USER: 400,
+  BAD_CONTEXT: 400,
+  BAD_MESSAGE: 400,
+  BLOCKED: 403,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+};
+
+function dmError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+module.exports = function createConversationStore(opts) {
+  const { data, blocks, notifier, events } = opts;
+  const { all, get, run, withTransaction } = data;
+
+  const pair = (a, b) => (Number(a) < Number(b) ? [a, b] : [b, a]).map(Number);
+
+  const otherOf = (c, userId) =>
+    Number(c.user_low_id) === Number(userId)
+      ? Number(c.user_high_id)
+      : Number(c.user_low_id);
+
+  // the row's context title (listing / service / product), null when gone
+  const CONTEXT_TITLE = `
+    CASE c.context_type
+      ${Object.entries(CONTEXTS)
+        .map(
+          ([type, ctx]) =>
+            `WHEN '${type}' THEN (SELECT ${ctx.label} FROM ${ctx.table} WHERE id = c.context_id)`
+        )
+        .join("\n      ")}
+    END`;
+
+  // conversation rows seen by user ? (params: me, me, me)
+  const CONVERSATION_SELECT = `
+    SELECT c.*,
+      ou.id AS other_id,
+      ou.username AS other_username,
+      ${CONTEXT_TITLE} AS context_title,
+      (SELECT m.body FROM direct_messages m WHERE m.conversation_id = c.id
+       ORDER BY m.id DESC LIMIT 1) AS last_message,
+      (SELECT m.sender_id FROM direct_messages m WHERE m.conversation_id = c.id
+       ORDER BY m.id DESC LIMIT 1) AS last_sender_id,
+      (SELECT COUNT(*) FROM direct_messages m WHERE m.conversation_id = c.id
+       AND m.sender_id <> ? AND m.read_at IS NULL) AS unread_count,
+      EXISTS (SELECT 1 FROM user_blocks b WHERE b.blocker_id = ?
+              AND b.blocked_id = ou.id) AS blocked_by_me
+    FROM conversations c
+    JOIN users ou ON ou.id = CASE WHEN c.user_low_id = ? THEN c.user_high_id ELSE c.user_low_id END`;
+
+  function mapConversation(c) {
+    return {
+      id: Number(c.id),
+      other_user: { id: Number(c.other_id), username: c.other_username || null },
+      context: c.context_type
+        ? {
+            type: c.context_type,
+            id: Number(c.context_id),
+            title: c.context_title || null,
+          }
+        : null,
+      last_message: c.last_message ?? null,
+      last_sender_id: c.last_sender_id == null ? null : Number(c.last_sender_id),
+      last_message_at: c.last_message_at || null,
+      unread_count: Number(c.unread_count || 0),
+      blocked_by_me: !!c.blocked_by_me,
+      created_by: c.created_by == null ? null : Number(c.created_by),
+      created_at: c.created_at || null,
+    };
+  }
+
+  function mapMessage(m, userId) {
+    return {
+      id: Number(m.id),
+      conversation_id: Number(m.conversation_id),
+      sender_id: Number(m.sender_id),
+      body: m.body,
+      created_at: m.created_at || null,
+      read_at: m.read_at || null,
+      is_mine: Number(m.sender_id) === Number(userId),
+    };
+  }
+
+  async function view(id, userId) {
+    return get(`${CONVERSATION_SELECT} WHERE c.id = ?`, [userId, userId, userId, id]);
+  }
+
+  // -> conversation row the user takes part in
+  async function forUser(id, userId) {
+    const c = await get(`SELECT * FROM conversations WHERE id = ?`, [id]);
+    if (!c) throw dmError("NOT_FOUND", "Conversation not found");
+    const me = Number(userId);
+    if (Number(c.user_low_id) !== me && Number(c.user_high_id) !== me)
+      throw dmError("FORBIDDEN", "Not your conversation");
+    return c;
+  }
+
+  async function loadContext(type, id) {
+    const ctx = CONTEXTS[type];
+    if (!ctx) throw dmError("BAD_CONTEXT", `context_type must be ${Object.keys(CONTEXTS).join(", ")}`);
+    const row = await get(`SELECT id, user_id FROM ${ctx.table} WHERE id = ?`, [id]);
+    if (!row) throw dmError("BAD_CONTEXT", `Unknown ${type}`);
+    return row;
+  }
+
+  async function open({ userId, otherId = null, contextType = null, contextId = null }) {
+    const me = Number(userId);
+    let other = Number(otherId) || null;
+
+    if (contextType) {
+      const ctx = await loadContext(contextType, contextId);
+      if (other && other !== Number(ctx.user_id))
+        throw dmError("BAD_CONTEXT", `That ${contextType} belongs to someone else`);
+      other = Number(ctx.user_id);
+    }
+
+    if (!other) throw dmError("BAD_USER", "user_id is required");
+    if (other === me) throw dmError("BAD_USER", "You can't message yourself");
+    const user = await get(`SELECT id FROM users WHERE id = ?`, [other]);
+    if (!user) throw dmError("BAD_USER", "User not found");
+    if (await blocks.isBlocked(me, other))
+      throw dmError("BLOCKED", "You can't message this user");
+
+    const [low, high] = pair(me, other);
+    const type = contextType || null;
+    const cid = contextType ? Number(contextId) : null;
+
+    const r = await run(
+      `INSERT OR IGNORE INTO conversations
+         (user_low_id, user_high_id, context_type, context_id, created_by)
+       VALUES (?, ?, ?, ?, ?)`,
+      [low, high, type, cid, me]
+    );
+    const row = await get(
+      `SELECT id FROM conversations
+       WHERE user_low_id = ? AND user_high_id = ?
+         AND IFNULL(context_type, '') = IFNULL(?, '') AND IFNULL(context_id, 0) = IFNULL(?, 0)`,
+      [low, high, type, cid]
+    );
+    return { conversation: await view(row.id, me), created: r.changes > 0 };
+  }
+
+  async function start({ message = null, ...who }) {
+    const { conversation, created } = await open(who);
+    let sent = null;
+    if (message != null && String(message).trim()) {
+      sent = await send(await forUser(conversation.id, who.userId), who.userId, message);
+    }
+    const fresh = await view(conversation.id, who.userId);
+    return { conversation: mapConversation(fresh), created, message: sent };
+  }
+
+  // newest activity first; empty conversations only show for whoever opened them
+  async function list(userId, { after = null, limit }) {
+    return all(
+      `
+      ${CONVERSATION_SELECT}
+      WHERE (c.user_low_id = ? OR c.user_high_id = ?)
+        AND (c.last_message_at IS NOT NULL OR c.created_by = ?)
+        ${after ? `AND ${after.sql}` : ""}
+      ORDER BY COALESCE(c.last_message_at, c.created_at) DESC, c.id DESC
+      LIMIT ?
+      `,
+      [userId, userId, userId, userId, userId, userId, ...(after ? after.params : []), limit]
+    );
+  }
+
+  async function unreadCount(userId) {
+    const row = await get(
+      `
+      SELECT COUNT(*) AS messages, COUNT(DISTINCT m.conversation_id) AS conversations
+      FROM direct_messages m
+      JOIN conversations c ON c.id = m.conversation_id
+      WHERE (c.user_low_id = ? OR c.user_high_id = ?)
+        AND m.sender_id <> ? AND m.read_at IS NULL
+      `,
+      [userId, userId, userId]
+    );
+    return {
+      unread_count: Number(row?.messages || 0),
+      conversations: Number(row?.conversations || 0),
+    };
+  }
+
+  async function send(conversation, userId, rawBody) {
+    const body = String(rawBody ?? "").trim();
+    if (!body) throw dmError("BAD_MESSAGE", "Missing message");
+    if (body.length > MAX_MESSAGE_LENGTH)
+      throw dmError("BAD_MESSAGE", `Messages are limited to ${MAX_MESSAGE_LENGTH} characters`);
+
+    const to = otherOf(conversation, userId);
+    if (await blocks.isBlocked(userId, to))
+      throw dmError("BLOCKED", "You can't message this user");
+
+    const row = await withTransaction(async () => {
+      const r = await run(
+        `INSERT INTO direct_messages (conversation_id, sender_id, body) VALUES (?, ?, ?)`,
+        [conversation.id, userId, body]
+      );
+      await run(`UPDATE conversations SET last_message_at = datetime('now') WHERE id = ?`, [
+        conversation.id,
+      ]);
+      return get(`SELECT * FROM direct_messages WHERE id = ?`, [r.lastID]);
+    });
+
+    const { is_mine, ...live } = mapMessage(row, userId);
+    for (const uid of [Number(userId), to]) {
+      events.publish(`user:${uid}`, "message.created", live);
+    }
+    await notifier.notify("direct_message", {
+      userId: to,
+      actorId: userId,
+      entityType: "conversation",
+      entityId: conversation.id,
+      data: { excerpt: body.slice(0, 140) },
+    });
+    return mapMessage(row, userId);
+  }
+
+  async function markRead(conversation, userId) {
+    const r = await run(
+      `UPDATE direct_messages SET read_at = datetime('now')
+       WHERE conversation_id = ? AND sender_id <> ? AND read_at IS NULL`,
+      [conversation.id, userId]
+    );
+    if (r.changes) {
+      events.publish(`user:${otherOf(conversation, userId)}`, "message.read", {
+        conversation_id: Number(conversation.id),
+        reader_id: Number(userId),
+      });
+    }
+    return r.changes;
+  }
+
+  // newest page, oldest first inside it; next_cursor walks back in time
+  async function messages(conversation, userId, { after = null, limit }) {
+    await markRead(conversation, userId);
+    return all(
+      `
+      SELECT * FROM direct_messages
+      WHERE conversation_id = ? ${after ? `AND ${after.sql}` : ""}
+      ORDER BY id DESC
+      LIMIT ?
+      `,
+      [conversation.id, ...(after ? after.params : []), limit]
+    );
+  }
+
+  return {
+    CONTEXTS,
+    ERROR_STATUS,
+    MAX_MESSAGE_LENGTH,
+    mapConversation,
+    mapMessage,
+    otherOf,
+    view,
+    forUser,
+    open,
+    start,
+    list,
+    unreadCount,
+    send,
+    markRead,
+    messages,
+  };
+};
+
+module.exports.CONTEXTS = CONTEXTS;
+module.exports.ERROR_STATUS = ERROR_STATUS;
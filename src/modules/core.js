@@ -1,12 +1,13 @@
 // src/modules/core.js
-module.exports = function registerCore({ JWT_SECRET, jwt, ADMIN_EMAILS }) {
-  const admins = Array.isArray(ADMIN_EMAILS)
-    ? ADMIN_EMAILS.map((s) => String(s).trim().toLowerCase()).filter(Boolean)
-    : String(ADMIN_EMAILS || "")
-        .split(",")
-        .map((s) => s.trim().toLowerCase())
-        .filter(Boolean);
-
+module.exports = function registerCore({
+  JWT_SECRET,
+  jwt,
+  ACCESS_TOKEN_TTL_SEC = 15 * 60,
+  sessions = null,
+  isEmailVerified = null,
+  suspendedUntil = null,
+  permissions = null,
+}) {
   function safeTrim(v) {
     return String(v ?? "").trim();
   }
@@ -24,50 +25,142 @@ module.exports = function registerCore({ JWT_SECRET, jwt, ADMIN_EMAILS }) {
     }
   }
 
+  // ✅ short-lived access token (refresh via /api/auth/refresh)
   function signJwt(payload) {
-    return jwt.sign(payload, JWT_SECRET, { expiresIn: "30d" });
+    return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SEC });
+  }
+
+  // ✅ tokens with { sid } must belong to a live (not revoked) session.
+  // old 30d tokens without sid are still accepted until they expire.
+  async function sessionOk(user) {
+    if (!sessions || !user?.sid) return true;
+    return sessions.isActive(user.sid, user.id);
+  }
+
+  // ✅ unverified accounts are read-only (except /api/auth/* so they can verify/logout)
+  const READ_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+  const readOnlySafe = (req) =>
+    READ_METHODS.has(req.method) ||
+    String(req.originalUrl || "").startsWith("/api/auth/");
+
+  async function writeAllowed(req, user) {
+    if (readOnlySafe(req)) return true;
+    // claim is from login time; re-check db so a fresh verification counts right away
+    if (user?.email_verified !== false) return true;
+    if (!isEmailVerified) return true;
+    return isEmailVerified(user.id);
+  }
+
+  // ✅ suspended accounts (moderation) are read-only the same way -> until | null
+  async function suspension(req, user) {
+    if (!suspendedUntil || readOnlySafe(req)) return null;
+    return suspendedUntil(user.id);
   }
 
   function authRequired(req, res, next) {
     const h = req.headers.authorization || "";
     const token = h.startsWith("Bearer ") ? h.slice(7) : null;
     if (!token) return res.sendStatus(401);
+
+    let user = null;
     try {
-      req.user = jwt.verify(token, JWT_SECRET);
-      next();
+      user = jwt.verify(token, JWT_SECRET);
     } catch {
       return res.sendStatus(401);
     }
+
+    sessionOk(user)
+      .then(async (ok) => {
+        if (!ok) return res.sendStatus(401);
+        if (!(await writeAllowed(req, user)))
+          return res.status(403).json({
+            message: "Please verify your email first",
+            code: "EMAIL_NOT_VERIFIED",
+          });
+        const until = await suspension(req, user);
+        if (until)
+          return res.status(403).json({
+            message: "Your account is suspended",
+            code: "ACCOUNT_SUSPENDED",
+            suspended_until: until,
+          });
+        req.user = user;
+        await attachPermissions(req);
+        next();
+      })
+      .catch((e) => {
+        console.error("[core] session check", e);
+        res.sendStatus(500);
+      });
   }
 
   function authOptional(req, res, next) {
     const h = req.headers.authorization || "";
     const token = h.startsWith("Bearer ") ? h.slice(7) : null;
     if (!token) return next();
+
+    let user = null;
     try {
-      req.user = jwt.verify(token, JWT_SECRET);
-    } catch {}
-    next();
+      user = jwt.verify(token, JWT_SECRET);
+    } catch {
+      return next();
+    }
+
+    sessionOk(user)
+      .then(async (ok) => {
+        if (!ok) return;
+        req.user = user;
+        await attachPermissions(req);
+      })
+      .catch(() => {})
+      .then(() => next());
   }
 
-  function isAdminReq(req) {
-    const email = String(req.user?.email || "").toLowerCase();
-    return admins.includes(email);
+  /* =====================
+     Permissions (roles in db, see permission-store.js)
+  ===================== */
+  async function attachPermissions(req) {
+    if (!permissions || !req.user?.id) return;
+    const p = await permissions.load(Number(req.user.id));
+    req.roles = p.roles;
+    req.permissions = p.permissions;
+  }
+
+  // sync check (after authRequired/authOptional loaded req.permissions)
+  function can(req, permission) {
+    if (!req.user || !permissions) return false;
+    return permissions.matches(req.permissions, permission);
+  }
+
+  // usage: app.get(path, authRequired, requirePermission("listings.moderate"), handler)
+  function requirePermission(permission) {
+    return function (req, res, next) {
+      if (!req.user) return res.sendStatus(401);
+      if (!can(req, permission))
+        return res
+          .status(403)
+          .json({ error: "Forbidden", permission_required: permission });
+      next();
+    };
   }
 
-  function adminRequired(req, res, next) {
-    if (!req.user) return res.sendStatus(401);
-    if (!isAdminReq(req)) return res.sendStatus(403);
-    next();
+  function isAdminReq(req) {
+    return can(req, "admin.access");
   }
 
+  const adminRequired = requirePermission("admin.access");
+
   return {
     safeTrim,
     safeUrl,
     safeJsonParse,
     signJwt,
+    ACCESS_TOKEN_TTL_SEC,
     authRequired,
     authOptional,
+    can,
+    requirePermission,
     isAdminReq,
     adminRequired,
   };
@@ -2,13 +2,13 @@
 module.exports = function registerCvRoutes({
   app,
   authRequired,
-  dbAll,
-  dbGet,
-  dbRun,
+  data,
   safeTrim,
   safeJsonParse,
   toInt,
 }) {
+  const { all, get, run } = data;
+
   function normalizeCvResponse(row) {
     if (!row) return null;
     const cv_data =
@@ -25,199 +25,135 @@ module.exports = function registerCvRoutes({
     };
   }
 
-  /* =====================
-     CVS (New)
-  ===================== */
-  app.get("/api/cv", authRequired, (req, res) => {
-    dbAll(
-      `SELECT id, user_id, cv_name, updated_at FROM cvs WHERE user_id = ? ORDER BY id DESC`,
-      [req.user.id],
-      (err, rows) => {
-        if (err) return res.status(500).json({ message: "Failed to load CVs" });
-        res.json(rows || []);
-      }
-    );
-  });
-
-  app.get("/api/cv/:id", authRequired, (req, res) => {
-    const id = toInt(req.params.id);
-    if (!id) return res.status(400).json({ message: "Bad id" });
-
-    dbGet(
-      `SELECT id, user_id, cv_name, cv_data, updated_at FROM cvs WHERE id = ? AND user_id = ?`,
-      [id, req.user.id],
-      (err, row) => {
-        if (err) return res.status(500).json({ message: "Failed to load CV" });
-        if (!row) return res.status(404).json({ message: "CV not found" });
-        return res.json(normalizeCvResponse(row));
-      }
-    );
-  });
-
-  app.post("/api/cv", authRequired, (req, res) => {
+  function cvBody(req) {
     const { cv_name, cv_data } = req.body || {};
     const name = safeTrim(cv_name || "RESUME");
     const dataStr =
       typeof cv_data === "string" ? cv_data : JSON.stringify(cv_data || {});
+    return { name, dataStr };
+  }
 
-    dbRun(
-      `INSERT INTO cvs (user_id, cv_name, cv_data, updated_at) VALUES (?, ?, ?, datetime('now'))`,
-      [req.user.id, name, dataStr],
-      function (err) {
-        if (err)
-          return res.status(500).json({ message: "Failed to create CV" });
-        res.json({ ok: true, id: this.lastID });
-      }
-    );
-  });
+  async function listCvs(userId, res) {
+    try {
+      const rows = await all(
+        `SELECT id, user_id, cv_name, updated_at FROM cvs WHERE user_id = ? ORDER BY id DESC`,
+        [userId]
+      );
+      res.json(rows);
+    } catch (e) {
+      res.status(500).json({ message: "Failed to load CVs" });
+    }
+  }
 
-  app.put("/api/cv/:id", authRequired, (req, res) => {
+  async function getCvCore(req, res) {
     const id = toInt(req.params.id);
     if (!id) return res.status(400).json({ message: "Bad id" });
 
-    const { cv_name, cv_data } = req.body || {};
-    const name = safeTrim(cv_name || "RESUME");
-    const dataStr =
-      typeof cv_data === "string" ? cv_data : JSON.stringify(cv_data || {});
+    try {
+      const row = await get(
+        `SELECT id, user_id, cv_name, cv_data, updated_at FROM cvs WHERE id = ? AND user_id = ?`,
+        [id, req.user.id]
+      );
+      if (!row) return res.status(404).json({ message: "CV not found" });
+      return res.json(normalizeCvResponse(row));
+    } catch (e) {
+      return res.status(500).json({ message: "Failed to load CV" });
+    }
+  }
 
-    dbRun(
-      `
-      UPDATE cvs
-      SET cv_name = ?, cv_data = ?, updated_at = datetime('now')
-      WHERE id = ? AND user_id = ?
-      `,
-      [name, dataStr, id, req.user.id],
-      function (err) {
-        if (err)
-          return res.status(500).json({ message: "Failed to update CV" });
-        if (this.changes === 0)
-          return res.status(404).json({ message: "CV not found" });
-        res.json({ ok: true });
-      }
-    );
-  });
+  async function createCvCore(req, res) {
+    const { name, dataStr } = cvBody(req);
+
+    try {
+      const r = await run(
+        `INSERT INTO cvs (user_id, cv_name, cv_data, updated_at) VALUES (?, ?, ?, datetime('now'))`,
+        [req.user.id, name, dataStr]
+      );
+      res.json({ ok: true, id: r.lastID });
+    } catch (e) {
+      res.status(500).json({ message: "Failed to create CV" });
+    }
+  }
 
-  app.delete("/api/cv/:id", authRequired, (req, res) => {
+  async function updateCvCore(req, res) {
     const id = toInt(req.params.id);
     if (!id) return res.status(400).json({ message: "Bad id" });
 
-    dbRun(
-      `DELETE FROM cvs WHERE id = ? AND user_id = ?`,
-      [id, req.user.id],
-      function (err) {
-        if (err) return res.status(500).json({ message: "Delete failed" });
-        if (this.changes === 0)
-          return res.status(404).json({ message: "CV not found" });
-        res.json({ ok: true });
-      }
-    );
-  });
+    const { name, dataStr } = cvBody(req);
+
+    try {
+      const r = await run(
+        `
+        UPDATE cvs
+        SET cv_name = ?, cv_data = ?, updated_at = datetime('now')
+        WHERE id = ? AND user_id = ?
+        `,
+        [name, dataStr, id, req.user.id]
+      );
+      if (r.changes === 0)
+        return res.status(404).json({ message: "CV not found" });
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(500).json({ message: "Failed to update CV" });
+    }
+  }
 
-  /* =====================
-     ✅ LEGACY CVS ENDPOINTS
-  ===================== */
-  app.get("/api/get-cv/:id", authRequired, (req, res) => {
+  async function deleteCvCore(req, res) {
     const id = toInt(req.params.id);
     if (!id) return res.status(400).json({ message: "Bad id" });
 
-    dbGet(
-      `SELECT id, user_id, cv_name, cv_data, updated_at FROM cvs WHERE id = ? AND user_id = ?`,
-      [id, req.user.id],
-      (err, row) => {
-        if (err) return res.status(500).json({ message: "Failed to load CV" });
-        if (!row) return res.status(404).json({ message: "CV not found" });
-        return res.json(normalizeCvResponse(row));
-      }
-    );
-  });
+    try {
+      const r = await run(`DELETE FROM cvs WHERE id = ? AND user_id = ?`, [
+        id,
+        req.user.id,
+      ]);
+      if (r.changes === 0)
+        return res.status(404).json({ message: "CV not found" });
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(500).json({ message: "Delete failed" });
+    }
+  }
+
+  /* =====================
+     CVS (New)
+  ===================== */
+  app.get("/api/cv", authRequired, (req, res) => listCvs(req.user.id, res));
+  app.get("/api/cv/:id", authRequired, getCvCore);
+  app.post("/api/cv", authRequired, createCvCore);
+  app.put("/api/cv/:id", authRequired, updateCvCore);
+  app.delete("/api/cv/:id", authRequired, deleteCvCore);
+
+  /* =====================
+     ✅ LEGACY CVS ENDPOINTS
+  ===================== */
+  app.get("/api/get-cv/:id", authRequired, getCvCore);
 
   app.get("/api/get-all-cvs/:userId", authRequired, (req, res) => {
     const userId = toInt(req.params.userId);
     if (!userId) return res.status(400).json({ message: "Bad userId" });
     if (userId !== req.user.id) return res.sendStatus(403);
-
-    dbAll(
-      `SELECT id, user_id, cv_name, updated_at FROM cvs WHERE user_id = ? ORDER BY id DESC`,
-      [userId],
-      (err, rows) => {
-        if (err) return res.status(500).json({ message: "Failed to load CVs" });
-        res.json(rows || []);
-      }
-    );
+    return listCvs(userId, res);
   });
 
-  app.get("/api/cv/latest/:userId", authRequired, (req, res) => {
-    dbGet(
-      `SELECT id, user_id, cv_name, cv_data, updated_at
-       FROM cvs
-       WHERE user_id = ?
-       ORDER BY id DESC
-       LIMIT 1`,
-      [req.user.id],
-      (err, row) => {
-        if (err) return res.status(500).json({ message: "Failed to load CV" });
-        if (!row) return res.status(404).json({ message: "No CV yet" });
-        return res.json(normalizeCvResponse(row));
-      }
-    );
+  app.get("/api/cv/latest/:userId", authRequired, async (req, res) => {
+    try {
+      const row = await get(
+        `SELECT id, user_id, cv_name, cv_data, updated_at
+         FROM cvs
+         WHERE user_id = ?
+         ORDER BY id DESC
+         LIMIT 1`,
+        [req.user.id]
+      );
+      if (!row) return res.status(404).json({ message: "No CV yet" });
+      return res.json(normalizeCvResponse(row));
+    } catch (e) {
+      return res.status(500).json({ message: "Failed to load CV" });
+    }
   });
 
-  app.put("/api/update-cv/:id", authRequired, (req, res) => {
-    const id = toInt(req.params.id);
-    if (!id) return res.status(400).json({ message: "Bad id" });
-
-    const { cv_name, cv_data } = req.body || {};
-    const name = safeTrim(cv_name || "RESUME");
-    const dataStr =
-      typeof cv_data === "string" ? cv_data : JSON.stringify(cv_data || {});
-
-    dbRun(
-      `
-      UPDATE cvs
-      SET cv_name = ?, cv_data = ?, updated_at = datetime('now')
-      WHERE id = ? AND user_id = ?
-      `,
-      [name, dataStr, id, req.user.id],
-      function (err) {
-        if (err)
-          return res.status(500).json({ message: "Failed to update CV" });
-        if (this.changes === 0)
-          return res.status(404).json({ message: "CV not found" });
-        res.json({ ok: true });
-      }
-    );
-  });
-
-  app.post("/api/create-cv", authRequired, (req, res) => {
-    const { cv_name, cv_data } = req.body || {};
-    const name = safeTrim(cv_name || "RESUME");
-    const dataStr =
-      typeof cv_data === "string" ? cv_data : JSON.stringify(cv_data || {});
-
-    dbRun(
-      `INSERT INTO cvs (user_id, cv_name, cv_data, updated_at) VALUES (?, ?, ?, datetime('now'))`,
-      [req.user.id, name, dataStr],
-      function (err) {
-        if (err)
-          return res.status(500).json({ message: "Failed to create CV" });
-        res.json({ ok: true, id: this.lastID });
-      }
-    );
-  });
-
-  app.delete("/api/delete-cv/:id", authRequired, (req, res) => {
-    const id = toInt(req.params.id);
-    if (!id) return res.status(400).json({ message: "Bad id" });
-
-    dbRun(
-      `DELETE FROM cvs WHERE id = ? AND user_id = ?`,
-      [id, req.user.id],
-      function (err) {
-        if (err) return res.status(500).json({ message: "Delete failed" });
-        if (this.changes === 0)
-          return res.status(404).json({ message: "CV not found" });
-        res.json({ ok: true });
-      }
-    );
-  });
+  app.put("/api/update-cv/:id", authRequired, updateCvCore);
+  app.post("/api/create-cv", authRequired, createCvCore);
+  app.delete("/api/delete-cv/:id", authRequired, deleteCvCore);
 };
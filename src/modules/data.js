@@ -0,0 +1,196 @@
+// src/modules/data.js
+/* =====================
+   DATA ACCESS (one place for every module)
+   - data.all / data.get / data.run / data.exec -> Promises
+       all  -> rows ([] when nothing)
+       get  -> row  (null when nothing)
+       run  -> { lastID, changes }
+   - data.withTransaction(async () => { ... })
+       BEGIN IMMEDIATE / COMMIT, ROLLBACK when the callback throws.
+       nested calls become SAVEPOINTs. while a transaction is open, queries
+       from other requests wait for it (one sqlite connection is shared).
+   - prepared statements are cached per SQL string (LRU)
+   - SQL errors are logged once here (message + SQL + params)
+===================== */
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+module.exports = function createDataAccess(opts) {
+  const { db, logErrors = true, cacheSize = 200 } = opts;
+
+  // =====================
+  // Prepared statement cache
+  // =====================
+  const statements = new Map(); // sql -> Promise<Statement> (Map keeps insertion order = LRU)
+
+  function statement(sql) {
+    let entry = statements.get(sql);
+    if (entry) {
+      statements.delete(sql);
+      statements.set(sql, entry);
+      return entry;
+    }
+
+    entry = new Promise((resolve, reject) => {
+      const stmt = db.prepare(sql, (err) => (err ? reject(err) : resolve(stmt)));
+    });
+    // failed prepare (syntax error, missing table) is not cached
+    entry.catch(() => statements.get(sql) === entry && statements.delete(sql));
+    statements.set(sql, entry);
+
+    if (statements.size > cacheSize) {
+      const [oldSql, oldEntry] = statements.entries().next().value;
+      statements.delete(oldSql);
+      oldEntry.then((stmt) => stmt.finalize()).catch(() => {});
+    }
+    return entry;
+  }
+
+  function forget(sql) {
+    const entry = statements.get(sql);
+    if (!entry) return;
+    statements.delete(sql);
+    entry.then((stmt) => stmt.finalize()).catch(() => {});
+  }
+
+  function fail(err, sql, params) {
+    if (logErrors) {
+      console.error("SQL_ERROR:", err.message);
+      console.error("SQL:", sql);
+      console.error("PARAMS:", params);
+    }
+    err.sql = sql;
+    // schema may have changed under a cached statement -> prepare again next time
+    if (err.code !== "SQLITE_CONSTRAINT") forget(sql);
+    return err;
+  }
+
+  // =====================
+  // Transactions
+  // =====================
+  const txContext = new AsyncLocalStorage();
+  let txQueue = Promise.resolve(); // top-level transactions run one after another
+  let txOpen = null; // Promise that settles when the open transaction ends
+  let savepointSeq = 0;
+
+  // queries from outside the open transaction wait for it to finish
+  async function gate() {
+    if (txContext.getStore()) return;
+    while (txOpen) await txOpen;
+  }
+
+  async function raw(method, sql, params) {
+    let stmt;
+    try {
+      stmt = await statement(sql);
+    } catch (err) {
+      throw fail(err, sql, params);
+    }
+
+    return new Promise((resolve, reject) => {
+      stmt[method](params, function (err, result) {
+        if (err) return reject(fail(err, sql, params));
+        if (method === "run")
+          return resolve({ lastID: this.lastID, changes: this.changes });
+        if (method === "get") {
+          // release the read cursor before the caller goes on (a DROP / ALTER
+          // right after would otherwise hit SQLITE_LOCKED)
+          return stmt.reset(() => resolve(result || null));
+        }
+        resolve(result || []);
+      });
+    });
+  }
+
+  async function all(sql, params = []) {
+    await gate();
+    return raw("all", sql, params);
+  }
+
+  async function get(sql, params = []) {
+    await gate();
+    return raw("get", sql, params);
+  }
+
+  async function run(sql, params = []) {
+    await gate();
+    return raw("run", sql, params);
+  }
+
+  // multi-statement SQL (no params, not cached)
+  async function exec(sql) {
+    await gate();
+    return new Promise((resolve, reject) => {
+      db.exec(sql, (err) => (err ? reject(fail(err, sql, [])) : resolve()));
+    });
+  }
+
+  function execRaw(sql) {
+    return new Promise((resolve, reject) => {
+      db.exec(sql, (err) => (err ? reject(fail(err, sql, [])) : resolve()));
+    });
+  }
+
+  async function withTransaction(fn) {
+    // nested -> savepoint inside the open transaction
+    if (txContext.getStore()) {
+      const sp = `sp_${++savepointSeq}`;
+      await execRaw(`SAVEPOINT ${sp}`);
+      try {
+        const out = await fn();
+        await execRaw(`RELEASE ${sp}`);
+        return out;
+      } catch (e) {
+        await execRaw(`ROLLBACK TO ${sp}; RELEASE ${sp}`).catch(() => {});
+        throw e;
+      }
+    }
+
+    const result = txQueue.then(async () => {
+      while (txOpen) await txOpen;
+
+      let release;
+      txOpen = new Promise((resolve) => (release = resolve));
+      try {
+        return await txContext.run({ startedAt: Date.now() }, async () => {
+          await execRaw("BEGIN IMMEDIATE");
+          try {
+            const out = await fn();
+            await execRaw("COMMIT");
+            return out;
+          } catch (e) {
+            await execRaw("ROLLBACK").catch(() => {});
+            throw e;
+          }
+        });
+      } finally {
+        txOpen = null;
+        release();
+      }
+    });
+
+    txQueue = result.catch(() => {});
+    return result;
+  }
+
+  function inTransaction() {
+    return !!txContext.getStore();
+  }
+
+  // =====================
+  // Shutdown
+  // =====================
+  async function close() {
+    const pending = [...statements.values()];
+    statements.clear();
+    for (const entry of pending) {
+      const stmt = await entry.catch(() => null);
+      if (stmt) await new Promise((resolve) => stmt.finalize(resolve));
+    }
+    return new Promise((resolve, reject) =>
+      db.close((err) => (err ? reject(err) : resolve()))
+    );
+  }
+
+  return { db, all, get, run, exec, withTransaction, inTransaction, close };
+};
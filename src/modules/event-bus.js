@@ -0,0 +1,97 @@
+// src/modules/event-bus.js
+/* =====================
+   EVENT BUS (in-process, feeds /api/stream)
+   - publish(channel, type, data) -> event { id, channel, type, data, at }
+       channels look like "user:7", "post:31", "carry_thread:4"
+   - subscribe(fn) -> unsubscribe ; fn(event) for every published event
+   - since(lastId) -> events after lastId still in the replay buffer,
+       null when some were lost (buffer overflow / server restart)
+   - defineChannel(prefix, authorize) ; authorize(req, id) -> bool
+       modules own their channels: feed "post", carry "carry_thread" ...
+   one process only: run a single instance (or swap this for a shared broker)
+===================== */
+
+const DEFAULT_BUFFER = 1000;
+
+module.exports = function createEventBus(opts = {}) {
+  const bufferSize =
+    opts.bufferSize || Number(process.env.STREAM_BUFFER) || DEFAULT_BUFFER;
+
+  // ids keep growing across restarts, so an id from an older process is
+  // always below firstId and reads as "missed events"
+  const firstId = Date.now() * 1000;
+  let lastId = firstId;
+
+  const buffer = [];
+  const listeners = new Set();
+  const channels = new Map();
+
+  function publish(channel, type, data = {}) {
+    const event = {
+      id: ++lastId,
+      channel,
+      type,
+      data,
+      at: new Date().toISOString(),
+    };
+    buffer.push(event);
+    if (buffer.length > bufferSize) buffer.shift();
+
+    for (const fn of listeners) {
+      try {
+        fn(event);
+      } catch (e) {
+        console.error("[events] listener", e);
+      }
+    }
+    return event;
+  }
+
+  function subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  function since(id) {
+    const after = Number(id);
+    if (!Number.isFinite(after) || after < firstId || after > lastId) return null;
+    if (after === lastId) return [];
+    // the next event after `after` must still be buffered
+    if (!buffer.length || buffer[0].id > after + 1) return null;
+    return buffer.filter((e) => e.id > after);
+  }
+
+  function defineChannel(prefix, authorize) {
+    if (typeof authorize !== "function")
+      throw new Error(`Channel ${prefix} needs an authorize(req, id) function`);
+    channels.set(prefix, authorize);
+  }
+
+  // "post:31" -> { prefix: "post", id: 31 } | null
+  function parseChannel(name) {
+    const m = /^([a-z_]+):(\d+)$/.exec(String(name || "").trim());
+    if (!m || !channels.has(m[1])) return null;
+    return { name: `${m[1]}:${m[2]}`, prefix: m[1], id: Number(m[2]) };
+  }
+
+  async function canSubscribe(req, channel) {
+    const parsed = parseChannel(channel);
+    if (!parsed) return false;
+    try {
+      return !!(await channels.get(parsed.prefix)(req, parsed.id));
+    } catch (e) {
+      console.error(`[events] authorize ${parsed.name}`, e);
+      return false;
+    }
+  }
+
+  return {
+    publish,
+    subscribe,
+    since,
+    defineChannel,
+    parseChannel,
+    canSubscribe,
+    channelNames: () => [...channels.keys()],
+  };
+};
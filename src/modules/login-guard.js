@@ -0,0 +1,290 @@
+// src/modules/login-guard.js
+/* =====================
+   LOGIN GUARD
+   - counts failed logins per account (email) and per IP
+   - temporary lockout with exponential backoff
+   - login_attempts audit table (admin can see who got locked out and why)
+===================== */
+
+module.exports = function registerLoginGuard(opts) {
+  const { app, data, authRequired, adminRequired, safeTrim, toInt } = opts;
+
+  const envInt = (name, def) => {
+    const n = parseInt(String(process.env[name] ?? "").trim(), 10);
+    return Number.isFinite(n) && n > 0 ? n : def;
+  };
+
+  // thresholds (override from .env if needed)
+  const ACCOUNT_MAX_FAILURES = envInt("LOGIN_MAX_FAILURES", 5);
+  const IP_MAX_FAILURES = envInt("LOGIN_IP_MAX_FAILURES", 20);
+  const FAILURE_WINDOW_MIN = envInt("LOGIN_FAILURE_WINDOW_MIN", 15);
+  const LOCK_BASE_MIN = envInt("LOGIN_LOCK_BASE_MIN", 5);
+  const LOCK_MAX_MIN = envInt("LOGIN_LOCK_MAX_MIN", 24 * 60);
+
+  const { run, get, all, withTransaction } = data;
+
+  // =====================
+  // Helpers
+  // =====================
+  function clientIp(req) {
+    // req.ip respects app "trust proxy" (set TRUST_PROXY when behind nginx)
+    return String(req.ip || req.socket?.remoteAddress || "").trim() || "unknown";
+  }
+
+  function lockMinutes(lockCount) {
+    // 5, 10, 20, 40 ... capped
+    const m = LOCK_BASE_MIN * Math.pow(2, Math.max(0, lockCount - 1));
+    return Math.min(LOCK_MAX_MIN, m);
+  }
+
+  async function activeLock(scope, key) {
+    if (!key) return null;
+    const row = await get(
+      `
+      SELECT
+        scope, key, locked_until,
+        CAST((julianday(locked_until) - julianday('now')) * 86400 AS INTEGER) AS retry_after
+      FROM login_lockouts
+      WHERE scope = ? AND key = ? AND locked_until > datetime('now')
+      `,
+      [scope, key]
+    );
+    if (!row) return null;
+    return {
+      scope,
+      locked_until: row.locked_until,
+      retry_after: Math.max(1, Number(row.retry_after || 0)),
+    };
+  }
+
+  // returns { scope, locked_until, retry_after } when account or ip is locked
+  async function checkLocked(email, ip) {
+    return (
+      (await activeLock("account", email)) || (await activeLock("ip", ip))
+    );
+  }
+
+  async function bumpFailure(scope, key, maxFailures, reason) {
+    if (!key) return null;
+
+    // read + write in one transaction: parallel wrong passwords must not
+    // overwrite each other's count (that would never reach maxFailures)
+    return withTransaction(async () => {
+      const row = await get(
+        `
+        SELECT
+          failures, lock_count,
+          (last_failure_at IS NULL OR last_failure_at < datetime('now', ?)) AS window_expired,
+          (last_failure_at IS NULL OR last_failure_at < datetime('now', '-1 day')) AS backoff_expired
+        FROM login_lockouts
+        WHERE scope = ? AND key = ?
+        `,
+        [`-${FAILURE_WINDOW_MIN} minutes`, scope, key]
+      );
+
+      let failures = row && !row.window_expired ? Number(row.failures || 0) : 0;
+      let lockCount = row && !row.backoff_expired ? Number(row.lock_count || 0) : 0;
+
+      failures += 1;
+
+      let lockedFor = 0;
+      if (failures >= maxFailures) {
+        lockCount += 1;
+        lockedFor = lockMinutes(lockCount);
+        failures = 0;
+      }
+
+      await run(
+        `
+        INSERT INTO login_lockouts
+          (scope, key, failures, lock_count, locked_until, last_reason, last_failure_at, updated_at)
+        VALUES
+          (?, ?, ?, ?, CASE WHEN ? > 0 THEN datetime('now', ?) ELSE NULL END, ?, datetime('now'), datetime('now'))
+        ON CONFLICT(scope, key) DO UPDATE SET
+          failures = excluded.failures,
+          lock_count = excluded.lock_count,
+          locked_until = COALESCE(excluded.locked_until, login_lockouts.locked_until),
+          last_reason = excluded.last_reason,
+          last_failure_at = excluded.last_failure_at,
+          updated_at = excluded.updated_at
+        `,
+        [
+          scope,
+          key,
+          failures,
+          lockCount,
+          lockedFor,
+          `+${lockedFor} minutes`,
+          reason,
+        ]
+      );
+
+      return lockedFor ? { scope, minutes: lockedFor } : null;
+    });
+  }
+
+  async function recordAttempt({ req, email, userId, success, reason }) {
+    await run(
+      `INSERT INTO login_attempts (user_id, email, ip, user_agent, success, reason)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        userId || null,
+        email || null,
+        clientIp(req),
+        safeTrim(req.headers["user-agent"]).slice(0, 255) || null,
+        success ? 1 : 0,
+        reason,
+      ]
+    );
+  }
+
+  // failed credentials -> count for account + ip, maybe lock
+  async function recordFailure({ req, email, userId, reason }) {
+    await recordAttempt({ req, email, userId, success: false, reason });
+
+    const ip = clientIp(req);
+    const accountLock = await bumpFailure(
+      "account",
+      email,
+      ACCOUNT_MAX_FAILURES,
+      reason
+    );
+    const ipLock = await bumpFailure("ip", ip, IP_MAX_FAILURES, reason);
+
+    const lock = accountLock || ipLock;
+    if (lock) {
+      console.warn(
+        `[login-guard] ${lock.scope} locked for ${lock.minutes}m`,
+        lock.scope === "account" ? email : ip
+      );
+    }
+    return lock;
+  }
+
+  async function unlockAccount(email) {
+    await run(`DELETE FROM login_lockouts WHERE scope = 'account' AND key = ?`, [
+      email,
+    ]);
+  }
+
+  // good credentials -> clear the account counters (ip counters decay by window)
+  async function recordSuccess({ req, email, userId }) {
+    await recordAttempt({ req, email, userId, success: true, reason: "ok" });
+    await unlockAccount(email);
+  }
+
+  // =====================
+  // ADMIN (audit + unlock)
+  // =====================
+  app.get(
+    "/api/admin/login-attempts",
+    authRequired,
+    adminRequired,
+    async (req, res) => {
+      try {
+        const where = [];
+        const params = [];
+
+        const email = safeTrim(req.query.email).toLowerCase();
+        if (email) {
+          where.push("email = ?");
+          params.push(email);
+        }
+
+        const ip = safeTrim(req.query.ip);
+        if (ip) {
+          where.push("ip = ?");
+          params.push(ip);
+        }
+
+        const reason = safeTrim(req.query.reason);
+        if (reason) {
+          where.push("reason = ?");
+          params.push(reason);
+        }
+
+        if (String(req.query.failed || "") === "1") where.push("success = 0");
+
+        const limit = Math.min(500, Math.max(1, toInt(req.query.limit) || 100));
+
+        const rows = await all(
+          `
+          SELECT * FROM login_attempts
+          ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+          ORDER BY id DESC
+          LIMIT ?
+          `,
+          [...params, limit]
+        );
+        return res.json({ ok: true, items: rows || [] });
+      } catch (e) {
+        console.error("[login-guard] attempts list", e);
+        return res.status(500).json({ error: "Failed" });
+      }
+    }
+  );
+
+  app.get(
+    "/api/admin/login-lockouts",
+    authRequired,
+    adminRequired,
+    async (req, res) => {
+      try {
+        const includeExpired = String(req.query.all || "") === "1";
+        const rows = await all(
+          `
+          SELECT *, (locked_until > datetime('now')) AS is_locked
+          FROM login_lockouts
+          ${includeExpired ? "" : "WHERE locked_until > datetime('now')"}
+          ORDER BY updated_at DESC
+          LIMIT 500
+          `
+        );
+        return res.json({
+          ok: true,
+          items: (rows || []).map((r) => ({ ...r, is_locked: !!r.is_locked })),
+        });
+      } catch (e) {
+        console.error("[login-guard] lockouts list", e);
+        return res.status(500).json({ error: "Failed" });
+      }
+    }
+  );
+
+  // unlock: DELETE /api/admin/login-lockouts/account/foo@bar.com
+  app.delete(
+    "/api/admin/login-lockouts/:scope/:key",
+    authRequired,
+    adminRequired,
+    async (req, res) => {
+      try {
+        const scope = safeTrim(req.params.scope).toLowerCase();
+        if (scope !== "account" && scope !== "ip")
+          return res.status(400).json({ error: "Bad scope" });
+
+        const key =
+          scope === "account"
+            ? safeTrim(req.params.key).toLowerCase()
+            : safeTrim(req.params.key);
+
+        const r = await run(
+          `DELETE FROM login_lockouts WHERE scope = ? AND key = ?`,
+          [scope, key]
+        );
+        return res.json({ ok: true, deleted: r.changes || 0 });
+      } catch (e) {
+        console.error("[login-guard] unlock", e);
+        return res.status(500).json({ error: "Failed" });
+      }
+    }
+  );
+
+  return {
+    clientIp,
+    checkLocked,
+    recordFailure,
+    recordSuccess,
+    recordAttempt,
+    unlockAccount,
+  };
+};
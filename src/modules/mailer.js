@@ -0,0 +1,113 @@
+// src/modules/mailer.js
+/* =====================
+   MAILER
+   - one interface: mailer.send({ to, subject, text, html }) -> Promise
+   - transports:
+       console (default)  -> prints the mail (local dev)
+       file               -> writes every mail as JSON into MAIL_DIR (local dev / tests)
+       smtp               -> nodemailer over SMTP_HOST / SMTP_PORT (587) / SMTP_SECURE
+                             (1 = implicit TLS, usually port 465) / SMTP_USER / SMTP_PASS
+       custom             -> pass { transport } with its own send() (SES, ...)
+   - NODE_ENV=production refuses console / file (they'd print or park reset
+     and verification links instead of delivering them): set MAIL_TRANSPORT=smtp
+===================== */
+
+const fs = require("fs");
+const path = require("path");
+
+function consoleTransport() {
+  return {
+    name: "console",
+    async send(msg) {
+      console.log(
+        `\n📧 [mail] to=${msg.to} subject=${JSON.stringify(msg.subject)}\n${
+          msg.text || ""
+        }\n`
+      );
+      return { id: `console-${Date.now()}` };
+    },
+  };
+}
+
+function fileTransport(dir) {
+  return {
+    name: "file",
+    async send(msg) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      const file = path.join(dir, `${id}.json`);
+      await fs.promises.writeFile(
+        file,
+        JSON.stringify({ ...msg, created_at: new Date().toISOString() }, null, 2)
+      );
+      return { id, file };
+    },
+  };
+}
+
+function smtpTransport(env = process.env) {
+  const host = String(env.SMTP_HOST || "").trim();
+  if (!host) throw new Error("mailer: MAIL_TRANSPORT=smtp needs SMTP_HOST");
+
+  const secure = ["1", "true", "yes"].includes(
+    String(env.SMTP_SECURE || "").trim().toLowerCase()
+  );
+  const user = String(env.SMTP_USER || "").trim();
+  const transporter = require("nodemailer").createTransport({
+    host,
+    port: Number(env.SMTP_PORT) || (secure ? 465 : 587),
+    secure,
+    auth: user ? { user, pass: env.SMTP_PASS || "" } : undefined,
+  });
+
+  return {
+    name: "smtp",
+    async send(msg) {
+      const info = await transporter.sendMail({
+        from: msg.from,
+        to: msg.to,
+        subject: msg.subject,
+        text: msg.text || undefined,
+        html: msg.html || undefined,
+      });
+      return { id: info.messageId };
+    },
+  };
+}
+
+module.exports = function createMailer(opts = {}) {
+  const from = opts.from || process.env.MAIL_FROM || "no-reply@answerforu.com";
+
+  let transport = opts.transport || null;
+  if (!transport) {
+    const kind = String(process.env.MAIL_TRANSPORT || "console")
+      .trim()
+      .toLowerCase();
+    if (kind !== "smtp" && process.env.NODE_ENV === "production")
+      throw new Error(
+        `mailer: MAIL_TRANSPORT=${kind} is dev-only, set MAIL_TRANSPORT=smtp + SMTP_HOST in production`
+      );
+    transport =
+      kind === "smtp"
+        ? smtpTransport()
+        : kind === "file"
+          ? fileTransport(
+              path.resolve(process.env.MAIL_DIR || path.join(process.cwd(), "mail-outbox"))
+            )
+          : consoleTransport();
+  }
+
+  if (typeof transport.send !== "function")
+    throw new Error("mail transport must implement send(msg)");
+
+  async function send({ to, subject, text, html }) {
+    if (!to) throw new Error("mail: missing recipient");
+    return transport.send({ from, to, subject, text, html: html || null });
+  }
+
+  return { send, transport: transport.name || "custom" };
+};
+
+module.exports.consoleTransport = consoleTransport;
+module.exports.fileTransport = fileTransport;
+module.exports.smtpTransport = smtpTransport;
@@ -0,0 +1,68 @@
+// src/modules/media-storage.js
+/* =====================
+   MEDIA STORAGE
+   - one interface, every driver implements:
+       name
+       put(key, buffer, { contentType }) -> Promise
+       remove(key)                       -> Promise (missing key = no error)
+       url(key)                          -> public URL of the stored file
+   - drivers:
+       local (default) -> files under MEDIA_DIR, served by the app at MEDIA_PUBLIC_PATH
+       custom          -> pass { driver } (S3 / R2 / MinIO: PutObject, DeleteObject,
+                          url = bucket or CDN address)
+   - keys look like "2026/10/4f1c...e2.jpg" (no leading slash)
+===================== */
+
+const fs = require("fs");
+const path = require("path");
+
+function localDriver(dir, publicPath = "/uploads") {
+  const root = path.resolve(dir);
+
+  // keys come from the media store, but never let one escape the root
+  function fileOf(key) {
+    const file = path.resolve(root, String(key || ""));
+    if (!file.startsWith(root + path.sep)) throw new Error(`bad media key ${key}`);
+    return file;
+  }
+
+  return {
+    name: "local",
+    dir: root,
+    publicPath,
+    async put(key, buffer) {
+      const file = fileOf(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+    async remove(key) {
+      await fs.promises.rm(fileOf(key), { force: true });
+    },
+    url(key) {
+      return `${publicPath}/${key}`;
+    },
+  };
+}
+
+module.exports = function createMediaStorage(opts = {}) {
+  let driver = opts.driver || null;
+  if (!driver) {
+    const kind = String(process.env.MEDIA_DRIVER || "local")
+      .trim()
+      .toLowerCase();
+    if (kind !== "local")
+      throw new Error(`MEDIA_DRIVER=${kind}: pass a custom driver instead`);
+    driver = localDriver(
+      process.env.MEDIA_DIR || path.join(process.cwd(), "uploads"),
+      process.env.MEDIA_PUBLIC_PATH || "/uploads"
+    );
+  }
+
+  for (const fn of ["put", "remove", "url"]) {
+    if (typeof driver[fn] !== "function")
+      throw new Error(`media driver must implement ${fn}()`);
+  }
+  return driver;
+};
+
+module.exports.localDriver = localDriver;
@@ -0,0 +1,211 @@
+// src/modules/media-store.js
+/* =====================
+   MEDIA (uploaded images)
+   - upload({ userId, buffer, mime, filename }) -> media
+       the bytes decide the type (declared MIME must match), EXIF orientation
+       is applied and every metadata block (EXIF / GPS / XMP / ICC) dropped,
+       big images are scaled down to MAX_DIMENSION, plus a webp thumbnail
+   - owned(userId, ids) -> media[] for ids the user may attach (BAD_MEDIA otherwise)
+     fromBody(userId, req.body.media_ids) -> same, null when the field wasn't sent
+   - remove(id, userId): NOT_FOUND | FORBIDDEN | IN_USE, files go with the row
+   - media = { id, url, thumb_url, mime, width, height, size_bytes, created_at }
+   files live in the storage driver (media-storage), rows in the media table
+===================== */
+
+const crypto = require("crypto");
+const sharp = require("sharp");
+
+// detected format -> stored MIME + extension
+const FORMATS = {
+  jpeg: { mime: "image/jpeg", ext: "jpg" },
+  png: { mime: "image/png", ext: "png" },
+  webp: { mime: "image/webp", ext: "webp" },
+  gif: { mime: "image/gif", ext: "gif" },
+};
+const MIME_TYPES = Object.values(FORMATS).map((f) => f.mime);
+
+const MAX_DIMENSION = 4096;
+const THUMB_SIZE = 400;
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+function mediaError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+module.exports = function createMediaStore(opts) {
+  const { data, storage } = opts;
+  const { get, all, run } = data;
+
+  const maxBytes =
+    opts.maxBytes ||
+    Math.max(1, Number(process.env.MEDIA_MAX_MB) || 10) * 1024 * 1024;
+
+  const MEDIA_COLUMNS = `id, user_id, driver, storage_key, thumb_key, mime, size_bytes,
+    width, height, original_name, created_at`;
+
+  function toMedia(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      user_id: row.user_id,
+      url: storage.url(row.storage_key),
+      thumb_url: row.thumb_key ? storage.url(row.thumb_key) : null,
+      mime: row.mime,
+      width: row.width,
+      height: row.height,
+      size_bytes: row.size_bytes,
+      original_name: row.original_name,
+      created_at: row.created_at,
+    };
+  }
+
+  function newKey(ext) {
+    const d = new Date();
+    const month = String(d.getUTCMonth() + 1).padStart(2, "0");
+    return `${d.getUTCFullYear()}/${month}/${crypto.randomBytes(16).toString("hex")}.${ext}`;
+  }
+
+  async function detect(buffer) {
+    try {
+      const meta = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+      return { format: FORMATS[meta.format] ? meta.format : null, pages: meta.pages || 1 };
+    } catch {
+      return { format: null, pages: 1 };
+    }
+  }
+
+  async function upload({ userId, buffer, mime, filename }) {
+    if (!buffer || !buffer.length) throw mediaError("BAD_MEDIA", "Empty file");
+    if (buffer.length > maxBytes) throw mediaError("TOO_LARGE", "File is too large");
+
+    const declared = String(mime || "").toLowerCase();
+    if (!MIME_TYPES.includes(declared))
+      throw mediaError("UNSUPPORTED", `Only ${MIME_TYPES.join(", ")} are accepted`);
+
+    const { format, pages } = await detect(buffer);
+    if (!format) throw mediaError("UNSUPPORTED", "File is not a supported image");
+    if (FORMATS[format].mime !== declared)
+      throw mediaError("UNSUPPORTED", "File content does not match its type");
+
+    const animated = pages > 1 && (format === "gif" || format === "webp");
+    const input = () =>
+      sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, animated });
+
+    // sharp writes no metadata unless asked to: EXIF / GPS are gone here
+    const main = await input()
+      .rotate()
+      .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: "inside", withoutEnlargement: true })
+      .toFormat(format)
+      .toBuffer({ resolveWithObject: true });
+
+    const thumb = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize(THUMB_SIZE, THUMB_SIZE, { fit: "inside", withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+
+    const key = newKey(FORMATS[format].ext);
+    const thumbKey = key.replace(/\.\w+$/, "_thumb.webp");
+    await storage.put(key, main.data, { contentType: FORMATS[format].mime });
+    await storage.put(thumbKey, thumb, { contentType: "image/webp" });
+
+    try {
+      const r = await run(
+        `INSERT INTO media
+           (user_id, driver, storage_key, thumb_key, mime, size_bytes, width, height, original_name)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          userId,
+          storage.name || "custom",
+          key,
+          thumbKey,
+          FORMATS[format].mime,
+          main.data.length,
+          main.info.width,
+          animated ? main.info.pageHeight || main.info.height : main.info.height,
+          String(filename || "").slice(0, 255) || null,
+        ]
+      );
+      return get1(r.lastID);
+    } catch (e) {
+      await Promise.all([storage.remove(key), storage.remove(thumbKey)]).catch(() => {});
+      throw e;
+    }
+  }
+
+  async function get1(id) {
+    return toMedia(await get(`SELECT ${MEDIA_COLUMNS} FROM media WHERE id = ?`, [id]));
+  }
+
+  // [3, "7"] -> media in the same order; only the uploader may attach a file
+  async function owned(userId, ids) {
+    const list = [...new Set((ids || []).map((v) => parseInt(v, 10)))];
+    if (list.some((n) => !Number.isFinite(n) || n <= 0))
+      throw mediaError("BAD_MEDIA", "Bad media id");
+    if (!list.length) return [];
+
+    const rows = await all(
+      `SELECT ${MEDIA_COLUMNS} FROM media
+       WHERE user_id = ? AND id IN (${list.map(() => "?").join(",")})`,
+      [userId, ...list]
+    );
+    const byId = new Map(rows.map((r) => [r.id, r]));
+    const missing = list.filter((id) => !byId.has(id));
+    if (missing.length)
+      throw mediaError("BAD_MEDIA", `Unknown media id ${missing.join(", ")}`);
+    return list.map((id) => toMedia(byId.get(id)));
+  }
+
+  // request field -> null (not sent) | media[] ; "3", 3 and [3, 7] all work
+  async function fromBody(userId, raw) {
+    if (raw === undefined || raw === null || raw === "") return null;
+    return owned(userId, Array.isArray(raw) ? raw : [raw]);
+  }
+
+  // posts, profiles, products and listings that still show this file
+  async function isInUse(id) {
+    const row = await get(
+      `
+      SELECT
+        EXISTS (SELECT 1 FROM posts WHERE media_id = ?)
+        OR EXISTS (SELECT 1 FROM user_profile WHERE avatar_media_id = ? OR cover_media_id = ?)
+        OR EXISTS (SELECT 1 FROM products p, json_each(p.media_ids_json) j
+                   WHERE json_valid(p.media_ids_json) AND j.value = ?)
+        OR EXISTS (SELECT 1 FROM marketplace_listings m, json_each(m.media_ids_json) j
+                   WHERE json_valid(m.media_ids_json) AND j.value = ?)
+      AS used
+      `,
+      [id, id, id, id, id]
+    );
+    return !!row?.used;
+  }
+
+  async function remove(id, userId) {
+    const row = await get(`SELECT ${MEDIA_COLUMNS} FROM media WHERE id = ?`, [id]);
+    if (!row) throw mediaError("NOT_FOUND", "Media not found");
+    if (row.user_id !== userId) throw mediaError("FORBIDDEN", "Not your media");
+    if (await isInUse(id)) throw mediaError("IN_USE", "Media is still in use");
+
+    await run(`DELETE FROM media WHERE id = ?`, [id]);
+    await Promise.all(
+      [row.storage_key, row.thumb_key].filter(Boolean).map((k) => storage.remove(k))
+    ).catch((e) => console.error("[media] file cleanup", e));
+  }
+
+  return {
+    MIME_TYPES,
+    maxBytes,
+    MEDIA_COLUMNS,
+    toMedia,
+    upload,
+    get: get1,
+    owned,
+    fromBody,
+    isInUse,
+    remove,
+  };
+};
+
+module.exports.MIME_TYPES = MIME_TYPES;
@@ -0,0 +1,154 @@
+// src/modules/media.js
+/* =====================
+   MEDIA MODULE
+   - POST   /api/media              multipart/form-data, one image in field "file"
+                                    -> 201 { media }
+   - GET    /api/media/mine         my uploads, newest first (?limit=&cursor=)
+   - GET    /api/media/:id          owner only -> { media } (404 for anyone else,
+                                    so ids can't be walked for other users' files)
+   - DELETE /api/media/:id          owner only, 409 while a post / profile /
+                                    product / listing still uses it
+   - local driver: files are served from storage.publicPath
+   attach uploads by id: posts { media_id }, profile { avatar_media_id,
+   cover_media_id }, products + listings { media_ids: [..] }
+===================== */
+
+const express = require("express");
+const Busboy = require("busboy");
+
+module.exports = function registerMedia(opts) {
+  const { app, data, media, storage, authRequired, paging, toInt } = opts;
+  const { all } = data;
+
+  if (storage.name === "local") {
+    app.use(
+      storage.publicPath,
+      express.static(storage.dir, {
+        immutable: true,
+        maxAge: "365d",
+        index: false,
+        dotfiles: "deny",
+      })
+    );
+  }
+
+  // one file, held in memory (size capped by media.maxBytes)
+  function readUpload(req) {
+    return new Promise((resolve, reject) => {
+      let bb;
+      try {
+        bb = Busboy({
+          headers: req.headers,
+          limits: { files: 1, fileSize: media.maxBytes, fields: 10 },
+        });
+      } catch {
+        reject(Object.assign(new Error("Expected multipart/form-data"), { code: "BAD_MEDIA" }));
+        return;
+      }
+
+      let file = null;
+      bb.on("file", (name, stream, info) => {
+        if (name !== "file" || file) {
+          stream.resume();
+          return;
+        }
+        const chunks = [];
+        file = { mime: info.mimeType, filename: info.filename, truncated: false };
+        stream.on("data", (c) => chunks.push(c));
+        stream.on("limit", () => {
+          file.truncated = true;
+        });
+        stream.on("end", () => {
+          file.buffer = Buffer.concat(chunks);
+        });
+      });
+      bb.on("error", reject);
+      bb.on("close", () => resolve(file));
+      req.pipe(bb);
+    });
+  }
+
+  const ERROR_STATUS = {
+    BAD_MEDIA: 400,
+    FORBIDDEN: 403,
+    NOT_FOUND: 404,
+    IN_USE: 409,
+    TOO_LARGE: 413,
+    UNSUPPORTED: 415,
+  };
+
+  function sendMediaError(res, e, tag, message) {
+    const status = ERROR_STATUS[e.code];
+    if (status) return res.status(status).json({ error: e.message, code: e.code });
+    console.error(`[media] ${tag}`, e);
+    return res.status(500).json({ error: message });
+  }
+
+  app.post("/api/media", authRequired, async (req, res) => {
+    try {
+      const file = await readUpload(req);
+      if (!file) return res.status(400).json({ error: "File is required (field \"file\")" });
+      if (file.truncated)
+        return res.status(413).json({
+          error: `File is larger than ${Math.round(media.maxBytes / 1024 / 1024)} MB`,
+          code: "TOO_LARGE",
+        });
+
+      const item = await media.upload({
+        userId: req.user.id,
+        buffer: file.buffer,
+        mime: file.mime,
+        filename: file.filename,
+      });
+      return res.status(201).json({ media: item });
+    } catch (e) {
+      return sendMediaError(res, e, "upload", "Upload failed");
+    }
+  });
+
+  app.get("/api/media/mine", authRequired, async (req, res) => {
+    const page = paging.readPage(req.query);
+    if (page.error) return res.status(400).json({ error: page.error });
+    const after = paging.keyset(page, ["id"]);
+
+    try {
+      const rows = await all(
+        `SELECT ${media.MEDIA_COLUMNS} FROM media
+         WHERE user_id = ? ${after ? `AND ${after.sql}` : ""}
+         ORDER BY id DESC
+         LIMIT ?`,
+        [req.user.id, ...(after ? after.params : []), page.sqlLimit]
+      );
+      const { items, next_cursor } = paging.pageOf(rows, page, (r) => [r.id]);
+      return res.json({ items: items.map(media.toMedia), next_cursor });
+    } catch (e) {
+      return sendMediaError(res, e, "list", "Failed to load uploads");
+    }
+  });
+
+  app.get("/api/media/:id", authRequired, async (req, res) => {
+    const id = toInt(req.params.id);
+    if (!id) return res.status(400).json({ error: "Bad id" });
+
+    try {
+      const item = await media.get(id);
+      if (!item || item.user_id !== Number(req.user.id))
+        return res.status(404).json({ error: "Media not found" });
+      return res.json({ media: item });
+    } catch (e) {
+      return sendMediaError(res, e, "get", "Failed to load media");
+    }
+  });
+
+  app.delete("/api/media/:id", authRequired, async (req, res) => {
+    const id = toInt(req.params.id);
+    if (!id) return res.status(400).json({ error: "Bad id" });
+
+    try {
+      await media.remove(id, req.user.id);
+      return res.json({ ok: true });
+    } catch (e) {
+      return sendMediaError(res, e, "delete", "Delete failed");
+    }
+  });
+};
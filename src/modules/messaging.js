@@ -0,0 +1,171 @@
+// src/modules/messaging.js
+/* =====================
+   DIRECT MESSAGING MODULE
+   - GET    /api/conversations                 newest activity first (?limit=&cursor=)
+   - GET    /api/conversations/unread-count    -> { unread_count, conversations }
+   - POST   /api/conversations                 { user_id } or { context_type, context_id }
+                                               (+ optional message) -> { conversation }
+                                               201 when new, 200 when it already existed
+   - GET    /api/conversations/:id             -> { conversation }
+   - GET    /api/conversations/:id/messages    newest page, oldest first (?limit=&cursor=)
+                                               reading marks the page read
+   - POST   /api/conversations/:id/messages    { message } -> 201 { message }
+   - POST   /api/conversations/:id/read
+   - POST   /api/conversations/:id/block       block the other user (DELETE = unblock)
+   "contact seller": POST /api/listings/:id/contact, /api/profile/services/:id/contact,
+   /api/profile/products/:id/contact open a conversation about that item
+===================== */
+
+module.exports = function registerMessaging(opts) {
+  const { app, conversations, blocks, authRequired, paging, toInt } = opts;
+
+  function sendDmError(res, e, tag, message) {
+    const status = conversations.ERROR_STATUS[e.code];
+    if (status) return res.status(status).json({ error: e.message, code: e.code });
+    console.error(`[messages] ${tag}`, e);
+    return res.status(500).json({ error: message });
+  }
+
+  const messageOf = (body) =>
+    body?.message ?? body?.body ?? body?.text ?? body?.content;
+
+  const ACTIVITY = ["COALESCE(c.last_message_at, c.created_at)", "c.id"];
+
+  app.get("/api/conversations", authRequired, async (req, res) => {
+    const page = paging.readPage(req.query, { keys: 2 });
+    if (page.error) return res.status(400).json({ error: page.error });
+
+    try {
+      const rows = await conversations.list(req.user.id, {
+        after: paging.keyset(page, ACTIVITY),
+        limit: page.sqlLimit,
+      });
+      const { items, next_cursor } = paging.pageOf(rows, page, (c) => [
+        c.last_message_at || c.created_at,
+        c.id,
+      ]);
+      return res.json({ items: items.map(conversations.mapConversation), next_cursor });
+    } catch (e) {
+      return sendDmError(res, e, "list", "Failed to load conversations");
+    }
+  });
+
+  app.get("/api/conversations/unread-count", authRequired, async (req, res) => {
+    try {
+      return res.json(await conversations.unreadCount(req.user.id));
+    } catch (e) {
+      return sendDmError(res, e, "unread", "Failed to load unread count");
+    }
+  });
+
+  app.post("/api/conversations", authRequired, async (req, res) => {
+    const body = req.body || {};
+    try {
+      const { created, ...out } = await conversations.start({
+        userId: req.user.id,
+        otherId: toInt(body.user_id ?? body.userId),
+        contextType: body.context_type || null,
+        contextId: toInt(body.context_id),
+        message: messageOf(body),
+      });
+      return res.status(created ? 201 : 200).json(out);
+    } catch (e) {
+      return sendDmError(res, e, "open", "Failed to open conversation");
+    }
+  });
+
+  // :id -> conversation row or an error response
+  async function load(req, res) {
+    const id = toInt(req.params.id);
+    if (!id) {
+      res.status(400).json({ error: "Bad id" });
+      return null;
+    }
+    try {
+      return await conversations.forUser(id, req.user.id);
+    } catch (e) {
+      sendDmError(res, e, "load", "Failed to load conversation");
+      return null;
+    }
+  }
+
+  app.get("/api/conversations/:id", authRequired, async (req, res) => {
+    const c = await load(req, res);
+    if (!c) return;
+    try {
+      const row = await conversations.view(c.id, req.user.id);
+      return res.json({ conversation: conversations.mapConversation(row) });
+    } catch (e) {
+      return sendDmError(res, e, "get", "Failed to load conversation");
+    }
+  });
+
+  app.get("/api/conversations/:id/messages", authRequired, async (req, res) => {
+    const page = paging.readPage(req.query, { legacyLimit: 50, max: 200 });
+    if (page.error) return res.status(400).json({ error: page.error });
+
+    const c = await load(req, res);
+    if (!c) return;
+    try {
+      const rows = await conversations.messages(c, req.user.id, {
+        after: paging.keyset(page, ["id"]),
+        limit: page.sqlLimit,
+      });
+      const { items, next_cursor } = paging.pageOf(rows, page, (m) => [m.id]);
+      return res.json({
+        messages: items
+          .reverse()
+          .map((m) => conversations.mapMessage(m, req.user.id)),
+        next_cursor,
+      });
+    } catch (e) {
+      return sendDmError(res, e, "messages", "Failed to load messages");
+    }
+  });
+
+  app.post("/api/conversations/:id/messages", authRequired, async (req, res) => {
+    const c = await load(req, res);
+    if (!c) return;
+    try {
+      const message = await conversations.send(c, req.user.id, messageOf(req.body));
+      return res.status(201).json({ message });
+    } catch (e) {
+      return sendDmError(res, e, "send", "Send failed");
+    }
+  });
+
+  app.post("/api/conversations/:id/read", authRequired, async (req, res) => {
+    const c = await load(req, res);
+    if (!c) return;
+    try {
+      const updated = await conversations.markRead(c, req.user.id);
+      return res.json({ ok: true, updated });
+    } catch (e) {
+      return sendDmError(res, e, "read", "Failed to mark read");
+    }
+  });
+
+  app.post("/api/conversations/:id/block", authRequired, async (req, res) => {
+    const c = await load(req, res);
+    if (!c) return;
+    try {
+      const other = conversations.otherOf(c, req.user.id);
+      await blocks.block(req.user.id, other);
+      return res.json({ ok: true, blocked: true, user_id: other });
+    } catch (e) {
+      return sendDmError(res, e, "block", "Block failed");
+    }
+  });
+
+  app.delete("/api/conversations/:id/block", authRequired, async (req, res) => {
+    const c = await load(req, res);
+    if (!c) return;
+    try {
+      const other = conversations.otherOf(c, req.user.id);
+      await blocks.unblock(req.user.id, other);
+      return res.json({ ok: true, blocked: false, user_id: other });
+    } catch (e) {
+      return sendDmError(res, e, "unblock", "Unblock failed");
+    }
+  });
+};
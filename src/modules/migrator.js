@@ -0,0 +1,178 @@
+// src/modules/migrator.js
+/* =====================
+   SCHEMA MIGRATIONS
+   - numbered files in src/migrations: 001_baseline.js, 002_login_guard.js ...
+   - each file exports { name?, up(m), down?(m) }
+   - applied versions are recorded in schema_migrations
+   - every migration runs in its own transaction (all or nothing)
+   - CLI: node scripts/migrate.js status|up|down
+===================== */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_DIR = path.resolve(__dirname, "..", "migrations");
+
+module.exports = function createMigrator(opts) {
+  const { data, dir = DEFAULT_DIR, log = console.log } = opts;
+  const { run, get, all, withTransaction } = data;
+
+  // =====================
+  // Helpers handed to every migration
+  // =====================
+  async function hasTable(table) {
+    const row = await get(
+      `SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`,
+      [table]
+    );
+    return !!row;
+  }
+
+  async function hasColumn(table, column) {
+    const cols = await all(`PRAGMA table_info(${table})`);
+    return cols.some((c) => c.name === column);
+  }
+
+  // old databases are missing columns that newer CREATE TABLEs have.
+  // ✅ checks first, so real errors are thrown instead of swallowed
+  async function addColumn(table, column, definition) {
+    if (!(await hasTable(table))) return false;
+    if (await hasColumn(table, column)) return false;
+    await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+  }
+
+  async function dropColumn(table, column) {
+    if (!(await hasTable(table))) return false;
+    if (!(await hasColumn(table, column))) return false;
+    await run(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    return true;
+  }
+
+  const helpers = { run, get, all, hasTable, hasColumn, addColumn, dropColumn };
+
+  // =====================
+  // Files + state
+  // =====================
+  function loadMigrations() {
+    const files = fs
+      .readdirSync(dir)
+      .filter((f) => /^\d+_[\w-]+\.js$/.test(f))
+      .sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+
+    const seen = new Set();
+    return files.map((file) => {
+      const version = parseInt(file, 10);
+      if (seen.has(version))
+        throw new Error(`Duplicate migration version ${version} (${file})`);
+      seen.add(version);
+
+      const mod = require(path.join(dir, file));
+      if (typeof mod.up !== "function")
+        throw new Error(`Migration ${file} has no up()`);
+
+      return {
+        version,
+        name: mod.name || file.replace(/^\d+_/, "").replace(/\.js$/, ""),
+        file,
+        up: mod.up,
+        down: typeof mod.down === "function" ? mod.down : null,
+      };
+    });
+  }
+
+  async function ensureTable() {
+    await run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT DEFAULT (datetime('now'))
+      )
+    `);
+  }
+
+  async function appliedRows() {
+    await ensureTable();
+    return all(`SELECT version, name, applied_at FROM schema_migrations ORDER BY version`);
+  }
+
+  // [{ version, name, file, applied, applied_at }] + versions in the db without a file
+  async function status() {
+    const migrations = loadMigrations();
+    const applied = await appliedRows();
+    const byVersion = new Map(applied.map((r) => [Number(r.version), r]));
+
+    const items = migrations.map((m) => ({
+      version: m.version,
+      name: m.name,
+      file: m.file,
+      applied: byVersion.has(m.version),
+      applied_at: byVersion.get(m.version)?.applied_at || null,
+      reversible: !!m.down,
+    }));
+
+    const known = new Set(migrations.map((m) => m.version));
+    const missing = applied.filter((r) => !known.has(Number(r.version)));
+
+    return { items, missing };
+  }
+
+  async function pending() {
+    const { items } = await status();
+    return items.filter((m) => !m.applied);
+  }
+
+  // applies every pending migration (or up to `to`), in order
+  async function up({ to = null } = {}) {
+    const migrations = loadMigrations();
+    const applied = new Set((await appliedRows()).map((r) => Number(r.version)));
+    const done = [];
+
+    for (const m of migrations) {
+      if (applied.has(m.version)) continue;
+      if (to != null && m.version > to) break;
+
+      log(`[migrate] up   ${m.file}`);
+      await withTransaction(async () => {
+        await m.up(helpers);
+        await run(`INSERT INTO schema_migrations (version, name) VALUES (?, ?)`, [
+          m.version,
+          m.name,
+        ]);
+      });
+      done.push(m.version);
+    }
+    return done;
+  }
+
+  // reverts the newest `steps` applied migrations
+  async function down({ steps = 1 } = {}) {
+    const migrations = loadMigrations();
+    const byVersion = new Map(migrations.map((m) => [m.version, m]));
+    const applied = (await appliedRows())
+      .map((r) => Number(r.version))
+      .sort((a, b) => b - a)
+      .slice(0, Math.max(1, steps));
+
+    // ✅ check everything first: never stop half way because of a baseline
+    const targets = applied.map((version) => {
+      const m = byVersion.get(version);
+      if (!m) throw new Error(`Migration file for version ${version} is missing`);
+      if (!m.down) throw new Error(`Migration ${m.file} can't be reverted`);
+      return m;
+    });
+
+    const done = [];
+    for (const m of targets) {
+      log(`[migrate] down ${m.file}`);
+      await withTransaction(async () => {
+        await m.down(helpers);
+        await run(`DELETE FROM schema_migrations WHERE version = ?`, [m.version]);
+      });
+      done.push(m.version);
+    }
+    return done;
+  }
+
+  return { status, pending, up, down, helpers };
+};
@@ -0,0 +1,233 @@
+// src/modules/notification-store.js
+/* =====================
+   NOTIFICATIONS (in-app)
+   - notify(type, { userId, actorId, entityType, entityId, data })
+       userId = recipient; skipped when the actor is the recipient or the
+       recipient switched the type off. never throws: a failed notification
+       must not fail the like / follow / message that caused it
+   - collapse types: a repeat of the same unread event (same actor + entity)
+     updates the old row's data instead of adding one (like / unlike / like ...)
+   - retract(type, ...) drops the unread row again (unlike, unfollow)
+   - list / unreadCount / markRead / markAllRead / preferences
+   - with an event bus, new (and collapsed) notifications are pushed to
+     "user:<id>" as "notification" (see /api/stream)
+   - required types (moderation notices) can't be switched off
+===================== */
+
+// catalog (settings UI shows these)
+const TYPES = {
+  follow: { label: "New followers", collapse: true },
+  post_like: { label: "Likes on your posts", collapse: true },
+  post_comment: { label: "Comments on your posts" },
+  comment_reply: { label: "Replies to your comments" },
+  profile_review: { label: "Reviews on your profile", collapse: true },
+  listing_review: { label: "Reviews on your marketplace listings", collapse: true },
+  carry_request: { label: "Requests on your carry listings" },
+  carry_request_accepted: { label: "Your carry request was accepted" },
+  carry_request_rejected: { label: "Your carry request was declined" },
+  carry_message: { label: "Carry messages", collapse: true },
+  carry_review: { label: "Reviews after a delivery" },
+  direct_message: { label: "Direct messages", collapse: true },
+  moderation: { label: "Moderation notices (warnings, suspensions)", required: true },
+};
+
+module.exports = function createNotifier(opts) {
+  const { data, safeJsonParse, events } = opts;
+  const { all, get, run } = data;
+
+  const parseData = (v) =>
+    safeJsonParse ? safeJsonParse(v) || {} : JSON.parse(v || "{}");
+
+  function mapNotification(n) {
+    return {
+      id: Number(n.id),
+      type: n.type,
+      actor: n.actor_id
+        ? { id: Number(n.actor_id), username: n.actor_username || null }
+        : null,
+      entity_type: n.entity_type || null,
+      entity_id: n.entity_id == null ? null : Number(n.entity_id),
+      data: parseData(n.data_json),
+      read: !!n.read_at,
+      read_at: n.read_at || null,
+      created_at: n.created_at || null,
+    };
+  }
+
+  async function push(id) {
+    if (!events) return;
+    const row = await get(
+      `SELECT n.*, u.username AS actor_username
+       FROM notifications n LEFT JOIN users u ON u.id = n.actor_id
+       WHERE n.id = ?`,
+      [id]
+    );
+    if (row) events.publish(`user:${row.user_id}`, "notification", mapNotification(row));
+  }
+
+  async function isEnabled(userId, type) {
+    if (TYPES[type].required) return true;
+    const row = await get(
+      `SELECT enabled FROM notification_preferences WHERE user_id = ? AND type = ?`,
+      [userId, type]
+    );
+    return !row || !!row.enabled;
+  }
+
+  async function notify(type, { userId, actorId = null, entityType = null, entityId = null, data: payload = null }) {
+    try {
+      if (!TYPES[type]) throw new Error(`Unknown notification type ${type}`);
+      const to = Number(userId);
+      if (!to || (actorId && Number(actorId) === to)) return null;
+      if (!(await isEnabled(to, type))) return null;
+
+      const dataJson = payload ? JSON.stringify(payload) : null;
+
+      if (TYPES[type].collapse) {
+        const same = await get(
+          `SELECT id FROM notifications
+           WHERE user_id = ? AND type = ? AND read_at IS NULL
+             AND entity_type IS ? AND entity_id IS ? AND actor_id IS ?
+           ORDER BY id DESC LIMIT 1`,
+          [to, type, entityType, entityId, actorId]
+        );
+        if (same) {
+          await run(
+            `UPDATE notifications SET data_json = ? WHERE id = ?`,
+            [dataJson, same.id]
+          );
+          await push(same.id);
+          return same.id;
+        }
+      }
+
+      const r = await run(
+        `INSERT INTO notifications (user_id, type, actor_id, entity_type, entity_id, data_json)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [to, type, actorId, entityType, entityId, dataJson]
+      );
+      await push(r.lastID);
+      return r.lastID;
+    } catch (e) {
+      console.error(`[notifications] ${type}`, e);
+      return null;
+    }
+  }
+
+  // undo an unread notification (unlike / unfollow); read ones stay in history
+  async function retract(type, { userId, actorId = null, entityType = null, entityId = null }) {
+    try {
+      await run(
+        `DELETE FROM notifications
+         WHERE user_id = ? AND type = ? AND read_at IS NULL
+           AND entity_type IS ? AND entity_id IS ? AND actor_id IS ?`,
+        [userId, type, entityType, entityId, actorId]
+      );
+    } catch (e) {
+      console.error(`[notifications] retract ${type}`, e);
+    }
+  }
+
+  // newest first; after = paging.keyset(page, ["n.id"])
+  async function list(userId, { after = null, limit, unreadOnly = false } = {}) {
+    return all(
+      `
+      SELECT n.*, u.username AS actor_username
+      FROM notifications n
+      LEFT JOIN users u ON u.id = n.actor_id
+      WHERE n.user_id = ? ${unreadOnly ? "AND n.read_at IS NULL" : ""}
+        ${after ? `AND ${after.sql}` : ""}
+      ORDER BY n.id DESC
+      LIMIT ?
+      `,
+      [userId, ...(after ? after.params : []), limit]
+    );
+  }
+
+  async function unreadCount(userId) {
+    const row = await get(
+      `SELECT COUNT(*) AS c FROM notifications WHERE user_id = ? AND read_at IS NULL`,
+      [userId]
+    );
+    return Number(row?.c || 0);
+  }
+
+  async function markRead(userId, ids) {
+    const list = [...new Set(ids.map((v) => parseInt(v, 10)))].filter(
+      (n) => Number.isFinite(n) && n > 0
+    );
+    if (!list.length) return 0;
+    const r = await run(
+      `UPDATE notifications SET read_at = datetime('now')
+       WHERE user_id = ? AND read_at IS NULL AND id IN (${list.map(() => "?").join(",")})`,
+      [userId, ...list]
+    );
+    return r.changes;
+  }
+
+  async function markAllRead(userId) {
+    const r = await run(
+      `UPDATE notifications SET read_at = datetime('now') WHERE user_id = ? AND read_at IS NULL`,
+      [userId]
+    );
+    return r.changes;
+  }
+
+  // { type: { label, enabled } } for every catalog type
+  async function getPreferences(userId) {
+    const rows = await all(
+      `SELECT type, enabled FROM notification_preferences WHERE user_id = ?`,
+      [userId]
+    );
+    const saved = new Map(rows.map((r) => [r.type, !!r.enabled]));
+    const out = {};
+    for (const [type, t] of Object.entries(TYPES)) {
+      out[type] = t.required
+        ? { label: t.label, enabled: true, required: true }
+        : { label: t.label, enabled: saved.has(type) ? saved.get(type) : true };
+    }
+    return out;
+  }
+
+  // { post_like: false, follow: true } ; unknown or required types -> BAD_TYPE
+  async function setPreferences(userId, changes) {
+    const entries = Object.entries(changes || {});
+    const unknown = entries.filter(([type]) => !TYPES[type]).map(([type]) => type);
+    if (unknown.length) {
+      const err = new Error(`Unknown notification type: ${unknown.join(", ")}`);
+      err.code = "BAD_TYPE";
+      throw err;
+    }
+    const locked = entries.filter(([type, on]) => TYPES[type].required && !on);
+    if (locked.length) {
+      const err = new Error(`Can't turn off: ${locked.map(([type]) => type).join(", ")}`);
+      err.code = "BAD_TYPE";
+      throw err;
+    }
+    for (const [type, enabled] of entries) {
+      await run(
+        `INSERT INTO notification_preferences (user_id, type, enabled, updated_at)
+         VALUES (?, ?, ?, datetime('now'))
+         ON CONFLICT(user_id, type) DO UPDATE SET
+           enabled = excluded.enabled, updated_at = excluded.updated_at`,
+        [userId, type, enabled ? 1 : 0]
+      );
+    }
+    return getPreferences(userId);
+  }
+
+  return {
+    TYPES,
+    mapNotification,
+    notify,
+    retract,
+    list,
+    unreadCount,
+    markRead,
+    markAllRead,
+    getPreferences,
+    setPreferences,
+  };
+};
+
+module.exports.TYPES = TYPES;
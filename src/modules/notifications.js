@@ -0,0 +1,120 @@
+// src/modules/notifications.js
+/* =====================
+   NOTIFICATIONS MODULE
+   - GET  /api/notifications               newest first (?unread=1&limit=&cursor=)
+                                           -> { items, unread_count, next_cursor }
+   - GET  /api/notifications/unread-count  -> { unread_count }
+   - POST /api/notifications/:id/read
+   - POST /api/notifications/read          { ids: [..] }
+   - POST /api/notifications/read-all
+   - GET  /api/notifications/preferences   -> { preferences: { type: { label, enabled } } }
+   - PUT  /api/notifications/preferences   { post_like: false, ... } (only sent types change)
+   producers call notifier.notify(...) (feed, social-profile, carry, marketplace)
+===================== */
+
+module.exports = function registerNotifications(opts) {
+  const { app, notifier, authRequired, paging, toInt } = opts;
+
+  app.get("/api/notifications", authRequired, async (req, res) => {
+    const page = paging.readPage(req.query);
+    if (page.error) return res.status(400).json({ error: page.error });
+    const unreadOnly = ["1", "true"].includes(String(req.query.unread || ""));
+
+    try {
+      const rows = await notifier.list(req.user.id, {
+        after: paging.keyset(page, ["n.id"]),
+        limit: page.sqlLimit,
+        unreadOnly,
+      });
+      const { items, next_cursor } = paging.pageOf(rows, page, (r) => [r.id]);
+      return res.json({
+        items: items.map(notifier.mapNotification),
+        unread_count: await notifier.unreadCount(req.user.id),
+        next_cursor,
+      });
+    } catch (e) {
+      console.error("[notifications] list", e);
+      return res.status(500).json({ error: "Failed to load notifications" });
+    }
+  });
+
+  app.get("/api/notifications/unread-count", authRequired, async (req, res) => {
+    try {
+      return res.json({ unread_count: await notifier.unreadCount(req.user.id) });
+    } catch (e) {
+      console.error("[notifications] unread-count", e);
+      return res.status(500).json({ error: "Failed to load unread count" });
+    }
+  });
+
+  app.get("/api/notifications/preferences", authRequired, async (req, res) => {
+    try {
+      return res.json({ preferences: await notifier.getPreferences(req.user.id) });
+    } catch (e) {
+      console.error("[notifications] preferences", e);
+      return res.status(500).json({ error: "Failed to load preferences" });
+    }
+  });
+
+  app.put("/api/notifications/preferences", authRequired, async (req, res) => {
+    const body = req.body || {};
+    const changes = body.preferences && typeof body.preferences === "object"
+      ? body.preferences
+      : body;
+    if (Object.values(changes).some((v) => typeof v !== "boolean"))
+      return res.status(400).json({ error: "Preferences must be true / false" });
+
+    try {
+      return res.json({ preferences: await notifier.setPreferences(req.user.id, changes) });
+    } catch (e) {
+      if (e.code === "BAD_TYPE") return res.status(400).json({ error: e.message });
+      console.error("[notifications] preferences update", e);
+      return res.status(500).json({ error: "Failed to save preferences" });
+    }
+  });
+
+  app.post("/api/notifications/read-all", authRequired, async (req, res) => {
+    try {
+      const updated = await notifier.markAllRead(req.user.id);
+      return res.json({ ok: true, updated, unread_count: 0 });
+    } catch (e) {
+      console.error("[notifications] read-all", e);
+      return res.status(500).json({ error: "Failed to mark read" });
+    }
+  });
+
+  app.post("/api/notifications/read", authRequired, async (req, res) => {
+    const ids = req.body?.ids;
+    if (!Array.isArray(ids) || !ids.length)
+      return res.status(400).json({ error: "ids must be a non-empty array" });
+
+    try {
+      const updated = await notifier.markRead(req.user.id, ids);
+      return res.json({
+        ok: true,
+        updated,
+        unread_count: await notifier.unreadCount(req.user.id),
+      });
+    } catch (e) {
+      console.error("[notifications] read", e);
+      return res.status(500).json({ error: "Failed to mark read" });
+    }
+  });
+
+  app.post("/api/notifications/:id/read", authRequired, async (req, res) => {
+    const id = toInt(req.params.id);
+    if (!id) return res.status(400).json({ error: "Bad id" });
+
+    try {
+      const updated = await notifier.markRead(req.user.id, [id]);
+      return res.json({
+        ok: true,
+        updated,
+        unread_count: await notifier.unreadCount(req.user.id),
+      });
+    } catch (e) {
+      console.error("[notifications] read", e);
+      return res.status(500).json({ error: "Failed to mark read" });
+    }
+  });
+};
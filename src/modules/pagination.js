@@ -0,0 +1,85 @@
+// src/modules/pagination.js
+/* =====================
+   CURSOR PAGINATION (shared by every list route)
+   - request:  ?limit=&cursor=        (first page: cursor empty or missing)
+   - response: next_cursor            (null on the last page)
+   - array routes answer { items, next_cursor } only when ?cursor is in the
+     query; without it they keep the old plain array (limit still applies)
+   - object routes ({ ok, items } ...) always add next_cursor
+   - cursors are opaque: base64url JSON of the last row's sort key, used as a
+     keyset (WHERE (a, b) < (?, ?)) so pages don't shift when rows are added
+===================== */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+module.exports = function createPagination(opts = {}) {
+  const defaultLimit = opts.defaultLimit || DEFAULT_LIMIT;
+  const maxLimit = opts.maxLimit || MAX_LIMIT;
+
+  function encodeCursor(values) {
+    return Buffer.from(JSON.stringify(values)).toString("base64url");
+  }
+
+  function decodeCursor(raw, keys) {
+    try {
+      const v = JSON.parse(Buffer.from(String(raw), "base64url").toString("utf8"));
+      const ok =
+        Array.isArray(v) &&
+        v.length === keys &&
+        v.every((x) => typeof x === "string" || Number.isFinite(x));
+      return ok ? v : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // keys = number of sort columns in the route's ORDER BY
+  // legacyLimit = old cap when the caller sends no limit (null = no cap)
+  function readPage(query, { keys = 1, legacyLimit = null, max = maxLimit } = {}) {
+    const cursorRaw = query?.cursor;
+    const paged = cursorRaw !== undefined;
+
+    const n = parseInt(String(query?.limit ?? ""), 10);
+    const limit = Number.isFinite(n)
+      ? Math.min(max, Math.max(1, n))
+      : paged
+      ? Math.min(max, defaultLimit)
+      : legacyLimit;
+
+    let after = null;
+    if (paged && String(cursorRaw).trim()) {
+      after = decodeCursor(cursorRaw, keys);
+      if (!after) return { paged, limit, after: null, error: "Invalid cursor" };
+    }
+
+    // one extra row tells us whether there is a next page
+    return { paged, limit, after, sqlLimit: limit == null ? -1 : limit + 1 };
+  }
+
+  // (a < ? OR (a = ? AND b < ?)) for ORDER BY a DESC, b DESC
+  function keyset(page, exprs, dir = "DESC") {
+    if (!page.after) return null;
+    const op = dir === "ASC" ? ">" : "<";
+    const ors = [];
+    const params = [];
+    exprs.forEach((expr, i) => {
+      const ands = exprs.slice(0, i).map((e) => `${e} = ?`);
+      ands.push(`${expr} ${op} ?`);
+      ors.push(`(${ands.join(" AND ")})`);
+      params.push(...page.after.slice(0, i), page.after[i]);
+    });
+    return { sql: `(${ors.join(" OR ")})`, params };
+  }
+
+  // rows fetched with LIMIT page.sqlLimit; keyOf(row) -> the sort key values
+  function pageOf(rows, page, keyOf) {
+    if (page.limit == null || rows.length <= page.limit) {
+      return { items: rows, next_cursor: null };
+    }
+    const items = rows.slice(0, page.limit);
+    return { items, next_cursor: encodeCursor(keyOf(items[items.length - 1])) };
+  }
+
+  return { readPage, keyset, pageOf, encodeCursor, decodeCursor };
+};
@@ -0,0 +1,252 @@
+// src/modules/permission-store.js
+/* =====================
+   ROLES + PERMISSIONS (db backed)
+   - roles: admin | moderator | member (+ custom roles from admin endpoints)
+   - role_permissions: what a role can do ("*" = everything, "listings.*" = prefix)
+   - user_roles / user_permissions: grants per user
+   - "member" is implicit for every logged-in user
+   - ADMIN_EMAILS is only used on boot (bootstrapAdmins) to seed the first admins,
+     and only while nobody holds admin (a revoked admin stays revoked)
+===================== */
+
+// catalog (admin UI shows these; custom names are allowed too)
+const PERMISSIONS = {
+  "admin.access": "Admin tools (login audit, lockouts)",
+  "roles.manage": "Manage roles and user grants",
+  "listings.moderate": "See and moderate marketplace listings of any status",
+  "community.moderate": "Moderate community places and groups",
+  "community.trusted": "Community submissions are published without review",
+  "carry.moderate": "Edit or close any carry listing",
+  "airports.manage": "Import / refresh the airports dataset",
+  "reports.manage": "Triage content reports (hide content, warn / suspend users)",
+};
+
+module.exports = function createPermissionStore(opts) {
+  const { data, ADMIN_EMAILS = "" } = opts;
+
+  const CACHE_TTL_MS = 60 * 1000;
+  const cache = new Map(); // userId -> { roles, permissions:Set, at }
+
+  const { run, get, all, withTransaction } = data;
+
+  // =====================
+  // Boot: seed admins from ADMIN_EMAILS (tables + default roles: migration 005)
+  // =====================
+  const bootstrapEmails = (
+    Array.isArray(ADMIN_EMAILS) ? ADMIN_EMAILS : String(ADMIN_EMAILS).split(",")
+  )
+    .map((s) => String(s).trim().toLowerCase())
+    .filter(Boolean);
+
+  async function bootstrapAdmins() {
+    if (!bootstrapEmails.length) return 0;
+    const r = await run(
+      `
+      INSERT OR IGNORE INTO user_roles (user_id, role_id)
+      SELECT u.id, r.id FROM users u, roles r
+      WHERE r.name = 'admin'
+        AND LOWER(u.email) IN (${bootstrapEmails.map(() => "?").join(",")})
+        AND NOT EXISTS (SELECT 1 FROM user_roles ur WHERE ur.role_id = r.id)
+      `,
+      bootstrapEmails
+    );
+    return r.changes || 0;
+  }
+
+  // =====================
+  // Resolve
+  // =====================
+  async function load(userId) {
+    const hit = cache.get(userId);
+    if (hit && Date.now() - hit.at < CACHE_TTL_MS) return hit;
+
+    const roles = await all(
+      `
+      SELECT r.id, r.name FROM roles r
+      WHERE r.name = 'member'
+         OR r.id IN (SELECT role_id FROM user_roles WHERE user_id = ?)
+      `,
+      [userId]
+    );
+
+    const perms = await all(
+      `
+      SELECT rp.permission FROM role_permissions rp
+      WHERE rp.role_id IN (${roles.map(() => "?").join(",") || "NULL"})
+      UNION
+      SELECT permission FROM user_permissions WHERE user_id = ?
+      `,
+      [...roles.map((r) => r.id), userId]
+    );
+
+    const entry = {
+      roles: roles.map((r) => r.name),
+      permissions: new Set(perms.map((p) => p.permission)),
+      at: Date.now(),
+    };
+    cache.set(userId, entry);
+    return entry;
+  }
+
+  // "*" | exact | "listings.*"
+  function matches(permSet, permission) {
+    if (!permSet) return false;
+    if (permSet.has("*") || permSet.has(permission)) return true;
+    const parts = String(permission).split(".");
+    for (let i = parts.length - 1; i > 0; i--) {
+      if (permSet.has(`${parts.slice(0, i).join(".")}.*`)) return true;
+    }
+    return false;
+  }
+
+  function invalidate(userId) {
+    if (userId == null) cache.clear();
+    else cache.delete(Number(userId));
+  }
+
+  // =====================
+  // Admin operations
+  // =====================
+  async function listRoles() {
+    const roles = await all(`SELECT * FROM roles ORDER BY is_system DESC, name ASC`);
+    const rp = await all(`SELECT role_id, permission FROM role_permissions`);
+    const counts = await all(
+      `SELECT role_id, COUNT(*) AS c FROM user_roles GROUP BY role_id`
+    );
+    return roles.map((r) => ({
+      ...r,
+      is_system: !!r.is_system,
+      permissions: rp
+        .filter((x) => x.role_id === r.id)
+        .map((x) => x.permission)
+        .sort(),
+      users_count: Number(counts.find((c) => c.role_id === r.id)?.c || 0),
+    }));
+  }
+
+  async function findRole(name) {
+    return get(`SELECT * FROM roles WHERE name = ?`, [name]);
+  }
+
+  async function createRole({ name, description }) {
+    const r = await run(`INSERT INTO roles (name, description) VALUES (?, ?)`, [
+      name,
+      description || null,
+    ]);
+    return r.lastID;
+  }
+
+  async function setRolePermissions(roleId, permissions) {
+    await withTransaction(async () => {
+      await run(`DELETE FROM role_permissions WHERE role_id = ?`, [roleId]);
+      for (const p of permissions) {
+        await run(
+          `INSERT OR IGNORE INTO role_permissions (role_id, permission) VALUES (?, ?)`,
+          [roleId, p]
+        );
+      }
+    });
+    invalidate();
+  }
+
+  async function deleteRole(roleId) {
+    await run(`DELETE FROM roles WHERE id = ? AND is_system = 0`, [roleId]);
+    invalidate();
+  }
+
+  async function userGrants(userId) {
+    const roles = await all(
+      `SELECT r.name, ur.granted_by, ur.created_at
+       FROM user_roles ur JOIN roles r ON r.id = ur.role_id
+       WHERE ur.user_id = ? ORDER BY r.name`,
+      [userId]
+    );
+    const permissions = await all(
+      `SELECT permission, granted_by, created_at
+       FROM user_permissions WHERE user_id = ? ORDER BY permission`,
+      [userId]
+    );
+    invalidate(userId);
+    const effective = await load(userId);
+    return {
+      roles,
+      permissions,
+      effective: {
+        roles: effective.roles,
+        permissions: [...effective.permissions].sort(),
+      },
+    };
+  }
+
+  async function grantRole(userId, roleId, grantedBy) {
+    await run(
+      `INSERT OR IGNORE INTO user_roles (user_id, role_id, granted_by) VALUES (?, ?, ?)`,
+      [userId, roleId, grantedBy || null]
+    );
+    invalidate(userId);
+  }
+
+  async function hasRole(userId, roleId) {
+    const row = await get(
+      `SELECT 1 AS ok FROM user_roles WHERE user_id = ? AND role_id = ?`,
+      [userId, roleId]
+    );
+    return !!row;
+  }
+
+  async function revokeRole(userId, roleId) {
+    const r = await run(
+      `DELETE FROM user_roles WHERE user_id = ? AND role_id = ?`,
+      [userId, roleId]
+    );
+    invalidate(userId);
+    return r.changes || 0;
+  }
+
+  async function countRoleUsers(roleId) {
+    const row = await get(
+      `SELECT COUNT(*) AS c FROM user_roles WHERE role_id = ?`,
+      [roleId]
+    );
+    return Number(row?.c || 0);
+  }
+
+  async function grantPermission(userId, permission, grantedBy) {
+    await run(
+      `INSERT OR IGNORE INTO user_permissions (user_id, permission, granted_by) VALUES (?, ?, ?)`,
+      [userId, permission, grantedBy || null]
+    );
+    invalidate(userId);
+  }
+
+  async function revokePermission(userId, permission) {
+    const r = await run(
+      `DELETE FROM user_permissions WHERE user_id = ? AND permission = ?`,
+      [userId, permission]
+    );
+    invalidate(userId);
+    return r.changes || 0;
+  }
+
+  return {
+    PERMISSIONS,
+    bootstrapAdmins,
+    load,
+    matches,
+    invalidate,
+    listRoles,
+    findRole,
+    createRole,
+    setRolePermissions,
+    deleteRole,
+    userGrants,
+    grantRole,
+    hasRole,
+    revokeRole,
+    countRoleUsers,
+    grantPermission,
+    revokePermission,
+  };
+};
+
+module.exports.PERMISSIONS = PERMISSIONS;
@@ -0,0 +1,178 @@
+// src/modules/post-store.js
+/* =====================
+   POSTS (feed + profile, one table since migration 015)
+   - kind: 'feed' (main feed, has category) | 'profile' (profile wall, media_url)
+   - ids in the API: "p_17"; old "pp_18" profile ids resolve through
+     posts.legacy_profile_post_id; bare numbers are posts.id
+   - resolveId(raw, { ownerId }) -> posts.id | null
+   - get(id, viewerId) -> post with likeCount / commentCount / likedByMe
+   - create / update / remove (remove takes likes + comments with it)
+   - an attached upload (media-store) sets media_id and media_url together
+   shared by feed.js and social-profile.routes.js
+===================== */
+
+const KINDS = ["feed", "profile"];
+
+// "p_17" | "pp_18" | "17" -> { kind: "feed" | "profile" | "numeric" | "bad", id }
+function parsePostId(input) {
+  const s = String(input ?? "").trim();
+  if (!s) return { kind: "bad", id: null };
+
+  if (/^p_\d+$/.test(s)) return { kind: "feed", id: parseInt(s.slice(2), 10) };
+  if (/^pp_\d+$/.test(s))
+    return { kind: "profile", id: parseInt(s.slice(3), 10) };
+  if (/^\d+$/.test(s)) return { kind: "numeric", id: parseInt(s, 10) };
+
+  // fallback: extract digits
+  const m = s.match(/(\d+)/);
+  if (!m) return { kind: "bad", id: null };
+  const n = parseInt(m[1], 10);
+  return Number.isFinite(n) && n > 0
+    ? { kind: "numeric", id: n }
+    : { kind: "bad", id: null };
+}
+
+module.exports = function createPostStore(opts) {
+  const { data } = opts;
+  const { get, run, withTransaction } = data;
+
+  // counts for a posts row aliased p; first param = viewer id (0 = anonymous)
+  const POST_COUNTS = `
+    (SELECT COUNT(*) FROM post_likes WHERE post_id = p.id) AS likeCount,
+    (SELECT COUNT(*) FROM post_likes WHERE post_id = p.id AND user_id = ?) AS likedByMe,
+    (SELECT COUNT(*) FROM post_comments WHERE post_id = p.id AND hidden_at IS NULL) AS commentCount`;
+
+  const apiId = (id) => `p_${id}`;
+
+  // ✅ one output shape for every post route
+  function toPost(row) {
+    if (!row) return null;
+    return {
+      ...row,
+      source: row.kind,
+      likedByMe: !!row.likedByMe,
+      likeCount: Number(row.likeCount || 0),
+      commentCount: Number(row.commentCount || 0),
+    };
+  }
+
+  // ownerId: a bare number that isn't one of the owner's posts may be an
+  // old profile post id (the profile routes used to accept both)
+  async function resolveId(raw, { ownerId = null } = {}) {
+    const parsed = parsePostId(raw);
+    if (parsed.kind === "bad") return null;
+
+    if (parsed.kind === "feed") return parsed.id;
+
+    const legacy = () =>
+      get(`SELECT id FROM posts WHERE legacy_profile_post_id = ?`, [parsed.id]);
+
+    if (parsed.kind === "profile") {
+      const row = await legacy();
+      return row ? row.id : null;
+    }
+
+    if (!ownerId) return parsed.id;
+    const own = await get(`SELECT id FROM posts WHERE id = ? AND user_id = ?`, [
+      parsed.id,
+      ownerId,
+    ]);
+    if (own) return own.id;
+    const old = await legacy();
+    return old ? old.id : parsed.id;
+  }
+
+  async function get1(id, viewerId = 0) {
+    const row = await get(
+      `
+      SELECT p.*, u.username AS user_name, ${POST_COUNTS}
+      FROM posts p
+      LEFT JOIN users u ON u.id = p.user_id
+      WHERE p.id = ?
+      `,
+      [viewerId || 0, id]
+    );
+    return toPost(row);
+  }
+
+  async function create({
+    userId,
+    content,
+    category = null,
+    mediaUrl = null,
+    media = null,
+    kind = "feed",
+  }) {
+    if (!KINDS.includes(kind)) throw new Error(`Unknown post kind ${kind}`);
+    const r = await run(
+      `INSERT INTO posts (user_id, content, category, media_url, media_id, kind, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, datetime('now'))`,
+      [
+        userId,
+        content,
+        category || null,
+        media ? media.url : mediaUrl || null,
+        media ? media.id : null,
+        kind,
+      ]
+    );
+    return r.lastID;
+  }
+
+  // undefined fields are left alone; returns false when nothing matched
+  // a new mediaUrl drops the media_id, a new media sets both
+  async function update(id, userId, { content, category, mediaUrl, media } = {}) {
+    const url = media ? media.url : mediaUrl || null;
+    const r = await run(
+      `
+      UPDATE posts
+      SET content = COALESCE(?, content),
+          category = COALESCE(?, category),
+          media_url = COALESCE(?, media_url),
+          media_id = CASE WHEN ? IS NULL THEN media_id ELSE ? END,
+          updated_at = datetime('now')
+      WHERE id = ? AND user_id = ?
+      `,
+      [
+        content || null,
+        category || null,
+        url,
+        url,
+        media ? media.id : null,
+        id,
+        userId,
+      ]
+    );
+    return r.changes > 0;
+  }
+
+  // post + likes + comments (+ their likes), all or nothing
+  async function remove(id) {
+    return withTransaction(async () => {
+      await run(
+        `DELETE FROM post_comment_likes WHERE comment_id IN
+           (SELECT id FROM post_comments WHERE post_id = ?)`,
+        [id]
+      );
+      await run(`DELETE FROM post_comments WHERE post_id = ?`, [id]);
+      await run(`DELETE FROM post_likes WHERE post_id = ?`, [id]);
+      const r = await run(`DELETE FROM posts WHERE id = ?`, [id]);
+      return r.changes > 0;
+    });
+  }
+
+  return {
+    KINDS,
+    POST_COUNTS,
+    parsePostId,
+    apiId,
+    toPost,
+    resolveId,
+    get: get1,
+    create,
+    update,
+    remove,
+  };
+};
+
+module.exports.parsePostId = parsePostId;
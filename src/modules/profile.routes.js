@@ -2,52 +2,47 @@
 module.exports = function registerUsersMeRoutes({
   app,
   authRequired,
-  dbGet,
-  dbRun,
+  data,
   safeTrim,
 }) {
-  app.get("/api/users/me", authRequired, (req, res) => {
-    dbGet(
-      `SELECT id, username, email, phone, address, bio FROM users WHERE id = ?`,
-      [req.user.id],
-      (err, me) => {
-        if (err)
-          return res.status(500).json({ message: "Failed to load user" });
-        if (!me) return res.sendStatus(404);
-        res.json(me);
-      }
-    );
+  const { get, run } = data;
+
+  const ME_SQL = `SELECT id, username, email, phone, address, bio, email_verified_at FROM users WHERE id = ?`;
+
+  app.get("/api/users/me", authRequired, async (req, res) => {
+    try {
+      const me = await get(ME_SQL, [req.user.id]);
+      if (!me) return res.sendStatus(404);
+      res.json(me);
+    } catch (e) {
+      res.status(500).json({ message: "Failed to load user" });
+    }
   });
 
-  app.put("/api/users/me", authRequired, (req, res) => {
+  app.put("/api/users/me", authRequired, async (req, res) => {
     const { username, phone, address, bio } = req.body || {};
 
-    dbRun(
-      `
-      UPDATE users
-      SET username = ?, phone = ?, address = ?, bio = ?
-      WHERE id = ?
-      `,
-      [
-        safeTrim(username),
-        safeTrim(phone),
-        safeTrim(address),
-        safeTrim(bio),
-        req.user.id,
-      ],
-      function (err) {
-        if (err) return res.status(500).json({ message: "Update failed" });
+    try {
+      await run(
+        `
+        UPDATE users
+        SET username = ?, phone = ?, address = ?, bio = ?
+        WHERE id = ?
+        `,
+        [
+          safeTrim(username),
+          safeTrim(phone),
+          safeTrim(address),
+          safeTrim(bio),
+          req.user.id,
+        ]
+      );
 
-        dbGet(
-          `SELECT id, username, email, phone, address, bio FROM users WHERE id = ?`,
-          [req.user.id],
-          (e2, me) => {
-            if (e2) return res.status(500).json({ message: "Update failed" });
-            if (!me) return res.status(500).json({ message: "Update failed" });
-            return res.json(me);
-          }
-        );
-      }
-    );
+      const me = await get(ME_SQL, [req.user.id]);
+      if (!me) return res.status(500).json({ message: "Update failed" });
+      return res.json(me);
+    } catch (e) {
+      return res.status(500).json({ message: "Update failed" });
+    }
   });
 };
@@ -0,0 +1,460 @@
+// src/modules/report-store.js
+/* =====================
+   REPORTS (content flagging + moderation)
+   - create({ reporterId, targetType, targetId, reason, details })
+       -> { report, auto_hidden }
+       one report per reporter + target (a resolved one can be re-opened);
+       at `hideThreshold` open reports the content is hidden until a
+       moderator looks at it; only reporters with a verified email, an account
+       at least `reporterMinDays` old and no running suspension count toward it
+       (throwaway accounts can still report, they just can't take content down)
+   - queue({ status, targetType, after, limit }) newest first, with a preview
+     of the target, its open report count and hidden state (triage)
+   - act(reportId, moderatorId, { action, note, days, hideContent })
+       dismiss  -> open reports on it -> dismissed; un-hides the target only
+                   when the report threshold hid it (a moderator's hide stays)
+       hide     -> hides the target (the author gets a moderation notice)
+       warn     -> moderation notice to the author
+       suspend  -> author is read-only for `days` (+ moderation notice);
+                   never someone with the moderator's rank or higher
+       every action resolves all open reports on the same target
+   - errors carry err.code (see ERROR_STATUS)
+===================== */
+
+// target_type -> where it lives; owner = author column, preview = queue text
+// hide: "hidden_at" (default) | "status" (marketplace: status = 'hidden') | null
+const TARGETS = {
+  post: { table: "posts", owner: "user_id", preview: "content" },
+  comment: { table: "post_comments", owner: "user_id", preview: "comment" },
+  listing: { table: "marketplace_listings", owner: "user_id", preview: "title", hide: "status" },
+  carry_listing: { table: "carry_listings", owner: "user_id", preview: "description" },
+  carry_message: { table: "carry_messages", owner: "sender_id", preview: "message" },
+  review: { table: "reviews", owner: "author_id", preview: "comment" },
+  listing_review: { table: "marketplace_reviews", owner: "user_id", preview: "comment" },
+  carry_review: { table: "carry_reviews", owner: "reviewer_id", preview: "comment" },
+  user: { table: "users", owner: "id", preview: "username", hide: null },
+};
+
+// old names the clients already use for the same rows
+const ALIASES = {
+  profile_post: "post",
+  feed_post: "post",
+  marketplace_listing: "listing",
+  profile_review: "review",
+  marketplace_review: "listing_review",
+};
+
+const REASONS = {
+  spam: "Spam",
+  scam: "Scam or fraud",
+  fake: "Fake or misleading (incl. fake reviews)",
+  harassment: "Harassment or bullying",
+  hate: "Hate speech",
+  violence: "Violence or threats",
+  sexual: "Sexual content",
+  illegal: "Illegal goods or activity",
+  other: "Something else",
+};
+
+const ACTIONS = ["dismiss", "hide", "warn", "suspend"];
+const STATUSES = ["open", "dismissed", "actioned"];
+
+const MAX_DETAILS_LENGTH = 2000;
+const DEFAULT_SUSPEND_DAYS = 7;
+const MAX_SUSPEND_DAYS = 365;
+
+// err.code -> HTTP status for the routes
+const ERROR_STATUS = {
+  BAD_TARGET: 400,
+  BAD_REASON: 400,
+  BAD_ACTION: 400,
+  BAD_STATUS: 400,
+  SELF_REPORT: 400,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  DUPLICATE: 409,
+};
+
+function reportError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+const hiddenExpr = (t) =>
+  t.hide === null ? "0" : t.hide === "status" ? "status = 'hidden'" : "hidden_at IS NOT NULL";
+
+module.exports = function createReportStore(opts) {
+  const {
+    data,
+    posts,
+    notifier,
+    permissions,
+    hideThreshold = 3,
+    reporterMinDays = 7,
+  } = opts;
+  const { all, get, run, withTransaction } = data;
+
+  const normType = (v) => {
+    const s = String(v ?? "").trim().toLowerCase();
+    return ALIASES[s] || s;
+  };
+
+  // per-row target info for the queue: CASE r.target_type ... END
+  const targetCase = (expr) => `
+    CASE r.target_type
+      ${Object.entries(TARGETS)
+        .map(
+          ([type, t]) =>
+            `WHEN '${type}' THEN (SELECT ${expr(t)} FROM ${t.table} WHERE id = r.target_id)`
+        )
+        .join("\n      ")}
+    END`;
+
+  const REPORT_SELECT = `
+    SELECT r.*,
+      ru.username AS reporter_username,
+      tu.username AS target_username,
+      tu.suspended_until AS target_suspended_until,
+      ${targetCase((t) => `substr(${t.preview}, 1, 200)`)} AS target_preview,
+      ${targetCase(hiddenExpr)} AS target_hidden,
+      ${targetCase(() => "1")} AS target_exists,
+      (SELECT COUNT(*) FROM reports o WHERE o.target_type = r.target_type
+         AND o.target_id = r.target_id AND o.status = 'open') AS target_open_reports
+    FROM reports r
+    LEFT JOIN users ru ON ru.id = r.reporter_id
+    LEFT JOIN users tu ON tu.id = r.target_user_id`;
+
+  function mapReport(r) {
+    return {
+      id: Number(r.id),
+      target_type: r.target_type,
+      target_id: r.target_type === "post" ? posts.apiId(r.target_id) : Number(r.target_id),
+      reason: r.reason,
+      details: r.details || null,
+      status: r.status,
+      action: r.action || null,
+      resolution_note: r.resolution_note || null,
+      resolved_at: r.resolved_at || null,
+      created_at: r.created_at || null,
+    };
+  }
+
+  // moderator view: + who reported, whose content, what it is now
+  function mapQueueItem(r) {
+    return {
+      ...mapReport(r),
+      reporter: { id: Number(r.reporter_id), username: r.reporter_username || null },
+      target_user: r.target_user_id
+        ? {
+            id: Number(r.target_user_id),
+            username: r.target_username || null,
+            suspended_until: r.target_suspended_until || null,
+          }
+        : null,
+      target: {
+        exists: !!r.target_exists,
+        hidden: !!r.target_hidden,
+        preview: r.target_preview ?? null,
+        open_reports: Number(r.target_open_reports || 0),
+      },
+      resolved_by: r.resolved_by == null ? null : Number(r.resolved_by),
+    };
+  }
+
+  // -> { type, id, owner_id, hidden }
+  async function loadTarget(rawType, rawId, reporterId) {
+    const type = normType(rawType);
+    const t = TARGETS[type];
+    if (!t)
+      throw reportError("BAD_TARGET", `target_type must be ${Object.keys(TARGETS).join(", ")}`);
+
+    const id =
+      type === "post" ? await posts.resolveId(rawId) : parseInt(String(rawId ?? ""), 10);
+    if (!id || !Number.isFinite(id) || id <= 0)
+      throw reportError("BAD_TARGET", "Bad target_id");
+
+    const row = await get(
+      `SELECT id, ${t.owner} AS owner_id, ${hiddenExpr(t)} AS hidden FROM ${t.table} WHERE id = ?`,
+      [id]
+    );
+    if (!row) throw reportError("NOT_FOUND", "Nothing to report there");
+
+    // carry messages are private: only the thread's two parties saw them
+    if (type === "carry_message") {
+      const party = await get(
+        `SELECT 1 AS x FROM carry_messages m
+         JOIN carry_threads th ON th.id = m.thread_id
+         JOIN carry_listings l ON l.id = th.listing_id
+         WHERE m.id = ? AND (th.requester_id = ? OR l.user_id = ?)`,
+        [id, reporterId, reporterId]
+      );
+      if (!party) throw reportError("NOT_FOUND", "Nothing to report there");
+    }
+
+    return {
+      type,
+      id,
+      owner_id: row.owner_id == null ? null : Number(row.owner_id),
+      hidden: !!row.hidden,
+    };
+  }
+
+  async function setHidden(type, id, hidden) {
+    const t = TARGETS[type];
+    if (!t || t.hide === null) return false;
+    const r =
+      t.hide === "status"
+        ? await run(
+            hidden
+              ? `UPDATE ${t.table} SET status = 'hidden' WHERE id = ? AND COALESCE(status, 'approved') <> 'hidden'`
+              : `UPDATE ${t.table} SET status = 'approved' WHERE id = ? AND status = 'hidden'`,
+            [id]
+          )
+        : await run(
+            hidden
+              ? `UPDATE ${t.table} SET hidden_at = datetime('now') WHERE id = ? AND hidden_at IS NULL`
+              : `UPDATE ${t.table} SET hidden_at = NULL WHERE id = ? AND hidden_at IS NOT NULL`,
+            [id]
+          );
+    return r.changes > 0;
+  }
+
+  // a moderator hid it before (reports.content_hidden) -> dismiss leaves it hidden
+  async function moderatorHid(type, id) {
+    const row = await get(
+      `SELECT 1 AS x FROM reports
+       WHERE target_type = ? AND target_id = ? AND content_hidden = 1 LIMIT 1`,
+      [type, id]
+    );
+    return !!row;
+  }
+
+  // open reports that count toward the auto-hide (see header)
+  async function credibleCount(type, id) {
+    const row = await get(
+      `SELECT COUNT(*) AS c
+       FROM reports r JOIN users u ON u.id = r.reporter_id
+       WHERE r.target_type = ? AND r.target_id = ? AND r.status = 'open'
+         AND u.email_verified_at IS NOT NULL
+         AND u.created_at <= datetime('now', ?)
+         AND (u.suspended_until IS NULL OR u.suspended_until <= datetime('now'))`,
+      [type, id, `-${reporterMinDays} days`]
+    );
+    return Number(row?.c || 0);
+  }
+
+  async function create({ reporterId, targetType, targetId, reason, details = null }) {
+    const why = String(reason ?? "").trim().toLowerCase();
+    if (!REASONS[why])
+      throw reportError("BAD_REASON", `reason must be ${Object.keys(REASONS).join(", ")}`);
+    const text = String(details ?? "").trim();
+    if (text.length > MAX_DETAILS_LENGTH)
+      throw reportError("BAD_REASON", `details are limited to ${MAX_DETAILS_LENGTH} characters`);
+
+    const target = await loadTarget(targetType, targetId, reporterId);
+    if (target.owner_id === Number(reporterId))
+      throw reportError("SELF_REPORT", "You can't report yourself");
+
+    // a resolved report may be filed again (comes back as open)
+    const r = await run(
+      `INSERT INTO reports (reporter_id, target_type, target_id, target_user_id, reason, details)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(reporter_id, target_type, target_id) DO UPDATE SET
+         reason = excluded.reason, details = excluded.details, status = 'open',
+         action = NULL, resolution_note = NULL, resolved_by = NULL, resolved_at = NULL,
+         created_at = datetime('now')
+       WHERE reports.status <> 'open'`,
+      [reporterId, target.type, target.id, target.owner_id, why, text || null]
+    );
+    if (!r.changes) throw reportError("DUPLICATE", "You already reported this");
+
+    let autoHidden = false;
+    if (!target.hidden && (await credibleCount(target.type, target.id)) >= hideThreshold) {
+      autoHidden = await setHidden(target.type, target.id, true);
+    }
+
+    const row = await get(
+      `SELECT * FROM reports WHERE reporter_id = ? AND target_type = ? AND target_id = ?`,
+      [reporterId, target.type, target.id]
+    );
+    return { report: mapReport(row), auto_hidden: autoHidden };
+  }
+
+  async function mine(reporterId, { after = null, limit }) {
+    return all(
+      `SELECT r.* FROM reports r
+       WHERE r.reporter_id = ? ${after ? `AND ${after.sql}` : ""}
+       ORDER BY r.id DESC
+       LIMIT ?`,
+      [reporterId, ...(after ? after.params : []), limit]
+    );
+  }
+
+  // status: open | dismissed | actioned | all
+  async function queue({ status = "open", targetType = null, after = null, limit }) {
+    const where = [];
+    const params = [];
+    if (status !== "all") {
+      if (!STATUSES.includes(status))
+        throw reportError("BAD_STATUS", `status must be ${STATUSES.join(", ")} or all`);
+      where.push("r.status = ?");
+      params.push(status);
+    }
+    if (targetType) {
+      const type = normType(targetType);
+      if (!TARGETS[type])
+        throw reportError("BAD_TARGET", `target_type must be ${Object.keys(TARGETS).join(", ")}`);
+      where.push("r.target_type = ?");
+      params.push(type);
+    }
+    if (after) {
+      where.push(after.sql);
+      params.push(...after.params);
+    }
+    return all(
+      `${REPORT_SELECT}
+       ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+       ORDER BY r.id DESC
+       LIMIT ?`,
+      [...params, limit]
+    );
+  }
+
+  // -> { report, related } (every report on the same target, newest first)
+  async function view(id) {
+    const row = await get(`${REPORT_SELECT} WHERE r.id = ?`, [id]);
+    if (!row) throw reportError("NOT_FOUND", "Report not found");
+    const related = await all(
+      `${REPORT_SELECT} WHERE r.target_type = ? AND r.target_id = ? AND r.id <> ? ORDER BY r.id DESC`,
+      [row.target_type, row.target_id, id]
+    );
+    return { report: mapQueueItem(row), related: related.map(mapQueueItem) };
+  }
+
+  async function suspend(userId, days, reason) {
+    await run(
+      `UPDATE users SET suspended_until = datetime('now', ?), suspension_reason = ? WHERE id = ?`,
+      [`+${days} days`, reason, userId]
+    );
+    const row = await get(`SELECT suspended_until FROM users WHERE id = ?`, [userId]);
+    return row?.suspended_until || null;
+  }
+
+  async function unsuspend(userId) {
+    const r = await run(
+      `UPDATE users SET suspended_until = NULL, suspension_reason = NULL
+       WHERE id = ? AND suspended_until IS NOT NULL`,
+      [userId]
+    );
+    return r.changes > 0;
+  }
+
+  // 2 = admin ("*"), 1 = moderator (reports.manage), 0 = member
+  async function rank(userId) {
+    const { permissions: granted } = await permissions.load(Number(userId));
+    if (granted.has("*")) return 2;
+    return permissions.matches(granted, "reports.manage") ? 1 : 0;
+  }
+
+  async function act(reportId, moderatorId, { action, note = null, days = null, hideContent = false }) {
+    const what = String(action ?? "").trim().toLowerCase();
+    if (!ACTIONS.includes(what))
+      throw reportError("BAD_ACTION", `action must be ${ACTIONS.join(", ")}`);
+
+    const report = await get(`SELECT * FROM reports WHERE id = ?`, [reportId]);
+    if (!report) throw reportError("NOT_FOUND", "Report not found");
+
+    const type = report.target_type;
+    const targetId = Number(report.target_id);
+    const author = report.target_user_id == null ? null : Number(report.target_user_id);
+    const memo = String(note ?? "").trim().slice(0, MAX_DETAILS_LENGTH) || null;
+
+    let suspendDays = null;
+    if (what === "warn" || what === "suspend") {
+      if (!author) throw reportError("BAD_ACTION", "The reported user no longer exists");
+      if (author === Number(moderatorId))
+        throw reportError("BAD_ACTION", `You can't ${what} yourself`);
+    }
+    if (what === "suspend") {
+      suspendDays = days == null || days === "" ? DEFAULT_SUSPEND_DAYS : parseInt(days, 10);
+      if (!Number.isFinite(suspendDays) || suspendDays < 1 || suspendDays > MAX_SUSPEND_DAYS)
+        throw reportError("BAD_ACTION", `days must be 1-${MAX_SUSPEND_DAYS}`);
+      const targetRank = await rank(author);
+      if (targetRank && targetRank >= (await rank(moderatorId)))
+        throw reportError("FORBIDDEN", "You can't suspend a moderator of your rank or higher");
+    }
+
+    const hide = what === "hide" || (hideContent && what !== "dismiss");
+    const out = await withTransaction(async () => {
+      let hidden = null;
+      if (what === "dismiss") {
+        const kept = await moderatorHid(type, targetId);
+        if (!kept) await setHidden(type, targetId, false);
+        hidden = kept;
+      } else if (hide) {
+        await setHidden(type, targetId, true);
+        hidden = true;
+      }
+
+      const suspendedUntil = suspendDays
+        ? await suspend(author, suspendDays, memo || REASONS[report.reason] || report.reason)
+        : null;
+
+      const r = await run(
+        `UPDATE reports SET status = ?, action = ?, resolution_note = ?,
+           resolved_by = ?, resolved_at = datetime('now'),
+           content_hidden = MAX(content_hidden, ?)
+         WHERE target_type = ? AND target_id = ? AND (status = 'open' OR id = ?)`,
+        [
+          what === "dismiss" ? "dismissed" : "actioned",
+          what,
+          memo,
+          moderatorId,
+          hide ? 1 : 0,
+          type,
+          targetId,
+          reportId,
+        ]
+      );
+      return { hidden, suspended_until: suspendedUntil, resolved: r.changes };
+    });
+
+    if (what !== "dismiss" && author) {
+      await notifier.notify("moderation", {
+        userId: author,
+        entityType: type,
+        entityId: targetId,
+        data: {
+          action: what,
+          reason: report.reason,
+          note: memo,
+          content_hidden: !!hide,
+          ...(out.suspended_until ? { suspended_until: out.suspended_until } : {}),
+        },
+      });
+    }
+
+    return { action: what, ...out };
+  }
+
+  return {
+    TARGETS,
+    REASONS,
+    ACTIONS,
+    STATUSES,
+    ERROR_STATUS,
+    mapReport,
+    mapQueueItem,
+    create,
+    mine,
+    queue,
+    view,
+    act,
+    unsuspend,
+  };
+};
+
+module.exports.TARGETS = TARGETS;
+module.exports.REASONS = REASONS;
+module.exports.ERROR_STATUS = ERROR_STATUS;
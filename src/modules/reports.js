@@ -0,0 +1,132 @@
+// src/modules/reports.js
+/* =====================
+   REPORTS MODULE (flag content + moderator triage)
+   - GET  /api/reports/options          -> { target_types, reasons: [{ value, label }] }
+   - POST /api/reports                  { target_type, target_id, reason, details }
+                                        -> 201 { report, auto_hidden }
+          target_type: post (profile_post) | comment | listing | carry_listing
+                       | carry_message | review (profile) | listing_review
+                       | carry_review | user
+   - GET  /api/reports/mine             my reports + what came of them (?limit=&cursor=)
+   moderators ("reports.manage"):
+   - GET  /api/admin/reports            triage queue, newest first
+                                        (?status=open|dismissed|actioned|all&target_type=)
+   - GET  /api/admin/reports/:id        -> { report, related }
+   - POST /api/admin/reports/:id/action { action: dismiss|hide|warn|suspend,
+                                          note, days, hide_content }
+   - POST /api/admin/users/:userId/unsuspend
+===================== */
+
+module.exports = function registerReports(opts) {
+  const { app, reports, authRequired, requirePermission, paging, toInt } = opts;
+
+  const manage = [authRequired, requirePermission("reports.manage")];
+
+  function sendReportError(res, e, tag, message) {
+    const status = reports.ERROR_STATUS[e.code];
+    if (status) return res.status(status).json({ error: e.message, code: e.code });
+    console.error(`[reports] ${tag}`, e);
+    return res.status(500).json({ error: message });
+  }
+
+  app.get("/api/reports/options", (req, res) => {
+    return res.json({
+      target_types: Object.keys(reports.TARGETS),
+      reasons: Object.entries(reports.REASONS).map(([value, label]) => ({ value, label })),
+    });
+  });
+
+  app.post("/api/reports", authRequired, async (req, res) => {
+    const body = req.body || {};
+    try {
+      const out = await reports.create({
+        reporterId: req.user.id,
+        targetType: body.target_type ?? body.targetType,
+        targetId: body.target_id ?? body.targetId,
+        reason: body.reason,
+        details: body.details,
+      });
+      return res.status(201).json(out);
+    } catch (e) {
+      return sendReportError(res, e, "create", "Report failed");
+    }
+  });
+
+  app.get("/api/reports/mine", authRequired, async (req, res) => {
+    const page = paging.readPage(req.query);
+    if (page.error) return res.status(400).json({ error: page.error });
+
+    try {
+      const rows = await reports.mine(req.user.id, {
+        after: paging.keyset(page, ["r.id"]),
+        limit: page.sqlLimit,
+      });
+      const { items, next_cursor } = paging.pageOf(rows, page, (r) => [r.id]);
+      return res.json({ items: items.map(reports.mapReport), next_cursor });
+    } catch (e) {
+      return sendReportError(res, e, "mine", "Failed to load reports");
+    }
+  });
+
+  /* =====================
+     Moderator queue
+  ===================== */
+  app.get("/api/admin/reports", ...manage, async (req, res) => {
+    const page = paging.readPage(req.query);
+    if (page.error) return res.status(400).json({ error: page.error });
+
+    try {
+      const rows = await reports.queue({
+        status: String(req.query.status || "open").trim().toLowerCase(),
+        targetType: req.query.target_type || null,
+        after: paging.keyset(page, ["r.id"]),
+        limit: page.sqlLimit,
+      });
+      const { items, next_cursor } = paging.pageOf(rows, page, (r) => [r.id]);
+      return res.json({ items: items.map(reports.mapQueueItem), next_cursor });
+    } catch (e) {
+      return sendReportError(res, e, "queue", "Failed to load reports");
+    }
+  });
+
+  app.get("/api/admin/reports/:id", ...manage, async (req, res) => {
+    const id = toInt(req.params.id);
+    if (!id) return res.status(400).json({ error: "Bad id" });
+
+    try {
+      return res.json(await reports.view(id));
+    } catch (e) {
+      return sendReportError(res, e, "get", "Failed to load report");
+    }
+  });
+
+  app.post("/api/admin/reports/:id/action", ...manage, async (req, res) => {
+    const id = toInt(req.params.id);
+    if (!id) return res.status(400).json({ error: "Bad id" });
+
+    const body = req.body || {};
+    try {
+      const out = await reports.act(id, req.user.id, {
+        action: body.action,
+        note: body.note,
+        days: body.days,
+        hideContent: !!(body.hide_content ?? body.hideContent),
+      });
+      return res.json({ ok: true, ...out });
+    } catch (e) {
+      return sendReportError(res, e, "action", "Action failed");
+    }
+  });
+
+  app.post("/api/admin/users/:userId/unsuspend", ...manage, async (req, res) => {
+    const userId = toInt(req.params.userId);
+    if (!userId) return res.status(400).json({ error: "Bad userId" });
+
+    try {
+      const changed = await reports.unsuspend(userId);
+      return res.json({ ok: true, changed });
+    } catch (e) {
+      return sendReportError(res, e, "unsuspend", "Unsuspend failed");
+    }
+  });
+};
@@ -0,0 +1,259 @@
+// src/modules/roles.routes.js
+/* =====================
+   ADMIN: roles + permission grants
+   - GET    /api/admin/permissions
+   - GET    /api/admin/roles
+   - POST   /api/admin/roles                          { name, description, permissions[] }
+   - PUT    /api/admin/roles/:name/permissions        { permissions[] }
+   - DELETE /api/admin/roles/:name                    (custom roles only)
+   - GET    /api/admin/users/:userId/roles
+   - POST   /api/admin/users/:userId/roles            { role }
+   - DELETE /api/admin/users/:userId/roles/:role
+   - POST   /api/admin/users/:userId/permissions      { permission }
+   - DELETE /api/admin/users/:userId/permissions/:permission
+   - GET    /api/users/me/permissions                 (any logged-in user)
+===================== */
+
+module.exports = function registerRolesRoutes(opts) {
+  const { app, permissions, authRequired, requirePermission, safeTrim, toInt } =
+    opts;
+
+  const manage = [authRequired, requirePermission("roles.manage")];
+
+  function cleanName(v) {
+    const s = safeTrim(v).toLowerCase();
+    return /^[a-z][a-z0-9_-]{1,39}$/.test(s) ? s : null;
+  }
+
+  function cleanPermission(v) {
+    const s = safeTrim(v).toLowerCase();
+    return s === "*" || /^[a-z][a-z0-9_]*(\.([a-z0-9_]+|\*))*$/.test(s)
+      ? s
+      : null;
+  }
+
+  function cleanPermissionList(v) {
+    if (!Array.isArray(v)) return null;
+    const out = [];
+    for (const x of v) {
+      const p = cleanPermission(x);
+      if (!p) return null;
+      if (!out.includes(p)) out.push(p);
+    }
+    return out;
+  }
+
+  // =====================
+  // Catalog + roles
+  // =====================
+  app.get("/api/admin/permissions", ...manage, (req, res) => {
+    return res.json({
+      ok: true,
+      items: Object.entries(permissions.PERMISSIONS).map(
+        ([name, description]) => ({ name, description })
+      ),
+    });
+  });
+
+  app.get("/api/admin/roles", ...manage, async (req, res) => {
+    try {
+      return res.json({ ok: true, items: await permissions.listRoles() });
+    } catch (e) {
+      console.error("[roles] list", e);
+      return res.status(500).json({ error: "Failed" });
+    }
+  });
+
+  app.post("/api/admin/roles", ...manage, async (req, res) => {
+    try {
+      const name = cleanName(req.body?.name);
+      if (!name) return res.status(400).json({ error: "Bad role name" });
+
+      const perms = cleanPermissionList(req.body?.permissions || []);
+      if (!perms) return res.status(400).json({ error: "Bad permissions" });
+
+      if (await permissions.findRole(name))
+        return res.status(409).json({ error: "Role already exists" });
+
+      const roleId = await permissions.createRole({
+        name,
+        description: safeTrim(req.body?.description),
+      });
+      await permissions.setRolePermissions(roleId, perms);
+
+      const items = await permissions.listRoles();
+      return res.json({ ok: true, item: items.find((r) => r.id === roleId) });
+    } catch (e) {
+      console.error("[roles] create", e);
+      return res.status(500).json({ error: "Failed" });
+    }
+  });
+
+  app.put("/api/admin/roles/:name/permissions", ...manage, async (req, res) => {
+    try {
+      const role = await permissions.findRole(safeTrim(req.params.name));
+      if (!role) return res.status(404).json({ error: "Role not found" });
+      if (role.name === "admin")
+        return res.status(400).json({ error: "admin role always has *" });
+
+      const perms = cleanPermissionList(req.body?.permissions);
+      if (!perms) return res.status(400).json({ error: "Bad permissions" });
+
+      await permissions.setRolePermissions(role.id, perms);
+      const items = await permissions.listRoles();
+      return res.json({ ok: true, item: items.find((r) => r.id === role.id) });
+    } catch (e) {
+      console.error("[roles] set permissions", e);
+      return res.status(500).json({ error: "Failed" });
+    }
+  });
+
+  app.delete("/api/admin/roles/:name", ...manage, async (req, res) => {
+    try {
+      const role = await permissions.findRole(safeTrim(req.params.name));
+      if (!role) return res.status(404).json({ error: "Role not found" });
+      if (role.is_system)
+        return res.status(400).json({ error: "Built-in roles can't be deleted" });
+
+      await permissions.deleteRole(role.id);
+      return res.json({ ok: true });
+    } catch (e) {
+      console.error("[roles] delete", e);
+      return res.status(500).json({ error: "Failed" });
+    }
+  });
+
+  // =====================
+  // User grants
+  // =====================
+  app.get("/api/admin/users/:userId/roles", ...manage, async (req, res) => {
+    try {
+      const userId = toInt(req.params.userId);
+      if (!userId) return res.status(400).json({ error: "Bad userId" });
+
+      const grants = await permissions.userGrants(userId);
+      return res.json({ ok: true, user_id: userId, ...grants });
+    } catch (e) {
+      console.error("[roles] user grants", e);
+      return res.status(500).json({ error: "Failed" });
+    }
+  });
+
+  app.post("/api/admin/users/:userId/roles", ...manage, async (req, res) => {
+    try {
+      const userId = toInt(req.params.userId);
+      if (!userId) return res.status(400).json({ error: "Bad userId" });
+
+      const role = await permissions.findRole(safeTrim(req.body?.role));
+      if (!role) return res.status(404).json({ error: "Role not found" });
+      if (role.name === "member")
+        return res.status(400).json({ error: "member is implicit" });
+
+      await permissions.grantRole(userId, role.id, req.user.id);
+      return res.json({
+        ok: true,
+        user_id: userId,
+        ...(await permissions.userGrants(userId)),
+      });
+    } catch (e) {
+      // FK fails when the user doesn't exist
+      if (String(e?.message || "").includes("FOREIGN KEY"))
+        return res.status(404).json({ error: "User not found" });
+      console.error("[roles] grant role", e);
+      return res.status(500).json({ error: "Failed" });
+    }
+  });
+
+  app.delete(
+    "/api/admin/users/:userId/roles/:role",
+    ...manage,
+    async (req, res) => {
+      try {
+        const userId = toInt(req.params.userId);
+        if (!userId) return res.status(400).json({ error: "Bad userId" });
+
+        const role = await permissions.findRole(safeTrim(req.params.role));
+        if (!role) return res.status(404).json({ error: "Role not found" });
+        if (!(await permissions.hasRole(userId, role.id)))
+          return res.status(404).json({ error: "Grant not found" });
+
+        // ✅ never lock everybody out
+        if (role.name === "admin" && (await permissions.countRoleUsers(role.id)) <= 1)
+          return res.status(400).json({ error: "Can't remove the last admin" });
+
+        await permissions.revokeRole(userId, role.id);
+
+        return res.json({
+          ok: true,
+          user_id: userId,
+          ...(await permissions.userGrants(userId)),
+        });
+      } catch (e) {
+        console.error("[roles] revoke role", e);
+        return res.status(500).json({ error: "Failed" });
+      }
+    }
+  );
+
+  app.post(
+    "/api/admin/users/:userId/permissions",
+    ...manage,
+    async (req, res) => {
+      try {
+        const userId = toInt(req.params.userId);
+        if (!userId) return res.status(400).json({ error: "Bad userId" });
+
+        const permission = cleanPermission(req.body?.permission);
+        if (!permission)
+          return res.status(400).json({ error: "Bad permission" });
+
+        await permissions.grantPermission(userId, permission, req.user.id);
+        return res.json({
+          ok: true,
+          user_id: userId,
+          ...(await permissions.userGrants(userId)),
+        });
+      } catch (e) {
+        if (String(e?.message || "").includes("FOREIGN KEY"))
+          return res.status(404).json({ error: "User not found" });
+        console.error("[roles] grant permission", e);
+        return res.status(500).json({ error: "Failed" });
+      }
+    }
+  );
+
+  app.delete(
+    "/api/admin/users/:userId/permissions/:permission",
+    ...manage,
+    async (req, res) => {
+      try {
+        const userId = toInt(req.params.userId);
+        if (!userId) return res.status(400).json({ error: "Bad userId" });
+
+        const permission = cleanPermission(req.params.permission);
+        if (!permission)
+          return res.status(400).json({ error: "Bad permission" });
+
+        const removed = await permissions.revokePermission(userId, permission);
+        if (!removed) return res.status(404).json({ error: "Grant not found" });
+
+        return res.json({
+          ok: true,
+          user_id: userId,
+          ...(await permissions.userGrants(userId)),
+        });
+      } catch (e) {
+        console.error("[roles] revoke permission", e);
+        return res.status(500).json({ error: "Failed" });
+      }
+    }
+  );
+
+  // ✅ frontend uses this to show/hide admin + moderation UI
+  app.get("/api/users/me/permissions", authRequired, (req, res) => {
+    return res.json({
+      roles: req.roles || [],
+      permissions: [...(req.permissions || [])].sort(),
+    });
+  });
+};
@@ -0,0 +1,171 @@
+// src/modules/session-store.js
+/* =====================
+   SESSIONS (devices)
+   - one row per logged-in device (user_sessions)
+   - opaque refresh tokens, stored hashed, rotated on every refresh
+   - reuse of an already-rotated refresh token revokes the whole session (stolen token)
+   - access JWTs carry { sid } so authRequired can reject revoked sessions
+===================== */
+
+const crypto = require("crypto");
+
+module.exports = function createSessionStore(opts) {
+  const { data } = opts;
+
+  const REFRESH_TTL_DAYS = Math.max(
+    1,
+    parseInt(String(process.env.REFRESH_TOKEN_TTL_DAYS || "30"), 10) || 30
+  );
+
+  const { run, get, all, withTransaction } = data;
+
+  // =====================
+  // Helpers
+  // =====================
+  function hashToken(token) {
+    return crypto
+      .createHash("sha256")
+      .update(String(token || ""))
+      .digest("hex");
+  }
+
+  function newToken() {
+    return crypto.randomBytes(48).toString("base64url");
+  }
+
+  async function issueRefreshToken(sessionId) {
+    const token = newToken();
+    await run(
+      `INSERT INTO session_refresh_tokens (session_id, token_hash) VALUES (?, ?)`,
+      [sessionId, hashToken(token)]
+    );
+    await run(
+      `UPDATE user_sessions
+       SET last_used_at = datetime('now'), expires_at = datetime('now', ?)
+       WHERE id = ?`,
+      [`+${REFRESH_TTL_DAYS} days`, sessionId]
+    );
+    return token;
+  }
+
+  // new device login -> { sessionId, refreshToken }
+  async function create({ userId, ip, userAgent, deviceName }) {
+    return withTransaction(async () => {
+      const r = await run(
+        `INSERT INTO user_sessions (user_id, device_name, user_agent, ip)
+         VALUES (?, ?, ?, ?)`,
+        [
+          userId,
+          String(deviceName || "").slice(0, 120) || null,
+          String(userAgent || "").slice(0, 255) || null,
+          ip || null,
+        ]
+      );
+      const refreshToken = await issueRefreshToken(r.lastID);
+      return { sessionId: r.lastID, refreshToken };
+    });
+  }
+
+  // refresh -> { session, refreshToken } or { error }
+  async function rotate(refreshToken, { ip } = {}) {
+    const row = await get(
+      `
+      SELECT
+        t.id AS token_id, t.used_at,
+        s.*,
+        (s.expires_at IS NOT NULL AND s.expires_at <= datetime('now')) AS is_expired
+      FROM session_refresh_tokens t
+      JOIN user_sessions s ON s.id = t.session_id
+      WHERE t.token_hash = ?
+      `,
+      [hashToken(refreshToken)]
+    );
+
+    if (!row) return { error: "invalid" };
+    if (row.revoked_at) return { error: "revoked" };
+    if (row.is_expired) return { error: "expired" };
+
+    if (row.used_at) {
+      // ✅ someone replayed an old refresh token -> kill the session for everyone
+      await revoke(row.id, { reason: "reuse_detected" });
+      console.warn("[sessions] refresh token reuse, session revoked", row.id);
+      return { error: "reused" };
+    }
+
+    const used = await run(
+      `UPDATE session_refresh_tokens SET used_at = datetime('now')
+       WHERE id = ? AND used_at IS NULL`,
+      [row.token_id]
+    );
+    // lost the race with a parallel refresh of the same token
+    if (!used.changes) return { error: "reused" };
+
+    if (ip) await run(`UPDATE user_sessions SET ip = ? WHERE id = ?`, [ip, row.id]);
+
+    const next = await issueRefreshToken(row.id);
+    return { session: row, refreshToken: next };
+  }
+
+  async function findByRefreshToken(refreshToken) {
+    return get(
+      `SELECT s.* FROM session_refresh_tokens t
+       JOIN user_sessions s ON s.id = t.session_id
+       WHERE t.token_hash = ?`,
+      [hashToken(refreshToken)]
+    );
+  }
+
+  async function isActive(sessionId, userId) {
+    const row = await get(
+      `SELECT id FROM user_sessions
+       WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+         AND (expires_at IS NULL OR expires_at > datetime('now'))`,
+      [sessionId, userId]
+    );
+    return !!row;
+  }
+
+  async function revoke(sessionId, { userId = null, reason = "revoked" } = {}) {
+    const r = await run(
+      `UPDATE user_sessions SET revoked_at = datetime('now'), revoked_reason = ?
+       WHERE id = ? AND revoked_at IS NULL ${userId ? "AND user_id = ?" : ""}`,
+      userId ? [reason, sessionId, userId] : [reason, sessionId]
+    );
+    return r.changes || 0;
+  }
+
+  async function revokeAllForUser(
+    userId,
+    { exceptSessionId = null, reason = "revoked" } = {}
+  ) {
+    const r = await run(
+      `UPDATE user_sessions SET revoked_at = datetime('now'), revoked_reason = ?
+       WHERE user_id = ? AND revoked_at IS NULL ${exceptSessionId ? "AND id != ?" : ""}`,
+      exceptSessionId
+        ? [reason, userId, exceptSessionId]
+        : [reason, userId]
+    );
+    return r.changes || 0;
+  }
+
+  async function listForUser(userId) {
+    return all(
+      `SELECT id, device_name, user_agent, ip, created_at, last_used_at, expires_at
+       FROM user_sessions
+       WHERE user_id = ? AND revoked_at IS NULL
+         AND (expires_at IS NULL OR expires_at > datetime('now'))
+       ORDER BY last_used_at DESC, id DESC`,
+      [userId]
+    );
+  }
+
+  return {
+    create,
+    rotate,
+    findByRefreshToken,
+    isActive,
+    revoke,
+    revokeAllForUser,
+    listForUser,
+  };
+};
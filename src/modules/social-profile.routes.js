@@ -1,140 +1,144 @@
 // src/modules/social-profile.routes.js
 module.exports = function registerSocialProfileRoutes({
   app,
+  data,
   authRequired,
   authOptional,
-  dbAll,
-  dbGet,
-  dbRun,
   toInt,
   safeTrim,
   safeUrl,
   safeJsonParse,
   ensureProfileRow,
-  deleteFeedPostOwnedBy,
-  parseAnyPostId,
+  posts,
+  media,
+  deletePostOwnedBy,
+  carryReputation,
+  notifier,
+  events,
+  conversations,
+  blocks,
+  paging,
 }) {
-  function getProfileCore(req, res) {
+  const { all, get, run } = data;
+
+  // ✅ profile tabs: ?limit=&cursor= (no limit: the old 200 cap) -> next_cursor
+  function readTabPage(req, res, keys = 1) {
+    const page = paging.readPage(req.query, {
+      keys,
+      legacyLimit: 200,
+      max: 200,
+    });
+    if (page.error) res.status(400).json({ message: page.error });
+    return page;
+  }
+
+  async function count(sql, params) {
+    const row = await get(sql, params);
+    return Number(row?.c || 0);
+  }
+
+  const carrySide = (x) => ({
+    ratingAvg: x.rating_avg,
+    ratingCount: x.reviews_count,
+    completed: x.completed,
+  });
+
+  async function getProfileCore(req, res) {
     const targetId = toInt(req.params.userId);
     if (!targetId) return res.status(400).json({ message: "Bad userId" });
 
-    ensureProfileRow(targetId, (e0) => {
-      if (e0) return res.status(500).json({ message: "Failed" });
-
-      dbGet(
-        `SELECT * FROM user_profile WHERE user_id = ?`,
-        [targetId],
-        (e1, p) => {
-          if (e1) return res.status(500).json({ message: "Failed" });
-          if (!p) return res.status(404).json({ message: "Profile not found" });
-
-          const meId = req.user?.id || 0;
-
-          dbGet(
-            `SELECT COUNT(*) c FROM follows WHERE following_id = ?`,
-            [targetId],
-            (eF1, rFollowers) => {
-              if (eF1) return res.status(500).json({ message: "Failed" });
-
-              dbGet(
-                `SELECT COUNT(*) c FROM follows WHERE follower_id = ?`,
-                [targetId],
-                (eF2, rFollowing) => {
-                  if (eF2) return res.status(500).json({ message: "Failed" });
-
-                  dbGet(
-                    `
-              SELECT
-                (SELECT COUNT(*) FROM profile_posts WHERE user_id = ?) +
-                (SELECT COUNT(*) FROM posts WHERE user_id = ?) AS c
-              `,
-                    [targetId, targetId],
-                    (eP, rPosts) => {
-                      if (eP)
-                        return res.status(500).json({ message: "Failed" });
-
-                      dbGet(
-                        `SELECT COUNT(*) c FROM services WHERE user_id = ? AND is_active = 1`,
-                        [targetId],
-                        (eS, rServices) => {
-                          if (eS)
-                            return res.status(500).json({ message: "Failed" });
-
-                          dbGet(
-                            `SELECT COUNT(*) c FROM products WHERE user_id = ? AND is_available = 1`,
-                            [targetId],
-                            (ePr, rProducts) => {
-                              if (ePr)
-                                return res
-                                  .status(500)
-                                  .json({ message: "Failed" });
-
-                              dbGet(
-                                `SELECT COALESCE(AVG(rating),0) avg FROM reviews WHERE user_id = ?`,
-                                [targetId],
-                                (eR1, rAvg) => {
-                                  if (eR1)
-                                    return res
-                                      .status(500)
-                                      .json({ message: "Failed" });
-
-                                  dbGet(
-                                    `SELECT COUNT(*) c FROM reviews WHERE user_id = ?`,
-                                    [targetId],
-                                    (eR2, rCnt) => {
-                                      if (eR2)
-                                        return res
-                                          .status(500)
-                                          .json({ message: "Failed" });
-
-                                      const base = {
-                                        profile: p,
-                                        stats: {
-                                          followers: Number(rFollowers?.c || 0),
-                                          following: Number(rFollowing?.c || 0),
-                                          posts: Number(rPosts?.c || 0),
-                                          services: Number(rServices?.c || 0),
-                                          products: Number(rProducts?.c || 0),
-                                          ratingAvg: Number(rAvg?.avg || 0),
-                                          ratingCount: Number(rCnt?.c || 0),
-                                        },
-                                        isMe: meId === targetId,
-                                        isFollowing: false,
-                                      };
-
-                                      if (!meId) return res.json(base);
-
-                                      dbGet(
-                                        `SELECT 1 x FROM follows WHERE follower_id = ? AND following_id = ?`,
-                                        [meId, targetId],
-                                        (eF3, fRow) => {
-                                          if (eF3)
-                                            return res
-                                              .status(500)
-                                              .json({ message: "Failed" });
-                                          return res.json({
-                                            ...base,
-                                            isFollowing: !!fRow,
-                                          });
-                                        }
-                                      );
-                                    }
-                                  );
-                                }
-                              );
-                            }
-                          );
-                        }
-                      );
-                    }
-                  );
-                }
-              );
-            }
-          );
-        }
-      );
-    });
+    try {
+      await ensureProfileRow(targetId);
+
+      const p = await get(`SELECT * FROM user_profile WHERE user_id = ?`, [
+        targetId,
+      ]);
+      if (!p) return res.status(404).json({ message: "Profile not found" });
+
+      const meId = req.user?.id || 0;
+
+      const [
+        followers,
+        following,
+        posts,
+        services,
+        products,
+        rAvg,
+        ratingCount,
+        carry,
+      ] =
+        await Promise.all([
+          count(`SELECT COUNT(*) c FROM follows WHERE following_id = ?`, [
+            targetId,
+          ]),
+          count(`SELECT COUNT(*) c FROM follows WHERE follower_id = ?`, [
+            targetId,
+          ]),
+          count(
+            `SELECT COUNT(*) c FROM posts WHERE user_id = ? AND hidden_at IS NULL`,
+            [targetId]
+          ),
+          count(
+            `SELECT COUNT(*) c FROM services WHERE user_id = ? AND is_active = 1`,
+            [targetId]
+          ),
+          count(
+            `SELECT COUNT(*) c FROM products WHERE user_id = ? AND is_available = 1`,
+            [targetId]
+          ),
+          get(
+            `SELECT COALESCE(AVG(rating),0) avg FROM reviews
+             WHERE user_id = ? AND hidden_at IS NULL`,
+            [targetId]
+          ),
+          count(
+            `SELECT COUNT(*) c FROM reviews WHERE user_id = ? AND hidden_at IS NULL`,
+            [targetId]
+          ),
+          carryReputation(targetId),
+        ]);
+
+      const fRow = meId
+        ? await get(
+            `SELECT 1 x FROM follows WHERE follower_id = ? AND following_id = ?`,
+            [meId, targetId]
+          )
+        : null;
+      const [isBlocked, isMuted] = meId
+        ? await Promise.all([
+            blocks.hasBlocked(meId, targetId),
+            blocks.hasMuted(meId, targetId),
+          ])
+        : [false, false];
+
+      return res.json({
+        profile: p,
+        stats: {
+          followers,
+          following,
+          posts,
+          services,
+          products,
+          ratingAvg: Number(rAvg?.avg || 0),
+          ratingCount,
+          carry: {
+            ratingAvg: carry.rating_avg,
+            ratingCount: carry.reviews_count,
+            shipments: carry.shipments,
+            completedDeliveries: carry.completed_deliveries,
+            cancellationRate: carry.cancellation_rate,
+            asTraveler: carrySide(carry.as_traveler),
+            asSender: carrySide(carry.as_sender),
+          },
+        },
+        isMe: meId === targetId,
+        isFollowing: !!fRow,
+        isBlocked,
+        isMuted,
+      });
+    } catch (e) {
+      return res.status(500).json({ message: "Failed" });
+    }
   }
 
   // ✅ me aliases
@@ -151,169 +155,257 @@ module.exports = function registerSocialProfileRoutes({
   app.get("/api/profile/:userId", authOptional, getProfileCore);
   app.get("/api/profiles/:userId", authOptional, getProfileCore);
 
+  // images are uploaded with POST /api/media; inline base64 isn't a url
+  const isDataUrl = (v) => /^data:/i.test(v);
+  const DATA_URL_MESSAGE = "Upload images with POST /api/media (data: URLs aren't accepted)";
+
   // update my profile
-  app.put("/api/profile/me", authRequired, (req, res) => {
+  app.put("/api/profile/me", authRequired, async (req, res) => {
     const userId = req.user.id;
 
-    ensureProfileRow(userId, (e0) => {
-      if (e0) return res.status(500).json({ message: "Failed" });
-
-      const body = req.body || {};
-      const username = safeTrim(body.username);
-      const display_name = safeTrim(body.display_name);
-      const avatar_url = safeUrl(body.avatar_url);
-      const cover_url = safeUrl(body.cover_url);
-      const bio = safeTrim(body.bio);
-      const location = safeTrim(body.location);
-      const phone = safeTrim(body.phone);
-      const whatsapp = safeTrim(body.whatsapp);
-      const website = safeUrl(body.website);
-
-      function doUpdate() {
-        dbRun(
-          `
-          UPDATE user_profile
-          SET
-            username = COALESCE(?, username),
-            display_name = COALESCE(?, display_name),
-            avatar_url = COALESCE(?, avatar_url),
-            cover_url = COALESCE(?, cover_url),
-            bio = COALESCE(?, bio),
-            location = COALESCE(?, location),
-            phone = COALESCE(?, phone),
-            whatsapp = COALESCE(?, whatsapp),
-            website = COALESCE(?, website),
-            updated_at = datetime('now')
-          WHERE user_id = ?
-          `,
-          [
-            username || null,
-            display_name || null,
-            avatar_url || null,
-            cover_url || null,
-            bio || null,
-            location || null,
-            phone || null,
-            whatsapp || null,
-            website || null,
-            userId,
-          ],
-          function (e2) {
-            if (e2)
-              return res.status(500).json({ message: "Profile update failed" });
-
-            dbGet(
-              `SELECT * FROM user_profile WHERE user_id = ?`,
-              [userId],
-              (e3, p) => {
-                if (e3 || !p)
-                  return res
-                    .status(500)
-                    .json({ message: "Profile update failed" });
-                return res.json({ ok: true, profile: p });
-              }
-            );
-          }
+    const body = req.body || {};
+    const username = safeTrim(body.username);
+    const display_name = safeTrim(body.display_name);
+    const avatar_url = safeUrl(body.avatar_url);
+    const cover_url = safeUrl(body.cover_url);
+    const bio = safeTrim(body.bio);
+    const location = safeTrim(body.location);
+    const phone = safeTrim(body.phone);
+    const whatsapp = safeTrim(body.whatsapp);
+    const website = safeUrl(body.website);
+    if ([avatar_url, cover_url].some(isDataUrl))
+      return res.status(400).json({ message: DATA_URL_MESSAGE });
+
+    // uploads win over plain urls
+    let avatar = null;
+    let cover = null;
+    try {
+      [avatar] = (await media.fromBody(userId, body.avatar_media_id)) || [];
+      [cover] = (await media.fromBody(userId, body.cover_media_id)) || [];
+    } catch (e) {
+      if (e.code === "BAD_MEDIA") return res.status(400).json({ message: e.message });
+      return res.status(500).json({ message: "Failed" });
+    }
+
+    try {
+      await ensureProfileRow(userId);
+
+      if (username) {
+        const row = await get(
+          `SELECT user_id FROM user_profile WHERE username = ? AND user_id != ?`,
+          [username, userId]
         );
+        if (row)
+          return res.status(400).json({ message: "Username already taken" });
       }
+    } catch (e) {
+      return res.status(500).json({ message: "Failed" });
+    }
 
-      if (!username) return doUpdate();
-
-      dbGet(
-        `SELECT user_id FROM user_profile WHERE username = ? AND user_id != ?`,
-        [username, userId],
-        (e1, row) => {
-          if (e1) return res.status(500).json({ message: "Failed" });
-          if (row)
-            return res.status(400).json({ message: "Username already taken" });
-          doUpdate();
-        }
+    try {
+      await run(
+        `
+        UPDATE user_profile
+        SET
+          username = COALESCE(?, username),
+          display_name = COALESCE(?, display_name),
+          avatar_url = COALESCE(?, avatar_url),
+          avatar_media_id = CASE WHEN ? IS NULL THEN avatar_media_id ELSE ? END,
+          cover_url = COALESCE(?, cover_url),
+          cover_media_id = CASE WHEN ? IS NULL THEN cover_media_id ELSE ? END,
+          bio = COALESCE(?, bio),
+          location = COALESCE(?, location),
+          phone = COALESCE(?, phone),
+          whatsapp = COALESCE(?, whatsapp),
+          website = COALESCE(?, website),
+          updated_at = datetime('now')
+        WHERE user_id = ?
+        `,
+        [
+          username || null,
+          display_name || null,
+          avatar?.url || avatar_url || null,
+          avatar?.url || avatar_url || null,
+          avatar?.id || null,
+          cover?.url || cover_url || null,
+          cover?.url || cover_url || null,
+          cover?.id || null,
+          bio || null,
+          location || null,
+          phone || null,
+          whatsapp || null,
+          website || null,
+          userId,
+        ]
       );
-    });
+
+      const p = await get(`SELECT * FROM user_profile WHERE user_id = ?`, [
+        userId,
+      ]);
+      if (!p) return res.status(500).json({ message: "Profile update failed" });
+      return res.json({ ok: true, profile: p });
+    } catch (e) {
+      return res.status(500).json({ message: "Profile update failed" });
+    }
   });
 
   // follow / unfollow
-  function followCore(req, res) {
+  async function followCore(req, res) {
     const me = req.user.id;
     const target = toInt(req.params.userId);
     if (!target) return res.status(400).json({ message: "Bad userId" });
     if (me === target)
       return res.status(400).json({ message: "Cannot follow yourself" });
 
-    dbRun(
-      `INSERT OR IGNORE INTO follows (follower_id, following_id) VALUES (?, ?)`,
-      [me, target],
-      (err) => {
-        if (err) return res.status(500).json({ message: "Follow failed" });
-        res.json({ ok: true });
+    try {
+      if (await blocks.isBlocked(me, target))
+        return res.status(403).json({ message: "You can't follow this user" });
+
+      const r = await run(
+        `INSERT OR IGNORE INTO follows (follower_id, following_id) VALUES (?, ?)`,
+        [me, target]
+      );
+      if (r.changes) {
+        await notifier.notify("follow", {
+          userId: target,
+          actorId: me,
+          entityType: "user",
+          entityId: me,
+        });
+        events.publish(`user:${target}`, "follow.created", {
+          follower_id: me,
+          user_id: target,
+        });
       }
-    );
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(500).json({ message: "Follow failed" });
+    }
   }
 
-  function unfollowCore(req, res) {
+  async function unfollowCore(req, res) {
     const me = req.user.id;
     const target = toInt(req.params.userId);
     if (!target) return res.status(400).json({ message: "Bad userId" });
 
-    dbRun(
-      `DELETE FROM follows WHERE follower_id = ? AND following_id = ?`,
-      [me, target],
-      (err) => {
-        if (err) return res.status(500).json({ message: "Unfollow failed" });
-        res.json({ ok: true });
+    try {
+      const r = await run(
+        `DELETE FROM follows WHERE follower_id = ? AND following_id = ?`,
+        [me, target]
+      );
+      if (r.changes) {
+        events.publish(`user:${target}`, "follow.deleted", {
+          follower_id: me,
+          user_id: target,
+        });
+      }
+      await notifier.retract("follow", {
+        userId: target,
+        actorId: me,
+        entityType: "user",
+        entityId: me,
+      });
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(500).json({ message: "Unfollow failed" });
+    }
+  }
+
+  // block / mute (blocks.* errors: BAD_USER 400, NOT_FOUND 404)
+  function relationRoute(action, key) {
+    return async (req, res) => {
+      const target = toInt(req.params.userId);
+      if (!target) return res.status(400).json({ message: "Bad userId" });
+
+      try {
+        await blocks[action](req.user.id, target);
+        res.json({ ok: true, user_id: target, [key]: !action.startsWith("un") });
+      } catch (e) {
+        if (e.code === "BAD_USER") return res.status(400).json({ message: e.message });
+        if (e.code === "NOT_FOUND") return res.status(404).json({ message: e.message });
+        res.status(500).json({ message: `${action} failed` });
       }
-    );
+    };
   }
 
+  for (const base of ["/api/profile", "/api/profiles"]) {
+    app.post(`${base}/:userId/block`, authRequired, relationRoute("block", "blocked"));
+    app.delete(`${base}/:userId/block`, authRequired, relationRoute("unblock", "blocked"));
+    app.post(`${base}/:userId/mute`, authRequired, relationRoute("mute", "muted"));
+    app.delete(`${base}/:userId/mute`, authRequired, relationRoute("unmute", "muted"));
+  }
+
+  app.get("/api/profile/me/blocks", authRequired, async (req, res) => {
+    try {
+      res.json({ users: await blocks.list(req.user.id) });
+    } catch (e) {
+      res.status(500).json({ message: "Failed to load blocks" });
+    }
+  });
+
+  app.get("/api/profile/me/mutes", authRequired, async (req, res) => {
+    try {
+      res.json({ users: await blocks.listMuted(req.user.id) });
+    } catch (e) {
+      res.status(500).json({ message: "Failed to load mutes" });
+    }
+  });
+
   app.post("/api/profile/:userId/follow", authRequired, followCore);
   app.delete("/api/profile/:userId/follow", authRequired, unfollowCore);
   app.post("/api/profiles/:userId/follow", authRequired, followCore);
   app.delete("/api/profiles/:userId/follow", authRequired, unfollowCore);
 
-  // posts tab (profile_posts + posts)
-  function getProfilePostsCore(req, res) {
+  // posts tab (feed + profile posts, one table; moderated = hidden_at left out)
+  // newest first; keyset (created_at, id)
+  const POSTS_KEY = ["sort_at", "row_id"];
+
+  async function getProfilePostsCore(req, res) {
     const userId = toInt(req.params.userId);
     if (!userId) return res.status(400).json({ message: "Bad userId" });
 
-    const sql = `
-      SELECT *
-      FROM (
-        SELECT
-          ('pp_' || pp.id) AS id,
-          pp.user_id AS user_id,
-          pp.content AS content,
-          pp.media_url AS media_url,
-          pp.created_at AS created_at,
-          NULL AS category,
-          'profile' AS source,
-          u.username AS user_name
-        FROM profile_posts pp
-        LEFT JOIN users u ON u.id = pp.user_id
-        WHERE pp.user_id = ?
-
-        UNION ALL
+    const page = readTabPage(req, res, POSTS_KEY.length);
+    if (page.error) return;
+    const after = paging.keyset(page, POSTS_KEY);
 
+    const sql = `
+      SELECT * FROM (
         SELECT
-          ('p_' || p.id) AS id,
-          p.user_id AS user_id,
-          p.content AS content,
-          NULL AS media_url,
-          p.created_at AS created_at,
-          p.category AS category,
-          'feed' AS source,
-          u2.username AS user_name
+          p.*,
+          p.id AS row_id,
+          COALESCE(datetime(p.created_at), '') AS sort_at,
+          u.username AS user_name,
+          ${posts.POST_COUNTS}
         FROM posts p
-        LEFT JOIN users u2 ON u2.id = p.user_id
-        WHERE p.user_id = ?
+        LEFT JOIN users u ON u.id = p.user_id
+        WHERE p.user_id = ? AND p.hidden_at IS NULL
       )
-      ORDER BY datetime(created_at) DESC
-      LIMIT 200
+      ${after ? `WHERE ${after.sql}` : ""}
+      ORDER BY sort_at DESC, row_id DESC
+      LIMIT ?
     `;
 
-    dbAll(sql, [userId, userId], (err, rows) => {
-      if (err) return res.status(500).json({ message: "Failed to load posts" });
-      res.json({ posts: rows || [] });
-    });
+    try {
+      const rows = await all(sql, [
+        req.user?.id || 0,
+        userId,
+        ...(after ? after.params : []),
+        page.sqlLimit,
+      ]);
+      const { items, next_cursor } = paging.pageOf(rows, page, (r) => [
+        r.sort_at,
+        r.row_id,
+      ]);
+      res.json({
+        posts: items.map(({ row_id, sort_at, ...post }) => ({
+          ...posts.toPost(post),
+          id: posts.apiId(row_id),
+        })),
+        next_cursor,
+      });
+    } catch (e) {
+      res.status(500).json({ message: "Failed to load posts" });
+    }
   }
 
   app.get("/api/profile/:userId/posts", authOptional, getProfilePostsCore);
@@ -333,237 +425,111 @@ module.exports = function registerSocialProfileRoutes({
   app.get("/api/users/:userId/posts", authOptional, getProfilePostsCore);
 
   // create my profile post
-  app.post("/api/profile/me/posts", authRequired, (req, res) => {
+  app.post("/api/profile/me/posts", authRequired, async (req, res) => {
     const content = safeTrim(req.body?.content);
     const media_url = safeUrl(req.body?.media_url);
     if (!content) return res.status(400).json({ message: "Empty post" });
-
-    dbRun(
-      `INSERT INTO profile_posts (user_id, content, media_url) VALUES (?, ?, ?)`,
-      [req.user.id, content, media_url || null],
-      function (err) {
-        if (err) return res.status(500).json({ message: "Create post failed" });
-        res.json({ ok: true, id: `pp_${this.lastID}` });
-      }
-    );
-  });
-
-  // get my single post
-  app.get("/api/profile/me/posts/:postId", authRequired, (req, res) => {
-    const parsed = parseAnyPostId(req.params.postId);
-    if (parsed.kind === "bad")
-      return res.status(400).json({ message: "Bad postId" });
-
-    if (parsed.kind === "profile") {
-      return dbGet(
-        `SELECT id, user_id, content, media_url, created_at
-         FROM profile_posts
-         WHERE id = ? AND user_id = ?`,
-        [parsed.id, req.user.id],
-        (err, row) => {
-          if (err) return res.status(500).json({ message: "Failed" });
-          if (!row) return res.status(404).json({ message: "Not found" });
-          res.json({ ...row, id: `pp_${row.id}`, source: "profile" });
-        }
-      );
+    if (isDataUrl(media_url)) return res.status(400).json({ message: DATA_URL_MESSAGE });
+
+    try {
+      const [upload] = (await media.fromBody(req.user.id, req.body?.media_id)) || [];
+      const id = await posts.create({
+        userId: req.user.id,
+        content,
+        mediaUrl: media_url,
+        media: upload,
+        kind: "profile",
+      });
+      res.json({ ok: true, id: posts.apiId(id) });
+    } catch (e) {
+      if (e.code === "BAD_MEDIA") return res.status(400).json({ message: e.message });
+      res.status(500).json({ message: "Create post failed" });
     }
+  });
 
-    if (parsed.kind === "feed") {
-      return dbGet(
-        `SELECT p.*, u.username AS user_name
-         FROM posts p
-         LEFT JOIN users u ON u.id = p.user_id
-         WHERE p.id = ? AND p.user_id = ?`,
-        [parsed.id, req.user.id],
-        (err, row) => {
-          if (err) return res.status(500).json({ message: "Failed" });
-          if (!row) return res.status(404).json({ message: "Not found" });
-          res.json({ ...row, id: `p_${row.id}`, source: "feed" });
-        }
-      );
+  // get my single post (p_17, old pp_18 or 17)
+  app.get("/api/profile/me/posts/:postId", authRequired, async (req, res) => {
+    try {
+      const id = await posts.resolveId(req.params.postId, {
+        ownerId: req.user.id,
+      });
+      if (!id) return res.status(400).json({ message: "Bad postId" });
+
+      const post = await posts.get(id, req.user.id);
+      if (!post || post.user_id !== req.user.id)
+        return res.status(404).json({ message: "Not found" });
+      res.json({ ...post, id: posts.apiId(post.id) });
+    } catch (e) {
+      res.status(500).json({ message: "Failed" });
     }
-
-    dbGet(
-      `SELECT p.*, u.username AS user_name
-       FROM posts p
-       LEFT JOIN users u ON u.id = p.user_id
-       WHERE p.id = ? AND p.user_id = ?`,
-      [parsed.id, req.user.id],
-      (e1, feedRow) => {
-        if (e1) return res.status(500).json({ message: "Failed" });
-        if (feedRow)
-          return res.json({
-            ...feedRow,
-            id: `p_${feedRow.id}`,
-            source: "feed",
-          });
-
-        dbGet(
-          `SELECT id, user_id, content, media_url, created_at
-           FROM profile_posts
-           WHERE id = ? AND user_id = ?`,
-          [parsed.id, req.user.id],
-          (e2, profRow) => {
-            if (e2) return res.status(500).json({ message: "Failed" });
-            if (!profRow) return res.status(404).json({ message: "Not found" });
-            res.json({ ...profRow, id: `pp_${profRow.id}`, source: "profile" });
-          }
-        );
-      }
-    );
   });
 
   // update my post
-  function updateMyPostCore(req, res) {
-    const parsed = parseAnyPostId(req.params.postId);
+  async function updateMyPostCore(req, res) {
     const content = safeTrim(req.body?.content);
-
-    if (parsed.kind === "bad")
-      return res.status(400).json({ message: "Bad postId" });
+    const media_url = safeUrl(req.body?.media_url);
     if (!content) return res.status(400).json({ message: "Empty content" });
-
-    if (parsed.kind === "profile") {
-      return dbRun(
-        `UPDATE profile_posts SET content = ? WHERE id = ? AND user_id = ?`,
-        [content, parsed.id, req.user.id],
-        function (err) {
-          if (err) return res.status(500).json({ message: "Update failed" });
-          if (this.changes === 0)
-            return res.status(404).json({ message: "Post not found" });
-          return res.json({ ok: true });
-        }
-      );
+    if (isDataUrl(media_url)) return res.status(400).json({ message: DATA_URL_MESSAGE });
+
+    try {
+      const id = await posts.resolveId(req.params.postId, {
+        ownerId: req.user.id,
+      });
+      if (!id) return res.status(400).json({ message: "Bad postId" });
+
+      const [upload] = (await media.fromBody(req.user.id, req.body?.media_id)) || [];
+      const ok = await posts.update(id, req.user.id, {
+        content,
+        mediaUrl: media_url,
+        media: upload,
+      });
+      if (!ok) return res.status(404).json({ message: "Post not found" });
+      return res.json({ ok: true });
+    } catch (e) {
+      if (e.code === "BAD_MEDIA") return res.status(400).json({ message: e.message });
+      return res.status(500).json({ message: "Update failed" });
     }
-
-    if (parsed.kind === "feed") {
-      return dbRun(
-        `UPDATE posts SET content = ? WHERE id = ? AND user_id = ?`,
-        [content, parsed.id, req.user.id],
-        function (err) {
-          if (err) return res.status(500).json({ message: "Update failed" });
-          if (this.changes === 0)
-            return res.status(404).json({ message: "Post not found" });
-          return res.json({ ok: true });
-        }
-      );
-    }
-
-    dbGet(
-      `SELECT id FROM posts WHERE id = ? AND user_id = ?`,
-      [parsed.id, req.user.id],
-      (e1, existsFeed) => {
-        if (e1) return res.status(500).json({ message: "Update failed" });
-
-        if (existsFeed) {
-          return dbRun(
-            `UPDATE posts SET content = ? WHERE id = ? AND user_id = ?`,
-            [content, parsed.id, req.user.id],
-            function (err) {
-              if (err)
-                return res.status(500).json({ message: "Update failed" });
-              if (this.changes === 0)
-                return res.status(404).json({ message: "Post not found" });
-              return res.json({ ok: true });
-            }
-          );
-        }
-
-        return dbRun(
-          `UPDATE profile_posts SET content = ? WHERE id = ? AND user_id = ?`,
-          [content, parsed.id, req.user.id],
-          function (err) {
-            if (err) return res.status(500).json({ message: "Update failed" });
-            if (this.changes === 0)
-              return res.status(404).json({ message: "Post not found" });
-            return res.json({ ok: true });
-          }
-        );
-      }
-    );
   }
 
   app.put("/api/profile/me/posts/:postId", authRequired, updateMyPostCore);
   app.patch("/api/profile/me/posts/:postId", authRequired, updateMyPostCore);
 
   // delete my post
-  app.delete("/api/profile/me/posts/:postId", authRequired, (req, res) => {
-    const raw = safeTrim(req.params.postId || "");
-    if (!raw) return res.status(400).json({ message: "Bad postId" });
-
-    if (raw.startsWith("pp_")) {
-      const postId = toInt(raw.slice(3));
-      if (!postId) return res.status(400).json({ message: "Bad postId" });
-
-      dbRun(
-        `DELETE FROM profile_posts WHERE id = ? AND user_id = ?`,
-        [postId, req.user.id],
-        function (err) {
-          if (err)
-            return res.status(500).json({ message: "Delete post failed" });
-          if (this.changes === 0)
-            return res.status(404).json({ message: "Post not found" });
-          res.json({ ok: true });
-        }
-      );
-      return;
-    }
-
-    if (raw.startsWith("p_")) {
-      const postId = raw.slice(2);
-      return deleteFeedPostOwnedBy(req.user.id, postId, res);
-    }
-
-    const numeric = toInt(raw);
-    if (!numeric) return res.status(400).json({ message: "Bad postId" });
-
-    dbGet(
-      `SELECT id FROM posts WHERE id = ? AND user_id = ?`,
-      [numeric, req.user.id],
-      (e1, existsFeed) => {
-        if (e1) return res.status(500).json({ message: "Delete post failed" });
-        if (existsFeed) return deleteFeedPostOwnedBy(req.user.id, numeric, res);
-
-        dbRun(
-          `DELETE FROM profile_posts WHERE id = ? AND user_id = ?`,
-          [numeric, req.user.id],
-          function (err) {
-            if (err)
-              return res.status(500).json({ message: "Delete post failed" });
-            if (this.changes === 0)
-              return res.status(404).json({ message: "Post not found" });
-            res.json({ ok: true });
-          }
-        );
-      }
-    );
-  });
+  app.delete("/api/profile/me/posts/:postId", authRequired, (req, res) =>
+    deletePostOwnedBy(req.user.id, req.params.postId, res)
+  );
 
   // services tab
-  function getServicesCore(req, res) {
+  async function getServicesCore(req, res) {
     const userId = toInt(req.params.userId);
     if (!userId) return res.status(400).json({ message: "Bad userId" });
 
-    dbAll(
-      `
-      SELECT *
-      FROM services
-      WHERE user_id = ? AND is_active = 1
-      ORDER BY id DESC
-      LIMIT 200
-      `,
-      [userId],
-      (err, rows) => {
-        if (err)
-          return res.status(500).json({ message: "Failed to load services" });
-        res.json({ services: rows || [] });
-      }
-    );
+    const page = readTabPage(req, res);
+    if (page.error) return;
+    const after = paging.keyset(page, ["id"]);
+
+    try {
+      const rows = await all(
+        `
+        SELECT *
+        FROM services
+        WHERE user_id = ? AND is_active = 1 ${after ? `AND ${after.sql}` : ""}
+        ORDER BY id DESC
+        LIMIT ?
+        `,
+        [userId, ...(after ? after.params : []), page.sqlLimit]
+      );
+      const { items, next_cursor } = paging.pageOf(rows, page, (r) => [r.id]);
+      res.json({ services: items, next_cursor });
+    } catch (e) {
+      res.status(500).json({ message: "Failed to load services" });
+    }
   }
 
   app.get("/api/profile/:userId/services", authOptional, getServicesCore);
   app.get("/api/profiles/:userId/services", authOptional, getServicesCore);
 
-  app.post("/api/profile/me/services", authRequired, (req, res) => {
+  app.post("/api/profile/me/services", authRequired, async (req, res) => {
     const title = safeTrim(req.body?.title);
     const description = safeTrim(req.body?.description);
     const category = safeTrim(req.body?.category);
@@ -576,76 +542,83 @@ module.exports = function registerSocialProfileRoutes({
 
     if (!title) return res.status(400).json({ message: "Missing title" });
 
-    dbRun(
-      `
-      INSERT INTO services (user_id, title, description, category, price_type, price_value, location, is_active)
-      VALUES (?, ?, ?, ?, ?, ?, ?, 1)
-      `,
-      [
-        req.user.id,
-        title,
-        description || null,
-        category || null,
-        price_type,
-        Number.isFinite(price_value) ? price_value : null,
-        location || null,
-      ],
-      function (err) {
-        if (err)
-          return res.status(500).json({ message: "Create service failed" });
-        res.json({ ok: true, id: this.lastID });
-      }
-    );
+    try {
+      const r = await run(
+        `
+        INSERT INTO services (user_id, title, description, category, price_type, price_value, location, is_active)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 1)
+        `,
+        [
+          req.user.id,
+          title,
+          description || null,
+          category || null,
+          price_type,
+          Number.isFinite(price_value) ? price_value : null,
+          location || null,
+        ]
+      );
+      res.json({ ok: true, id: r.lastID });
+    } catch (e) {
+      res.status(500).json({ message: "Create service failed" });
+    }
   });
 
-  app.delete("/api/profile/me/services/:id", authRequired, (req, res) => {
+  app.delete("/api/profile/me/services/:id", authRequired, async (req, res) => {
     const id = toInt(req.params.id);
     if (!id) return res.status(400).json({ message: "Bad id" });
 
-    dbRun(
-      `UPDATE services SET is_active = 0 WHERE id = ? AND user_id = ?`,
-      [id, req.user.id],
-      function (err) {
-        if (err)
-          return res.status(500).json({ message: "Delete service failed" });
-        if (this.changes === 0)
-          return res.status(404).json({ message: "Service not found" });
-        res.json({ ok: true });
-      }
-    );
+    try {
+      const r = await run(
+        `UPDATE services SET is_active = 0 WHERE id = ? AND user_id = ?`,
+        [id, req.user.id]
+      );
+      if (r.changes === 0)
+        return res.status(404).json({ message: "Service not found" });
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(500).json({ message: "Delete service failed" });
+    }
   });
 
   // products tab
-  function getProductsCore(req, res) {
+  async function getProductsCore(req, res) {
     const userId = toInt(req.params.userId);
     if (!userId) return res.status(400).json({ message: "Bad userId" });
 
-    dbAll(
-      `
-      SELECT *
-      FROM products
-      WHERE user_id = ? AND is_available = 1
-      ORDER BY id DESC
-      LIMIT 200
-      `,
-      [userId],
-      (err, rows) => {
-        if (err)
-          return res.status(500).json({ message: "Failed to load products" });
-        res.json({
-          products: (rows || []).map((p) => ({
-            ...p,
-            images: safeJsonParse(p.images_json) || [],
-          })),
-        });
-      }
-    );
+    const page = readTabPage(req, res);
+    if (page.error) return;
+    const after = paging.keyset(page, ["id"]);
+
+    try {
+      const rows = await all(
+        `
+        SELECT *
+        FROM products
+        WHERE user_id = ? AND is_available = 1 ${after ? `AND ${after.sql}` : ""}
+        ORDER BY id DESC
+        LIMIT ?
+        `,
+        [userId, ...(after ? after.params : []), page.sqlLimit]
+      );
+      const { items, next_cursor } = paging.pageOf(rows, page, (r) => [r.id]);
+      res.json({
+        products: items.map((p) => ({
+          ...p,
+          images: safeJsonParse(p.images_json) || [],
+          media_ids: safeJsonParse(p.media_ids_json) || [],
+        })),
+        next_cursor,
+      });
+    } catch (e) {
+      res.status(500).json({ message: "Failed to load products" });
+    }
   }
 
   app.get("/api/profile/:userId/products", authOptional, getProductsCore);
   app.get("/api/profiles/:userId/products", authOptional, getProductsCore);
 
-  app.post("/api/profile/me/products", authRequired, (req, res) => {
+  app.post("/api/profile/me/products", authRequired, async (req, res) => {
     const title = safeTrim(req.body?.title);
     const description = safeTrim(req.body?.description);
     const price =
@@ -658,72 +631,107 @@ module.exports = function registerSocialProfileRoutes({
 
     if (!title) return res.status(400).json({ message: "Missing title" });
 
-    dbRun(
-      `
-      INSERT INTO products (user_id, title, description, price, currency, images_json, location, is_available)
-      VALUES (?, ?, ?, ?, ?, ?, ?, 1)
-      `,
-      [
-        req.user.id,
-        title,
-        description || null,
-        Number.isFinite(price) ? price : null,
-        currency,
-        JSON.stringify(images || []),
-        location || null,
-      ],
-      function (err) {
-        if (err)
-          return res.status(500).json({ message: "Create product failed" });
-        res.json({ ok: true, id: this.lastID });
-      }
-    );
+    try {
+      // { media_ids: [..] } -> their urls become the images
+      const uploads = await media.fromBody(req.user.id, req.body?.media_ids);
+      const r = await run(
+        `
+        INSERT INTO products (user_id, title, description, price, currency, images_json, media_ids_json, location, is_available)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)
+        `,
+        [
+          req.user.id,
+          title,
+          description || null,
+          Number.isFinite(price) ? price : null,
+          currency,
+          JSON.stringify(uploads ? uploads.map((m) => m.url) : images || []),
+          uploads ? JSON.stringify(uploads.map((m) => m.id)) : null,
+          location || null,
+        ]
+      );
+      res.json({ ok: true, id: r.lastID });
+    } catch (e) {
+      if (e.code === "BAD_MEDIA") return res.status(400).json({ message: e.message });
+      res.status(500).json({ message: "Create product failed" });
+    }
   });
 
-  app.delete("/api/profile/me/products/:id", authRequired, (req, res) => {
+  app.delete("/api/profile/me/products/:id", authRequired, async (req, res) => {
     const id = toInt(req.params.id);
     if (!id) return res.status(400).json({ message: "Bad id" });
 
-    dbRun(
-      `UPDATE products SET is_available = 0 WHERE id = ? AND user_id = ?`,
-      [id, req.user.id],
-      function (err) {
-        if (err)
-          return res.status(500).json({ message: "Delete product failed" });
-        if (this.changes === 0)
-          return res.status(404).json({ message: "Product not found" });
-        res.json({ ok: true });
-      }
-    );
+    try {
+      const r = await run(
+        `UPDATE products SET is_available = 0 WHERE id = ? AND user_id = ?`,
+        [id, req.user.id]
+      );
+      if (r.changes === 0)
+        return res.status(404).json({ message: "Product not found" });
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(500).json({ message: "Delete product failed" });
+    }
   });
 
-  // reviews tab
-  function getReviewsCore(req, res) {
+  // reviews tab (reviews hidden by moderation are left out, ratings too)
+  async function getReviewsCore(req, res) {
     const userId = toInt(req.params.userId);
     if (!userId) return res.status(400).json({ message: "Bad userId" });
 
-    dbAll(
-      `
-      SELECT r.*, u.username AS author_name
-      FROM reviews r
-      LEFT JOIN users u ON u.id = r.author_id
-      WHERE r.user_id = ?
-      ORDER BY r.id DESC
-      LIMIT 200
-      `,
-      [userId],
-      (err, rows) => {
-        if (err)
-          return res.status(500).json({ message: "Failed to load reviews" });
-        res.json({ reviews: rows || [] });
+    const page = readTabPage(req, res);
+    if (page.error) return;
+    const after = paging.keyset(page, ["r.id"]);
+
+    try {
+      const rows = await all(
+        `
+        SELECT r.*, u.username AS author_name
+        FROM reviews r
+        LEFT JOIN users u ON u.id = r.author_id
+        WHERE r.user_id = ? AND r.hidden_at IS NULL
+          ${after ? `AND ${after.sql}` : ""}
+        ORDER BY r.id DESC
+        LIMIT ?
+        `,
+        [userId, ...(after ? after.params : []), page.sqlLimit]
+      );
+      const { items, next_cursor } = paging.pageOf(rows, page, (r) => [r.id]);
+      res.json({ reviews: items, next_cursor });
+    } catch (e) {
+      res.status(500).json({ message: "Failed to load reviews" });
+    }
+  }
+
+  // contact the owner of a profile service / product (direct conversation)
+  function contactAbout(contextType) {
+    return async (req, res) => {
+      const id = toInt(req.params.id);
+      if (!id) return res.status(400).json({ message: "Bad id" });
+
+      try {
+        const { created, ...out } = await conversations.start({
+          userId: req.user.id,
+          contextType,
+          contextId: id,
+          message: req.body?.message ?? req.body?.body ?? req.body?.text,
+        });
+        res.status(created ? 201 : 200).json(out);
+      } catch (e) {
+        const status = conversations.ERROR_STATUS[e.code];
+        if (status) return res.status(status).json({ message: e.message, code: e.code });
+        res.status(500).json({ message: "Contact failed" });
       }
-    );
+    };
   }
 
+  app.post("/api/profile/services/:id/contact", authRequired, contactAbout("service"));
+  app.post("/api/profile/products/:id/contact", authRequired, contactAbout("product"));
+
   app.get("/api/profile/:userId/reviews", authOptional, getReviewsCore);
   app.get("/api/profiles/:userId/reviews", authOptional, getReviewsCore);
 
-  app.post("/api/profile/:userId/reviews", authRequired, (req, res) => {
+  app.post("/api/profile/:userId/reviews", authRequired, async (req, res) => {
     const userId = toInt(req.params.userId);
     if (!userId) return res.status(400).json({ message: "Bad userId" });
     if (userId === req.user.id)
@@ -737,20 +745,31 @@ module.exports = function registerSocialProfileRoutes({
     }
     if (!comment) return res.status(400).json({ message: "Empty comment" });
 
-    dbRun(
-      `
-      INSERT INTO reviews (user_id, author_id, rating, comment)
-      VALUES (?, ?, ?, ?)
-      ON CONFLICT(user_id, author_id) DO UPDATE SET
-        rating = excluded.rating,
-        comment = excluded.comment,
-        created_at = datetime('now')
-      `,
-      [userId, req.user.id, rating, comment],
-      function (err) {
-        if (err) return res.status(500).json({ message: "Review failed" });
-        res.json({ ok: true });
-      }
-    );
+    try {
+      if (await blocks.isBlocked(req.user.id, userId))
+        return res.status(403).json({ message: "You can't review this user" });
+
+      await run(
+        `
+        INSERT INTO reviews (user_id, author_id, rating, comment)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(user_id, author_id) DO UPDATE SET
+          rating = excluded.rating,
+          comment = excluded.comment,
+          created_at = datetime('now')
+        `,
+        [userId, req.user.id, rating, comment]
+      );
+      await notifier.notify("profile_review", {
+        userId,
+        actorId: req.user.id,
+        entityType: "user",
+        entityId: userId,
+        data: { rating, excerpt: comment.slice(0, 140) },
+      });
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(500).json({ message: "Review failed" });
+    }
   });
 };
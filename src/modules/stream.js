@@ -0,0 +1,204 @@
+// src/modules/stream.js
+/* =====================
+   STREAM MODULE (Server-Sent Events)
+   - GET  /api/stream?channels=post:31,carry_thread:4
+          text/event-stream; "user:<me>" is always on (notifications, follows,
+          carry request status). EventSource can't send headers: the token may
+          come as ?access_token=
+          first event "ready" { stream_id, channels, denied }
+   - resume: Last-Event-ID header (EventSource sends it on reconnect) or
+          ?last_event_id= -> missed events are replayed; "reset" instead when
+          they are gone (reload state over REST)
+   - POST /api/stream/:streamId/channels   { add: [..], remove: [..] }
+          change what an open stream receives without reconnecting
+   - events: id = bus id, event = type, data = { channel, type, data, at }
+   - every heartbeat re-checks the caller: a revoked session (logout, refresh
+          token reuse) or an expired access token -> "end" { reason } and the
+          response closes; channels no longer allowed (new block, hidden post)
+          are dropped -> "removed" { channels }
+===================== */
+
+const crypto = require("crypto");
+
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 3000;
+const MAX_STREAMS_PER_USER = 10;
+const MAX_CHANNELS = 50;
+
+module.exports = function registerStream(opts) {
+  const { app, events, sessions, authRequired } = opts;
+
+  // open streams: stream_id -> { userId, channels: Set, send }
+  const streams = new Map();
+
+  events.defineChannel("user", (req, id) => id === Number(req.user.id));
+
+  // ?access_token= -> Authorization (EventSource only; headers win)
+  function tokenFromQuery(req, res, next) {
+    const token = req.query?.access_token;
+    if (!req.headers.authorization && typeof token === "string" && token)
+      req.headers.authorization = `Bearer ${token}`;
+    next();
+  }
+
+  function listParam(v) {
+    const raw = Array.isArray(v) ? v.join(",") : String(v ?? "");
+    return raw
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+  }
+
+  // -> { allowed: ["post:31"], denied: ["carry_thread:9"] }
+  async function checkChannels(req, names) {
+    const allowed = [];
+    const denied = [];
+    for (const name of [...new Set(names)]) {
+      const parsed = events.parseChannel(name);
+      if (parsed && (await events.canSubscribe(req, parsed.name)))
+        allowed.push(parsed.name);
+      else denied.push(name);
+    }
+    return { allowed, denied };
+  }
+
+  // -> "token_expired" | "session_revoked" | null (still fine)
+  async function endReason(req) {
+    const user = req.user;
+    if (user.exp && user.exp * 1000 <= Date.now()) return "token_expired";
+    if (sessions && user.sid && !(await sessions.isActive(user.sid, user.id)))
+      return "session_revoked";
+    return null;
+  }
+
+  function frame(event) {
+    return (
+      `id: ${event.id}\n` +
+      `event: ${event.type}\n` +
+      `data: ${JSON.stringify(event)}\n\n`
+    );
+  }
+
+  app.get("/api/stream", tokenFromQuery, authRequired, async (req, res) => {
+    const me = Number(req.user.id);
+
+    let open = 0;
+    for (const s of streams.values()) if (s.userId === me) open++;
+    if (open >= MAX_STREAMS_PER_USER)
+      return res.status(429).json({ error: "Too many open streams" });
+
+    const requested = listParam(req.query.channels).slice(0, MAX_CHANNELS);
+    let checked;
+    try {
+      checked = await checkChannels(req, requested);
+    } catch (e) {
+      console.error("[stream] channels", e);
+      return res.status(500).json({ error: "Failed to open stream" });
+    }
+    if (res.writableEnded || req.socket.destroyed) return;
+
+    const streamId = crypto.randomBytes(8).toString("hex");
+    const channels = new Set([`user:${me}`, ...checked.allowed]);
+
+    res.status(200).set({
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const send = (event) => {
+      if (channels.has(event.channel)) res.write(frame(event));
+    };
+
+    // replay + subscribe in the same tick: nothing published in between
+    const lastEventId =
+      req.headers["last-event-id"] ?? req.query.last_event_id ?? null;
+    const control = (type, data) =>
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    control("ready", {
+      stream_id: streamId,
+      channels: [...channels],
+      denied: checked.denied,
+    });
+    if (lastEventId !== null && lastEventId !== "") {
+      const missed = events.since(lastEventId);
+      if (missed) missed.forEach(send);
+      else control("reset", { reason: "missed_events" });
+    }
+
+    const unsubscribe = events.subscribe(send);
+    streams.set(streamId, { userId: me, channels, send });
+
+    let checking = false;
+    async function recheck() {
+      const reason = await endReason(req);
+      if (res.destroyed) return;
+      if (reason) {
+        control("end", { reason });
+        res.end();
+        return close();
+      }
+      const removed = [];
+      for (const name of channels) {
+        if (name === `user:${me}`) continue;
+        if (!(await events.canSubscribe(req, name))) removed.push(name);
+      }
+      if (res.destroyed) return;
+      removed.forEach((c) => channels.delete(c));
+      if (removed.length) control("removed", { channels: removed });
+      res.write(`: ping\n\n`);
+    }
+
+    const heartbeat = setInterval(() => {
+      if (checking || res.writableEnded) return;
+      checking = true;
+      recheck()
+        .catch((e) => console.error("[stream] recheck", e))
+        .finally(() => {
+          checking = false;
+        });
+    }, HEARTBEAT_MS);
+
+    function close() {
+      clearInterval(heartbeat);
+      unsubscribe();
+      streams.delete(streamId);
+    }
+    req.on("close", close);
+  });
+
+  app.post(
+    "/api/stream/:streamId/channels",
+    authRequired,
+    async (req, res) => {
+      const stream = streams.get(String(req.params.streamId));
+      if (!stream || stream.userId !== Number(req.user.id))
+        return res.status(404).json({ error: "Stream not found" });
+
+      const add = listParam(req.body?.add);
+      const remove = listParam(req.body?.remove);
+      if (stream.channels.size + add.length > MAX_CHANNELS + 1)
+        return res.status(400).json({ error: `At most ${MAX_CHANNELS} channels` });
+
+      try {
+        const checked = await checkChannels(req, add);
+        checked.allowed.forEach((c) => stream.channels.add(c));
+        const mine = `user:${stream.userId}`;
+        remove.filter((c) => c !== mine).forEach((c) => stream.channels.delete(c));
+
+        return res.json({
+          ok: true,
+          channels: [...stream.channels],
+          denied: checked.denied,
+        });
+      } catch (e) {
+        console.error("[stream] channels", e);
+        return res.status(500).json({ error: "Failed to update channels" });
+      }
+    }
+  );
+};
@@ -0,0 +1,155 @@
+// test/carry-accept.test.js
+/* =====================
+   carry request -> accept over HTTP (routes from modules/carry.js) against a
+   fresh in-memory db (all migrations applied)
+   run: npm test
+===================== */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const sqlite3 = require("sqlite3");
+const createDataAccess = require("../src/modules/data");
+const createMigrator = require("../src/modules/migrator");
+const createPagination = require("../src/modules/pagination");
+const createAirportStore = require("../src/modules/airport-store");
+const createCarryMatcher = require("../src/modules/carry-matching");
+const createBlockStore = require("../src/modules/block-store");
+const createEventBus = require("../src/modules/event-bus");
+const registerCarry = require("../src/modules/carry");
+
+const toInt = (v) => {
+  const n = parseInt(String(v ?? "").trim(), 10);
+  return Number.isFinite(n) ? n : 0;
+};
+
+async function setup() {
+  const db = new sqlite3.Database(":memory:");
+  const data = createDataAccess({ db, logErrors: false });
+  await createMigrator({ data }).up();
+
+  const users = {};
+  for (const name of ["owner", "alice", "bob"]) {
+    const r = await data.run(
+      `INSERT INTO users (username, email, password_hash) VALUES (?, ?, 'x')`,
+      [name, `${name}@x.com`]
+    );
+    users[name] = r.lastID;
+  }
+
+  // x-user: <id> stands in for the bearer token
+  const authRequired = (req, res, next) => {
+    const id = toInt(req.headers["x-user"]);
+    if (!id) return res.sendStatus(401);
+    req.user = { id };
+    next();
+  };
+  const app = express();
+  app.use(express.json());
+  registerCarry({
+    app,
+    data,
+    matcher: createCarryMatcher({ data, toInt }),
+    airports: createAirportStore({ data }),
+    auth: { authRequired, authOptional: authRequired, can: () => false },
+    safeTrim: (v) => String(v ?? "").trim(),
+    safeJsonParse: (s) => {
+      try {
+        return JSON.parse(s);
+      } catch {
+        return null;
+      }
+    },
+    toInt,
+    notifier: { notify: async () => null },
+    events: createEventBus(),
+    blocks: createBlockStore({ data }),
+    paging: createPagination(),
+  });
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const call = async (method, path, userId, body) => {
+    const r = await fetch(base + path, {
+      method,
+      headers: { "content-type": "application/json", "x-user": String(userId) },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: r.status, body: await r.json() };
+  };
+
+  const listing = await call("POST", "/api/carry/listings", users.owner, {
+    role: "traveler",
+    from_country: "EG",
+    to_country: "US",
+    travel_date: "2026-12-01",
+  });
+  const requestOf = async (userId) =>
+    (await call("POST", `/api/carry/listings/${listing.body.item.id}/request`, userId))
+      .body.request_id;
+
+  return {
+    data,
+    users,
+    call,
+    listingId: listing.body.item.id,
+    requestOf,
+    close: async () => {
+      await new Promise((resolve) => server.close(resolve));
+      await data.close();
+    },
+  };
+}
+
+test("accept matches the listing and waitlists the other requests", async () => {
+  const { data, users, call, listingId, requestOf, close } = await setup();
+  const aliceReq = await requestOf(users.alice);
+  const bobReq = await requestOf(users.bob);
+
+  const denied = await call("PATCH", `/api/carry/requests/${aliceReq}/accept`, users.bob);
+  assert.strictEqual(denied.status, 403);
+
+  const ok = await call("PATCH", `/api/carry/requests/${aliceReq}/accept`, users.owner);
+  assert.strictEqual(ok.status, 200);
+  assert.deepStrictEqual(ok.body.others, { status: "waitlisted", count: 1 });
+
+  const statuses = await data.all(
+    `SELECT id, status FROM carry_requests WHERE listing_id = ? ORDER BY id`,
+    [listingId]
+  );
+  assert.deepStrictEqual(
+    statuses.map((r) => [r.id, r.status]),
+    [
+      [aliceReq, "accepted"],
+      [bobReq, "waitlisted"],
+    ]
+  );
+  const listing = await data.get(`SELECT status FROM carry_listings WHERE id = ?`, [listingId]);
+  assert.strictEqual(listing.status, "matched");
+
+  const again = await call("PATCH", `/api/carry/requests/${bobReq}/accept`, users.owner);
+  assert.strictEqual(again.status, 409);
+  await close();
+});
+
+test("two parallel accepts on one listing: exactly one wins", async () => {
+  const { data, users, call, listingId, requestOf, close } = await setup();
+  const aliceReq = await requestOf(users.alice);
+  const bobReq = await requestOf(users.bob);
+
+  const out = await Promise.all(
+    [aliceReq, bobReq].map((id) =>
+      call("PATCH", `/api/carry/requests/${id}/accept`, users.owner, { others: "reject" })
+    )
+  );
+  assert.deepStrictEqual(out.map((r) => r.status).sort(), [200, 409]);
+
+  const accepted = await data.get(
+    `SELECT COUNT(*) AS c FROM carry_requests WHERE listing_id = ? AND status = 'accepted'`,
+    [listingId]
+  );
+  assert.strictEqual(accepted.c, 1);
+  await close();
+});
@@ -0,0 +1,76 @@
+// test/conversation-store.test.js
+/* =====================
+   conversation-store (one conversation per pair + context, blocking) against
+   a fresh in-memory db (all migrations applied)
+   run: npm test
+===================== */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const sqlite3 = require("sqlite3");
+const createDataAccess = require("../src/modules/data");
+const createMigrator = require("../src/modules/migrator");
+const createBlockStore = require("../src/modules/block-store");
+const createEventBus = require("../src/modules/event-bus");
+const createConversationStore = require("../src/modules/conversation-store");
+
+async function setup() {
+  const db = new sqlite3.Database(":memory:");
+  const data = createDataAccess({ db, logErrors: false });
+  await createMigrator({ data, log: () => {} }).up();
+
+  const users = [];
+  for (const name of ["ann", "ben"]) {
+    const r = await data.run(
+      `INSERT INTO users (username, email, password_hash) VALUES (?, ?, 'x')`,
+      [name, `${name}@x.com`]
+    );
+    users.push(r.lastID);
+  }
+  const blocks = createBlockStore({ data });
+  const conversations = createConversationStore({
+    data,
+    blocks,
+    notifier: { notify: async () => null },
+    events: createEventBus(),
+  });
+  return { data, users, blocks, conversations, close: () => data.close() };
+}
+
+test("either side opening the same pair gets the one conversation", async () => {
+  const { users, conversations, close } = await setup();
+  const [ann, ben] = users;
+
+  const first = await conversations.open({ userId: ann, otherId: ben });
+  const again = await conversations.open({ userId: ben, otherId: ann });
+  assert.strictEqual(first.created, true);
+  assert.strictEqual(again.created, false);
+  assert.strictEqual(again.conversation.id, first.conversation.id);
+
+  const [a, b] = await Promise.all([
+    conversations.open({ userId: ann, otherId: ben }),
+    conversations.open({ userId: ben, otherId: ann }),
+  ]);
+  assert.strictEqual(a.conversation.id, b.conversation.id);
+  await close();
+});
+
+test("a block stops new conversations and messages both ways", async () => {
+  const { users, blocks, conversations, close } = await setup();
+  const [ann, ben] = users;
+
+  const { conversation } = await conversations.open({ userId: ann, otherId: ben });
+  const c = await conversations.forUser(conversation.id, ann);
+  await conversations.send(c, ann, "hi");
+
+  await blocks.block(ben, ann);
+  await assert.rejects(conversations.send(c, ann, "hello?"), { code: "BLOCKED" });
+  await assert.rejects(conversations.send(c, ben, "bye"), { code: "BLOCKED" });
+  await assert.rejects(conversations.open({ userId: ann, otherId: ben }), {
+    code: "BLOCKED",
+  });
+  await assert.rejects(conversations.open({ userId: ann, otherId: ann }), {
+    code: "BAD_USER",
+  });
+  await close();
+});
@@ -0,0 +1,68 @@
+// test/login-guard.test.js
+/* =====================
+   login-guard lockout against a fresh in-memory db (all migrations applied)
+   run: npm test
+===================== */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const sqlite3 = require("sqlite3");
+const createDataAccess = require("../src/modules/data");
+const createMigrator = require("../src/modules/migrator");
+const registerLoginGuard = require("../src/modules/login-guard");
+
+async function setup() {
+  const db = new sqlite3.Database(":memory:");
+  const data = createDataAccess({ db, logErrors: false });
+  await createMigrator({ data }).up();
+
+  const noRoute = () => {};
+  const guard = registerLoginGuard({
+    app: { get: noRoute, post: noRoute, delete: noRoute },
+    data,
+    authRequired: noRoute,
+    adminRequired: noRoute,
+    safeTrim: (v) => String(v ?? "").trim(),
+    toInt: (v) => parseInt(v, 10) || 0,
+  });
+  return { data, guard, close: () => data.close() };
+}
+
+const req = (ip = "10.0.0.1") => ({ ip, headers: { "user-agent": "test" } });
+const fail = (guard, email, ip) =>
+  guard.recordFailure({ req: req(ip), email, reason: "bad_password" });
+
+test("five wrong passwords lock the account, a good one clears it", async () => {
+  const { guard, close } = await setup();
+  const email = "a@x.com";
+  const origWarn = console.warn;
+  console.warn = () => {};
+
+  for (let i = 0; i < 4; i++) assert.strictEqual(await fail(guard, email), null);
+  assert.strictEqual(await guard.checkLocked(email, "10.9.9.9"), null);
+
+  const lock = await fail(guard, email);
+  assert.deepStrictEqual(lock, { scope: "account", minutes: 5 });
+  const active = await guard.checkLocked(email, "10.9.9.9");
+  assert.strictEqual(active.scope, "account");
+  assert.ok(active.retry_after > 0);
+
+  await guard.recordSuccess({ req: req(), email, userId: null });
+  assert.strictEqual(await guard.checkLocked(email, "10.9.9.9"), null);
+  console.warn = origWarn;
+  await close();
+});
+
+test("parallel wrong passwords still reach the lockout", async () => {
+  const { guard, close } = await setup();
+  const email = "b@x.com";
+  const origWarn = console.warn;
+  console.warn = () => {};
+
+  const ips = ["10.0.0.1", "10.0.0.2", "10.0.0.3", "10.0.0.4", "10.0.0.5"];
+  const out = await Promise.all(ips.map((ip) => fail(guard, email, ip)));
+  assert.strictEqual(out.filter(Boolean).length, 1);
+  assert.strictEqual((await guard.checkLocked(email, "10.9.9.9")).scope, "account");
+  console.warn = origWarn;
+  await close();
+});
@@ -0,0 +1,34 @@
+// test/migrator.test.js
+/* =====================
+   migrator: every migration after the baseline reverts and re-applies
+   run: npm test
+===================== */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const sqlite3 = require("sqlite3");
+const createDataAccess = require("../src/modules/data");
+const createMigrator = require("../src/modules/migrator");
+
+test("up -> down to the baseline -> up again", async () => {
+  const db = new sqlite3.Database(":memory:");
+  const data = createDataAccess({ db, logErrors: false });
+  const migrator = createMigrator({ data, log: () => {} });
+
+  const applied = await migrator.up();
+  assert.ok(applied.length > 1);
+  assert.strictEqual((await migrator.pending()).length, 0);
+
+  const reverted = await migrator.down({ steps: applied.length - 1 });
+  assert.deepStrictEqual(reverted, applied.slice(1).reverse());
+  assert.strictEqual(await migrator.helpers.hasTable("reports"), false);
+  assert.strictEqual(await migrator.helpers.hasColumn("users", "email_verified_at"), false);
+
+  // the baseline is the floor: nothing is reverted when it's in the batch
+  await assert.rejects(migrator.down({ steps: 1 }), /can't be reverted/);
+  assert.strictEqual(await migrator.helpers.hasTable("users"), true);
+
+  assert.deepStrictEqual(await migrator.up(), applied.slice(1));
+  assert.strictEqual(await migrator.helpers.hasTable("reports"), true);
+  await data.close();
+});
@@ -0,0 +1,75 @@
+// test/pagination.test.js
+/* =====================
+   cursor pagination helpers + a keyset walk over a real table
+   run: npm test
+===================== */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const sqlite3 = require("sqlite3");
+const createDataAccess = require("../src/modules/data");
+const createPagination = require("../src/modules/pagination");
+
+const paging = createPagination();
+
+test("readPage: limits, legacy mode and bad cursors", () => {
+  assert.deepStrictEqual(paging.readPage({}), {
+    paged: false,
+    limit: null,
+    after: null,
+    sqlLimit: -1,
+  });
+  assert.strictEqual(paging.readPage({}, { legacyLimit: 200 }).limit, 200);
+  assert.strictEqual(paging.readPage({ cursor: "" }).limit, 20);
+  assert.strictEqual(paging.readPage({ limit: "500" }).limit, 100);
+  assert.strictEqual(paging.readPage({ limit: "0" }).limit, 1);
+
+  const cursor = paging.encodeCursor(["2026-01-01", 7]);
+  assert.deepStrictEqual(paging.readPage({ cursor }, { keys: 2 }).after, [
+    "2026-01-01",
+    7,
+  ]);
+  assert.strictEqual(paging.readPage({ cursor }, { keys: 1 }).error, "Invalid cursor");
+  assert.strictEqual(paging.readPage({ cursor: "%%%" }).error, "Invalid cursor");
+});
+
+test("keyset builds the tuple comparison for either direction", () => {
+  const page = { after: ["b", 5] };
+  assert.deepStrictEqual(paging.keyset(page, ["name", "id"]), {
+    sql: "((name < ?) OR (name = ? AND id < ?))",
+    params: ["b", "b", 5],
+  });
+  assert.strictEqual(
+    paging.keyset(page, ["name", "id"], "ASC").sql,
+    "((name > ?) OR (name = ? AND id > ?))"
+  );
+  assert.strictEqual(paging.keyset({ after: null }, ["id"]), null);
+});
+
+test("walking pages returns every row once, even when rows are added mid-walk", async () => {
+  const db = new sqlite3.Database(":memory:");
+  const data = createDataAccess({ db, logErrors: false });
+  await data.exec(`CREATE TABLE t (id INTEGER PRIMARY KEY, day TEXT)`);
+  for (let i = 1; i <= 7; i++)
+    await data.run(`INSERT INTO t (id, day) VALUES (?, ?)`, [i, `2026-01-0${(i % 3) + 1}`]);
+
+  const seen = [];
+  let cursor = "";
+  for (let n = 0; n < 10; n++) {
+    const page = paging.readPage({ cursor, limit: "3" }, { keys: 2 });
+    const after = paging.keyset(page, ["day", "id"]);
+    const rows = await data.all(
+      `SELECT * FROM t ${after ? `WHERE ${after.sql}` : ""} ORDER BY day DESC, id DESC LIMIT ?`,
+      [...(after ? after.params : []), page.sqlLimit]
+    );
+    const { items, next_cursor } = paging.pageOf(rows, page, (r) => [r.day, r.id]);
+    seen.push(...items.map((r) => r.id));
+    // a newer row lands on page one: the walk must not repeat or skip anything
+    if (n === 0) await data.run(`INSERT INTO t (id, day) VALUES (8, '2026-02-01')`);
+    if (!next_cursor) break;
+    cursor = next_cursor;
+  }
+
+  assert.deepStrictEqual(seen, [5, 2, 7, 4, 1, 6, 3]);
+  await data.close();
+});
@@ -0,0 +1,37 @@
+// test/permission-store.test.js
+/* =====================
+   permission-store against a fresh in-memory db (all migrations applied)
+   run: npm test
+===================== */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const sqlite3 = require("sqlite3");
+const createDataAccess = require("../src/modules/data");
+const createMigrator = require("../src/modules/migrator");
+const createPermissionStore = require("../src/modules/permission-store");
+
+test("bootstrapAdmins seeds only while nobody holds admin", async () => {
+  const db = new sqlite3.Database(":memory:");
+  const data = createDataAccess({ db, logErrors: false });
+  await createMigrator({ data }).up();
+
+  const { lastID: userId } = await data.run(
+    `INSERT INTO users (username, email, password_hash) VALUES ('boss', 'boss@x.com', 'x')`
+  );
+  const permissions = createPermissionStore({ data, ADMIN_EMAILS: "Boss@x.com" });
+  const admin = await permissions.findRole("admin");
+
+  assert.strictEqual(await permissions.bootstrapAdmins(), 1);
+  assert.strictEqual(await permissions.hasRole(userId, admin.id), true);
+
+  // revoked through the admin api: the next boot must not grant it back
+  await permissions.revokeRole(userId, admin.id);
+  const { lastID: otherId } = await data.run(
+    `INSERT INTO users (username, email, password_hash) VALUES ('other', 'other@x.com', 'x')`
+  );
+  await permissions.grantRole(otherId, admin.id);
+  assert.strictEqual(await permissions.bootstrapAdmins(), 0);
+  assert.strictEqual(await permissions.hasRole(userId, admin.id), false);
+  await data.close();
+});
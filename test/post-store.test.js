@@ -0,0 +1,54 @@
+// test/post-store.test.js
+/* =====================
+   post-store id resolution ("p_N", bare N, legacy "pp_N") against a fresh
+   in-memory db (all migrations applied)
+   run: npm test
+===================== */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const sqlite3 = require("sqlite3");
+const createDataAccess = require("../src/modules/data");
+const createMigrator = require("../src/modules/migrator");
+const createPostStore = require("../src/modules/post-store");
+
+async function setup() {
+  const db = new sqlite3.Database(":memory:");
+  const data = createDataAccess({ db, logErrors: false });
+  await createMigrator({ data }).up();
+
+  const ids = [];
+  for (const name of ["a", "b"]) {
+    const { lastID } = await data.run(
+      `INSERT INTO users (username, email, password_hash) VALUES (?, ?, 'x')`,
+      [name, `${name}@x.com`]
+    );
+    ids.push(lastID);
+  }
+  return { data, ids, posts: createPostStore({ data }) };
+}
+
+test("resolveId maps api, bare and legacy profile ids to posts.id", async () => {
+  const { data, ids: [alice, bob], posts } = await setup();
+  const { lastID: feedId } = await data.run(
+    `INSERT INTO posts (user_id, content, kind) VALUES (?, 'feed', 'feed')`,
+    [alice]
+  );
+  // a migrated profile post whose old id collides with the feed post id
+  const { lastID: wallId } = await data.run(
+    `INSERT INTO posts (user_id, content, kind, legacy_profile_post_id)
+     VALUES (?, 'wall', 'profile', ?)`,
+    [bob, feedId]
+  );
+
+  assert.strictEqual(await posts.resolveId(`p_${feedId}`), feedId);
+  assert.strictEqual(await posts.resolveId(`pp_${feedId}`), wallId);
+  assert.strictEqual(await posts.resolveId("pp_999"), null);
+  assert.strictEqual(await posts.resolveId(String(wallId)), wallId);
+  assert.strictEqual(await posts.resolveId("nope"), null);
+
+  // a bare number is the owner's own post first, then their old profile id
+  assert.strictEqual(await posts.resolveId(String(feedId), { ownerId: alice }), feedId);
+  assert.strictEqual(await posts.resolveId(String(feedId), { ownerId: bob }), wallId);
+  await data.close();
+});
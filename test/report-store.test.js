@@ -0,0 +1,153 @@
+// test/report-store.test.js
+/* =====================
+   report-store against a fresh in-memory db (all migrations applied)
+   run: npm test
+===================== */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const sqlite3 = require("sqlite3");
+const createDataAccess = require("../src/modules/data");
+const createMigrator = require("../src/modules/migrator");
+const createPostStore = require("../src/modules/post-store");
+const createPermissionStore = require("../src/modules/permission-store");
+const createReportStore = require("../src/modules/report-store");
+
+async function setup() {
+  const db = new sqlite3.Database(":memory:");
+  const data = createDataAccess({ db, logErrors: false });
+  await createMigrator({ data }).up();
+
+  // verified, month-old accounts: their reports count toward the auto-hide
+  const users = [];
+  for (const name of ["author", "r1", "r2", "r3", "r4", "mod"]) {
+    const r = await data.run(
+      `INSERT INTO users (username, email, password_hash, email_verified_at, created_at)
+       VALUES (?, ?, 'x', datetime('now'), datetime('now', '-30 days'))`,
+      [name, `${name}@x.com`]
+    );
+    users.push(r.lastID);
+  }
+  const posts = createPostStore({ data });
+  const reports = createReportStore({
+    data,
+    posts,
+    notifier: { notify: async () => null },
+    permissions: createPermissionStore({ data }),
+    hideThreshold: 3,
+  });
+  const postId = await posts.create({ userId: users[0], content: "spam" });
+  const hiddenAt = async () =>
+    (await data.get(`SELECT hidden_at FROM posts WHERE id = ?`, [postId])).hidden_at;
+
+  return { data, users, reports, postId, hiddenAt, close: () => data.close() };
+}
+
+const file = (reports, reporterId, postId) =>
+  reports.create({ reporterId, targetType: "post", targetId: `p_${postId}`, reason: "spam" });
+
+test("dismissing a later report keeps a moderator's hide", async () => {
+  const { users, reports, postId, hiddenAt, close } = await setup();
+  const [, r1, r2, r3, r4, mod] = users;
+
+  await file(reports, r1, postId);
+  await file(reports, r2, postId);
+  const third = await file(reports, r3, postId);
+  assert.strictEqual(third.auto_hidden, true);
+
+  await reports.act(third.report.id, mod, { action: "hide" });
+  assert.ok(await hiddenAt());
+
+  const fourth = await file(reports, r4, postId);
+  const out = await reports.act(fourth.report.id, mod, { action: "dismiss" });
+  assert.strictEqual(out.hidden, true);
+  assert.ok(await hiddenAt());
+  await close();
+});
+
+test("dismiss un-hides content the report threshold hid", async () => {
+  const { users, reports, postId, hiddenAt, close } = await setup();
+  const [, r1, r2, r3, , mod] = users;
+
+  await file(reports, r1, postId);
+  await file(reports, r2, postId);
+  const third = await file(reports, r3, postId);
+  assert.ok(await hiddenAt());
+
+  const out = await reports.act(third.report.id, mod, { action: "dismiss" });
+  assert.strictEqual(out.hidden, false);
+  assert.strictEqual(await hiddenAt(), null);
+  await close();
+});
+
+test("reports from new or unverified accounts don't auto-hide", async () => {
+  const { data, users, reports, postId, hiddenAt, close } = await setup();
+  const [, r1, r2, r3] = users;
+
+  await data.run(`UPDATE users SET created_at = datetime('now') WHERE id = ?`, [r2]);
+  await data.run(`UPDATE users SET email_verified_at = NULL WHERE id = ?`, [r3]);
+  await file(reports, r1, postId);
+  await file(reports, r2, postId);
+  const third = await file(reports, r3, postId);
+  assert.strictEqual(third.auto_hidden, false);
+  assert.strictEqual(await hiddenAt(), null);
+  await close();
+});
+
+test("marketplace and carry reviews can be reported and auto-hidden", async () => {
+  const { data, users, reports, close } = await setup();
+  const [author, r1, r2, r3] = users;
+
+  const listingReview = await data.run(
+    `INSERT INTO marketplace_reviews (listing_type, listing_id, user_id, stars, comment)
+     VALUES ('services', 1, ?, 5, 'best ever')`,
+    [author]
+  );
+  const carryReview = await data.run(
+    `INSERT INTO carry_reviews (listing_id, reviewer_id, reviewed_user_id, rating, comment)
+     VALUES (1, ?, ?, 5, 'great')`,
+    [author, r1]
+  );
+
+  for (const [targetType, id, table] of [
+    ["marketplace_review", listingReview.lastID, "marketplace_reviews"],
+    ["carry_review", carryReview.lastID, "carry_reviews"],
+  ]) {
+    let last = null;
+    for (const reporterId of [r1, r2, r3]) {
+      last = await reports.create({ reporterId, targetType, targetId: id, reason: "fake" });
+    }
+    assert.strictEqual(last.auto_hidden, true);
+    const row = await data.get(`SELECT hidden_at FROM ${table} WHERE id = ?`, [id]);
+    assert.ok(row.hidden_at);
+  }
+  await close();
+});
+
+test("moderators can't suspend someone of equal or higher rank", async () => {
+  const { data, users, reports, close } = await setup();
+  const [, r1, r2, , , mod] = users;
+
+  const grant = (userId, role) =>
+    data.run(
+      `INSERT INTO user_roles (user_id, role_id) SELECT ?, id FROM roles WHERE name = ?`,
+      [userId, role]
+    );
+  await grant(mod, "moderator");
+  await grant(r2, "moderator");
+
+  const { report } = await reports.create({
+    reporterId: r1,
+    targetType: "user",
+    targetId: r2,
+    reason: "harassment",
+  });
+  await assert.rejects(reports.act(report.id, mod, { action: "suspend" }), {
+    code: "FORBIDDEN",
+  });
+
+  await grant(r1, "admin");
+  const out = await reports.act(report.id, r1, { action: "suspend", days: 1 });
+  assert.ok(out.suspended_until);
+  await close();
+});
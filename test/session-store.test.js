@@ -0,0 +1,71 @@
+// test/session-store.test.js
+/* =====================
+   session-store (refresh rotation + reuse detection) against a fresh
+   in-memory db (all migrations applied)
+   run: npm test
+===================== */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const sqlite3 = require("sqlite3");
+const createDataAccess = require("../src/modules/data");
+const createMigrator = require("../src/modules/migrator");
+const createSessionStore = require("../src/modules/session-store");
+
+async function setup() {
+  const db = new sqlite3.Database(":memory:");
+  const data = createDataAccess({ db, logErrors: false });
+  await createMigrator({ data }).up();
+
+  const { lastID: userId } = await data.run(
+    `INSERT INTO users (username, email, password_hash) VALUES ('u', 'u@x.com', 'x')`
+  );
+  const sessions = createSessionStore({ data });
+  return { data, userId, sessions, close: () => data.close() };
+}
+
+test("refresh rotates the token and keeps the session active", async () => {
+  const { userId, sessions, close } = await setup();
+  const { sessionId, refreshToken } = await sessions.create({ userId, ip: "1.1.1.1" });
+  assert.strictEqual(await sessions.isActive(sessionId, userId), true);
+
+  const out = await sessions.rotate(refreshToken, { ip: "2.2.2.2" });
+  assert.strictEqual(out.session.id, sessionId);
+  assert.notStrictEqual(out.refreshToken, refreshToken);
+  assert.strictEqual(await sessions.isActive(sessionId, userId), true);
+  assert.strictEqual((await sessions.rotate("not-a-token")).error, "invalid");
+  await close();
+});
+
+test("replaying a rotated refresh token revokes the session", async () => {
+  const { userId, sessions, close } = await setup();
+  const origWarn = console.warn;
+  console.warn = () => {};
+
+  const { sessionId, refreshToken } = await sessions.create({ userId });
+  const { refreshToken: next } = await sessions.rotate(refreshToken);
+
+  assert.strictEqual((await sessions.rotate(refreshToken)).error, "reused");
+  assert.strictEqual(await sessions.isActive(sessionId, userId), false);
+  // the legitimate holder's newer token dies with the session
+  assert.strictEqual((await sessions.rotate(next)).error, "revoked");
+  console.warn = origWarn;
+  await close();
+});
+
+test("revokeAllForUser keeps only the current device", async () => {
+  const { userId, sessions, close } = await setup();
+  const a = await sessions.create({ userId, deviceName: "phone" });
+  const b = await sessions.create({ userId, deviceName: "laptop" });
+
+  assert.strictEqual(
+    await sessions.revokeAllForUser(userId, { exceptSessionId: b.sessionId }),
+    1
+  );
+  assert.strictEqual(await sessions.isActive(a.sessionId, userId), false);
+  assert.deepStrictEqual(
+    (await sessions.listForUser(userId)).map((s) => s.device_name),
+    ["laptop"]
+  );
+  await close();
+});